@@ -2,7 +2,69 @@
 
 import 'dotenv/config';
 import { createOrchestrator } from '../src/orchestrator.js';
+import { loadConfig, createDefaultConfig } from '../src/config.js';
+import { createHistoryStore, exportEntries, formatEntryMarkdown } from '../src/history.js';
+import { createProcessingQueue } from '../src/processing-queue.js';
+import { createIncidentRegistry, INCIDENT_STATES } from '../src/incidents.js';
+import { createSummaryCache } from '../src/summary-cache.js';
+import { TEST_RUNNERS } from '../src/test-runner.js';
+import { TEST_REPORT_FORMATS } from '../src/test-reports.js';
+import { createDashboardServer } from '../src/dashboard.js';
+import { createCollector } from '../src/collector.js';
+import { createCollectorClient, collectorStatus, DEFAULT_SOCKET_PATH } from '../src/collector-client.js';
+import { createProcessRunner } from '../src/process-runner.js';
+import { createSummarizer } from '../src/summarizer.js';
+import { createHeuristicProvider } from '../src/heuristic-provider.js';
+import { DEFAULT_TEMPLATES, TEMPLATES_DIR, listTemplates, promptVars, resolveTemplate } from '../src/prompt-templates.js';
+import { renderTemplate } from '../src/template.js';
+import { groupRecords, formatGroups } from '../src/fingerprint.js';
+import { createRecord, parseRecords } from '../src/records.js';
+import path from 'path';
 import readline from 'readline';
+import fs from 'fs';
+import os from 'os';
+
+const DEFAULT_CONFIG_PATH = './alith.config.json';
+
+// Flags that never take a value
+const BOOLEAN_FLAGS = new Set(['help', 'init', 'from-start', 'force', 'no-cache', 'ipc']);
+
+/**
+ * Splits command line arguments into positionals, flags and a `--` passthrough
+ * @param {string[]} argv - Command line arguments
+ * @returns {object} Parsed arguments
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  let passthrough = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--') {
+      passthrough = argv.slice(i + 1);
+      break;
+    }
+
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+      if (inlineValue !== undefined) {
+        flags[name] = inlineValue;
+      } else if (BOOLEAN_FLAGS.has(name) || i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        flags[name] = true;
+      } else {
+        flags[name] = argv[++i];
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional[0], positional: positional.slice(1), flags, passthrough };
+}
 
 /**
  * New Alith Notify CLI - Captures terminal errors, summarizes, and sends to Copilot
@@ -10,6 +72,13 @@ import readline from 'readline';
 class AlithNotifyNewCLI {
   constructor() {
     this.orchestrator = null;
+    this.dashboard = null;
+    this.collector = null;
+    this.config = null;
+    this.noCache = false; // --no-cache: always ask the model
+    this.ipc = false; // --ipc: give `run` commands an IPC channel for the reporter API
+    this.keyboardActive = false;
+    this.pendingAnswer = null; // Resolves a yes/no question asked while keyboard input is active
   }
 
   /**
@@ -23,25 +92,87 @@ class AlithNotifyNewCLI {
 ╚═══════════════════════════════════════════════════════════════╝
 
 Usage:
-  npm start              # Start error capture mode
-  
+  npm start                          # Start error capture mode
+  alith-notify run -- <command>      # Run a command and capture its errors
+  alith-notify test -- <command>     # Run tests and summarize the failing ones
+  alith-notify tail [files...]       # Follow log files (default: logFile from config)
+  alith-notify history               # List past processing runs
+  alith-notify history show <id>     # Show a run's errors and summary
+  alith-notify history export        # Export runs (json, jsonl or markdown)
+  alith-notify dashboard             # Open a live web dashboard (http://localhost:4500)
+  alith-notify daemon                # Collect and summarize errors from many services
+  alith-notify status                # Show the daemon's connected producers and services
+  alith-notify run --service <name> -- <command>
+                                     # Run a command and send its errors to the daemon
+  alith-notify templates             # List prompt templates (built-in and .alith/templates)
+  alith-notify templates init        # Copy the built-in templates to .alith/templates
+  alith-notify templates preview [name]
+                                     # Render a template against the current capture log
+  alith-notify queue                 # List queued and failed (dead-lettered) batches
+  alith-notify queue retry [id]      # Queue failed batches again (all without an id)
+  alith-notify queue drop [id]       # Delete failed batches (all without an id)
+  alith-notify incidents             # List distinct errors and their state
+  alith-notify mute <id>             # Stop summarizing an incident
+  alith-notify resolve <id>          # Mark an incident as fixed (it returns as a regression)
+  alith-notify cache stats           # Show how many summaries are cached and reused
+  alith-notify cache clear           # Delete all cached summaries
+  alith-notify --init                # Create default alith.config.json
+  alith-notify --help                # Show this help
+
+Options:
+  --config <path>    Config file (default: ./alith.config.json if present)
+  --from-start       tail: also process content already in the files
+  --since <when>     history: runs since a date, today, yesterday or an age (12h, 7d)
+  --until <when>     history: runs up to a date or age
+  --grep <text>      history: runs whose errors or summary contain the text
+  --source <name>    history: runs with errors from a source (child, tail, ...),
+                     service, command or log file
+  --limit <n>        history: show at most n runs (default: 20)
+  --format <fmt>     history export: json (default), jsonl or markdown
+                     test: format of --report (junit, tap, jest or mocha; default: detected)
+  --runner <name>    test: jest, vitest, mocha or node:test (default: detected)
+  --report <path>    test: read the report the command writes there instead of adding a reporter
+  --output <path>    history export: write to a file instead of stdout
+  --port <port>      dashboard: port to listen on (default: 4500)
+                     daemon: also listen on this localhost TCP port
+  --socket <path>    daemon, status, run: collector socket, or tcp://host:port
+                     (default: .alith/collector.sock)
+  --service <name>   run: send errors to the daemon under this service name
+                     queue, incidents, mute, resolve: that daemon service's data
+  --state <state>    incidents: only new, ongoing, resolved, regressed or muted ones
+  --target <name>    templates preview: use a delivery target's template (file#2, ...)
+  --force            templates init: overwrite existing templates
+  --no-cache         Always ask the model, even for errors summarized before
+  --ipc              run: give the command an IPC channel for the reporter API (Node apps)
+
 How it works:
   1. Captures all terminal errors automatically
   2. Logs them to captured-errors.log
-  3. Periodically summarizes using Alith Agent (GPT-4)
+  3. Summarizes using an LLM (or offline heuristics) once errors settle down,
+     right away on crashes and failed commands
   4. Automatically sends to GitHub Copilot Chat for fixes!
 
 Commands while running:
   - Press 'p' to process errors immediately
   - Press 'c' to clear error log
   - Press 'q' to quit
+  - Press 'y' to apply a proposed fix (with "fix": { "enabled": true })
 
 Environment:
-  OPENAI_API_KEY    Required - Your OpenAI API key for Alith Agent
+  OPENAI_API_KEY    OpenAI API key for Alith Agent (without it, the offline
+                    heuristic summarizer is used)
+  ALITH_PROVIDER    alith | openai-compatible | heuristic (default: auto)
+  ALITH_MODEL       Model name for the selected provider
+  ALITH_BASE_URL    Base URL of an OpenAI-compatible endpoint
+                    (e.g. http://localhost:11434/v1 for Ollama)
 
 Example:
   $env:OPENAI_API_KEY = "sk-your-key-here"
   npm start
+  alith-notify run -- npm run dev
+  alith-notify test -- npx vitest run
+  alith-notify tail ./logs/api.log ./logs/worker.log
+  alith-notify history --since yesterday --grep ECONNREFUSED
     `);
   }
 
@@ -55,12 +186,21 @@ Example:
       process.stdin.setRawMode(true);
     }
 
+    this.keyboardActive = true;
     process.stdin.on('keypress', async (str, key) => {
       if (key.ctrl && key.name === 'c') {
         this.shutdown();
         return;
       }
 
+      if (this.pendingAnswer) {
+        const answer = this.pendingAnswer;
+        this.pendingAnswer = null;
+        console.log(key.name === 'y' ? 'y' : 'n');
+        answer(key.name === 'y');
+        return;
+      }
+
       switch (key.name) {
         case 'q':
           this.shutdown();
@@ -97,32 +237,825 @@ Example:
   }
 
   /**
-   * Starts the application
+   * Parses command line arguments and dispatches to the right mode
+   * @param {string[]} argv - Command line arguments
    */
-  async start() {
+  async main(argv) {
+    const { command, positional, flags, passthrough } = parseArgs(argv);
+
+    if (flags.help) {
+      this.showHelp();
+      return;
+    }
+
+    if (flags.init) {
+      createDefaultConfig(typeof flags.config === 'string' ? flags.config : DEFAULT_CONFIG_PATH);
+      return;
+    }
+
+    this.config = await this.loadCliConfig(flags);
+    this.noCache = Boolean(flags['no-cache']);
+    this.ipc = Boolean(flags.ipc);
+
+    switch (command) {
+      case 'run':
+        if (flags.service) {
+          await this.runForService(passthrough.length > 0 ? passthrough : positional, flags);
+        } else {
+          await this.run(passthrough.length > 0 ? passthrough : positional);
+        }
+        break;
+      case 'test':
+        await this.test(passthrough.length > 0 ? passthrough : positional, flags);
+        break;
+      case 'tail':
+        await this.tail(positional, flags);
+        break;
+      case 'history':
+        this.history(positional, flags);
+        break;
+      case 'dashboard':
+        await this.startDashboard(flags);
+        break;
+      case 'daemon':
+        await this.daemon(flags);
+        break;
+      case 'status':
+        await this.status(flags);
+        break;
+      case 'templates':
+        await this.templates(positional, flags);
+        break;
+      case 'queue':
+        this.queue(positional, flags);
+        break;
+      case 'incidents':
+      case 'mute':
+      case 'resolve':
+        this.incidents(command, positional, flags);
+        break;
+      case 'cache':
+        this.cache(positional);
+        break;
+      case undefined:
+        await this.start();
+        break;
+      default:
+        console.error(`❌ Unknown command: ${command}\n`);
+        this.showHelp();
+        process.exit(1);
+    }
+  }
+
+  /**
+   * Loads the config file given with --config, or the default one if present
+   * @param {object} flags - Parsed command line flags
+   * @returns {Promise<object|null>} Config object or null if none
+   */
+  async loadCliConfig(flags) {
+    const configPath = typeof flags.config === 'string' ? flags.config : null;
+
+    if (!configPath && !fs.existsSync(DEFAULT_CONFIG_PATH)) {
+      return null;
+    }
+
+    try {
+      return await loadConfig(configPath || DEFAULT_CONFIG_PATH);
+    } catch (error) {
+      console.error(`❌ Config error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Builds orchestrator options from the loaded config
+   * @param {object} overrides - Mode-specific options
+   * @returns {object} Orchestrator options
+   */
+  orchestratorOptions(overrides = {}) {
+    return {
+      captureLogPath: this.config?.captureLogPath || './captured-errors.log',
+      trigger: { maxWait: this.config?.interval, ...this.config?.trigger },
+      llm: this.config?.llm,
+      cache: this.noCache ? { ...this.config?.cache, enabled: false } : this.config?.cache,
+      redaction: this.config?.redaction,
+      copilot: this.config?.copilot,
+      delivery: this.config?.delivery,
+      sourceContext: this.config?.sourceContext,
+      history: this.config?.history,
+      queue: this.config?.queue,
+      incidents: this.config?.incidents,
+      classification: this.config?.classification,
+      notifications: this.config?.notifications,
+      fix: this.config?.fix,
+      gitContext: this.config?.gitContext,
+      confirmFix: proposal => this.reviewFix(proposal),
+      ...overrides
+    };
+  }
+
+  /**
+   * Shows a proposed fix and asks whether to apply it
+   * @param {object} proposal - Proposal from the fix stage
+   * @returns {Promise<boolean>} True to apply the fix
+   */
+  async reviewFix(proposal) {
+    console.log(`🩹 Proposed fix (${proposal.changes.map(change => `${change.path} +${change.additions} -${change.deletions}`).join(', ')}):`);
+    console.log('─'.repeat(70));
+    console.log(proposal.diff.trimEnd());
+    console.log('─'.repeat(70));
+
+    const verify = this.orchestrator?.patcher.verifyCommand;
+    return this.askYesNo(`Apply this fix${verify ? ` and run \`${verify}\`` : ''}? [y/N] `);
+  }
+
+  /**
+   * Asks a yes/no question on the terminal
+   * Answers no when nobody can answer: no terminal, or a child command is using it
+   * @param {string} question - Question text
+   * @returns {Promise<boolean>} True for yes
+   */
+  askYesNo(question) {
+    if (this.keyboardActive) {
+      process.stdout.write(question);
+      return new Promise((resolve) => {
+        this.pendingAnswer = resolve;
+      });
+    }
+
+    if (!process.stdin.isTTY || this.orchestrator?.runner) {
+      console.log(`${question}n (no interactive terminal)`);
+      return Promise.resolve(false);
+    }
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise((resolve) => {
+      rl.question(question, (answer) => {
+        rl.close();
+        resolve(/^y(es)?$/i.test(answer.trim()));
+      });
+    });
+  }
+
+  /**
+   * Shows the startup banner
+   */
+  showBanner() {
     console.log(`
 ╔═══════════════════════════════════════════════════════════════╗
 ║                   ALITH NOTIFY                                ║
 ║     Capture Errors → Summarize → Auto-Send to Copilot        ║
 ╚═══════════════════════════════════════════════════════════════╝
 `);
+  }
 
-    // Check for API key
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('❌ Error: OPENAI_API_KEY environment variable not set\n');
-      console.log('Set it with:');
-      console.log('  $env:OPENAI_API_KEY = "sk-your-key-here"\n');
+  /**
+   * Runs a child command and captures its errors
+   * @param {string[]} commandArgs - Command and its arguments
+   */
+  async run(commandArgs) {
+    if (commandArgs.length === 0) {
+      console.error('❌ Error: no command given\n');
+      console.log('Usage: alith-notify run -- <command> [args...]\n');
       process.exit(1);
     }
 
+    this.showBanner();
+
     try {
-      // Create orchestrator
-      this.orchestrator = createOrchestrator({
-        captureLogPath: './captured-errors.log',
-        checkInterval: 30, // Check every 30 seconds
-        minErrorsToProcess: 1
+      // The child's output is teed to our terminal, so don't capture our own stderr
+      this.orchestrator = createOrchestrator(this.orchestratorOptions({
+        captureProcess: false
+      }));
+
+      this.setupEventHandlers();
+      await this.orchestrator.start();
+
+      // The child shares our terminal and receives Ctrl+C itself; forward SIGTERM
+      process.on('SIGINT', () => {});
+      process.on('SIGTERM', () => {
+        if (this.orchestrator.runner) {
+          this.orchestrator.runner.kill('SIGTERM');
+        }
+      });
+
+      const [command, ...rest] = commandArgs;
+      const result = await this.orchestrator.runCommand(command, rest, { ipc: this.ipc });
+
+      await this.orchestrator.notifier.idle();
+      this.orchestrator.stop();
+      this.exitLike(result);
+
+    } catch (error) {
+      console.error(`\n❌ Fatal error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Runs a test command and summarizes its failing tests, read from the runner's report
+   * @param {string[]} commandArgs - Command and its arguments
+   * @param {object} flags - Parsed command line flags
+   */
+  async test(commandArgs, flags) {
+    if (commandArgs.length === 0) {
+      console.error('❌ Error: no test command given\n');
+      console.log('Usage: alith-notify test [--runner <name>] [--report <path> [--format <fmt>]] -- <command> [args...]\n');
+      process.exit(1);
+    }
+
+    const runner = typeof flags.runner === 'string' ? flags.runner : undefined;
+    const format = typeof flags.format === 'string' ? flags.format : undefined;
+    if (runner && !(runner in TEST_RUNNERS)) {
+      console.error(`❌ Unknown test runner: ${runner} (use one of ${Object.keys(TEST_RUNNERS).join(', ')})\n`);
+      process.exit(1);
+    }
+    if (format && !TEST_REPORT_FORMATS.includes(format)) {
+      console.error(`❌ Unknown test report format: ${format} (use one of ${TEST_REPORT_FORMATS.join(', ')})\n`);
+      process.exit(1);
+    }
+
+    this.showBanner();
+
+    try {
+      // The test output is teed to our terminal; failures come from the report instead
+      this.orchestrator = createOrchestrator(this.orchestratorOptions({
+        captureProcess: false
+      }));
+
+      this.setupEventHandlers();
+      await this.orchestrator.start();
+
+      // The tests share our terminal and receive Ctrl+C themselves; forward SIGTERM
+      process.on('SIGINT', () => {});
+      process.on('SIGTERM', () => {
+        if (this.orchestrator.runner) {
+          this.orchestrator.runner.kill('SIGTERM');
+        }
+      });
+
+      const [command, ...rest] = commandArgs;
+      const result = await this.orchestrator.runTests(command, rest, {
+        runner,
+        format,
+        report: typeof flags.report === 'string' ? flags.report : undefined
+      });
+
+      await this.orchestrator.notifier.idle();
+      this.orchestrator.stop();
+      this.exitLike(result);
+
+    } catch (error) {
+      console.error(`\n❌ Fatal error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Runs a child command and sends its errors to the collector daemon
+   * @param {string[]} commandArgs - Command and its arguments
+   * @param {object} flags - Parsed command line flags
+   */
+  async runForService(commandArgs, flags) {
+    if (commandArgs.length === 0) {
+      console.error('❌ Error: no command given\n');
+      console.log('Usage: alith-notify run --service <name> -- <command> [args...]\n');
+      process.exit(1);
+    }
+
+    const address = this.collectorAddress(flags);
+    const client = createCollectorClient({ address, service: flags.service, token: this.config?.collector?.token });
+
+    try {
+      await client.connect();
+    } catch (error) {
+      console.error(`❌ ${error.message}\n`);
+      process.exit(1);
+    }
+
+    console.log(`📡 Sending errors to the collector at ${address} as ${client.service}`);
+    client.on('disconnected', () => {
+      console.log('⚠️  Lost the connection to the collector, errors are no longer collected');
+    });
+
+    const [command, ...rest] = commandArgs;
+    const runner = createProcessRunner({
+      command,
+      args: rest,
+      errorCapture: client,
+      env: { ...process.env, ALITH_COLLECTOR: address, ALITH_SERVICE: client.service },
+      ipc: this.ipc
+    });
+
+    // The child shares our terminal and receives Ctrl+C itself; forward SIGTERM
+    process.on('SIGINT', () => {});
+    process.on('SIGTERM', () => runner.kill('SIGTERM'));
+
+    const result = await runner.start();
+    await client.close();
+    this.exitLike(result);
+  }
+
+  /**
+   * Exits with the status of a finished child command
+   * @param {object} result - Exit result (code, signal, error)
+   */
+  exitLike(result) {
+    if (result.error) {
+      console.error(`\n❌ Could not start command: ${result.error.message}\n`);
+      process.exit(127);
+    }
+
+    if (result.signal) {
+      process.exit(128 + (os.constants.signals[result.signal] || 0));
+    }
+    process.exit(result.code);
+  }
+
+  /**
+   * Follows external log files and processes new errors from them
+   * @param {string[]} files - Files given on the command line
+   * @param {object} flags - Parsed command line flags
+   */
+  async tail(files, flags) {
+    const logFiles = files.length > 0 ? files : (this.config?.logFiles || []);
+
+    if (logFiles.length === 0) {
+      console.error('❌ Error: no log files to follow\n');
+      console.log('Pass files (alith-notify tail app.log) or set logFile in alith.config.json\n');
+      process.exit(1);
+    }
+
+    this.showBanner();
+
+    try {
+      this.orchestrator = createOrchestrator(this.orchestratorOptions({
+        captureProcess: false
+      }));
+
+      this.setupEventHandlers();
+      await this.orchestrator.start();
+      this.orchestrator.tailFiles(logFiles, { fromStart: flags['from-start'] === true });
+
+      this.setupKeyboardInput();
+      console.log('\n✅ Following log files for new errors\n');
+      this.showMenu();
+
+      process.on('SIGINT', () => {
+        this.shutdown();
+      });
+
+      process.on('SIGTERM', () => {
+        this.shutdown();
+      });
+
+    } catch (error) {
+      console.error(`\n❌ Fatal error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Lists, copies or previews prompt templates
+   * @param {string[]} args - Subcommand and its arguments
+   * @param {object} flags - Parsed command line flags
+   */
+  async templates(args, flags) {
+    const [action = 'list', name] = args;
+
+    try {
+      switch (action) {
+        case 'list':
+          console.log(`📄 Templates (override a built-in one with ${TEMPLATES_DIR}/<name>.md):\n`);
+          for (const template of listTemplates()) {
+            const origin = template.file ? template.file : 'built-in';
+            console.log(`   ${template.name.padEnd(14)} ${origin}${template.file && template.builtIn ? ' (overrides the built-in one)' : ''}`);
+          }
+          console.log();
+          break;
+        case 'init':
+          fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+          for (const [templateName, text] of Object.entries(DEFAULT_TEMPLATES)) {
+            const file = path.join(TEMPLATES_DIR, `${templateName}.md`);
+            if (fs.existsSync(file) && !flags.force) {
+              console.log(`⏭️  ${file} exists (use --force to overwrite)`);
+            } else {
+              fs.writeFileSync(file, `${text}\n`, 'utf-8');
+              console.log(`✅ Created ${file}`);
+            }
+          }
+          break;
+        case 'preview':
+          console.log(await this.previewTemplate(name || 'prompt', flags));
+          break;
+        default:
+          console.error(`❌ Unknown templates command: ${action} (use list, init or preview)\n`);
+          process.exit(1);
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Renders a template against the errors currently in the capture log, prepared
+   * (filtered, redacted, grouped, with source snippets) the way a processing run would
+   * @param {string} name - Template name
+   * @param {object} flags - Parsed command line flags
+   * @returns {Promise<string>} Rendered template
+   */
+  async previewTemplate(name, flags) {
+    const orchestrator = createOrchestrator(this.orchestratorOptions({ captureProcess: false }));
+    const logText = fs.existsSync(orchestrator.captureLogPath) ? fs.readFileSync(orchestrator.captureLogPath, 'utf-8') : '';
+    let records = orchestrator.classifier.filter(orchestrator.classifier.classifyRecords(parseRecords(logText))).kept;
+
+    if (records.length === 0) {
+      console.error(`💡 No errors in ${orchestrator.captureLogPath}; previewing with an example error\n`);
+      records = [createRecord({
+        message: `TypeError: Cannot read properties of undefined (reading 'id')\n    at getUser (${path.resolve('src/users.js')}:42:18)`,
+        source: 'uncaught',
+        level: 'fatal'
+      })];
+    }
+
+    const groups = groupRecords(orchestrator.redactor.redactRecords(records));
+    const { sourceSnippets, gitContext } = await orchestrator.collectContext(groups);
+
+    if (name === 'summary') {
+      // Only the prompt is rendered, so any provider will do
+      const summarizer = createSummarizer({ ...this.config?.llm, project: orchestrator.projectOptions, providerInstance: createHeuristicProvider() });
+      return summarizer.buildPrompt(formatGroups(groups), groups, sourceSnippets, gitContext);
+    }
+
+    const data = { summary: '<summary from the LLM>', records: groups.flatMap(group => group.records), groups, sourceSnippets, gitContext };
+    if (typeof flags.target === 'string') {
+      const entry = orchestrator.delivery.targets.find(target => target.name === flags.target);
+      if (!entry) {
+        throw new Error(`No delivery target named ${flags.target} (targets: ${orchestrator.delivery.targets.map(target => target.name).join(', ')})`);
+      }
+      return orchestrator.delivery.buildPrompt(data, entry);
+    }
+    return renderTemplate(resolveTemplate({}, name), promptVars(data, { project: orchestrator.projectOptions }));
+  }
+
+  /**
+   * Lists, shows or exports past processing runs
+   * @param {string[]} args - Subcommand and its arguments
+   * @param {object} flags - Parsed command line flags
+   */
+  history(args, flags) {
+    const store = createHistoryStore(this.config?.history);
+    const [subcommand, id] = args;
+    const filters = {
+      since: flags.since,
+      until: flags.until,
+      grep: flags.grep,
+      source: flags.source
+    };
+
+    try {
+      if (subcommand === 'show') {
+        if (!id) {
+          console.error('❌ Error: no history id given\n');
+          console.log('Usage: alith-notify history show <id>\n');
+          process.exit(1);
+        }
+
+        const entry = store.get(id);
+        if (!entry) {
+          console.error(`❌ No history entry with id ${id}\n`);
+          process.exit(1);
+        }
+        console.log(formatEntryMarkdown(entry));
+        return;
+      }
+
+      if (subcommand === 'export') {
+        const output = exportEntries(store.list(filters), flags.format || 'json');
+        if (typeof flags.output === 'string') {
+          fs.writeFileSync(flags.output, output, 'utf-8');
+          console.log(`✅ Exported history to ${flags.output}`);
+        } else {
+          process.stdout.write(output);
+        }
+        return;
+      }
+
+      if (subcommand) {
+        console.error(`❌ Unknown history command: ${subcommand}\n`);
+        console.log('Usage: alith-notify history [show <id> | export]\n');
+        process.exit(1);
+      }
+
+      const limit = Number(flags.limit) || 20;
+      const entries = store.list(filters);
+      if (entries.length === 0) {
+        console.log(`📭 No processing runs found in ${store.path}`);
+        return;
+      }
+
+      console.log(`🗂️  ${entries.length} processing run(s)${entries.length > limit ? `, showing the latest ${limit}` : ''}\n`);
+      for (const entry of entries.slice(0, limit)) {
+        const occurrences = entry.fingerprints.reduce((total, group) => total + group.count, 0);
+        const status = { failed: '❌', known: '♻️ ' }[entry.status] || (entry.delivery?.delivered ? '📨' : '📋');
+        const first = entry.fingerprints[0];
+        const firstError = (first?.title ?? (first?.message || '').split('\n')[0]).substring(0, 70);
+        console.log(`${status} ${entry.id}  ${new Date(entry.timestamp).toLocaleString()}  ${occurrences} error(s) in ${entry.fingerprints.length} group(s)  [${entry.sources.join(', ')}]`);
+        console.log(`   ${firstError}`);
+      }
+      console.log('\n💡 alith-notify history show <id> for the full summary');
+
+    } catch (error) {
+      console.error(`❌ History error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Lists, retries or drops queued batches
+   * @param {string[]} args - Subcommand and its arguments
+   * @param {object} flags - Parsed command line flags
+   */
+  queue(args, flags) {
+    // A daemon service's queue lives next to its capture log
+    const queue = createProcessingQueue(typeof flags.service === 'string'
+      ? { dir: path.join('.alith', 'services', flags.service, 'queue') }
+      : this.config?.queue);
+    const [subcommand, id] = args;
+
+    try {
+      if (subcommand === 'retry') {
+        const segments = queue.retry(id);
+        if (segments.length === 0) {
+          console.log('📭 No failed batches to retry');
+          return;
+        }
+        console.log(`🔁 Queued ${segments.length} batch(es) again: ${segments.map(segment => segment.id).join(', ')}`);
+        console.log('💡 They are processed on the next run (press \'p\' in a running alith-notify, or start it)');
+        return;
+      }
+
+      if (subcommand === 'drop') {
+        const segments = queue.drop(id);
+        console.log(`🗑️  Deleted ${segments.length} failed batch(es)`);
+        return;
+      }
+
+      if (subcommand && subcommand !== 'list') {
+        console.error(`❌ Unknown queue command: ${subcommand}\n`);
+        console.log('Usage: alith-notify queue [list | retry [id] | drop [id]]\n');
+        process.exit(1);
+      }
+
+      const pending = queue.pending();
+      const failed = queue.deadLetters();
+      const { offset } = queue.committed();
+      console.log(`📦 ${pending.length} queued batch(es), ${failed.length} failed, committed log offset ${offset}\n`);
+
+      for (const segment of pending) {
+        console.log(`⏳ ${segment.id}  ${new Date(segment.createdAt).toLocaleString()}  ${segment.records.length} record(s)`);
+      }
+      for (const segment of failed) {
+        const firstError = (segment.records[0]?.message || '').split('\n')[0].substring(0, 70);
+        console.log(`📥 ${segment.id}  ${new Date(segment.failedAt).toLocaleString()}  ${segment.records.length} record(s), ${segment.attempts} attempt(s)${segment.delivered.length > 0 ? `, delivered to ${segment.delivered.join(', ')}` : ''}`);
+        console.log(`   ${firstError}`);
+        console.log(`   ❌ ${segment.error}`);
+      }
+      if (failed.length > 0) {
+        console.log('\n💡 alith-notify queue retry [id] to process failed batches again');
+      }
+
+    } catch (error) {
+      console.error(`❌ Queue error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Shows or clears the summary cache
+   * @param {string[]} args - Subcommand (stats or clear)
+   */
+  cache(args) {
+    const cache = createSummaryCache(this.config?.cache);
+    const [subcommand = 'stats'] = args;
+
+    try {
+      if (subcommand === 'clear') {
+        const deleted = cache.clear();
+        console.log(`🗑️  Deleted ${deleted} cached summary(ies) from ${cache.dir}`);
+        return;
+      }
+
+      if (subcommand !== 'stats') {
+        console.error(`❌ Unknown cache command: ${subcommand}\n`);
+        console.log('Usage: alith-notify cache [stats | clear]\n');
+        process.exit(1);
+      }
+
+      const stats = cache.stats();
+      console.log(`💾 Summary cache: ${cache.dir}\n`);
+      console.log(`   Entries:   ${stats.entries} (${stats.expired} expired, TTL ${cache.ttlHours}h)`);
+      console.log(`   Size:      ${(stats.bytes / 1024).toFixed(1)} KB of ${cache.maxSizeMb} MB`);
+      console.log(`   Hits:      ${stats.hits} model request(s) saved`);
+      if (stats.entries > 0) {
+        console.log(`   Oldest:    ${new Date(stats.oldest).toLocaleString()}`);
+        console.log(`   Newest:    ${new Date(stats.newest).toLocaleString()}`);
+      }
+
+    } catch (error) {
+      console.error(`❌ Cache error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Lists incidents, or mutes or resolves one
+   * @param {string} command - incidents, mute or resolve
+   * @param {string[]} args - Incident id
+   * @param {object} flags - Parsed command line flags
+   */
+  incidents(command, args, flags) {
+    // A daemon service's incidents live next to its capture log
+    const registry = createIncidentRegistry(typeof flags.service === 'string'
+      ? { ...this.config?.incidents, path: path.join('.alith', 'services', flags.service, 'incidents.json') }
+      : this.config?.incidents);
+    const [id] = args;
+    const icons = { new: '🆕', ongoing: '🔴', resolved: '✅', regressed: '🔁', muted: '🔇' };
+
+    try {
+      if (command === 'mute' || command === 'resolve') {
+        if (!id) {
+          console.error('❌ Error: no incident id given\n');
+          console.log(`Usage: alith-notify ${command} <id>\n`);
+          process.exit(1);
+        }
+
+        const incident = registry[command](id);
+        console.log(`${icons[incident.state]} ${incident.fingerprint.substring(0, 8)} ${incident.state}: ${incident.title}`);
+        return;
+      }
+
+      if (flags.state && !INCIDENT_STATES.includes(flags.state)) {
+        throw new Error(`Unknown state "${flags.state}" (use ${INCIDENT_STATES.join(', ')})`);
+      }
+
+      const incidents = registry.list({ state: flags.state });
+      if (incidents.length === 0) {
+        console.log(`📭 No incidents found in ${registry.path}`);
+        return;
+      }
+
+      console.log(`🗃️  ${incidents.length} incident(s)\n`);
+      for (const incident of incidents) {
+        const regressions = incident.regressions ? `, regressed ${incident.regressions}×` : '';
+        console.log(`${icons[incident.state]} ${incident.fingerprint.substring(0, 8)}  ${incident.state.padEnd(9)}  ${incident.count} occurrence(s)${regressions}, last seen ${new Date(incident.lastSeen).toLocaleString()}`);
+        console.log(`   ${incident.title.substring(0, 70)}${incident.location ? ` (${incident.location})` : ''}`);
+      }
+      console.log('\n💡 alith-notify mute <id> or resolve <id> to change an incident');
+
+    } catch (error) {
+      console.error(`❌ Incidents error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Starts the web dashboard on top of the capture log (and the config's log files)
+   * @param {object} flags - Parsed command line flags
+   */
+  async startDashboard(flags) {
+    this.showBanner();
+
+    try {
+      this.orchestrator = createOrchestrator(this.orchestratorOptions({
+        captureProcess: false
+      }));
+
+      this.setupEventHandlers();
+      await this.orchestrator.start();
+
+      const logFiles = this.config?.logFiles || [];
+      if (logFiles.length > 0) {
+        this.orchestrator.tailFiles(logFiles);
+      }
+
+      const port = flags.port !== undefined ? Number(flags.port) : (this.config?.dashboard?.port ?? 4500);
+      this.dashboard = createDashboardServer({
+        orchestrator: this.orchestrator,
+        port,
+        host: this.config?.dashboard?.host,
+        models: this.config?.dashboard?.models
+      });
+      const url = await this.dashboard.start();
+
+      this.setupKeyboardInput();
+      console.log(`\n✅ Dashboard running at ${url}\n`);
+      this.showMenu();
+
+      process.on('SIGINT', () => {
+        this.shutdown();
+      });
+
+      process.on('SIGTERM', () => {
+        this.shutdown();
       });
 
+    } catch (error) {
+      console.error(`\n❌ Fatal error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Works out the collector address from --socket, the config or the environment
+   * @param {object} flags - Parsed command line flags
+   * @returns {string} Collector address
+   */
+  collectorAddress(flags) {
+    if (typeof flags.socket === 'string') {
+      return flags.socket;
+    }
+    return this.config?.collector?.socket || process.env.ALITH_COLLECTOR || DEFAULT_SOCKET_PATH;
+  }
+
+  /**
+   * Starts the collector daemon, which summarizes errors per service
+   * @param {object} flags - Parsed command line flags
+   */
+  async daemon(flags) {
+    this.showBanner();
+
+    try {
+      const { captureLogPath, ...orchestrator } = this.orchestratorOptions();
+      this.collector = createCollector({
+        socketPath: typeof flags.socket === 'string' ? flags.socket : this.config?.collector?.socket,
+        port: flags.port !== undefined ? Number(flags.port) : this.config?.collector?.port,
+        host: this.config?.collector?.host,
+        token: this.config?.collector?.token,
+        orchestrator
+      });
+      await this.collector.start();
+
+      console.log('\n✅ Collector running');
+      console.log('💡 Start services with: alith-notify run --service <name> -- <command>\n');
+
+      const stop = async () => {
+        console.log('\n\n🛑 Shutting down...');
+        await this.collector.stop();
+        console.log('👋 Goodbye!\n');
+        process.exit(0);
+      };
+      process.on('SIGINT', stop);
+      process.on('SIGTERM', stop);
+
+    } catch (error) {
+      console.error(`\n❌ Fatal error: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Shows the collector daemon's connected producers and services
+   * @param {object} flags - Parsed command line flags
+   */
+  async status(flags) {
+    const address = this.collectorAddress(flags);
+    const time = iso => (iso ? new Date(iso).toLocaleTimeString() : 'never');
+
+    try {
+      const status = await collectorStatus(address, { token: this.config?.collector?.token });
+
+      console.log(`📡 Collector (pid ${status.pid}) on ${status.addresses.join(', ')}, running since ${new Date(status.startedAt).toLocaleString()}\n`);
+
+      console.log(`🔌 ${status.producers.length} connected producer(s)`);
+      for (const producer of status.producers) {
+        console.log(`   ${producer.service.padEnd(16)} pid ${String(producer.pid ?? '?').padEnd(7)} ${producer.transport.padEnd(4)}  ${producer.records} record(s)  since ${time(producer.connectedAt)}  ${producer.command || ''}`);
+      }
+
+      console.log(`\n🧩 ${status.services.length} service(s)`);
+      for (const service of status.services) {
+        const state = service.processing ? '  ⚙️  processing' : '';
+        console.log(`   ${service.name.padEnd(16)} ${service.records} record(s), ${service.pending} pending, last record ${time(service.lastRecordAt)}, last processed ${time(service.lastProcessedAt)}${state}`);
+      }
+      console.log();
+
+    } catch (error) {
+      console.error(`❌ ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Starts the application
+   */
+  async start() {
+    this.showBanner();
+
+    try {
+      // Create orchestrator
+      this.orchestrator = createOrchestrator(this.orchestratorOptions());
+
       // Set up event handlers
       this.setupEventHandlers();
 
@@ -165,7 +1098,14 @@ Example:
     });
 
     this.orchestrator.on('errorsProcessed', (data) => {
-      console.log('✅ Errors processed and sent to Copilot!\n');
+      const delivered = (data.delivery?.targets || []).filter(result => result.delivered && !result.skipped);
+      if (delivered.some(result => result.method === 'vscode-bridge')) {
+        console.log('✅ Errors processed and sent to Copilot!\n');
+      } else if (delivered.length > 0) {
+        console.log(`✅ Errors processed - prompt delivered to ${delivered.map(result => result.target).join(', ')}\n`);
+      } else {
+        console.log('✅ Errors processed - prompt ready to paste into Copilot\n');
+      }
       console.log(`${'═'.repeat(70)}\n`);
     });
 
@@ -179,7 +1119,11 @@ Example:
    */
   shutdown() {
     console.log('\n\n🛑 Shutting down...');
-    
+
+    if (this.dashboard) {
+      this.dashboard.stop();
+    }
+
     if (this.orchestrator) {
       this.orchestrator.stop();
     }
@@ -195,7 +1139,7 @@ Example:
 
 // Run the CLI
 const cli = new AlithNotifyNewCLI();
-cli.start().catch((error) => {
+cli.main(process.argv.slice(2)).catch((error) => {
   console.error(`\n❌ Unexpected error: ${error.message}\n`);
   process.exit(1);
 });
@@ -0,0 +1,93 @@
+/**
+ * Token budgets (for the log content of a single request) by model name
+ * Conservative: leaves room for the prompt, preamble and the response
+ */
+export const MODEL_TOKEN_BUDGETS = {
+  'gpt-4o-mini': 60000,
+  'gpt-4o': 60000,
+  'gpt-4.1': 60000,
+  'gpt-4.1-mini': 60000,
+  'gpt-4-turbo': 60000,
+  'gpt-4': 4000,
+  'gpt-3.5-turbo': 8000,
+  'heuristic': Infinity
+};
+
+const DEFAULT_TOKEN_BUDGET = 4000;
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Estimates the token count of a piece of text (~4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Looks up the token budget for a model
+ * @param {string} model - Model name
+ * @param {object} overrides - Per-model budgets from config, checked first
+ * @returns {number} Token budget
+ */
+export function tokenBudgetFor(model, overrides = {}) {
+  return overrides[model] ?? MODEL_TOKEN_BUDGETS[model] ?? overrides.default ?? DEFAULT_TOKEN_BUDGET;
+}
+
+/**
+ * Packs items into chunks that each fit within a token budget
+ * Items are never split across chunks; an item larger than the budget on its own is
+ * truncated. Items beyond `maxChunks` are dropped and counted.
+ * @param {Array} items - Items to pack (kept in order)
+ * @param {object} options - Options (budget, format, maxChunks, separator)
+ * @returns {object} Chunks plus `dropped` and `truncated` counts
+ */
+export function chunkItems(items, options = {}) {
+  const budget = options.budget || DEFAULT_TOKEN_BUDGET;
+  const format = options.format || String;
+  const maxChunks = options.maxChunks || Infinity;
+  const separator = options.separator ?? '\n\n';
+
+  const chunks = [];
+  let current = null;
+  let dropped = 0;
+  let truncated = 0;
+
+  for (const item of items) {
+    let text = format(item);
+
+    if (estimateTokens(text) > budget) {
+      text = `${text.substring(0, budget * CHARS_PER_TOKEN - 20)}\n... (truncated)`;
+      truncated++;
+    }
+
+    const tokens = estimateTokens(text);
+    const separatorTokens = current ? estimateTokens(separator) : 0;
+
+    if (!current || current.tokens + separatorTokens + tokens > budget) {
+      if (chunks.length >= maxChunks) {
+        dropped++;
+        continue;
+      }
+      current = { items: [], parts: [], tokens: 0 };
+      chunks.push(current);
+    } else {
+      current.tokens += separatorTokens;
+    }
+
+    current.items.push(item);
+    current.parts.push(text);
+    current.tokens += tokens;
+  }
+
+  return {
+    chunks: chunks.map(chunk => ({
+      items: chunk.items,
+      text: chunk.parts.join(separator),
+      tokens: chunk.tokens
+    })),
+    dropped,
+    truncated
+  };
+}
@@ -0,0 +1,223 @@
+import { SOURCES } from './records.js';
+
+/**
+ * Severity levels, lowest first
+ */
+export const LEVELS = ['noise', 'info', 'warn', 'error', 'fatal'];
+
+const ANSI_CODES = /\u001b\[[0-9;?]*[A-Za-z]|\u001b\][^\u0007]*\u0007/g;
+
+// Raw output streams carry no level of their own; entries from them that match no rule are info
+const STREAM_SOURCES = new Set([SOURCES.STDERR, SOURCES.CHILD, SOURCES.TAIL]);
+
+const PINO_LEVELS = { 10: 'noise', 20: 'info', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal' };
+const NAMED_LEVELS = {
+  trace: 'noise', silly: 'noise', debug: 'info', verbose: 'info', http: 'info', info: 'info',
+  notice: 'info', warn: 'warn', warning: 'warn', error: 'error', err: 'error',
+  crit: 'fatal', critical: 'fatal', alert: 'fatal', emerg: 'fatal', fatal: 'fatal', panic: 'fatal'
+};
+
+/**
+ * Reads the level of a pino or winston JSON log line
+ * @param {string} text - Entry text
+ * @returns {string|null} Level, or null if the text isn't a JSON log line
+ */
+function jsonLogLevel(text) {
+  if (!text.startsWith('{')) {
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(text);
+    if (typeof entry.level === 'number') {
+      return PINO_LEVELS[Math.floor(entry.level / 10) * 10] || null;
+    }
+    if (typeof entry.level === 'string') {
+      return NAMED_LEVELS[entry.level.toLowerCase()] || null;
+    }
+  } catch (error) {
+    // Not a complete JSON object
+  }
+  return null;
+}
+
+/**
+ * Built-in rules for common output formats, applied in order (first match wins)
+ * Each rule has a `level` and either a `pattern` or a `match(text, record)` function
+ * returning a level (or null)
+ */
+const BUILTIN_RULES = [
+  // Blank lines, spinners and progress bars
+  { name: 'blank', level: 'noise', pattern: /^[\s⠀-⣿|/\\.-]*$/ },
+  { name: 'progress-bar', level: 'noise', pattern: /^[^\n]*(?:[█▓▒░■□#=]{5,}|\[[=>#. -]{5,}\])[^\n]*$/ },
+
+  // pino (numeric level) and winston (named level) JSON lines
+  { name: 'json-log', match: jsonLogLevel },
+
+  // Node.js
+  { name: 'node-fatal', level: 'fatal', pattern: /FATAL ERROR:|JavaScript heap out of memory|Segmentation fault/ },
+  { name: 'node-experimental', level: 'info', pattern: /^\(node:\d+\) ExperimentalWarning:/m },
+  { name: 'node-warning', level: 'warn', pattern: /^\(node:\d+\) (?:\[\w+\] )?\w*Warning:/m },
+  { name: 'node-stack', match: (text, record) => record.stack?.length > 0 ? 'error' : null },
+
+  // Package managers
+  { name: 'npm-error', level: 'error', pattern: /^npm (?:ERR!|error)/m },
+  { name: 'npm-warn', level: 'warn', pattern: /^npm (?:WARN|warn)/m },
+
+  // TypeScript, ESLint
+  { name: 'typescript', level: 'error', pattern: /\berror TS\d+:/ },
+  { name: 'eslint-error', level: 'error', pattern: /^\s*\d+:\d+\s+error\s+|✖ \d+ problems? \(\d*[1-9]\d* errors?/m },
+  { name: 'eslint-warning', level: 'warn', pattern: /^\s*\d+:\d+\s+warning\s+|✖ \d+ problems? \(0 errors?/m },
+
+  // Jest / Vitest
+  { name: 'test-failure', level: 'error', pattern: /^\s*(?:FAIL|[×✕])\s+\S|^\s*●\s.+›|^\s*Tests?:?\s+\d+ failed|^\s*(?:Test Files|Tests)\s+\d+ failed/m },
+
+  // Python
+  { name: 'python-traceback', level: 'error', pattern: /^Traceback \(most recent call last\):/m },
+
+  // Conventional level prefixes (`ERROR:`, `[WARN]`, `level=info`, ...), optionally after a
+  // timestamp or bracketed tags (`2024-05-01 12:00:00 [api] ERROR`), but not after any word
+  { name: 'level-prefix', match: (text) => {
+    const match = text.match(/^(?:(?:\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?)?(?:Z|[+-]\d{2}:?\d{2})?|\d{2}:\d{2}:\d{2}(?:[.,]\d+)?|\[[^\]]*\])\s*)*\[?(fatal|panic|critical|error|err|warn|warning|info|notice|debug|trace)\]?(?::|\s|$)|\blevel=(\w+)/i);
+    return match ? NAMED_LEVELS[(match[1] || match[2]).toLowerCase()] || null : null;
+  } },
+  { name: 'deprecation', level: 'warn', pattern: /\bdeprecat(?:ed|ion)\b/i },
+  { name: 'progress-percent', level: 'noise', pattern: /^[^\n]{0,60}\b\d{1,3}(?:\.\d+)?%[^\n]{0,40}$/ },
+
+  // Anything else that reads like a failure
+  { name: 'generic-error', level: 'error', pattern: /\b(?:error|exception|failed|failure|fatal|panic|cannot|unable to|uncaught|unhandled)\b|\b[A-Z]\w*(?:Error|Exception)\b|\bE[A-Z]{3,}\b/i }
+];
+
+/**
+ * Compiles a pattern from config (string or RegExp)
+ * @param {string|RegExp} pattern - Pattern
+ * @param {string} flags - Regex flags for string patterns
+ * @returns {RegExp} Compiled pattern
+ */
+function compilePattern(pattern, flags = 'i') {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  try {
+    return new RegExp(pattern, flags);
+  } catch (error) {
+    throw new Error(`Invalid classification pattern "${pattern}": ${error.message}`);
+  }
+}
+
+/**
+ * Compares two levels
+ * @param {string} level - Level to check
+ * @param {string} minLevel - Minimum level
+ * @returns {boolean} True if `level` is at least `minLevel`
+ */
+export function isAtLeast(level, minLevel) {
+  return LEVELS.indexOf(level) >= LEVELS.indexOf(minLevel);
+}
+
+/**
+ * Classifier - Assigns a severity level to each captured entry
+ * Order: user `ignore` patterns (noise), user `include` patterns (at least error),
+ * explicit fatal records, records from the reporter API (their own level), user rules,
+ * built-in rules, then a per-source default
+ */
+export class Classifier {
+  constructor(options = {}) {
+    this.minLevel = options.minLevel || 'error'; // Lowest level that gets summarized
+    if (!LEVELS.includes(this.minLevel)) {
+      throw new Error(`Unknown minLevel "${this.minLevel}" (use one of ${LEVELS.join(', ')})`);
+    }
+
+    this.ignore = (options.ignore || []).map(pattern => compilePattern(pattern));
+    this.include = (options.include || []).map(pattern => compilePattern(pattern));
+    this.rules = [
+      ...(options.rules || []).map(rule => this.compileRule(rule)),
+      ...BUILTIN_RULES
+    ];
+  }
+
+  /**
+   * Compiles a user-defined rule from config
+   * @param {object} rule - Rule with `pattern`, `level` and optional `flags`
+   * @returns {object} Rule
+   */
+  compileRule(rule) {
+    if (!rule.pattern || !LEVELS.includes(rule.level)) {
+      throw new Error(`Classification rules need a pattern and a level (${LEVELS.join(', ')})`);
+    }
+    return { name: rule.name || 'custom', level: rule.level, pattern: compilePattern(rule.pattern, (rule.flags ?? 'im').replace('g', '')) };
+  }
+
+  /**
+   * Determines the level of a record
+   * @param {object} record - Error record
+   * @returns {object} Level and the name of the rule that decided it
+   */
+  classify(record) {
+    const text = String(record.message || '').replace(ANSI_CODES, '').trim();
+    const fullText = [text, ...(record.stack || []).map(frame => frame.raw)].join('\n');
+
+    if (this.ignore.some(pattern => pattern.test(fullText))) {
+      return { level: 'noise', rule: 'ignore' };
+    }
+
+    if (this.include.some(pattern => pattern.test(fullText))) {
+      return { level: record.level === 'fatal' ? 'fatal' : 'error', rule: 'include' };
+    }
+
+    // Uncaught exceptions and failed commands are fatal whatever their output looks like
+    if (record.level === 'fatal') {
+      return { level: 'fatal', rule: 'explicit' };
+    }
+
+    // Errors reported through the reporter API come with the level the app chose,
+    // failing tests with the level of the test report
+    if (record.source === SOURCES.REPORT || record.source === SOURCES.TEST) {
+      return { level: record.level || 'error', rule: 'explicit' };
+    }
+
+    for (const rule of this.rules) {
+      const level = rule.match ? rule.match(text, record) : (rule.pattern.test(text) ? rule.level : null);
+      if (level) {
+        return { level, rule: rule.name };
+      }
+    }
+
+    return {
+      level: STREAM_SOURCES.has(record.source) ? 'info' : (record.level || 'error'),
+      rule: 'default'
+    };
+  }
+
+  /**
+   * Sets the classified level on each record
+   * @param {object[]} records - Error records
+   * @returns {object[]} Copies of the records with `level` set
+   */
+  classifyRecords(records) {
+    return records.map(record => ({ ...record, level: this.classify(record).level }));
+  }
+
+  /**
+   * Splits classified records into those that should be summarized and the rest
+   * @param {object[]} records - Classified records
+   * @returns {object} `kept` and `skipped` records
+   */
+  filter(records) {
+    const kept = [];
+    const skipped = [];
+    for (const record of records) {
+      (isAtLeast(record.level, this.minLevel) ? kept : skipped).push(record);
+    }
+    return { kept, skipped };
+  }
+}
+
+/**
+ * Creates and returns a new Classifier instance
+ * @param {object} options - Configuration options
+ * @returns {Classifier} New classifier instance
+ */
+export function createClassifier(options) {
+  return new Classifier(options);
+}
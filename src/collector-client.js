@@ -0,0 +1,219 @@
+import net from 'net';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createRecord, currentCommand } from './records.js';
+
+export const DEFAULT_SOCKET_PATH = process.platform === 'win32'
+  ? '\\\\.\\pipe\\alith-notify'
+  : path.join('.alith', 'collector.sock');
+
+/**
+ * Parses a collector address
+ * `tcp://host:port` (or just a port number) is TCP, anything else a socket path
+ * @param {string|number} address - Collector address
+ * @returns {object} Options for `net.createConnection` (path, or host and port)
+ */
+export function parseAddress(address = DEFAULT_SOCKET_PATH) {
+  const text = String(address);
+  if (/^\d+$/.test(text)) {
+    return { host: '127.0.0.1', port: Number(text) };
+  }
+
+  const tcp = text.match(/^tcp:\/\/([^:/]+):(\d+)\/?$/);
+  return tcp ? { host: tcp[1], port: Number(tcp[2]) } : { path: text };
+}
+
+/**
+ * Turns a service name into something safe to use as a directory name
+ * @param {string} name - Service name
+ * @returns {string} Sanitized name
+ */
+export function serviceName(name) {
+  return String(name || '').trim().replace(/[^\w.-]+/g, '-').replace(/^[.-]+/, '').substring(0, 64) || 'default';
+}
+
+/**
+ * CollectorClient - Producer side of the collector protocol
+ * Can stand in for an ErrorCapture (`logError`, `writeRecord`), e.g. for a ProcessRunner
+ */
+export class CollectorClient extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.address = options.address || process.env.ALITH_COLLECTOR || DEFAULT_SOCKET_PATH;
+    this.service = serviceName(options.service || process.env.ALITH_SERVICE || path.basename(process.cwd()));
+    this.token = options.token || process.env.ALITH_COLLECTOR_TOKEN || null;
+    this.pid = options.pid ?? process.pid;
+    this.command = options.command || currentCommand();
+    this.socket = null;
+    this.state = 'idle'; // idle, connecting, connected, closing or closed
+    this.unsent = []; // Records written before the connection was up
+  }
+
+  /**
+   * Connects and introduces this producer
+   * Records can be written right away; they are sent once connected
+   * @returns {Promise<void>} Resolves once connected
+   */
+  connect() {
+    this.state = 'connecting';
+    this.socket = net.createConnection(parseAddress(this.address));
+    this.socket.setEncoding('utf-8');
+    this.send({ type: 'hello', service: this.service, pid: this.pid, command: this.command, token: this.token });
+
+    let buffer = '';
+    this.socket.on('data', (chunk) => {
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        try {
+          this.emit('message', JSON.parse(line));
+        } catch (error) {
+          // Not a collector message
+        }
+      }
+    });
+
+    this.socket.on('close', () => {
+      const wasConnected = this.state === 'connected';
+      this.state = 'closed';
+      if (wasConnected) {
+        this.emit('disconnected');
+      }
+    });
+
+    return new Promise((resolve, reject) => {
+      let connected = false;
+      this.socket.once('connect', () => {
+        connected = true;
+        if (this.state === 'connecting') {
+          this.state = 'connected';
+        }
+        this.unsent = [];
+        resolve();
+      });
+      this.socket.once('error', (error) => {
+        if (!connected) {
+          this.state = 'closed';
+          reject(new Error(`No collector at ${this.address} (start one with \`alith-notify daemon\`): ${error.code || error.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Writes a message to the collector
+   * @param {object} message - Message
+   * @returns {boolean} False if the connection is closed
+   */
+  send(message) {
+    if (!this.socket || this.state === 'closing' || this.state === 'closed') {
+      return false;
+    }
+    this.socket.write(`${JSON.stringify(message)}\n`);
+    return true;
+  }
+
+  /**
+   * Sends a record
+   * @param {object} record - Error record
+   * @returns {boolean} False if the connection is closed
+   */
+  writeRecord(record) {
+    if (!this.send({ type: 'record', record })) {
+      return false;
+    }
+    if (this.state === 'connecting') {
+      this.unsent.push(record);
+    }
+    this.emit('record', record);
+    return true;
+  }
+
+  /**
+   * Builds and sends a record
+   * @param {string} message - Error message, optionally including a stack trace
+   * @param {object} details - Extra record fields
+   * @returns {object} The record
+   */
+  logError(message, details = {}) {
+    const record = createRecord({ command: this.command, ...details, message });
+    this.writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Lets the process exit while connected (pending writes are still flushed)
+   */
+  unref() {
+    if (this.state === 'connected') {
+      this.socket.unref();
+    }
+  }
+
+  /**
+   * Flushes pending records and closes the connection
+   * @returns {Promise<void>} Resolves once closed
+   */
+  close() {
+    if (!this.socket || this.socket.destroyed) {
+      return Promise.resolve();
+    }
+    this.state = 'closing';
+    return new Promise((resolve) => {
+      this.socket.once('close', () => resolve());
+      this.socket.ref(); // An unref'ed socket wouldn't keep the process alive until closed
+      this.socket.end();
+    });
+  }
+}
+
+/**
+ * Asks a running collector for its status
+ * @param {string} address - Collector address
+ * @param {object} options - Options (token, timeout)
+ * @returns {Promise<object>} Collector status
+ */
+export function collectorStatus(address = DEFAULT_SOCKET_PATH, options = {}) {
+  const token = options.token || process.env.ALITH_COLLECTOR_TOKEN || null;
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(parseAddress(address));
+    let buffer = '';
+
+    socket.setEncoding('utf-8');
+    socket.setTimeout(options.timeout || 5000, () => {
+      socket.destroy();
+      reject(new Error(`Collector at ${address} did not answer`));
+    });
+    socket.on('error', (error) => {
+      reject(new Error(`No collector at ${address}: ${error.code || error.message}`));
+    });
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const newline = buffer.indexOf('\n');
+      if (newline === -1) {
+        return;
+      }
+
+      socket.end();
+      const message = JSON.parse(buffer.substring(0, newline));
+      if (message.type === 'status') {
+        const { type, ...status } = message;
+        resolve(status);
+      } else {
+        reject(new Error(message.error || `Unexpected response: ${message.type}`));
+      }
+    });
+
+    socket.write(`${JSON.stringify({ type: 'status', token })}\n`);
+  });
+}
+
+/**
+ * Creates and returns a new CollectorClient instance
+ * @param {object} options - Configuration options
+ * @returns {CollectorClient} New collector client instance
+ */
+export function createCollectorClient(options) {
+  return new CollectorClient(options);
+}
@@ -0,0 +1,352 @@
+import fs from 'fs';
+import net from 'net';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createOrchestrator } from './orchestrator.js';
+import { createRecord } from './records.js';
+import { DEFAULT_SOCKET_PATH, serviceName } from './collector-client.js';
+
+const MAX_LINE_LENGTH = 1024 * 1024; // A single NDJSON message
+
+/**
+ * Collector - Daemon that receives records from many producers over a Unix domain socket
+ * (named pipe on Windows) and optionally localhost TCP
+ * Producers speak NDJSON: `hello` (service, pid, command), then `record` messages; `status`
+ * returns the connected producers and services. Each service gets its own orchestrator
+ * with its own capture log, trigger policy and summaries
+ */
+export class Collector extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.socketPath = options.socketPath || DEFAULT_SOCKET_PATH;
+    this.port = options.port ?? null; // Optional TCP port
+    this.host = options.host || '127.0.0.1';
+    this.token = options.token || process.env.ALITH_COLLECTOR_TOKEN || null; // Required from producers if set
+    this.dir = options.dir || path.join('.alith', 'services'); // Per-service capture logs
+    this.orchestratorOptions = options.orchestrator || {};
+    this.servers = [];
+    this.connections = new Set();
+    this.producers = new Map();
+    this.services = new Map();
+    this.nextId = 1;
+    this.startedAt = null;
+  }
+
+  /**
+   * Addresses the collector listens on
+   * @returns {string[]} Socket path and TCP address
+   */
+  get addresses() {
+    return [this.socketPath, ...(this.port !== null ? [`tcp://${this.host}:${this.port}`] : [])];
+  }
+
+  /**
+   * Starts listening
+   * TCP has no file permissions to keep other local users out, so it needs a token
+   */
+  async start() {
+    if (this.port !== null && !this.token) {
+      throw new Error('The TCP listener needs a token (collector.token or ALITH_COLLECTOR_TOKEN); without one any local process could send records');
+    }
+    await this.removeStaleSocket();
+
+    if (process.platform !== 'win32') {
+      fs.mkdirSync(path.dirname(path.resolve(this.socketPath)), { recursive: true });
+    }
+    await this.listen('unix', this.socketPath);
+    if (process.platform !== 'win32') {
+      fs.chmodSync(this.socketPath, 0o600); // Only our user may send records
+    }
+
+    if (this.port !== null) {
+      await this.listen('tcp', this.port, this.host);
+    }
+
+    this.startedAt = new Date().toISOString();
+    console.log(`📡 Collector listening on ${this.addresses.join(' and ')}`);
+    this.emit('started', { addresses: this.addresses });
+  }
+
+  /**
+   * Starts one server
+   * @param {string} transport - unix or tcp
+   * @param {...*} args - Arguments for `server.listen`
+   * @returns {Promise<void>} Resolves once listening
+   */
+  listen(transport, ...args) {
+    const server = net.createServer(socket => this.handleConnection(socket, transport));
+    this.servers.push(server);
+
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(...args, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Removes a socket file left behind by a collector that didn't shut down cleanly
+   * Fails if another collector is still listening on it
+   */
+  async removeStaleSocket() {
+    if (process.platform === 'win32' || !fs.existsSync(this.socketPath)) {
+      return;
+    }
+
+    const alive = await new Promise((resolve) => {
+      const probe = net.createConnection({ path: this.socketPath });
+      probe.once('connect', () => {
+        probe.destroy();
+        resolve(true);
+      });
+      probe.once('error', () => resolve(false));
+    });
+
+    if (alive) {
+      throw new Error(`A collector is already running at ${this.socketPath}`);
+    }
+    fs.unlinkSync(this.socketPath);
+  }
+
+  /**
+   * Reads NDJSON messages from a producer connection
+   * @param {net.Socket} socket - Connection
+   * @param {string} transport - unix or tcp
+   */
+  handleConnection(socket, transport) {
+    const producer = {
+      id: this.nextId++,
+      service: null,
+      pid: null,
+      command: null,
+      transport,
+      connectedAt: new Date().toISOString(),
+      records: 0,
+      lastRecordAt: null,
+      authorized: !this.token
+    };
+    let buffer = '';
+
+    this.connections.add(socket);
+    socket.setEncoding('utf-8');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      if (buffer.length > MAX_LINE_LENGTH) {
+        this.reply(socket, { type: 'error', error: 'Message too large' });
+        socket.destroy();
+        return;
+      }
+
+      for (const line of lines) {
+        if (line.trim().length > 0) {
+          this.handleMessage(producer, socket, line);
+        }
+      }
+    });
+
+    socket.on('error', () => {
+      // The producer went away; 'close' follows
+    });
+
+    socket.on('close', () => {
+      this.connections.delete(socket);
+      if (this.producers.delete(producer.id)) {
+        console.log(`🔌 ${producer.service} disconnected (pid ${producer.pid ?? '?'})`);
+        this.emit('producerDisconnected', this.describeProducer(producer));
+      }
+    });
+  }
+
+  /**
+   * Handles one message from a producer
+   * @param {object} producer - Producer state
+   * @param {net.Socket} socket - Connection
+   * @param {string} line - NDJSON line
+   */
+  handleMessage(producer, socket, line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      this.reply(socket, { type: 'error', error: 'Invalid JSON' });
+      return;
+    }
+
+    if (!producer.authorized) {
+      if (message.token !== this.token) {
+        this.reply(socket, { type: 'error', error: 'Invalid or missing token' });
+        socket.destroy();
+        return;
+      }
+      producer.authorized = true;
+    }
+
+    switch (message.type) {
+      case 'hello':
+        producer.service = serviceName(message.service);
+        producer.pid = message.pid ?? null;
+        producer.command = message.command ?? null;
+        this.producers.set(producer.id, producer);
+        console.log(`🔌 ${producer.service} connected (pid ${producer.pid ?? '?'}, ${producer.transport})`);
+        this.emit('producerConnected', this.describeProducer(producer));
+        this.reply(socket, { type: 'welcome', id: producer.id, service: producer.service });
+        break;
+      case 'record':
+        if (typeof message.record?.message !== 'string') {
+          this.reply(socket, { type: 'error', error: 'Records need a message' });
+          return;
+        }
+        this.ingest(producer.service || serviceName(message.record.service), message.record, producer);
+        break;
+      case 'status':
+        this.reply(socket, { type: 'status', ...this.status() });
+        break;
+      default:
+        this.reply(socket, { type: 'error', error: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  /**
+   * Queues a record for its service
+   * @param {string} name - Service name
+   * @param {object} record - Record as sent by the producer
+   * @param {object} producer - Producer state
+   */
+  ingest(name, record, producer) {
+    const service = this.service(name);
+    const normalized = createRecord({
+      pid: producer.pid ?? null,
+      command: producer.command ?? null,
+      ...record,
+      service: name
+    });
+
+    producer.records++;
+    producer.lastRecordAt = normalized.timestamp;
+    service.records++;
+    service.lastRecordAt = normalized.timestamp;
+
+    // Queued behind the orchestrator's start, in arrival order
+    service.ready = service.ready.then(() => service.orchestrator.errorCapture?.writeRecord(normalized));
+    this.emit('record', { service: name, record: normalized });
+  }
+
+  /**
+   * Returns the state of a service, starting its orchestrator on first use
+   * @param {string} name - Service name
+   * @returns {object} Service state
+   */
+  service(name) {
+    if (this.services.has(name)) {
+      return this.services.get(name);
+    }
+
+    const orchestrator = createOrchestrator({
+      ...this.orchestratorOptions,
+      captureProcess: false,
+      captureLogPath: path.join(this.dir, name, 'captured-errors.log'),
+      queue: { dir: path.join(this.dir, name, 'queue') },
+      incidents: { ...this.orchestratorOptions.incidents, path: path.join(this.dir, name, 'incidents.json') }
+    });
+    const service = { name, orchestrator, records: 0, lastRecordAt: null, lastProcessedAt: null, ready: null };
+
+    orchestrator.on('errorsProcessed', (data) => {
+      service.lastProcessedAt = data.timestamp;
+      this.emit('errorsProcessed', { service: name, ...data });
+    });
+
+    console.log(`🆕 New service: ${name}`);
+    service.ready = orchestrator.start().catch((error) => {
+      console.error(`❌ Could not start the orchestrator for ${name}: ${error.message}`);
+    });
+    this.services.set(name, service);
+    return service;
+  }
+
+  /**
+   * Describes a producer for events and `status`
+   * @param {object} producer - Producer state
+   * @returns {object} Producer details
+   */
+  describeProducer(producer) {
+    const { authorized, ...details } = producer;
+    return details;
+  }
+
+  /**
+   * Returns the collector's state
+   * @returns {object} Addresses, producers and services
+   */
+  status() {
+    return {
+      pid: process.pid,
+      startedAt: this.startedAt,
+      addresses: this.addresses,
+      producers: [...this.producers.values()].map(producer => this.describeProducer(producer)),
+      services: [...this.services.values()].map((service) => {
+        const { orchestrator } = service;
+        const pending = orchestrator.errorCapture
+          ? orchestrator.classifier.filter(orchestrator.pendingRecords()).kept.length
+          : 0;
+        return {
+          name: service.name,
+          records: service.records,
+          pending,
+          processing: Boolean(orchestrator.processing),
+          lastRecordAt: service.lastRecordAt,
+          lastProcessedAt: service.lastProcessedAt
+        };
+      })
+    };
+  }
+
+  /**
+   * Sends a message to a producer
+   * @param {net.Socket} socket - Connection
+   * @param {object} message - Message
+   */
+  reply(socket, message) {
+    if (!socket.destroyed) {
+      socket.write(`${JSON.stringify(message)}\n`);
+    }
+  }
+
+  /**
+   * Stops listening and stops every service's orchestrator
+   */
+  async stop() {
+    for (const socket of this.connections) {
+      socket.destroy();
+    }
+    await Promise.all(this.servers.map(server => new Promise(resolve => server.close(() => resolve()))));
+    this.servers = [];
+
+    for (const service of this.services.values()) {
+      await service.ready;
+      await service.orchestrator.processing;
+      service.orchestrator.stop();
+    }
+
+    if (process.platform !== 'win32' && fs.existsSync(this.socketPath)) {
+      fs.unlinkSync(this.socketPath);
+    }
+
+    console.log('🛑 Collector stopped');
+    this.emit('stopped');
+  }
+}
+
+/**
+ * Creates and returns a new Collector instance
+ * @param {object} options - Configuration options
+ * @returns {Collector} New collector instance
+ */
+export function createCollector(options) {
+  return new Collector(options);
+}
@@ -1,6 +1,8 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { LEVELS } from './classifier.js';
+import { TARGET_TYPES } from './delivery-targets.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -41,31 +43,84 @@ export async function loadConfig(configPath) {
  * @param {object} config - Configuration object to validate
  */
 function validateConfig(config) {
-  const requiredFields = [
-    'logFile'
-  ];
+  // `logFile` may be a single path or a list; `logFiles` is accepted as an alias
+  const logFiles = [].concat(config.logFiles || [], config.logFile || []);
 
-  const missingFields = requiredFields.filter(field => !config[field]);
+  if (logFiles.length === 0) {
+    throw new Error('Missing required configuration fields: logFile');
+  }
 
-  if (missingFields.length > 0) {
-    throw new Error(
-      `Missing required configuration fields: ${missingFields.join(', ')}`
-    );
+  if (logFiles.some(file => typeof file !== 'string' || file.trim().length === 0)) {
+    throw new Error('logFile must be a path or a list of paths');
   }
 
-  // Validate interval (optional, default to 30 seconds)
+  // Validate interval (optional, default to 30 seconds) - the longest errors wait before processing
   if (config.interval && (typeof config.interval !== 'number' || config.interval < 1)) {
     throw new Error('Interval must be a positive number (in seconds)');
   }
 
+  // Validate classification (optional)
+  if (config.classification?.minLevel && !LEVELS.includes(config.classification.minLevel)) {
+    throw new Error(`classification.minLevel must be one of: ${LEVELS.join(', ')}`);
+  }
+
+  // Validate trigger policy (optional)
+  for (const field of ['debounce', 'threshold', 'maxWait', 'maxPerHour']) {
+    const value = config.trigger?.[field];
+    if (value !== undefined && (typeof value !== 'number' || value < 0)) {
+      throw new Error(`trigger.${field} must be a non-negative number`);
+    }
+  }
+
+  // Validate delivery targets (optional)
+  const targets = config.delivery?.targets;
+  if (targets !== undefined && !Array.isArray(targets)) {
+    throw new Error('delivery.targets must be a list of targets');
+  }
+  for (const target of targets || []) {
+    if (!TARGET_TYPES.includes(target?.type)) {
+      throw new Error(`delivery.targets: unknown type "${target?.type}" (use one of ${TARGET_TYPES.join(', ')})`);
+    }
+    if (target.type === 'command' && typeof target.command !== 'string') {
+      throw new Error('delivery.targets: command targets need a command');
+    }
+  }
+
+  // Validate fix stage (optional)
+  if (config.fix?.verifyCommand !== undefined && typeof config.fix.verifyCommand !== 'string') {
+    throw new Error('fix.verifyCommand must be a shell command string');
+  }
+  for (const field of ['verifyTimeout', 'maxFiles', 'maxAttempts']) {
+    const value = config.fix?.[field];
+    if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+      throw new Error(`fix.${field} must be a positive number`);
+    }
+  }
+
+  // Validate incident registry (optional)
+  const resolveAfterHours = config.incidents?.resolveAfterHours;
+  if (resolveAfterHours !== undefined && (typeof resolveAfterHours !== 'number' || resolveAfterHours <= 0)) {
+    throw new Error('incidents.resolveAfterHours must be a positive number');
+  }
+
+  for (const option of ['ttlHours', 'maxSizeMb']) {
+    const value = config.cache?.[option];
+    if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+      throw new Error(`cache.${option} must be a positive number`);
+    }
+  }
+
   // Set defaults
   config.interval = config.interval || 30;
+  config.logFiles = [...new Set(logFiles)];
 
-  // Validate log file exists
-  const logFilePath = path.resolve(config.logFile);
-  if (!fs.existsSync(logFilePath)) {
-    console.warn(`⚠️  Warning: Log file does not exist yet: ${logFilePath}`);
-    console.warn('   The watcher will wait for the file to be created.');
+  // Validate log files exist
+  for (const logFile of config.logFiles) {
+    const logFilePath = path.resolve(logFile);
+    if (!fs.existsSync(logFilePath)) {
+      console.warn(`⚠️  Warning: Log file does not exist yet: ${logFilePath}`);
+      console.warn('   The watcher will wait for the file to be created.');
+    }
   }
 }
 
@@ -76,7 +131,12 @@ function validateConfig(config) {
 export function createDefaultConfig(outputPath = './alith.config.json') {
   const defaultConfig = {
     logFile: './server.log',
-    interval: 30
+    trigger: {
+      debounce: 5,
+      threshold: 10,
+      maxWait: 30,
+      maxPerHour: 20
+    }
   };
 
   fs.writeFileSync(
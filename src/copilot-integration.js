@@ -1,66 +1,80 @@
+import { renderTemplate } from './template.js';
+import { promptVars, resolveTemplate } from './prompt-templates.js';
+import { createBridgeClient, discoverBridge } from './vscode-bridge.js';
+
 /**
  * CopilotIntegration - Sends summarized errors directly to GitHub Copilot Chat
  */
 export class CopilotIntegration {
   constructor(options = {}) {
     this.autoOpen = options.autoOpen !== false;
+    this.bridge = options.bridge || null; // { socketPath, token } - discovered if not given
+    this.bridgeTimeout = options.bridgeTimeout || 5000; // milliseconds
+    this.templateOptions = { template: options.template, templateFile: options.templateFile };
+    this.maxErrorChars = options.maxErrorChars; // Size budget for the error logs in the prompt
+    this.project = options.project || {}; // projectVars() options: gathered git details and redact
   }
 
   /**
    * Sends error summary directly to Copilot Chat
-   * @param {string} summary - Error summary from Alith Agent
-   * @param {string} originalErrors - Original error logs
-   * @returns {Promise<void>}
+   * Uses the companion VS Code extension bridge when one is running, otherwise
+   * falls back to printing the prompt with copy/paste instructions
+   * @param {string} summary - Error summary from the summarizer
+   * @param {object[]|string} originalErrors - Original error records or groups (or raw log text)
+   * @param {object} context - Extra prompt context (sourceSnippets, gitContext)
+   * @returns {Promise<object>} Delivery result ({ delivered, method, error? })
+   */
+  async sendToCopilot(summary, originalErrors, context = {}) {
+    return this.deliverPrompt(this.buildPrompt(summary, originalErrors, context));
+  }
+
+  /**
+   * Sends an already built prompt to Copilot Chat
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<object>} Delivery result ({ delivered, method, error? })
    */
-  async sendToCopilot(summary, originalErrors) {
+  async deliverPrompt(prompt) {
     console.log('🤖 Sending directly to GitHub Copilot Chat...');
 
-    const prompt = this.buildPrompt(summary, originalErrors);
+    const client = this.autoOpen ? this.getBridgeClient() : null;
+
+    if (!client) {
+      this.showManualInstructions(prompt);
+      return { delivered: false, method: 'manual' };
+    }
 
     try {
-      // Try to use VS Code extension API to open Copilot Chat
-      // This will work if running inside VS Code
-      const vscode = await this.getVSCodeAPI();
-      
-      if (vscode) {
-        // Open Copilot Chat with the prompt
-        await vscode.commands.executeCommand('workbench.panel.chat.view.copilot.focus');
-        
-        // Small delay to ensure chat is open
-        await this.sleep(500);
-        
-        // Send the prompt to chat input
-        await vscode.commands.executeCommand('workbench.action.chat.open', {
-          query: prompt
-        });
+      await client.sendChat(prompt);
 
-        console.log('✅ Successfully sent to GitHub Copilot Chat!');
-        console.log('💡 Check the Copilot Chat panel for AI-powered fixes\n');
-      } else {
-        // Fallback: Show instructions to copy manually
-        this.showManualInstructions(prompt);
-      }
+      console.log('✅ Successfully sent to GitHub Copilot Chat!');
+      console.log('💡 Check the Copilot Chat panel for AI-powered fixes\n');
+      return { delivered: true, method: 'vscode-bridge', socketPath: client.socketPath };
     } catch (error) {
-      console.log('⚠️  Could not auto-send to Copilot (running outside VS Code)');
+      console.log(`⚠️  Could not auto-send to Copilot: ${error.message}`);
       this.showManualInstructions(prompt);
+      return { delivered: false, method: 'manual', error: error.message };
     }
   }
 
   /**
-   * Attempts to get VS Code API (only works when running in VS Code integrated terminal)
-   * @returns {Promise<any>} VS Code API or null
+   * Returns a client for the companion VS Code extension, if one is running
+   * @returns {BridgeClient|null} Bridge client or null
    */
-  async getVSCodeAPI() {
-    try {
-      // Check if we're running in VS Code's integrated terminal
+  getBridgeClient() {
+    const bridge = this.bridge || discoverBridge();
+
+    if (!bridge) {
       if (process.env.VSCODE_IPC_HOOK_CLI || process.env.TERM_PROGRAM === 'vscode') {
-        // We're in VS Code, try to use the CLI to execute commands
-        return null; // For now, return null and use manual method
+        console.log('💡 Install the Alith Notify Bridge extension (vscode-extension/) to send prompts automatically');
       }
       return null;
-    } catch (error) {
-      return null;
     }
+
+    return createBridgeClient({
+      socketPath: bridge.socketPath,
+      token: bridge.token,
+      timeout: this.bridgeTimeout
+    });
   }
 
   /**
@@ -80,39 +94,16 @@ export class CopilotIntegration {
   }
 
   /**
-   * Builds a prompt for Copilot
+   * Builds a prompt for Copilot from the configured template
    * @param {string} summary - Error summary
-   * @param {string} originalErrors - Original errors
+   * @param {object[]|string} originalErrors - Original error records or groups (or raw log text)
+   * @param {object} context - Extra prompt context (sourceSnippets, gitContext, structured)
    * @returns {string} Formatted prompt
    */
-  buildPrompt(summary, originalErrors) {
-    return `# Fix These Terminal Errors
-
-I captured errors from my terminal and used AI to summarize them. Please help me fix these issues.
-
-## AI-Generated Summary (from Alith Agent)
-${summary}
-
-## Original Error Logs
-\`\`\`
-${originalErrors.substring(0, 2000)}${originalErrors.length > 2000 ? '\n... (truncated)' : ''}
-\`\`\`
-
-## What I Need
-1. **Root Cause Analysis**: What's causing these errors?
-2. **Specific Fixes**: Which files need to be modified?
-3. **Code Changes**: Show me the exact code changes needed
-4. **Step-by-Step**: Guide me through fixing this
-
-Please be specific and actionable. If you need to see more code, let me know which files.`;
-  }
-
-  /**
-   * Helper to sleep
-   * @param {number} ms - Milliseconds
-   */
-  sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  buildPrompt(summary, originalErrors, context = {}) {
+    const errors = Array.isArray(originalErrors) ? { groups: originalErrors } : { errors: originalErrors };
+    const vars = promptVars({ summary, ...errors, ...context }, { maxErrorChars: this.maxErrorChars, project: this.project });
+    return renderTemplate(resolveTemplate(this.templateOptions), vars);
   }
 }
 
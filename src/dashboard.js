@@ -0,0 +1,633 @@
+import http from 'http';
+import { createSummarizer } from './summarizer.js';
+import { resolveProviderName } from './providers.js';
+import { groupRecords } from './fingerprint.js';
+import { formatSnippets } from './source-context.js';
+
+const HEARTBEAT_INTERVAL = 25000; // milliseconds
+const MAX_BODY_SIZE = 64 * 1024; // bytes
+const LOCAL_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+const RESUMMARIZE_PROVIDERS = ['heuristic', 'alith', 'openai-compatible'];
+// Settings that point the configured provider at an endpoint and log in to it
+const ENDPOINT_FIELDS = ['baseUrl', 'apiKey', 'apiKeyEnv'];
+
+/**
+ * Checks whether the server is bound to a loopback address only
+ * @param {string} host - Bind address
+ * @returns {boolean} True for localhost, 127.x.x.x and ::1
+ */
+function isLoopback(host) {
+  return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+/**
+ * Keeps only what the dashboard lists for a history entry
+ * @param {object} entry - History entry
+ * @returns {object} Entry without records and snippets
+ */
+function historySummary(entry) {
+  const { records, snippets, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * DashboardServer - Local web UI with live errors, summaries and history
+ * Serves a single page plus a small JSON API; new records, processed runs and clears
+ * are pushed to open pages with Server-Sent Events. Only listens on localhost by default.
+ */
+export class DashboardServer {
+  constructor(options = {}) {
+    this.orchestrator = options.orchestrator;
+    this.port = options.port ?? 4500;
+    this.host = options.host || '127.0.0.1';
+    this.models = options.models || []; // Models the page may re-summarize with, besides the configured one
+    this.clients = new Set();
+    this.server = null;
+    this.heartbeat = null;
+    this.listeners = [];
+    this.processing = null; // Run started from the page
+
+    if (!this.orchestrator) {
+      throw new Error('DashboardServer requires an orchestrator');
+    }
+  }
+
+  /**
+   * Starts the HTTP server and subscribes to orchestrator events
+   * @returns {Promise<string>} Dashboard URL
+   */
+  async start() {
+    this.subscribe('recordsCaptured', ({ records }) =>
+      this.broadcast('records', { records: this.orchestrator.redactor.redactRecords(records) }));
+    this.subscribe('errorsProcessed', (data) => this.broadcast('processed', {
+      summary: data.summary,
+      structured: data.structured,
+      historyId: data.historyId,
+      delivery: data.delivery,
+      timestamp: data.timestamp
+    }));
+    this.subscribe('errorsCleared', () => this.broadcast('cleared', {}));
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        this.sendJson(res, 500, { error: error.message });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        client.write(': ping\n\n');
+      }
+    }, HEARTBEAT_INTERVAL);
+
+    return this.url;
+  }
+
+  /**
+   * The URL the dashboard is reachable at
+   * @returns {string} URL
+   */
+  get url() {
+    const address = this.server.address();
+    const host = this.host.includes(':') ? `[${this.host}]` : this.host;
+    return `http://${host}:${address.port}`;
+  }
+
+  /**
+   * Subscribes to an orchestrator event, remembering the listener for stop()
+   * @param {string} event - Event name
+   * @param {Function} listener - Listener
+   */
+  subscribe(event, listener) {
+    this.orchestrator.on(event, listener);
+    this.listeners.push([event, listener]);
+  }
+
+  /**
+   * Routes a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handle(req, res) {
+    // Reject requests for other host names (DNS rebinding)
+    const hostname = (req.headers.host || '').replace(/:\d+$/, '');
+    if (isLoopback(this.host) && !LOCAL_HOSTS.has(hostname)) {
+      this.sendJson(res, 403, { error: 'Forbidden host' });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${url.pathname}`;
+
+    // Actions need a custom header, which cross-site forms and simple requests can't send
+    if (req.method === 'POST' && req.headers['x-alith-dashboard'] !== '1') {
+      this.sendJson(res, 403, { error: 'Missing X-Alith-Dashboard header' });
+      return;
+    }
+
+    switch (route) {
+      case 'GET /':
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(DASHBOARD_HTML);
+        return;
+      case 'GET /api/events':
+        this.openStream(req, res);
+        return;
+      case 'GET /api/state':
+        this.sendJson(res, 200, this.state());
+        return;
+      case 'GET /api/prompt':
+        this.sendJson(res, 200, this.prompt(url.searchParams.get('id')));
+        return;
+      case 'POST /api/process':
+        this.sendJson(res, 202, { ok: true, started: this.startProcessing() });
+        return;
+      case 'POST /api/clear':
+        this.orchestrator.clearErrors();
+        this.sendJson(res, 200, { ok: true });
+        return;
+      case 'POST /api/resummarize':
+        this.sendJson(res, 200, await this.resummarize(await this.readBody(req)));
+        return;
+      default:
+        break;
+    }
+
+    const historyMatch = url.pathname.match(/^\/api\/history\/([0-9a-f]+)$/);
+    if (req.method === 'GET' && historyMatch) {
+      const entry = this.orchestrator.history.get(historyMatch[1]);
+      this.sendJson(res, entry ? 200 : 404, entry || { error: 'Not found' });
+      return;
+    }
+
+    this.sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Current pending errors, processing settings and recent history
+   * Pending errors are redacted like the ones sent to the model
+   * @returns {object} Dashboard state
+   */
+  state() {
+    const { redactor } = this.orchestrator;
+    const records = this.orchestrator.pendingRecords();
+    const pending = redactor.redactRecords(records);
+    const { kept } = this.orchestrator.classifier.filter(records);
+
+    return {
+      provider: this.orchestrator.summarizer?.provider.label || null,
+      trigger: this.orchestrator.policy?.describe() || null,
+      minLevel: this.orchestrator.classifier.minLevel,
+      models: this.allowedModels(),
+      pending,
+      groups: groupRecords(redactor.redactRecords(kept)).map(group => ({
+        fingerprint: group.fingerprint,
+        count: group.count,
+        firstSeen: group.firstSeen,
+        lastSeen: group.lastSeen,
+        level: group.representative.level,
+        message: group.representative.message
+      })),
+      history: this.orchestrator.history.list({ limit: 25 }).map(historySummary)
+    };
+  }
+
+  /**
+   * Builds the Copilot prompt for a history entry (the latest one by default)
+   * @param {string|null} id - History entry id
+   * @returns {object} Prompt and the entry id
+   */
+  prompt(id) {
+    const entry = id ? this.orchestrator.history.get(id) : this.orchestrator.history.list({ limit: 1 })[0];
+    if (!entry || !entry.summary) {
+      throw new Error('No summarized run to build a prompt from');
+    }
+
+    const prompt = this.orchestrator.delivery.buildPrompt({
+      summary: entry.summary,
+      structured: entry.structured,
+      records: entry.records,
+      sourceSnippets: formatSnippets(entry.snippets || [])
+    });
+    return { id: entry.id, prompt };
+  }
+
+  /**
+   * Starts processing without waiting for it, since a run can wait for a fix to be reviewed
+   * in the terminal; progress is pushed as `processing` events (started, done or failed)
+   * @returns {boolean} False if a run started from the page is still going
+   */
+  startProcessing() {
+    if (this.processing) {
+      return false;
+    }
+
+    this.broadcast('processing', { state: 'started' });
+    this.processing = this.orchestrator.processNow()
+      .then(() => this.broadcast('processing', { state: 'done' }))
+      .catch(error => this.broadcast('processing', { state: 'failed', error: error.message }))
+      .finally(() => {
+        this.processing = null;
+      });
+    return true;
+  }
+
+  /**
+   * Lists the models the page may pick for a re-summary: the configured one and `dashboard.models`
+   * @returns {string[]} Model names
+   */
+  allowedModels() {
+    return [...new Set([this.orchestrator.llm.model, ...this.models].filter(Boolean))];
+  }
+
+  /**
+   * Builds the LLM settings for a re-summary
+   * The page can only pick a provider and a model from fixed lists; switching providers drops
+   * the configured endpoint and key, so they are never sent anywhere else
+   * @param {object} body - Request body ({ provider, model })
+   * @returns {object} Summarizer provider options
+   */
+  resummarizeOptions(body) {
+    const llm = { ...this.orchestrator.llm };
+
+    if (body.provider) {
+      if (!RESUMMARIZE_PROVIDERS.includes(body.provider)) {
+        throw new Error(`Unknown provider: ${body.provider} (expected ${RESUMMARIZE_PROVIDERS.join(', ')})`);
+      }
+      if (body.provider !== resolveProviderName(llm)) {
+        for (const field of ENDPOINT_FIELDS) {
+          delete llm[field];
+        }
+      }
+      llm.provider = body.provider;
+    }
+
+    if (body.model) {
+      if (!this.allowedModels().includes(body.model)) {
+        throw new Error(`Model ${body.model} is not allowed (add it to dashboard.models)`);
+      }
+      llm.model = body.model;
+    }
+    return llm;
+  }
+
+  /**
+   * Summarizes a past run again with a different provider or model
+   * The result is stored as a new history entry
+   * @param {object} body - Request body ({ id, provider, model })
+   * @returns {Promise<object>} New summary and history entry id
+   */
+  async resummarize(body) {
+    const entry = body.id ? this.orchestrator.history.get(body.id) : null;
+    if (!entry || entry.records.length === 0) {
+      throw new Error('Pick a history entry with errors to re-summarize');
+    }
+
+    const llm = this.resummarizeOptions(body);
+
+    const startTime = Date.now();
+    const summarizer = createSummarizer(llm);
+    const groups = groupRecords(entry.records);
+    const result = await summarizer.summarize(groups, { sourceSnippets: formatSnippets(entry.snippets || []) });
+
+    const stored = this.orchestrator.recordHistory({
+      records: entry.records,
+      groups,
+      snippets: entry.snippets,
+      status: 'resummarized',
+      summary: result.summary,
+      structured: result.structured,
+      model: result.metadata.model,
+      provider: result.metadata.provider,
+      durationMs: Date.now() - startTime
+    });
+
+    this.broadcast('processed', {
+      summary: result.summary,
+      structured: result.structured,
+      historyId: stored?.id || null,
+      timestamp: result.timestamp
+    });
+    return { id: stored?.id || null, summary: result.summary, structured: result.structured, model: result.metadata.model, provider: result.metadata.provider };
+  }
+
+  /**
+   * Opens a Server-Sent Events stream
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  openStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 2000\n\n');
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Sends an event to every open page
+   * @param {string} event - Event name
+   * @param {object} data - Event data
+   */
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of this.clients) {
+      client.write(message);
+    }
+  }
+
+  /**
+   * Reads a JSON request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<object>} Parsed body
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+        if (body.length > MAX_BODY_SIZE) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch (error) {
+          reject(new Error('Request body is not valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Sends a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status
+   * @param {object} data - Response data
+   */
+  sendJson(res, status, data) {
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * Stops the server and closes open streams
+   */
+  stop() {
+    clearInterval(this.heartbeat);
+    for (const [event, listener] of this.listeners) {
+      this.orchestrator.removeListener(event, listener);
+    }
+    this.listeners = [];
+
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+/**
+ * Creates and returns a new DashboardServer instance
+ * @param {object} options - Configuration options
+ * @returns {DashboardServer} New dashboard server instance
+ */
+export function createDashboardServer(options) {
+  return new DashboardServer(options);
+}
+
+const DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Alith Notify</title>
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<style>
+  :root { --bg: #0f1115; --panel: #181b22; --border: #2a2f3a; --text: #d8dee9; --muted: #7b8496;
+          --fatal: #ff5c7a; --error: #ff7b72; --warn: #e3b341; --info: #58a6ff; --noise: #6e7681; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font: 14px/1.5 system-ui, sans-serif; background: var(--bg); color: var(--text); }
+  header { display: flex; align-items: center; gap: 12px; padding: 12px 20px; border-bottom: 1px solid var(--border); flex-wrap: wrap; }
+  header h1 { font-size: 18px; margin: 0 12px 0 0; }
+  #status { color: var(--muted); font-size: 12px; flex: 1; }
+  button, select, input { background: var(--panel); color: var(--text); border: 1px solid var(--border); border-radius: 6px; padding: 6px 12px; font: inherit; }
+  button { cursor: pointer; }
+  button:hover { border-color: var(--info); }
+  button:disabled { opacity: .5; cursor: wait; }
+  main { display: grid; grid-template-columns: minmax(0, 1fr) minmax(0, 1fr); gap: 16px; padding: 16px 20px; }
+  section { background: var(--panel); border: 1px solid var(--border); border-radius: 8px; padding: 12px 16px; min-height: 120px; }
+  section h2 { font-size: 13px; text-transform: uppercase; letter-spacing: .05em; color: var(--muted); margin: 0 0 8px; }
+  .wide { grid-column: 1 / -1; }
+  .item { border-top: 1px solid var(--border); padding: 6px 0; cursor: default; }
+  .item:first-of-type { border-top: none; }
+  .clickable { cursor: pointer; }
+  .clickable:hover, .selected { background: #1f2430; }
+  .level { display: inline-block; min-width: 46px; font-size: 11px; font-weight: 600; text-transform: uppercase; }
+  .level.fatal { color: var(--fatal); } .level.error { color: var(--error); } .level.warn { color: var(--warn); }
+  .level.info { color: var(--info); } .level.noise { color: var(--noise); }
+  .muted { color: var(--muted); font-size: 12px; }
+  pre { white-space: pre-wrap; word-break: break-word; margin: 0; font: 12px/1.45 ui-monospace, monospace; }
+  #feed { max-height: 320px; overflow-y: auto; }
+  #summary { max-height: 480px; overflow-y: auto; }
+  .toolbar { display: flex; gap: 8px; margin: 8px 0; flex-wrap: wrap; }
+  @media (max-width: 900px) { main { grid-template-columns: 1fr; } }
+</style>
+</head>
+<body>
+<header>
+  <h1>🔔 Alith Notify</h1>
+  <span id="status">Connecting…</span>
+  <button id="process">⚡ Process now</button>
+  <button id="clear">🗑️ Clear</button>
+</header>
+<main>
+  <section>
+    <h2>Pending errors <span id="pending-count" class="muted"></span></h2>
+    <div id="groups"><p class="muted">No pending errors.</p></div>
+  </section>
+  <section>
+    <h2>Live output</h2>
+    <div id="feed"><p class="muted">Waiting for captured output…</p></div>
+  </section>
+  <section class="wide">
+    <h2>Summary <span id="summary-meta" class="muted"></span></h2>
+    <div class="toolbar">
+      <button id="copy">📋 Copy Copilot prompt</button>
+      <select id="provider">
+        <option value="">Same provider</option>
+        <option value="heuristic">heuristic</option>
+        <option value="alith">alith</option>
+        <option value="openai-compatible">openai-compatible</option>
+      </select>
+      <select id="model">
+        <option value="">Same model</option>
+      </select>
+      <button id="resummarize">🔁 Re-summarize</button>
+    </div>
+    <div id="summary"><p class="muted">Nothing summarized yet.</p></div>
+  </section>
+  <section class="wide">
+    <h2>History</h2>
+    <div id="history"><p class="muted">No runs yet.</p></div>
+  </section>
+</main>
+<script>
+  const $ = (id) => document.getElementById(id);
+  let selectedId = null;
+
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function levelBadge(level) {
+    return el('span', 'level ' + level, level);
+  }
+
+  async function api(path, options = {}) {
+    const response = await fetch(path, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', 'X-Alith-Dashboard': '1', ...(options.headers || {}) }
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    return data;
+  }
+
+  function setStatus(text) { $('status').textContent = text; }
+
+  function renderGroups(groups) {
+    const box = $('groups');
+    box.replaceChildren();
+    $('pending-count').textContent = groups.length ? '(' + groups.length + ')' : '';
+    if (!groups.length) { box.append(el('p', 'muted', 'No pending errors.')); return; }
+    for (const group of groups) {
+      const item = el('div', 'item');
+      item.append(levelBadge(group.level), el('span', 'muted', ' ×' + group.count + '  '), el('pre', '', group.message));
+      box.append(item);
+    }
+  }
+
+  function addToFeed(records) {
+    const feed = $('feed');
+    if (feed.firstChild && feed.firstChild.tagName === 'P') feed.replaceChildren();
+    for (const record of records) {
+      const item = el('div', 'item');
+      item.append(levelBadge(record.level), el('span', 'muted', new Date(record.timestamp).toLocaleTimeString() + ' ' + record.source), el('pre', '', record.message));
+      feed.prepend(item);
+    }
+    while (feed.children.length > 200) feed.lastChild.remove();
+  }
+
+  function renderModels(models) {
+    const select = $('model');
+    const chosen = select.value;
+    select.replaceChildren(el('option', '', 'Same model'));
+    select.firstChild.value = '';
+    for (const model of models) {
+      const option = el('option', '', model);
+      option.value = model;
+      select.append(option);
+    }
+    select.value = models.includes(chosen) ? chosen : '';
+  }
+
+  function showEntry(entry) {
+    selectedId = entry.id;
+    $('summary-meta').textContent = entry.id + ' · ' + new Date(entry.timestamp).toLocaleString() + (entry.model ? ' · ' + entry.model : '');
+    $('summary').replaceChildren(el('pre', '', entry.summary || entry.error || 'No summary'));
+    for (const row of document.querySelectorAll('#history .item')) row.classList.toggle('selected', row.dataset.id === entry.id);
+  }
+
+  function renderHistory(history) {
+    const box = $('history');
+    box.replaceChildren();
+    if (!history.length) { box.append(el('p', 'muted', 'No runs yet.')); return; }
+    for (const entry of history) {
+      const count = entry.fingerprints.reduce((total, group) => total + group.count, 0);
+      const item = el('div', 'item clickable');
+      item.dataset.id = entry.id;
+      const first = (entry.fingerprints[0] && (entry.fingerprints[0].title || entry.fingerprints[0].message.split('\\n')[0])) || '';
+      item.append(
+        el('span', 'muted', new Date(entry.timestamp).toLocaleString() + ' · ' + entry.id + ' · ' + entry.status + ' · ' + count + ' error(s) '),
+        el('div', '', first)
+      );
+      item.onclick = () => showEntry(entry);
+      box.append(item);
+    }
+    if (!selectedId) showEntry(history[0]);
+  }
+
+  async function refresh() {
+    const state = await api('/api/state');
+    setStatus((state.provider || '') + ' · errors ≥ ' + state.minLevel + ' · processing ' + (state.trigger || 'manually'));
+    renderModels(state.models);
+    renderGroups(state.groups);
+    renderHistory(state.history);
+    return state;
+  }
+
+  async function action(button, work) {
+    button.disabled = true;
+    try { await work(); } catch (error) { alert(error.message); } finally { button.disabled = false; }
+  }
+
+  $('process').onclick = () => action($('process'), async () => {
+    const { started } = await api('/api/process', { method: 'POST' });
+    if (!started) setStatus('Already processing…');
+  });
+  $('clear').onclick = () => action($('clear'), () => api('/api/clear', { method: 'POST' }));
+  $('copy').onclick = () => action($('copy'), async () => {
+    const { prompt } = await api('/api/prompt' + (selectedId ? '?id=' + selectedId : ''));
+    await navigator.clipboard.writeText(prompt);
+    setStatus('Copilot prompt copied - paste it into Copilot Chat');
+  });
+  $('resummarize').onclick = () => action($('resummarize'), async () => {
+    if (!selectedId) throw new Error('Pick a run from the history first');
+    const result = await api('/api/resummarize', {
+      method: 'POST',
+      body: JSON.stringify({ id: selectedId, provider: $('provider').value, model: $('model').value })
+    });
+    selectedId = result.id;
+    await refresh();
+  });
+
+  const events = new EventSource('/api/events');
+  events.onopen = () => refresh().catch((error) => setStatus(error.message));
+  events.onerror = () => setStatus('Disconnected - retrying…');
+  events.addEventListener('records', (event) => { addToFeed(JSON.parse(event.data).records); refresh(); });
+  events.addEventListener('processed', (event) => { selectedId = JSON.parse(event.data).historyId; refresh(); });
+  events.addEventListener('cleared', () => refresh());
+  events.addEventListener('processing', (event) => {
+    const { state, error } = JSON.parse(event.data);
+    if (state === 'started') setStatus('Processing…');
+    else if (state === 'failed') setStatus('Processing failed: ' + error);
+    else refresh();
+  });
+</script>
+</body>
+</html>
+`;
@@ -0,0 +1,304 @@
+import fs from 'fs';
+import path from 'path';
+import { spawn, execFile } from 'child_process';
+import { createCopilotIntegration } from './copilot-integration.js';
+
+/**
+ * Delivery target types
+ */
+export const TARGET_TYPES = ['copilot', 'file', 'clipboard', 'command', 'github-issue'];
+
+const MAX_ISSUE_URL_LENGTH = 8000; // GitHub rejects longer new-issue URLs
+
+/**
+ * Builds a file name from a timestamp and the first error
+ * @param {object} vars - Prompt variables
+ * @returns {string} File name without extension
+ */
+function promptFileName(vars) {
+  const stamp = (vars.timestamp || new Date().toISOString()).replace(/[:.]/g, '-');
+  const slug = (vars.topError || 'errors').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 40);
+  return slug ? `${stamp}-${slug}` : stamp;
+}
+
+/**
+ * Checks whether a command is on the PATH
+ * @param {string} command - Command name
+ * @returns {boolean} True if found
+ */
+function onPath(command) {
+  const extensions = process.platform === 'win32' ? ['.exe', '.cmd', '.bat', ''] : [''];
+  return (process.env.PATH || '').split(path.delimiter).some(dir =>
+    extensions.some(extension => dir && fs.existsSync(path.join(dir, command + extension))));
+}
+
+/**
+ * Writes text to a child process's stdin and waits for it to exit
+ * @param {string} command - Command
+ * @param {string[]} args - Arguments
+ * @param {string} input - Text for stdin
+ * @param {object} options - Spawn options plus `timeout` (milliseconds)
+ * @returns {Promise<number>} Exit code (rejects on a non-zero exit)
+ */
+function pipeTo(command, args, input, options = {}) {
+  const { timeout, ...spawnOptions } = options;
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['pipe', 'inherit', 'inherit'], ...spawnOptions });
+    const timer = timeout ? setTimeout(() => child.kill('SIGTERM'), timeout) : null;
+
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error.code === 'ENOENT' ? new Error(`${command} is not installed`) : error);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve(code);
+      } else {
+        reject(new Error(`\`${command}\` exited with ${code ?? signal}`));
+      }
+    });
+
+    child.stdin.on('error', () => {
+      // The command exited without reading everything; 'close' reports it
+    });
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * CopilotTarget - Opens the prompt in GitHub Copilot Chat through the VS Code bridge,
+ * or prints it with copy/paste instructions
+ */
+export class CopilotTarget {
+  constructor(options = {}) {
+    this.copilot = createCopilotIntegration(options);
+  }
+
+  /**
+   * Delivers a prompt
+   * @param {string} prompt - Rendered prompt
+   * @returns {Promise<object>} Delivery result ({ delivered, method, error? })
+   */
+  send(prompt) {
+    return this.copilot.deliverPrompt(prompt);
+  }
+}
+
+/**
+ * FileTarget - Writes the prompt to a Markdown file (`.alith/prompts/<time>-<error>.md`)
+ */
+export class FileTarget {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join('.alith', 'prompts');
+  }
+
+  /**
+   * Delivers a prompt
+   * @param {string} prompt - Rendered prompt
+   * @param {object} vars - Prompt variables
+   * @returns {object} Delivery result ({ delivered, method, path })
+   */
+  send(prompt, vars) {
+    const file = path.join(this.dir, `${promptFileName(vars)}.md`);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, prompt, 'utf-8');
+
+    console.log(`📝 Prompt written to ${file}`);
+    return { delivered: true, method: 'file', path: file };
+  }
+}
+
+/**
+ * ClipboardTarget - Copies the prompt to the system clipboard
+ * Uses pbcopy (macOS), clip (Windows), wl-copy (Wayland), or xclip/xsel (X11)
+ */
+export class ClipboardTarget {
+  constructor(options = {}) {
+    this.command = options.command || null; // e.g. "xclip -selection primary"
+    this.timeout = options.timeout || 5000; // milliseconds
+  }
+
+  /**
+   * Finds a clipboard command for this system
+   * @returns {string[]|null} Command and arguments, or null if none is installed
+   */
+  detect() {
+    if (this.command) {
+      return [this.command, []];
+    }
+
+    const candidates = {
+      darwin: [['pbcopy', []]],
+      win32: [['clip', []]]
+    }[process.platform] || [
+      ...(process.env.WAYLAND_DISPLAY ? [['wl-copy', []]] : []),
+      ['xclip', ['-selection', 'clipboard']],
+      ['xsel', ['--clipboard', '--input']]
+    ];
+
+    return candidates.find(([command]) => onPath(command)) || null;
+  }
+
+  /**
+   * Delivers a prompt
+   * @param {string} prompt - Rendered prompt
+   * @returns {Promise<object>} Delivery result ({ delivered, method })
+   */
+  async send(prompt) {
+    const clipboard = this.detect();
+    if (!clipboard) {
+      throw new Error('No clipboard command found (install wl-clipboard, xclip or xsel)');
+    }
+
+    const [command, args] = clipboard;
+    // xclip and wl-copy fork to keep serving the selection; stdout is ignored so their exit isn't held up
+    await pipeTo(command, args, prompt, { shell: Boolean(this.command), timeout: this.timeout, stdio: ['pipe', 'ignore', 'inherit'] });
+
+    console.log('📋 Prompt copied to the clipboard - paste it into your assistant');
+    return { delivered: true, method: 'clipboard', command };
+  }
+}
+
+/**
+ * CommandTarget - Pipes the prompt into a command's stdin, e.g. an AI agent CLI
+ * The command runs through the shell, with its output shown in the terminal
+ */
+export class CommandTarget {
+  constructor(options = {}) {
+    this.command = options.command;
+    this.cwd = options.cwd || process.cwd();
+    this.timeout = options.timeout || 600000; // milliseconds
+
+    if (!this.command) {
+      throw new Error('command target requires a command');
+    }
+  }
+
+  /**
+   * Delivers a prompt
+   * @param {string} prompt - Rendered prompt
+   * @param {object} vars - Prompt variables (exported to the command as ALITH_* variables)
+   * @returns {Promise<object>} Delivery result ({ delivered, method, command })
+   */
+  async send(prompt, vars) {
+    console.log(`▶️  Piping the prompt to: ${this.command}`);
+    await pipeTo(this.command, [], prompt, {
+      shell: true,
+      cwd: this.cwd,
+      timeout: this.timeout,
+      env: {
+        ...process.env,
+        ALITH_TOP_ERROR: vars.topError || '',
+        ALITH_LEVEL: vars.level || '',
+        ALITH_ERROR_COUNT: String(vars.errorCount ?? '')
+      }
+    });
+    return { delivered: true, method: 'command', command: this.command };
+  }
+}
+
+/**
+ * GitHubIssueTarget - Writes the prompt as a GitHub issue body (`.alith/issues/`) and,
+ * with a `repo`, prints (or opens) a pre-filled new-issue link
+ */
+export class GitHubIssueTarget {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join('.alith', 'issues');
+    this.repo = options.repo || null; // owner/name
+    this.labels = options.labels || [];
+    this.open = options.open === true; // Open the link in the browser
+  }
+
+  /**
+   * Builds the new-issue link
+   * Bodies too long for a URL are left out; the link then asks to paste the file
+   * @param {string} title - Issue title
+   * @param {string} body - Issue body
+   * @param {string} file - Path of the body file
+   * @returns {string} URL
+   */
+  issueUrl(title, body, file) {
+    const base = `https://github.com/${this.repo}/issues/new`;
+    const params = new URLSearchParams({ title });
+    if (this.labels.length > 0) {
+      params.set('labels', this.labels.join(','));
+    }
+
+    const withBody = new URLSearchParams(params);
+    withBody.set('body', body);
+    if (`${base}?${withBody}`.length <= MAX_ISSUE_URL_LENGTH) {
+      return `${base}?${withBody}`;
+    }
+
+    params.set('body', `<!-- Paste the contents of ${file} here -->`);
+    return `${base}?${params}`;
+  }
+
+  /**
+   * Delivers a prompt
+   * @param {string} prompt - Rendered issue body
+   * @param {object} vars - Prompt variables
+   * @param {object} rendered - Other rendered templates (title)
+   * @returns {Promise<object>} Delivery result ({ delivered, method, path, url? })
+   */
+  async send(prompt, vars, rendered = {}) {
+    const file = path.join(this.dir, `${promptFileName(vars)}.md`);
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, prompt, 'utf-8');
+    console.log(`🐙 Issue body written to ${file}`);
+
+    const title = rendered.title || vars.topError || 'Captured errors';
+    if (!this.repo) {
+      console.log(`💡 Create it with: gh issue create --title ${JSON.stringify(title)} --body-file ${file}`);
+      return { delivered: true, method: 'github-issue', path: file };
+    }
+
+    const url = this.issueUrl(title, prompt, file);
+    if (this.open) {
+      await this.openUrl(url).catch(error => console.log(`⚠️  Could not open the browser: ${error.message}`));
+    }
+    console.log(`🔗 New issue: ${url}`);
+    return { delivered: true, method: 'github-issue', path: file, url };
+  }
+
+  /**
+   * Opens a URL in the default browser
+   * @param {string} url - URL
+   * @returns {Promise<void>} Resolves once the browser was asked to open it
+   */
+  openUrl(url) {
+    // Not `cmd /c start`: cmd would treat the `&` between query parameters as a command separator
+    const [command, args] = {
+      darwin: ['open', [url]],
+      win32: ['rundll32', ['url.dll,FileProtocolHandler', url]]
+    }[process.platform] || ['xdg-open', [url]];
+
+    return new Promise((resolve, reject) => {
+      execFile(command, args, { timeout: 10000 }, error => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+/**
+ * Creates a delivery target from its config
+ * @param {object} options - Target config with `type`
+ * @returns {object} Target with a `send(prompt, vars, rendered)` method
+ */
+export function createTarget(options = {}) {
+  switch (options.type) {
+    case 'copilot':
+      return new CopilotTarget(options);
+    case 'file':
+      return new FileTarget(options);
+    case 'clipboard':
+      return new ClipboardTarget(options);
+    case 'command':
+      return new CommandTarget(options);
+    case 'github-issue':
+      return new GitHubIssueTarget(options);
+    default:
+      throw new Error(`Unknown delivery target type: ${options.type} (expected one of ${TARGET_TYPES.join(', ')})`);
+  }
+}
@@ -0,0 +1,102 @@
+import { createTarget } from './delivery-targets.js';
+import { promptVars, resolveTemplate } from './prompt-templates.js';
+import { renderTemplate } from './template.js';
+
+/**
+ * Checks whether a target has the prompt
+ * Copilot without the VS Code bridge prints the prompt to paste, which counts unless sending failed
+ * @param {object} result - Target result
+ * @returns {boolean} True if confirmed
+ */
+function isConfirmed(result) {
+  return Boolean(result.delivered || (result.method === 'manual' && !result.error));
+}
+
+/**
+ * PromptDelivery - Renders the fix prompt and hands it to the configured targets
+ * (Copilot Chat, a Markdown file, the clipboard, a command's stdin, a GitHub issue body)
+ * Each target has its own template; without `targets`, the prompt goes to Copilot
+ */
+export class PromptDelivery {
+  constructor(options = {}) {
+    const targets = options.targets || [{ type: 'copilot' }];
+    this.project = options.project || {}; // projectVars() options: gathered git details and redact
+
+    this.targets = targets.map((target, index) => {
+      // The top-level `copilot` config still applies to Copilot targets
+      const config = target.type === 'copilot' ? { ...options.copilot, ...target, project: this.project } : target;
+      const issue = target.type === 'github-issue';
+
+      return {
+        name: target.name || (targets.length > 1 ? `${target.type}#${index + 1}` : target.type),
+        type: target.type,
+        templateOptions: { template: config.template, templateFile: config.templateFile },
+        fallback: issue ? 'issue' : 'prompt',
+        title: issue ? target.title || null : null,
+        maxErrorChars: config.maxErrorChars || options.maxErrorChars,
+        target: createTarget(config)
+      };
+    });
+  }
+
+  /**
+   * Renders the prompt for a target
+   * @param {object} data - Summary, structured summary, records or groups, sourceSnippets, gitContext
+   * @param {object} entry - Target entry (the first target by default)
+   * @returns {string} Prompt text
+   */
+  buildPrompt(data, entry = this.targets[0]) {
+    const vars = promptVars(data, { maxErrorChars: entry?.maxErrorChars, project: this.project });
+    return renderTemplate(resolveTemplate(entry?.templateOptions, entry?.fallback), vars);
+  }
+
+  /**
+   * Delivers the prompt to every target, one after the other
+   * A failing target doesn't stop the others
+   * @param {object} data - Summary, structured summary, records, groups, sourceSnippets, gitContext
+   * @param {object} options - `skip`: names of targets that already have this batch's prompt
+   * @returns {Promise<object>} Delivery result: `delivered`, `method` (of the first target that
+   * delivered, else of the first target), `confirmed` (every target has the prompt) and
+   * `targets` (result per target)
+   */
+  async deliver(data, options = {}) {
+    const results = [];
+    const skip = options.skip || [];
+    const run = { timestamp: new Date().toISOString(), ...data }; // Same file names and dates for every target
+
+    for (const entry of this.targets) {
+      if (skip.includes(entry.name)) {
+        results.push({ target: entry.name, delivered: true, method: entry.type, skipped: true });
+        continue;
+      }
+
+      try {
+        const vars = promptVars(run, { maxErrorChars: entry.maxErrorChars, project: this.project });
+        const title = renderTemplate(resolveTemplate({ template: entry.title }, 'issue-title'), vars).trim();
+        const prompt = renderTemplate(resolveTemplate(entry.templateOptions, entry.fallback), vars);
+        const result = await entry.target.send(prompt, vars, { title });
+        results.push({ target: entry.name, ...result });
+      } catch (error) {
+        console.log(`⚠️  Could not deliver to ${entry.name}: ${error.message}`);
+        results.push({ target: entry.name, delivered: false, method: entry.type, error: error.message });
+      }
+    }
+
+    const delivered = results.find(result => result.delivered);
+    return {
+      delivered: Boolean(delivered),
+      method: (delivered || results[0])?.method || 'none',
+      confirmed: results.every(isConfirmed),
+      targets: results
+    };
+  }
+}
+
+/**
+ * Creates and returns a new PromptDelivery instance
+ * @param {object} options - Configuration options
+ * @returns {PromptDelivery} New prompt delivery instance
+ */
+export function createPromptDelivery(options) {
+  return new PromptDelivery(options);
+}
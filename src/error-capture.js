@@ -1,15 +1,23 @@
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
+import { createRecord, serializeRecord, parseRecords, currentCommand, SOURCES } from './records.js';
 
 /**
- * ErrorCapture - Captures terminal errors and logs them to a file
+ * ErrorCapture - Captures terminal errors and logs them to a file as NDJSON records
+ * Emits `record` for every record written by this process
  */
-export class ErrorCapture {
+export class ErrorCapture extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.logFilePath = options.logFilePath || './captured-errors.log';
     this.captureStderr = options.captureStderr !== false;
+    this.captureConsole = options.captureConsole !== false;
     this.captureUncaught = options.captureUncaught !== false;
     this.captureRejections = options.captureRejections !== false;
+    this.command = options.command || currentCommand();
+    this.inConsoleError = false;
+    this.quiet = false; // Set while writing output that isn't an error of the app (see quietly())
     this.originalStderrWrite = null;
     this.originalConsoleError = null;
   }
@@ -37,34 +45,47 @@ export class ErrorCapture {
       const self = this;
       
       process.stderr.write = function(chunk, encoding, callback) {
-        self.logError(`[STDERR] ${chunk.toString()}`);
+        // console.error output is already recorded by its own hook
+        if (!self.inConsoleError && !self.quiet && chunk.toString().trim().length > 0) {
+          self.logError(chunk.toString(), { source: SOURCES.STDERR });
+        }
         return self.originalStderrWrite.apply(process.stderr, arguments);
       };
     }
 
     // Capture console.error
-    this.originalConsoleError = console.error;
-    const self = this;
-    
-    console.error = function(...args) {
-      const message = args.map(arg => 
-        typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-      ).join(' ');
-      self.logError(`[CONSOLE.ERROR] ${message}`);
-      return self.originalConsoleError.apply(console, args);
-    };
+    if (this.captureConsole) {
+      this.originalConsoleError = console.error;
+      const self = this;
+
+      console.error = function(...args) {
+        const message = args.map(arg => 
+          typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
+        ).join(' ');
+        if (!self.quiet) {
+          self.logError(message, { source: SOURCES.CONSOLE });
+        }
+
+        self.inConsoleError = true;
+        try {
+          return self.originalConsoleError.apply(console, args);
+        } finally {
+          self.inConsoleError = false;
+        }
+      };
+    }
 
     // Capture uncaught exceptions
     if (this.captureUncaught) {
       process.on('uncaughtException', (error) => {
-        this.logError(`[UNCAUGHT EXCEPTION] ${error.stack || error.message}`);
+        this.logError(error.stack || error.message, { source: SOURCES.UNCAUGHT, level: 'fatal' });
       });
     }
 
     // Capture unhandled rejections
     if (this.captureRejections) {
       process.on('unhandledRejection', (reason, promise) => {
-        this.logError(`[UNHANDLED REJECTION] ${reason?.stack || reason}`);
+        this.logError(reason?.stack || String(reason), { source: SOURCES.REJECTION });
       });
     }
 
@@ -72,32 +93,160 @@ export class ErrorCapture {
   }
 
   /**
-   * Logs an error to the file
-   * @param {string} message - Error message
+   * Runs a function without capturing what it writes to stderr or console.error
+   * Used for alith-notify's own error output, which would otherwise trigger processing again
+   * @param {Function} fn - Function to run (synchronously)
+   * @returns {*} Its return value
+   */
+  quietly(fn) {
+    const previous = this.quiet;
+    this.quiet = true;
+    try {
+      return fn();
+    } finally {
+      this.quiet = previous;
+    }
+  }
+
+  /**
+   * Logs an error to the file as a structured record
+   * @param {string} message - Error message, optionally including a stack trace
+   * @param {object} details - Extra record fields (source, level, pid, command, ...)
+   * @returns {object} The record that was written
+   */
+  logError(message, details = {}) {
+    const record = createRecord({ command: this.command, ...details, message });
+    this.writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Appends an already-built record to the file
+   * @param {object} record - Error record
    */
-  logError(message) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] ${message}\n`;
-    
+  writeRecord(record) {
     try {
-      fs.appendFileSync(this.logFilePath, logEntry, 'utf-8');
+      fs.appendFileSync(this.logFilePath, serializeRecord(record), 'utf-8');
     } catch (err) {
       // Fallback to original console if logging fails
       if (this.originalConsoleError) {
         this.originalConsoleError('Failed to write to error log:', err.message);
       }
+      return;
     }
+    this.emit('record', record);
   }
 
   /**
-   * Reads all captured errors
-   * @returns {string} All captured errors
+   * Reads captured errors as records
+   * Both NDJSON and legacy text logs are understood
+   * @param {number} fromOffset - Byte offset to start reading from
+   * @returns {object[]} Captured error records
    */
-  readErrors() {
+  readErrors(fromOffset = 0) {
+    return parseRecords(this.readRaw(fromOffset));
+  }
+
+  /**
+   * Reads the complete lines appended since a byte offset
+   * A line still being written by another process is left for the next read
+   * @param {number} fromOffset - Byte offset to start reading from
+   * @returns {object} New records and the offset to continue from
+   */
+  readNew(fromOffset = 0) {
+    if (!fs.existsSync(this.logFilePath)) {
+      return { records: [], offset: 0 };
+    }
+
+    const fd = fs.openSync(this.logFilePath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      // The log was cleared or truncated since the last read
+      const start = size < fromOffset ? 0 : fromOffset;
+      const buffer = Buffer.alloc(size - start);
+      fs.readSync(fd, buffer, 0, buffer.length, start);
+
+      const end = buffer.lastIndexOf(0x0a) + 1;
+      return {
+        records: parseRecords(buffer.subarray(0, end).toString('utf-8')),
+        offset: start + end
+      };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Reads raw log content from a byte offset
+   * @param {number} fromOffset - Byte offset to start reading from
+   * @returns {string} Raw log content
+   */
+  readRaw(fromOffset = 0) {
     if (!fs.existsSync(this.logFilePath)) {
       return '';
     }
-    return fs.readFileSync(this.logFilePath, 'utf-8');
+    return fs.readFileSync(this.logFilePath).subarray(fromOffset).toString('utf-8');
+  }
+
+  /**
+   * Identifies the current log file, so a replaced log isn't read from an old offset
+   * @returns {number|null} Inode of the log, or null if it doesn't exist
+   */
+  logIdentity() {
+    try {
+      return fs.statSync(this.logFilePath).ino;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Drops the first `offset` bytes of the log, keeping anything appended after them
+   * The log is renamed first, so writers (in this or other processes) start a fresh file
+   * instead of appending to one that is being truncated
+   * @param {number} offset - Byte offset up to which the log has been read
+   * @returns {number} Bytes carried over to the new log
+   */
+  compact(offset) {
+    if (!fs.existsSync(this.logFilePath)) {
+      return 0;
+    }
+
+    fs.renameSync(this.logFilePath, `${this.logFilePath}.compacting`);
+    return this.finishCompaction(offset);
+  }
+
+  /**
+   * Completes a compaction, including one interrupted by a crash
+   * The unread rest of the renamed log is older than anything producers wrote to the new one,
+   * so the new log is rebuilt as rest + current content and renamed into place
+   * @param {number} offset - Byte offset up to which the renamed log had been read
+   * @returns {number} Bytes carried over to the new log
+   */
+  finishCompaction(offset) {
+    const oldPath = `${this.logFilePath}.compacting`;
+    if (!fs.existsSync(oldPath)) {
+      return 0;
+    }
+
+    const rest = fs.readFileSync(oldPath).subarray(offset);
+    const mergePath = `${this.logFilePath}.merging`;
+    fs.writeFileSync(mergePath, rest);
+    // Copy until the log stops growing, so records appended meanwhile aren't lost
+    let copied = 0;
+    for (;;) {
+      const added = fs.existsSync(this.logFilePath)
+        ? fs.readFileSync(this.logFilePath).subarray(copied)
+        : Buffer.alloc(0);
+      if (added.length === 0) {
+        break;
+      }
+      fs.appendFileSync(mergePath, added);
+      copied += added.length;
+    }
+    fs.renameSync(mergePath, this.logFilePath);
+    fs.unlinkSync(oldPath);
+    return rest.length;
   }
 
   /**
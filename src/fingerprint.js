@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import path from 'path';
+import { formatRecord } from './records.js';
+
+// Volatile parts of a message, replaced in order so that repeats of the same error match
+const NORMALIZERS = [
+  [/\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+  [/\b\d{2}:\d{2}:\d{2}(?:\.\d+)?\b/g, '<time>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>'],
+  [/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"`)]+/gi, '<url>'],
+  [/(?:[A-Za-z]:)?(?:[\\/][\w.@-]+){2,}/g, '<path>'],
+  [/\b0x[0-9a-f]+\b/gi, '<hex>'],
+  [/\b[0-9a-f]{12,}\b/gi, '<id>'],
+  [/\b\d+(?:\.\d+)?\b/g, '<n>'],
+  [/\s+/g, ' ']
+];
+
+// `TypeError: ...`, `Error [ERR_X]: ...`, `Uncaught SomeException: ...`
+const ERROR_LINE = /^\s*(?:Uncaught\s+)?(?:[A-Z][\w$]*)?(?:Error|Exception)(?:\s\[[\w-]+\])?:/;
+
+// Parts of formatted errors that change on every run of the same failure: times, ids, repeat counts
+const VOLATILE = [...NORMALIZERS.slice(0, 3), [/×\d+/g, '×<n>']];
+
+/**
+ * Strips timestamps, uuids and repeat counts from formatted errors, keeping everything else
+ * @param {string} text - Formatted errors
+ * @returns {string} Normalized text
+ */
+export function normalizeContent(text) {
+  return VOLATILE.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text || ''));
+}
+
+/**
+ * Strips numbers, ids, paths and timestamps from an error message
+ * @param {string} message - Error message
+ * @returns {string} Normalized message
+ */
+export function normalizeMessage(message) {
+  return NORMALIZERS.reduce(
+    (text, [pattern, replacement]) => text.replace(pattern, replacement),
+    String(message || '')
+  ).trim();
+}
+
+/**
+ * Drops what is printed above the error itself, such as the `file:line`, source line and
+ * caret that Node prints above an uncaught error
+ * @param {string} message - Error message
+ * @returns {string} The message from its first `<Name>Error:` line, or all of it if there is none
+ */
+function errorText(message) {
+  const lines = String(message || '').split('\n');
+  const start = lines.findIndex(line => ERROR_LINE.test(line));
+  return start > 0 ? lines.slice(start).join('\n') : lines.join('\n');
+}
+
+/**
+ * Checks whether a stack frame points at application code
+ * @param {object} frame - Parsed stack frame
+ * @returns {boolean} True for frames outside node_modules and Node internals
+ */
+export function isInAppFrame(frame) {
+  if (!frame.file) {
+    return false;
+  }
+  return !frame.file.includes('node_modules') &&
+    !frame.file.startsWith('node:') &&
+    !frame.file.startsWith('internal/');
+}
+
+/**
+ * Computes a fingerprint for an error record
+ * Built from the normalized message (from its error line on) plus the top in-app frames (without line numbers,
+ * so the fingerprint survives unrelated edits to the file)
+ * @param {object} record - Error record
+ * @param {object} options - Options (frameCount)
+ * @returns {string} Fingerprint hash
+ */
+export function fingerprint(record, options = {}) {
+  const frameCount = options.frameCount || 3;
+  const frames = (record.stack || [])
+    .filter(isInAppFrame)
+    .slice(0, frameCount)
+    .map(frame => `${frame.function || '<anonymous>'}@${path.basename(frame.file)}`);
+
+  return crypto
+    .createHash('sha1')
+    .update([normalizeMessage(errorText(record.message)), ...frames].join('\n'))
+    .digest('hex')
+    .substring(0, 16);
+}
+
+/**
+ * Groups records by fingerprint
+ * Groups keep first-seen order and carry an occurrence count and first/last seen times
+ * @param {object[]} records - Error records
+ * @param {object} options - Fingerprint options
+ * @returns {object[]} Error groups
+ */
+export function groupRecords(records, options = {}) {
+  const groups = new Map();
+
+  for (const record of records) {
+    const key = fingerprint(record, options);
+    const group = groups.get(key);
+
+    if (group) {
+      group.count++;
+      group.records.push(record);
+      if (record.timestamp < group.firstSeen) {
+        group.firstSeen = record.timestamp;
+      }
+      if (record.timestamp > group.lastSeen) {
+        group.lastSeen = record.timestamp;
+      }
+    } else {
+      groups.set(key, {
+        fingerprint: key,
+        count: 1,
+        firstSeen: record.timestamp,
+        lastSeen: record.timestamp,
+        representative: record,
+        records: [record]
+      });
+    }
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Accepts either records or already-built groups and returns groups
+ * @param {object[]} items - Error records or groups
+ * @returns {object[]} Error groups
+ */
+export function ensureGroups(items) {
+  if (items.length > 0 && items[0].fingerprint && items[0].representative) {
+    return items;
+  }
+  return groupRecords(items);
+}
+
+/**
+ * Shortens paths inside the working directory to relative ones
+ * @param {string} file - File path
+ * @returns {string} Relative path, or the path as given
+ */
+function relativePath(file) {
+  const relative = path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+  return relative.startsWith('..') ? file : relative;
+}
+
+/**
+ * Describes a group with plain fields, for templates and payloads
+ * @param {object} group - Error group
+ * @returns {object} Fingerprint, count, level, source, message, title (first line),
+ * location (top in-app frame as `file:line`, relative to the working directory) and first/last seen times
+ */
+export function describeGroup(group) {
+  const record = group.representative;
+  const frame = (record.stack || []).find(isInAppFrame);
+  const message = String(record.message || '');
+
+  return {
+    fingerprint: group.fingerprint,
+    count: group.count,
+    level: record.level,
+    source: record.source,
+    message,
+    title: errorText(message).trim().split('\n')[0],
+    location: frame ? `${relativePath(frame.file)}:${frame.line}` : null,
+    firstSeen: group.firstSeen,
+    lastSeen: group.lastSeen
+  };
+}
+
+/**
+ * Formats a group as its fingerprint and occurrence info, then its representative record
+ * @param {object} group - Error group
+ * @returns {string} Formatted group
+ */
+export function formatGroup(group) {
+  const occurrences = group.count > 1
+    ? `(×${group.count}, first seen ${group.firstSeen}, last seen ${group.lastSeen})`
+    : '(×1)';
+  return `Fingerprint ${group.fingerprint} ${occurrences}\n${formatRecord(group.representative)}`;
+}
+
+/**
+ * Formats a list of groups as readable text
+ * @param {object[]} groups - Error groups
+ * @returns {string} Formatted groups
+ */
+export function formatGroups(groups) {
+  return groups.map(formatGroup).join('\n\n');
+}
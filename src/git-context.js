@@ -0,0 +1,251 @@
+import { execFile } from 'child_process';
+import path from 'path';
+
+const UNCOMMITTED = /^0+$/; // git blame's hash for lines that aren't committed yet
+const LOG_FORMAT = '--format=%h%x1f%s%x1f%an%x1f%aI';
+
+/**
+ * Parses `git log` output in LOG_FORMAT
+ * @param {string|null} output - git output
+ * @returns {object[]} Commits ({ hash, subject, author, date })
+ */
+function parseCommits(output) {
+  if (!output) {
+    return [];
+  }
+
+  return output.split('\n').map((line) => {
+    const [hash, subject, author, date] = line.split('\x1f');
+    return { hash, subject, author, date };
+  });
+}
+
+/**
+ * GitContext - Reads repository details for prompts (branch, recent commits, and what
+ * changed around the failing stack frames)
+ * Outside a repository, or without git installed, everything is empty. git runs
+ * asynchronously, so a slow repository never blocks the event loop
+ */
+export class GitContext {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false; // forFrames() and collect() return null when disabled
+    this.root = options.root || process.cwd();
+    this.commitCount = options.commitCount || 5; // Recent commits to include
+    this.blame = options.blame !== false; // Blame the failing lines
+    this.maxFiles = options.maxFiles || 10; // Uncommitted changes to list
+    this.exclude = (options.exclude || []).map(file => path.resolve(this.root, file)); // Files and folders left out of the changes
+    this.timeout = options.timeout || 2000; // milliseconds per git call
+  }
+
+  /**
+   * Runs a git command
+   * @param {string[]} args - git arguments
+   * @returns {Promise<string|null>} Trimmed output, or null if git failed
+   */
+  git(args) {
+    return new Promise((resolve) => {
+      execFile('git', args, { cwd: this.root, encoding: 'utf-8', timeout: this.timeout, maxBuffer: 16 * 1024 * 1024 },
+        (error, stdout) => resolve(error ? null : stdout.trim()));
+    });
+  }
+
+  /**
+   * Returns the current branch
+   * @returns {Promise<string|null>} Branch name, `HEAD` when detached, or null outside a repository
+   */
+  branch() {
+    return this.git(['rev-parse', '--abbrev-ref', 'HEAD']);
+  }
+
+  /**
+   * Returns the most recent commits on the current branch
+   * @returns {Promise<object[]>} Commits ({ hash, subject, author, date })
+   */
+  async recentCommits() {
+    return parseCommits(await this.git(['log', `-${this.commitCount}`, LOG_FORMAT]));
+  }
+
+  /**
+   * Returns the repository's top-level folder
+   * @returns {Promise<string|null>} Absolute path, or null outside a repository
+   */
+  topLevel() {
+    return this.git(['rev-parse', '--show-toplevel']);
+  }
+
+  /**
+   * Returns the uncommitted changes (staged and unstaged) against HEAD
+   * @returns {Promise<object>} `files` ({ file, additions, deletions }; null counts for binary files)
+   * and `untracked` (new files git doesn't know yet)
+   */
+  async diffStats() {
+    const top = await this.topLevel();
+    const included = (file) => {
+      const absolute = path.resolve(top || this.root, file);
+      return !this.exclude.some(excluded => absolute === excluded || absolute.startsWith(`${excluded}${path.sep}`));
+    };
+
+    const files = (await this.git(['diff', 'HEAD', '--numstat']) || '').split('\n').filter(Boolean).map((line) => {
+      const [additions, deletions, file] = line.split('\t');
+      return {
+        file,
+        additions: additions === '-' ? null : Number(additions),
+        deletions: deletions === '-' ? null : Number(deletions)
+      };
+    }).filter(change => included(change.file));
+    const untracked = (await this.git(['ls-files', '--others', '--exclude-standard', '--full-name']) || '').split('\n').filter(Boolean).filter(included);
+    return { files, untracked };
+  }
+
+  /**
+   * Returns the most recent commits that touched any of the given files
+   * @param {string[]} files - Absolute file paths
+   * @returns {Promise<object[]>} Commits ({ hash, subject, author, date, files }), `files` being the
+   * given files the commit touched, relative to the repository
+   */
+  async commitsTouching(files) {
+    const top = await this.topLevel();
+    if (!top || files.length === 0) {
+      return [];
+    }
+
+    const wanted = new Set(files.map(file => path.relative(top, file)));
+    const output = await this.git(['log', `-${this.commitCount}`, '--format=%x1e%h%x1f%s%x1f%an%x1f%aI', '--name-only', '--', ...files]);
+    if (!output) {
+      return [];
+    }
+
+    return output.split('\x1e').filter(Boolean).map((entry) => {
+      const [header, ...names] = entry.split('\n');
+      const [hash, subject, author, date] = header.split('\x1f');
+      return { hash, subject, author, date, files: names.filter(name => wanted.has(name)) };
+    });
+  }
+
+  /**
+   * Returns who last changed a line, and in which commit
+   * @param {string} file - Absolute file path
+   * @param {number} line - Line number
+   * @returns {Promise<object|null>} Blame ({ hash, author, date, subject, code }; only `code` is set for
+   * uncommitted lines), or null if git can't blame the file
+   */
+  async blameLine(file, line) {
+    const output = await this.git(['blame', '--porcelain', '-L', `${line},${line}`, '--', file]);
+    if (!output) {
+      return null;
+    }
+
+    const lines = output.split('\n');
+    const header = (name) => {
+      const match = lines.find(entry => entry.startsWith(`${name} `));
+      return match ? match.substring(name.length + 1) : null;
+    };
+    const hash = lines[0].split(' ')[0];
+    const code = (lines.find(entry => entry.startsWith('\t')) || '').substring(1).trim();
+    if (UNCOMMITTED.test(hash)) {
+      return { hash: null, author: null, date: null, subject: null, code };
+    }
+
+    const time = Number(header('author-time'));
+    return {
+      hash: hash.substring(0, 7),
+      author: header('author'),
+      date: time ? new Date(time * 1000).toISOString() : null,
+      subject: header('summary'),
+      code
+    };
+  }
+
+  /**
+   * Collects what changed around the failing stack frames
+   * @param {object[]} locations - Frame locations ({ file, line }, absolute paths)
+   * @returns {Promise<object|null>} `branch`, `changes` (diffStats()), `commits` (touching the frames'
+   * files) and `blame` (per frame), or null outside a repository or when disabled
+   */
+  async forFrames(locations) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const branch = await this.branch();
+    if (!branch) {
+      return null;
+    }
+
+    const top = await this.topLevel();
+    const files = [...new Set(locations.map(location => location.file))];
+    const blame = [];
+    for (const location of this.blame ? locations : []) {
+      const entry = await this.blameLine(location.file, location.line);
+      if (entry) { // null for files git doesn't track
+        blame.push({ file: path.relative(top, location.file), line: location.line, ...entry });
+      }
+    }
+
+    return { branch, changes: await this.diffStats(), commits: await this.commitsTouching(files), blame };
+  }
+
+  /**
+   * Collects the repository details used by prompt templates (see projectVars())
+   * @returns {Promise<object|null>} `branch` and `commits` (recentCommits()), or null when disabled
+   */
+  async collect() {
+    if (!this.enabled) {
+      return null;
+    }
+    return { branch: await this.branch(), commits: await this.recentCommits() };
+  }
+}
+
+/**
+ * Formats git context for prompts
+ * @param {object|null} context - Result of GitContext.forFrames()
+ * @param {number} maxFiles - Uncommitted changes to list
+ * @returns {string} Plain text (empty without context)
+ */
+export function formatGitContext(context, maxFiles = 10) {
+  if (!context) {
+    return '';
+  }
+
+  const { files, untracked } = context.changes;
+  const changed = [
+    ...files.map(change => `${change.file} ${change.additions === null ? '(binary)' : `+${change.additions} -${change.deletions}`}`),
+    ...untracked.map(file => `${file} (new, untracked)`)
+  ];
+  const lines = [`Branch: ${context.branch}`];
+
+  if (changed.length > 0) {
+    lines.push('', `Uncommitted changes (${changed.length} file(s)):`);
+    lines.push(...changed.slice(0, maxFiles).map(change => `- ${change}`));
+    if (changed.length > maxFiles) {
+      lines.push(`- ... and ${changed.length - maxFiles} more`);
+    }
+  } else {
+    lines.push('', 'No uncommitted changes.');
+  }
+
+  if (context.commits.length > 0) {
+    lines.push('', 'Recent commits touching the failing files:');
+    lines.push(...context.commits.map(commit =>
+      `- ${commit.hash} ${commit.date.substring(0, 10)} ${commit.author}: ${commit.subject}${commit.files.length > 0 ? ` (${commit.files.join(', ')})` : ''}`));
+  }
+
+  if (context.blame.length > 0) {
+    lines.push('', 'Last change to each failing line:');
+    lines.push(...context.blame.map(entry => entry.hash
+      ? `- ${entry.file}:${entry.line} ${entry.hash} ${entry.date.substring(0, 10)} ${entry.author}: ${entry.subject}`
+      : `- ${entry.file}:${entry.line} not committed yet (uncommitted change)`));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Creates and returns a new GitContext instance
+ * @param {object} options - Configuration options
+ * @returns {GitContext} New git context instance
+ */
+export function createGitContext(options) {
+  return new GitContext(options);
+}
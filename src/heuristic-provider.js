@@ -0,0 +1,226 @@
+import { groupRecords, isInAppFrame, describeGroup } from './fingerprint.js';
+import { parseRecords } from './records.js';
+
+/**
+ * Known Node error signatures and canned remediation hints, checked in order
+ */
+const KNOWN_ERRORS = [
+  {
+    type: 'ECONNREFUSED',
+    pattern: /ECONNREFUSED/,
+    hint: 'Nothing is listening on the target host/port. Make sure the service (database, API, cache) is running and that the host and port in your config are correct.'
+  },
+  {
+    type: 'EADDRINUSE',
+    pattern: /EADDRINUSE/,
+    hint: 'The port is already in use. Stop the other process (`lsof -i :<port>` / `npx kill-port <port>`) or start this one on a different port.'
+  },
+  {
+    type: 'MODULE_NOT_FOUND',
+    pattern: /MODULE_NOT_FOUND|Cannot find module|ERR_MODULE_NOT_FOUND|Cannot find package/,
+    hint: 'A module could not be resolved. Run `npm install`, check the import path and its spelling/case, and make sure the package is listed in dependencies.'
+  },
+  {
+    type: 'ERR_REQUIRE_ESM',
+    pattern: /ERR_REQUIRE_ESM/,
+    hint: 'An ES module was loaded with require(). Switch to `import`/dynamic `import()` or pin a CommonJS version of the package.'
+  },
+  {
+    type: 'ENOENT',
+    pattern: /ENOENT/,
+    hint: 'A file or directory does not exist. Check the path (relative paths resolve from the current working directory) and create it if it is expected.'
+  },
+  {
+    type: 'EACCES',
+    pattern: /EACCES|EPERM/,
+    hint: 'Permission denied. Check file ownership and permissions, and avoid privileged ports (< 1024) without elevated rights.'
+  },
+  {
+    type: 'ETIMEDOUT',
+    pattern: /ETIMEDOUT|ESOCKETTIMEDOUT|timeout after|timed out/i,
+    hint: 'An operation timed out. Check network connectivity to the remote service and whether it is overloaded; consider raising the timeout or adding retries.'
+  },
+  {
+    type: 'ENOTFOUND',
+    pattern: /ENOTFOUND|EAI_AGAIN/,
+    hint: 'DNS lookup failed. Check the hostname in your config and your network/DNS settings.'
+  },
+  {
+    type: 'OUT_OF_MEMORY',
+    pattern: /heap out of memory|Allocation failed/i,
+    hint: 'The process ran out of memory. Look for unbounded caches or large in-memory data, or raise the limit with `--max-old-space-size`.'
+  },
+  {
+    type: 'TypeError',
+    pattern: /Cannot read propert(?:y|ies) of (?:undefined|null)|is not a function|is not iterable/,
+    hint: 'A value was undefined/null or of the wrong type. Check where it is supposed to be set, validate inputs, and guard access (optional chaining) where missing values are legitimate.'
+  },
+  {
+    type: 'ReferenceError',
+    pattern: /ReferenceError|is not defined/,
+    hint: 'A variable is used before it is declared or imported. Check for typos and missing imports.'
+  },
+  {
+    type: 'SyntaxError',
+    pattern: /SyntaxError/,
+    hint: 'The code or data could not be parsed. Check the reported file and line, and for JSON errors log the raw input being parsed.'
+  },
+  {
+    type: 'HTTP 5xx',
+    pattern: /\bstatus(?: code)? 5\d\d\b|\b5\d\d Internal Server Error\b/i,
+    hint: 'A server responded with a 5xx error. Check that service\'s logs for the underlying failure.'
+  }
+];
+
+const ERROR_NAME = /\b([A-Z][A-Za-z]*(?:Error|Exception))\b/;
+
+/**
+ * Works out the error type of a message
+ * @param {string} message - Error message
+ * @returns {object} Type name and remediation hint (if known)
+ */
+export function identifyError(message) {
+  const known = KNOWN_ERRORS.find(entry => entry.pattern.test(message));
+  if (known) {
+    return { type: known.type, hint: known.hint };
+  }
+
+  const name = String(message).match(ERROR_NAME);
+  return { type: name ? name[1] : 'Other', hint: null };
+}
+
+/**
+ * HeuristicProvider - Deterministic, offline summarizer
+ * Groups errors by type, lists their top stack frames and adds canned hints
+ */
+export class HeuristicProvider {
+  constructor(options = {}) {
+    this.name = 'heuristic';
+    this.model = 'heuristic';
+    this.offline = true;
+    this.maxFrames = options.maxFrames || 3;
+  }
+
+  get label() {
+    return 'offline heuristic summarizer';
+  }
+
+  /**
+   * Builds a summary from the structured input
+   * @param {string} prompt - Prompt text (only parsed if no structured input is given)
+   * @param {object} context - Request context (groups, logContent, format)
+   * @returns {Promise<string>} Summary text, or a JSON summary if `format` is json
+   */
+  async complete(prompt, context = {}) {
+    const groups = context.groups ||
+      groupRecords(parseRecords(context.logContent || prompt));
+
+    if (context.format === 'json') {
+      return JSON.stringify(this.structureGroups(groups));
+    }
+    return this.summarizeGroups(groups);
+  }
+
+  /**
+   * Builds a structured summary (see SUMMARY_SCHEMA) for a list of error groups
+   * @param {object[]} groups - Error groups
+   * @returns {object} Structured summary
+   */
+  structureGroups(groups) {
+    const occurrences = groups.reduce((total, group) => total + group.count, 0);
+
+    const errors = [...groups].sort((a, b) => b.count - a.count).map(group => {
+      const { type, hint } = identifyError(group.representative.message);
+      const firstLine = describeGroup(group).title;
+      const inApp = (group.representative.stack || []).filter(isInAppFrame);
+      const level = group.representative.level;
+
+      return {
+        fingerprint: group.fingerprint,
+        title: type === 'Other' ? firstLine.substring(0, 120) : `${type}: ${firstLine}`.substring(0, 120),
+        severity: ['fatal', 'error', 'warn', 'info'].includes(level) ? level : 'error',
+        rootCause: hint ? hint.split('. ')[0].replace(/\.$/, '') + '.' : `Unrecognized error: ${firstLine}`,
+        locations: inApp.slice(0, this.maxFrames).map(frame => ({ file: frame.file, line: frame.line ?? null })),
+        fixes: [hint || 'Start with the first in-app stack frame and check the values involved.'],
+        command: null,
+        // Canned hints are a reasonable guess, unknown errors are not
+        confidence: hint ? (inApp.length > 0 ? 0.6 : 0.5) : 0.3
+      };
+    });
+
+    return {
+      overview: groups.length === 0
+        ? 'No errors to summarize.'
+        : `${groups.length} distinct error(s), ${occurrences} occurrence(s).`,
+      errors
+    };
+  }
+
+  /**
+   * Renders the summary for a list of error groups
+   * @param {object[]} groups - Error groups
+   * @returns {string} Summary text
+   */
+  summarizeGroups(groups) {
+    if (groups.length === 0) {
+      return 'No errors to summarize.';
+    }
+
+    const byType = new Map();
+    for (const group of groups) {
+      const { type, hint } = identifyError(group.representative.message);
+      if (!byType.has(type)) {
+        byType.set(type, { type, hint, groups: [], count: 0 });
+      }
+      const entry = byType.get(type);
+      entry.groups.push(group);
+      entry.count += group.count;
+    }
+
+    const types = [...byType.values()].sort((a, b) => b.count - a.count);
+    const occurrences = groups.reduce((total, group) => total + group.count, 0);
+    const lines = [
+      '**Overview**',
+      `${groups.length} distinct error(s), ${occurrences} occurrence(s), ${types.length} type(s): ` +
+        types.map(entry => `${entry.type} (×${entry.count})`).join(', '),
+      '',
+      '**Errors by type**'
+    ];
+
+    for (const entry of types) {
+      lines.push(`- **${entry.type}** (×${entry.count})`);
+      for (const group of entry.groups) {
+        const firstLine = describeGroup(group).title;
+        lines.push(`  - ${firstLine}${group.count > 1 ? ` (×${group.count})` : ''}`);
+
+        const frames = (group.representative.stack || []);
+        const inApp = frames.filter(isInAppFrame);
+        for (const frame of (inApp.length > 0 ? inApp : frames).slice(0, this.maxFrames)) {
+          lines.push(`    ${frame.raw}`);
+        }
+      }
+    }
+
+    const hints = types.filter(entry => entry.hint);
+    lines.push('', '**Recommended actions**');
+
+    if (hints.length === 0) {
+      lines.push('1. Start with the most frequent error above and inspect the first in-app stack frame.');
+    } else {
+      hints.forEach((entry, index) => {
+        lines.push(`${index + 1}. ${entry.type}: ${entry.hint}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Creates and returns a new HeuristicProvider instance
+ * @param {object} options - Configuration options
+ * @returns {HeuristicProvider} New heuristic provider instance
+ */
+export function createHeuristicProvider(options) {
+  return new HeuristicProvider(options);
+}
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { describeGroup } from './fingerprint.js';
+
+const DEFAULT_HISTORY_PATH = path.join('.alith', 'history.jsonl');
+const RELATIVE_TIME = /^(\d+)\s*(m|h|d|w)$/i;
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Parses a date filter from the command line
+ * Accepts ISO dates/times, `today`, `yesterday` and relative ages like `30m`, `12h`, `7d`, `2w`
+ * @param {string} value - Date filter
+ * @param {Date} now - Reference time
+ * @returns {Date} Parsed date
+ */
+export function parseTime(value, now = new Date()) {
+  const text = String(value).trim().toLowerCase();
+
+  if (text === 'today' || text === 'yesterday') {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    if (text === 'yesterday') {
+      date.setDate(date.getDate() - 1);
+    }
+    return date;
+  }
+
+  const relative = text.match(RELATIVE_TIME);
+  if (relative) {
+    return new Date(now.getTime() - Number(relative[1]) * UNIT_MS[relative[2]]);
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value} (use e.g. 2024-05-01, yesterday, 12h or 7d)`);
+  }
+  return date;
+}
+
+/**
+ * HistoryStore - Keeps a local record of every processing run
+ * Entries are appended to a JSONL file (one run per line) so past errors and their
+ * summaries can be looked up after the capture log has been cleared
+ */
+export class HistoryStore {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.path = options.path || DEFAULT_HISTORY_PATH;
+    this.maxEntries = options.maxEntries || 1000; // Oldest runs are pruned beyond this
+  }
+
+  /**
+   * Stores a processing run
+   * @param {object} run - Run details (records, groups, summary, delivery, ...)
+   * @returns {object|null} Stored entry, or null if history is disabled
+   */
+  add(run) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const records = run.records || [];
+    const entry = {
+      id: crypto.randomBytes(4).toString('hex'),
+      timestamp: run.timestamp || new Date().toISOString(),
+      status: run.status || 'processed',
+      durationMs: run.durationMs ?? null,
+      sources: [...new Set(records.map(record => record.source).filter(Boolean))],
+      services: [...new Set(records.map(record => record.service).filter(Boolean))],
+      commands: [...new Set(records.map(record => record.command).filter(Boolean))],
+      files: [...new Set(records.map(record => record.file).filter(Boolean))],
+      fingerprints: (run.groups || []).map(group => ({
+        fingerprint: group.fingerprint,
+        count: group.count,
+        level: group.representative.level,
+        title: describeGroup(group).title,
+        message: group.representative.message
+      })),
+      summary: run.summary || null,
+      structured: run.structured || null,
+      model: run.model || null,
+      provider: run.provider || null,
+      cacheHit: Boolean(run.cacheHit),
+      delivery: run.delivery || null,
+      redactions: run.redactions || null,
+      snippets: run.snippets || [],
+      error: run.error || null,
+      records
+    };
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    fs.appendFileSync(this.path, `${JSON.stringify(entry)}\n`, 'utf-8');
+    this.prune();
+
+    return entry;
+  }
+
+  /**
+   * Reads all stored entries, oldest first
+   * @returns {object[]} History entries
+   */
+  readAll() {
+    if (!fs.existsSync(this.path)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const line of fs.readFileSync(this.path, 'utf-8').split('\n')) {
+      if (line.trim().length === 0) {
+        continue;
+      }
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A partially written line (e.g. after a crash) is skipped
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Lists entries matching the given filters, newest first
+   * @param {object} filters - Filters (since, until, grep, source (also matches services), limit)
+   * @returns {object[]} Matching entries
+   */
+  list(filters = {}) {
+    const since = filters.since ? parseTime(filters.since) : null;
+    const until = filters.until ? parseTime(filters.until) : null;
+    const grep = filters.grep ? String(filters.grep).toLowerCase() : null;
+    const source = filters.source ? String(filters.source).toLowerCase() : null;
+
+    const matches = this.readAll().filter(entry => {
+      const time = new Date(entry.timestamp);
+      if ((since && time < since) || (until && time > until)) {
+        return false;
+      }
+
+      if (source && ![...entry.sources, ...(entry.services || []), ...entry.commands, ...entry.files]
+        .some(value => value.toLowerCase().includes(source))) {
+        return false;
+      }
+
+      if (grep) {
+        const text = [
+          entry.summary || '',
+          ...entry.fingerprints.map(group => group.message),
+          ...entry.records.map(record => record.message)
+        ].join('\n').toLowerCase();
+        if (!text.includes(grep)) {
+          return false;
+        }
+      }
+
+      return true;
+    }).reverse();
+
+    return filters.limit ? matches.slice(0, Number(filters.limit)) : matches;
+  }
+
+  /**
+   * Finds an entry by id (a unique prefix is enough)
+   * @param {string} id - Entry id or id prefix
+   * @returns {object|null} Matching entry or null
+   */
+  get(id) {
+    const matches = this.readAll().filter(entry => entry.id.startsWith(id));
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous history id "${id}" matches ${matches.length} entries`);
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Drops the oldest entries beyond maxEntries
+   */
+  prune() {
+    const lines = fs.readFileSync(this.path, 'utf-8').split('\n').filter(line => line.trim().length > 0);
+    if (lines.length <= this.maxEntries) {
+      return;
+    }
+
+    const kept = lines.slice(lines.length - this.maxEntries);
+    const tempPath = `${this.path}.tmp`;
+    fs.writeFileSync(tempPath, `${kept.join('\n')}\n`, 'utf-8');
+    fs.renameSync(tempPath, this.path);
+  }
+}
+
+/**
+ * Formats a history entry as a Markdown document
+ * @param {object} entry - History entry
+ * @returns {string} Markdown text
+ */
+export function formatEntryMarkdown(entry) {
+  const occurrences = entry.fingerprints.reduce((total, group) => total + group.count, 0);
+  const delivery = entry.delivery
+    ? `${entry.delivery.method}${entry.delivery.delivered ? '' : ' (not delivered)'}`
+    : 'none';
+
+  const lines = [
+    `## ${entry.id} - ${entry.timestamp}`,
+    '',
+    `- Status: ${entry.status}`,
+    `- Errors: ${occurrences} occurrence(s) in ${entry.fingerprints.length} group(s)`,
+    `- Sources: ${[...entry.sources, ...entry.files].join(', ') || 'unknown'}`,
+    `- Model: ${entry.model ? `${entry.model} (${entry.provider})${entry.cacheHit ? ', cached summary' : ''}` : 'n/a'}`,
+    `- Duration: ${entry.durationMs ?? '?'}ms`,
+    `- Delivered via: ${delivery}`,
+    ''
+  ];
+
+  if (entry.error) {
+    lines.push(`**Processing failed:** ${entry.error}`, '');
+  }
+
+  lines.push('### Errors', '');
+  for (const group of entry.fingerprints) {
+    lines.push(`- \`${group.fingerprint}\` ×${group.count}: ${group.title ?? group.message.split('\n')[0]}`);
+  }
+
+  if (entry.summary) {
+    lines.push('', '### Summary', '', entry.summary);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Serializes entries for export
+ * @param {object[]} entries - History entries
+ * @param {string} format - json, jsonl or markdown
+ * @returns {string} Exported text
+ */
+export function exportEntries(entries, format = 'json') {
+  switch (format) {
+    case 'json':
+      return `${JSON.stringify(entries, null, 2)}\n`;
+    case 'jsonl':
+      return entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    case 'markdown':
+    case 'md':
+      return `# Alith Notify History\n\n${entries.map(formatEntryMarkdown).join('\n\n---\n\n')}\n`;
+    default:
+      throw new Error(`Unknown export format: ${format} (use json, jsonl or markdown)`);
+  }
+}
+
+/**
+ * Creates and returns a new HistoryStore instance
+ * @param {object} options - Configuration options
+ * @returns {HistoryStore} New history store instance
+ */
+export function createHistoryStore(options) {
+  return new HistoryStore(options);
+}
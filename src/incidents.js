@@ -0,0 +1,247 @@
+import fs from 'fs';
+import path from 'path';
+import { describeGroup } from './fingerprint.js';
+import { LEVELS } from './classifier.js';
+
+const DEFAULT_INCIDENTS_PATH = path.join('.alith', 'incidents.json');
+const HOUR_MS = 60 * 60 * 1000;
+// Set by setState(); kept over a run's triage if they changed after it was taken
+const MANUAL_FIELDS = ['state', 'resolvedAt', 'resolvedBy', 'mutedAt', 'stateChangedAt'];
+
+export const INCIDENT_STATES = ['new', 'ongoing', 'resolved', 'regressed', 'muted'];
+
+/**
+ * IncidentRegistry - Tracks every distinct error (by fingerprint) across runs
+ * - new: first seen in the latest run
+ * - ongoing: seen again while still open
+ * - resolved: not seen for `resolveAfterHours`, or resolved by hand
+ * - regressed: seen again after being resolved; summarized first
+ * - muted: never summarized again (until resolved by hand)
+ * Open incidents that already have a summary aren't summarized again, unless their level went up
+ * A run's changes are only saved once its batch is delivered (or needs no delivery), so a batch
+ * that failed is triaged the same way when it is retried
+ */
+export class IncidentRegistry {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.path = options.path || DEFAULT_INCIDENTS_PATH;
+    this.resolveAfterHours = options.resolveAfterHours || 24; // Quiet time before auto-resolving
+  }
+
+  /**
+   * Reads all incidents
+   * A corrupt file must never stop errors from being processed, so it counts as empty
+   * @returns {object} Incidents by fingerprint
+   */
+  load() {
+    if (!fs.existsSync(this.path)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.path, 'utf-8')).incidents || {};
+    } catch (error) {
+      console.log(`⚠️  Cannot read incidents from ${this.path} (${error.message}), starting over`);
+      return {};
+    }
+  }
+
+  /**
+   * Writes all incidents
+   * @param {object} incidents - Incidents by fingerprint
+   */
+  save(incidents) {
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    const tempPath = `${this.path}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify({ incidents }, null, 2)}\n`, 'utf-8');
+    fs.renameSync(tempPath, this.path);
+  }
+
+  /**
+   * Resolves open incidents that haven't recurred within the window
+   * @param {object} incidents - Incidents by fingerprint (changed in place)
+   * @param {Date} now - Reference time
+   */
+  sweep(incidents, now = new Date()) {
+    for (const incident of Object.values(incidents)) {
+      const open = incident.state !== 'resolved' && incident.state !== 'muted';
+      if (open && now - new Date(incident.lastSeen) > this.resolveAfterHours * HOUR_MS) {
+        incident.state = 'resolved';
+        incident.resolvedAt = now.toISOString();
+        incident.resolvedBy = 'auto';
+      }
+    }
+  }
+
+  /**
+   * Triages the error groups of a run: decides which ones need a summary, without saving
+   * anything (see commit())
+   * @param {object[]} groups - Error groups
+   * @returns {object} Groups split into `summarize` (new, regressed or changed; regressions
+   * first), `known` (open, with a cached summary) and `muted`, plus the updated `incidents`
+   * by fingerprint, and when it was taken (`takenAt`)
+   */
+  observe(groups) {
+    const now = new Date();
+    const result = { summarize: [], regressions: [], known: [], muted: [], incidents: {}, takenAt: now.toISOString() };
+    if (!this.enabled) {
+      result.summarize = groups;
+      return result;
+    }
+
+    const incidents = this.load();
+    this.sweep(incidents, now);
+
+    for (const group of groups) {
+      const details = describeGroup(group);
+      const previous = incidents[group.fingerprint];
+      const incident = {
+        ...previous,
+        fingerprint: group.fingerprint,
+        title: details.title,
+        level: details.level,
+        source: details.source,
+        location: details.location,
+        count: (previous?.count || 0) + group.count,
+        firstSeen: previous?.firstSeen || details.firstSeen,
+        lastSeen: [previous?.lastSeen, details.lastSeen || now.toISOString()].filter(Boolean).sort().pop()
+      };
+      incidents[group.fingerprint] = incident;
+      result.incidents[group.fingerprint] = incident;
+
+      if (!previous) {
+        incident.state = 'new';
+        result.summarize.push(group);
+      } else if (previous.state === 'muted') {
+        result.muted.push(group);
+      } else if (previous.state === 'resolved' && details.lastSeen < previous.resolvedAt) {
+        // Captured before it was resolved (e.g. a retried batch), so not a regression
+        result.known.push(group);
+      } else if (previous.state === 'resolved') {
+        incident.state = 'regressed';
+        incident.regressions = (previous.regressions || 0) + 1;
+        incident.regressedAt = now.toISOString();
+        result.regressions.push(group);
+      } else {
+        incident.state = 'ongoing';
+        // A higher level than before counts as a change worth a new summary
+        const escalated = LEVELS.indexOf(details.level) > LEVELS.indexOf(previous.level);
+        (previous.summary && !escalated ? result.known : result.summarize).push(group);
+      }
+    }
+
+    result.summarize = [...result.regressions, ...result.summarize];
+    return result;
+  }
+
+  /**
+   * Saves the incidents of a triaged run, once its batch is settled, and caches the summary
+   * on the ones it summarized
+   * An incident muted or resolved by hand while the run was going keeps that state
+   * @param {object} triage - Result of observe()
+   * @param {object} run - `summary` and `historyId` (null if nothing was summarized)
+   */
+  commit(triage, run = null) {
+    if (!this.enabled || Object.keys(triage.incidents).length === 0) {
+      return;
+    }
+
+    const now = new Date();
+    const incidents = this.load();
+    this.sweep(incidents, now);
+
+    const summarized = new Set(run ? triage.summarize.map(group => group.fingerprint) : []);
+    for (const [fingerprint, incident] of Object.entries(triage.incidents)) {
+      const current = incidents[fingerprint];
+      const changedByHand = current?.stateChangedAt && (!triage.takenAt || current.stateChangedAt >= triage.takenAt);
+      const merged = changedByHand
+        ? { ...incident, ...Object.fromEntries(MANUAL_FIELDS.filter(field => field in current).map(field => [field, current[field]])) }
+        : incident;
+      incidents[fingerprint] = summarized.has(fingerprint)
+        ? { ...merged, summary: run.summary, summarizedAt: now.toISOString(), historyId: run.historyId || null }
+        : merged;
+    }
+    this.save(incidents);
+  }
+
+  /**
+   * Lists incidents, most recently seen first
+   * @param {object} filters - `state`
+   * @returns {object[]} Incidents
+   */
+  list(filters = {}) {
+    const incidents = this.load();
+    this.sweep(incidents);
+
+    return Object.values(incidents)
+      .filter(incident => !filters.state || incident.state === filters.state)
+      .sort((a, b) => (a.lastSeen < b.lastSeen ? 1 : -1));
+  }
+
+  /**
+   * Finds an incident by fingerprint (a unique prefix is enough)
+   * @param {string} id - Fingerprint or fingerprint prefix
+   * @returns {object|null} Matching incident or null
+   */
+  get(id) {
+    const matches = this.list().filter(incident => incident.fingerprint.startsWith(id));
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous incident id "${id}" matches ${matches.length} incidents`);
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Changes the state of an incident by hand
+   * @param {string} id - Fingerprint or fingerprint prefix
+   * @param {string} state - `muted` or `resolved`
+   * @returns {object} Updated incident
+   */
+  setState(id, state) {
+    const match = this.get(id);
+    if (!match) {
+      throw new Error(`No incident with id ${id}`);
+    }
+
+    const incidents = this.load();
+    const incident = incidents[match.fingerprint];
+    const now = new Date().toISOString();
+    incident.state = state;
+    incident.stateChangedAt = now;
+    if (state === 'resolved') {
+      incident.resolvedAt = now;
+      incident.resolvedBy = 'manual';
+    } else {
+      incident.mutedAt = now;
+    }
+    this.save(incidents);
+    return incident;
+  }
+
+  /**
+   * Mutes an incident: its errors are no longer summarized or delivered
+   * @param {string} id - Fingerprint or fingerprint prefix
+   * @returns {object} Updated incident
+   */
+  mute(id) {
+    return this.setState(id, 'muted');
+  }
+
+  /**
+   * Marks an incident as fixed; if it comes back, it is reported as a regression
+   * @param {string} id - Fingerprint or fingerprint prefix
+   * @returns {object} Updated incident
+   */
+  resolve(id) {
+    return this.setState(id, 'resolved');
+  }
+}
+
+/**
+ * Creates and returns a new IncidentRegistry instance
+ * @param {object} options - Configuration options
+ * @returns {IncidentRegistry} New incident registry instance
+ */
+export function createIncidentRegistry(options) {
+  return new IncidentRegistry(options);
+}
@@ -8,3 +8,35 @@ export { Summarizer, createSummarizer } from './summarizer.js';
 export { ErrorCapture, createErrorCapture } from './error-capture.js';
 export { ErrorOrchestrator, createOrchestrator } from './orchestrator.js';
 export { CopilotIntegration, createCopilotIntegration } from './copilot-integration.js';
+export { ProcessRunner, createProcessRunner } from './process-runner.js';
+export { LogTailer, createLogTailer } from './log-tailer.js';
+export { createRecord, parseRecords, parseStack, formatRecords, SOURCES } from './records.js';
+export { fingerprint, groupRecords, normalizeMessage, normalizeContent, describeGroup } from './fingerprint.js';
+export { createProvider, AlithProvider, OpenAICompatibleProvider } from './providers.js';
+export { HeuristicProvider, createHeuristicProvider } from './heuristic-provider.js';
+export { estimateTokens, chunkItems, tokenBudgetFor } from './chunker.js';
+export { Redactor, createRedactor } from './redactor.js';
+export { BridgeClient, createBridgeClient, discoverBridge } from './vscode-bridge.js';
+export { SourceContext, createSourceContext, formatSnippets } from './source-context.js';
+export { HistoryStore, createHistoryStore, exportEntries, parseTime } from './history.js';
+export { TriggerPolicy, createTriggerPolicy } from './trigger-policy.js';
+export { Classifier, createClassifier, LEVELS } from './classifier.js';
+export { Notifier, createNotifier } from './notifier.js';
+export { createChannel, WebhookChannel, ChatWebhookChannel, EmailChannel, DesktopChannel } from './notification-channels.js';
+export { SMTPClient, createSMTPClient } from './smtp-client.js';
+export { renderTemplate, parseTemplate } from './template.js';
+export { DashboardServer, createDashboardServer } from './dashboard.js';
+export { SUMMARY_SCHEMA, validateSchema, renderSummary } from './summary-schema.js';
+export { Reporter, createReporter, configureReporter, getReporter, report, wrap, withAlithNotify } from './reporter.js';
+export { Collector, createCollector } from './collector.js';
+export { CollectorClient, createCollectorClient, collectorStatus } from './collector-client.js';
+export { Patcher, createPatcher, parseUnifiedDiff, applyHunks, formatDiff, FIX_EVENTS } from './patcher.js';
+export { PromptDelivery, createPromptDelivery } from './delivery.js';
+export { CopilotTarget, FileTarget, ClipboardTarget, CommandTarget, GitHubIssueTarget, createTarget, TARGET_TYPES } from './delivery-targets.js';
+export { DEFAULT_TEMPLATES, TEMPLATES_DIR, promptVars, projectVars, resolveTemplate, listTemplates } from './prompt-templates.js';
+export { GitContext, createGitContext, formatGitContext } from './git-context.js';
+export { ProcessingQueue, createProcessingQueue } from './processing-queue.js';
+export { IncidentRegistry, createIncidentRegistry, INCIDENT_STATES } from './incidents.js';
+export { SummaryCache, createSummaryCache } from './summary-cache.js';
+export { parseTestReport, parseJUnit, parseTap, parseJestJson, parseMochaJson, failureRecord, TEST_REPORT_FORMATS } from './test-reports.js';
+export { TestRunner, createTestRunner, detectRunner, TEST_RUNNERS } from './test-runner.js';
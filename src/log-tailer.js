@@ -0,0 +1,207 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+/**
+ * LogTailer - Follows external log files like `tail -F`
+ * Handles truncation, rotation (rename + recreate) and files that don't exist yet
+ */
+export class LogTailer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.files = (options.files || []).map(file => path.resolve(file));
+    this.pollInterval = options.pollInterval || 1000; // milliseconds
+    this.fromStart = options.fromStart === true; // Read existing content on start
+    this.states = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Starts following all configured files
+   */
+  start() {
+    if (this.files.length === 0) {
+      throw new Error('LogTailer requires at least one file to follow');
+    }
+
+    this.running = true;
+
+    for (const file of this.files) {
+      const state = { file, fd: null, ino: null, offset: 0, partial: '' };
+      this.states.set(file, state);
+
+      if (fs.existsSync(file)) {
+        this.open(state);
+        if (!this.fromStart) {
+          state.offset = fs.fstatSync(state.fd).size;
+        }
+        console.log(`👀 Following: ${file}`);
+      } else {
+        console.log(`⏳ Waiting for: ${file}`);
+      }
+
+      this.check(state);
+      fs.watchFile(file, { interval: this.pollInterval }, (curr) => {
+        this.check(state, curr);
+      });
+    }
+  }
+
+  /**
+   * Checks a file for new content, truncation or rotation
+   * @param {object} state - Per-file tail state
+   * @param {fs.Stats} stats - Current stats of the path (optional)
+   */
+  check(state, stats) {
+    if (!this.running) {
+      return;
+    }
+
+    try {
+      const current = stats && stats.mtimeMs !== 0 ? stats : this.statPath(state.file);
+
+      if (!current) {
+        // File is gone; keep reading the old handle until it is recreated
+        if (state.fd !== null) {
+          this.readAvailable(state);
+        }
+        return;
+      }
+
+      if (state.fd === null) {
+        this.open(state);
+        this.emit('created', { file: state.file });
+      } else if (current.ino !== state.ino) {
+        // Rotated: drain the old file, then start over on the new one
+        this.readAvailable(state);
+        this.flushPartial(state);
+        this.close(state);
+        this.open(state);
+        this.emit('rotated', { file: state.file });
+      }
+
+      const size = fs.fstatSync(state.fd).size;
+      if (size < state.offset) {
+        state.offset = 0;
+        state.partial = '';
+        this.emit('truncated', { file: state.file });
+      }
+
+      this.readAvailable(state);
+    } catch (error) {
+      this.emit('tailError', { file: state.file, error });
+    }
+  }
+
+  /**
+   * Reads everything between the stored offset and the end of the file
+   * Only complete lines are emitted; a trailing partial line is buffered
+   * @param {object} state - Per-file tail state
+   */
+  readAvailable(state) {
+    const size = fs.fstatSync(state.fd).size;
+    if (size <= state.offset) {
+      return;
+    }
+
+    const length = size - state.offset;
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(state.fd, buffer, 0, length, state.offset);
+    state.offset += bytesRead;
+
+    const text = state.partial + buffer.toString('utf-8', 0, bytesRead);
+    const lastNewline = text.lastIndexOf('\n');
+
+    if (lastNewline === -1) {
+      state.partial = text;
+      return;
+    }
+
+    state.partial = text.substring(lastNewline + 1);
+    const content = text.substring(0, lastNewline);
+
+    if (content.trim().length > 0) {
+      this.emit('data', { file: state.file, content, offset: state.offset });
+    }
+  }
+
+  /**
+   * Emits a buffered partial line (used when a file is rotated away)
+   * @param {object} state - Per-file tail state
+   */
+  flushPartial(state) {
+    if (state.partial.trim().length > 0) {
+      this.emit('data', { file: state.file, content: state.partial, offset: state.offset });
+    }
+    state.partial = '';
+  }
+
+  /**
+   * Opens a file handle and records its inode
+   * @param {object} state - Per-file tail state
+   */
+  open(state) {
+    state.fd = fs.openSync(state.file, 'r');
+    state.ino = fs.fstatSync(state.fd).ino;
+    state.offset = 0;
+    state.partial = '';
+  }
+
+  /**
+   * Closes a file handle
+   * @param {object} state - Per-file tail state
+   */
+  close(state) {
+    if (state.fd !== null) {
+      fs.closeSync(state.fd);
+      state.fd = null;
+      state.ino = null;
+    }
+  }
+
+  /**
+   * Stats a path, returning null if it doesn't exist
+   * @param {string} file - File path
+   * @returns {fs.Stats|null} File stats or null
+   */
+  statPath(file) {
+    try {
+      return fs.statSync(file);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Returns the current byte offset of each followed file
+   * @returns {object} Map of file path to offset
+   */
+  getOffsets() {
+    const offsets = {};
+    for (const [file, state] of this.states) {
+      offsets[file] = state.offset;
+    }
+    return offsets;
+  }
+
+  /**
+   * Stops following all files
+   */
+  stop() {
+    this.running = false;
+    for (const state of this.states.values()) {
+      fs.unwatchFile(state.file);
+      this.close(state);
+    }
+    this.states.clear();
+  }
+}
+
+/**
+ * Creates and returns a new LogTailer instance
+ * @param {object} options - Configuration options
+ * @returns {LogTailer} New log tailer instance
+ */
+export function createLogTailer(options) {
+  return new LogTailer(options);
+}
@@ -0,0 +1,278 @@
+import crypto from 'crypto';
+import { execFile } from 'child_process';
+import { createSMTPClient } from './smtp-client.js';
+
+const LEVEL_COLORS = { fatal: 0x8b0000, error: 0xd32f2f, warn: 0xf9a825, info: 0x1976d2, noise: 0x9e9e9e };
+
+/**
+ * Shortens text to a maximum length
+ * @param {string} text - Text
+ * @param {number} max - Maximum length
+ * @returns {string} Text, truncated with an ellipsis if needed
+ */
+function truncate(text, max) {
+  return text.length > max ? `${text.substring(0, max - 1)}…` : text;
+}
+
+/**
+ * POSTs a JSON payload
+ * HTTP errors other than 429 and 5xx are marked as not worth retrying
+ * @param {string} url - Target URL
+ * @param {object} payload - JSON payload
+ * @param {object} options - Options (headers, timeout)
+ * @returns {Promise<object>} Status and response body
+ */
+async function postJson(url, payload, options = {}) {
+  const body = JSON.stringify(payload);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'alith-notify',
+      ...(options.signBody ? options.signBody(body) : {}),
+      ...options.headers
+    },
+    body,
+    signal: AbortSignal.timeout(options.timeout || 10000)
+  });
+
+  const text = await response.text();
+  if (!response.ok) {
+    const error = new Error(`${url} responded with ${response.status}: ${text.substring(0, 200)}`);
+    error.retryable = response.status === 429 || response.status >= 500;
+    throw error;
+  }
+  return { status: response.status, body: text };
+}
+
+/**
+ * WebhookChannel - POSTs the notification as JSON to any HTTP endpoint
+ * With a `secret`, requests are signed: `X-Alith-Signature: sha256=<hex>` is the
+ * HMAC-SHA256 of `<X-Alith-Timestamp>.<raw body>`
+ */
+export class WebhookChannel {
+  constructor(options = {}) {
+    this.url = options.url;
+    this.secret = options.secret || (options.secretEnv ? process.env[options.secretEnv] : null);
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 10000; // milliseconds
+
+    if (!this.url) {
+      throw new Error('webhook channel requires a url');
+    }
+  }
+
+  /**
+   * Signs a request body
+   * @param {string} body - Raw request body
+   * @returns {object} Signature headers
+   */
+  signBody(body) {
+    if (!this.secret) {
+      return {};
+    }
+
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+    return { 'X-Alith-Timestamp': timestamp, 'X-Alith-Signature': `sha256=${signature}` };
+  }
+
+  /**
+   * Sends a notification
+   * @param {object} notification - Rendered notification
+   * @returns {Promise<object>} Response
+   */
+  send(notification) {
+    const payload = {
+      event: 'errors.processed',
+      title: notification.title,
+      text: notification.text,
+      level: notification.level,
+      summary: notification.vars.summary,
+      structured: notification.vars.structured,
+      errorCount: notification.vars.errorCount,
+      groups: notification.vars.groups,
+      historyId: notification.vars.historyId,
+      project: notification.vars.project,
+      host: notification.vars.host,
+      timestamp: notification.vars.timestamp
+    };
+
+    return postJson(this.url, payload, {
+      headers: this.headers,
+      timeout: this.timeout,
+      signBody: body => this.signBody(body)
+    });
+  }
+}
+
+/**
+ * ChatWebhookChannel - Posts to Slack, Microsoft Teams or Discord incoming webhooks
+ * The payload is formatted for the service given as `type`
+ */
+export class ChatWebhookChannel {
+  constructor(options = {}) {
+    this.type = options.type;
+    this.url = options.url || (options.urlEnv ? process.env[options.urlEnv] : null);
+    this.timeout = options.timeout || 10000; // milliseconds
+
+    if (!this.url) {
+      throw new Error(`${this.type} channel requires a url (or urlEnv)`);
+    }
+  }
+
+  /**
+   * Builds the service-specific payload
+   * @param {object} notification - Rendered notification
+   * @returns {object} Payload
+   */
+  buildPayload(notification) {
+    const { title, text, level, vars } = notification;
+    const context = `${level.toUpperCase()} · ${vars.errorCount} error(s) in ${vars.groupCount} group(s) · ${vars.host}`;
+
+    switch (this.type) {
+      case 'slack':
+        return {
+          text: title,
+          blocks: [
+            { type: 'header', text: { type: 'plain_text', text: truncate(title, 150) } },
+            { type: 'section', text: { type: 'mrkdwn', text: truncate(text, 2900) } },
+            { type: 'context', elements: [{ type: 'mrkdwn', text: context }] }
+          ]
+        };
+      case 'teams':
+        return {
+          type: 'message',
+          attachments: [{
+            contentType: 'application/vnd.microsoft.card.adaptive',
+            content: {
+              $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+              type: 'AdaptiveCard',
+              version: '1.4',
+              body: [
+                { type: 'TextBlock', size: 'Large', weight: 'Bolder', wrap: true, text: title },
+                { type: 'TextBlock', wrap: true, text: truncate(text, 20000) },
+                { type: 'TextBlock', isSubtle: true, size: 'Small', wrap: true, text: context }
+              ]
+            }
+          }]
+        };
+      case 'discord':
+        return {
+          username: 'Alith Notify',
+          embeds: [{
+            title: truncate(title, 256),
+            description: truncate(text, 4096),
+            color: LEVEL_COLORS[level] || LEVEL_COLORS.error,
+            footer: { text: context },
+            timestamp: vars.timestamp
+          }]
+        };
+      default:
+        throw new Error(`Unknown chat webhook type: ${this.type}`);
+    }
+  }
+
+  /**
+   * Sends a notification
+   * @param {object} notification - Rendered notification
+   * @returns {Promise<object>} Response
+   */
+  send(notification) {
+    return postJson(this.url, this.buildPayload(notification), { timeout: this.timeout });
+  }
+}
+
+/**
+ * EmailChannel - Sends the notification as a plain-text email over SMTP
+ */
+export class EmailChannel {
+  constructor(options = {}) {
+    this.from = options.from;
+    this.to = [].concat(options.to || []);
+    this.smtp = {
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      starttls: options.starttls,
+      allowInsecureAuth: options.allowInsecureAuth,
+      user: options.user,
+      pass: options.pass || (options.passEnv ? process.env[options.passEnv] : null),
+      timeout: options.timeout,
+      rejectUnauthorized: options.rejectUnauthorized
+    };
+
+    if (!this.from || this.to.length === 0 || !this.smtp.host) {
+      throw new Error('email channel requires host, from and to');
+    }
+  }
+
+  /**
+   * Sends a notification
+   * @param {object} notification - Rendered notification
+   * @returns {Promise<string>} SMTP server response
+   */
+  send(notification) {
+    return createSMTPClient(this.smtp).send({
+      from: this.from,
+      to: this.to,
+      subject: notification.title,
+      text: notification.text
+    });
+  }
+}
+
+/**
+ * DesktopChannel - Shows a local desktop notification with `notify-send`
+ */
+export class DesktopChannel {
+  constructor(options = {}) {
+    this.command = options.command || 'notify-send';
+    this.timeout = options.timeout || 5000; // milliseconds
+  }
+
+  /**
+   * Sends a notification
+   * @param {object} notification - Rendered notification
+   * @returns {Promise<void>} Resolves once the notification is shown
+   */
+  send(notification) {
+    const urgency = notification.level === 'fatal' ? 'critical' : 'normal';
+    const args = ['--app-name=alith-notify', `--urgency=${urgency}`, notification.title, truncate(notification.text, 500)];
+
+    return new Promise((resolve, reject) => {
+      execFile(this.command, args, { timeout: this.timeout }, (error) => {
+        if (error) {
+          const reason = error.code === 'ENOENT' ? `${this.command} is not installed` : error.message;
+          const failure = new Error(reason);
+          failure.retryable = error.code !== 'ENOENT';
+          reject(failure);
+        } else {
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Creates a channel from its config
+ * @param {object} options - Channel config with `type`
+ * @returns {object} Channel with a `send(notification)` method
+ */
+export function createChannel(options = {}) {
+  switch (options.type) {
+    case 'webhook':
+      return new WebhookChannel(options);
+    case 'slack':
+    case 'teams':
+    case 'discord':
+      return new ChatWebhookChannel(options);
+    case 'email':
+      return new EmailChannel(options);
+    case 'desktop':
+      return new DesktopChannel(options);
+    default:
+      throw new Error(`Unknown notification channel type: ${options.type} (expected webhook, slack, teams, discord, email or desktop)`);
+  }
+}
@@ -0,0 +1,150 @@
+import os from 'os';
+import path from 'path';
+import { createChannel } from './notification-channels.js';
+import { renderTemplate } from './template.js';
+import { isAtLeast, LEVELS } from './classifier.js';
+import { describeGroup } from './fingerprint.js';
+
+const DEFAULT_TITLE = '{{levelIcon}} {{errorCount}} error(s) in {{project}}';
+const DEFAULT_TEXT = `{{summary}}
+
+Top error: {{topError}}
+History: alith-notify history show {{historyId}}`;
+
+const LEVEL_ICONS = { fatal: '💥', error: '🔴', warn: '🟡', info: 'ℹ️', noise: '·' };
+
+/**
+ * Builds the template variables for a processing run
+ * @param {object} data - `errorsProcessed` event data
+ * @returns {object} Template variables
+ */
+export function notificationVars(data) {
+  const records = data.records || [];
+  const groups = data.groups || [];
+  const level = records.reduce((highest, record) =>
+    (LEVELS.indexOf(record.level) > LEVELS.indexOf(highest) ? record.level : highest), 'info');
+
+  return {
+    level,
+    levelIcon: LEVEL_ICONS[level],
+    summary: data.summary || '',
+    structured: data.structured || null,
+    errorCount: records.length,
+    groupCount: groups.length,
+    topError: groups[0] ? describeGroup(groups[0]).title : '',
+    groups: groups.map(describeGroup),
+    historyId: data.historyId || '',
+    delivery: data.delivery?.method || '',
+    project: path.basename(process.cwd()),
+    host: os.hostname(),
+    timestamp: data.timestamp || new Date().toISOString()
+  };
+}
+
+/**
+ * Notifier - Sends processed errors to outbound channels (webhooks, chat, email, desktop)
+ * Each channel has its own minimum level, templates and retry settings
+ */
+export class Notifier {
+  constructor(options = {}) {
+    this.channels = (options.channels || []).map((channel, index) => {
+      const minLevel = channel.minLevel || 'error';
+      if (!LEVELS.includes(minLevel)) {
+        throw new Error(`Unknown minLevel "${minLevel}" for notification channel ${channel.name || channel.type}`);
+      }
+
+      return {
+        name: channel.name || `${channel.type}#${index + 1}`,
+        minLevel,
+        title: channel.template?.title || DEFAULT_TITLE,
+        text: channel.template?.text || DEFAULT_TEXT,
+        retries: channel.retries ?? 2,
+        retryDelay: channel.retryDelay || 1000, // milliseconds
+        channel: createChannel(channel)
+      };
+    });
+    this.inFlight = new Set();
+  }
+
+  /**
+   * Subscribes to an orchestrator's processed errors
+   * @param {EventEmitter} orchestrator - Error orchestrator
+   */
+  attach(orchestrator) {
+    if (this.channels.length === 0) {
+      return;
+    }
+
+    orchestrator.on('errorsProcessed', (data) => {
+      const sending = this.notify(data).finally(() => this.inFlight.delete(sending));
+      this.inFlight.add(sending);
+    });
+  }
+
+  /**
+   * Sends a processing run to every channel whose minimum level it reaches
+   * @param {object} data - `errorsProcessed` event data
+   * @returns {Promise<object[]>} Result per channel ({ channel, sent, skipped?, error? })
+   */
+  async notify(data) {
+    const vars = notificationVars(data);
+
+    return Promise.all(this.channels.map(async (entry) => {
+      if (!isAtLeast(vars.level, entry.minLevel)) {
+        return { channel: entry.name, sent: false, skipped: true };
+      }
+
+      const notification = {
+        level: vars.level,
+        title: renderTemplate(entry.title, vars),
+        text: renderTemplate(entry.text, vars),
+        vars
+      };
+
+      try {
+        await this.withRetries(entry, () => entry.channel.send(notification));
+        console.log(`📣 Notified ${entry.name}`);
+        return { channel: entry.name, sent: true };
+      } catch (error) {
+        console.log(`⚠️  Could not notify ${entry.name}: ${error.message}`);
+        return { channel: entry.name, sent: false, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Runs a send with retries and linear backoff
+   * @param {object} entry - Channel entry
+   * @param {Function} send - Function returning a promise
+   * @returns {Promise<*>} Send result
+   */
+  async withRetries(entry, send) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt >= entry.retries || error.retryable === false) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, entry.retryDelay * (attempt + 1)));
+      }
+    }
+  }
+
+  /**
+   * Waits for notifications that are still being sent
+   * @returns {Promise<void>} Resolves when all are done
+   */
+  async idle() {
+    await Promise.all(this.inFlight);
+  }
+}
+
+/**
+ * Creates and returns a new Notifier instance
+ * @param {object} options - Configuration options
+ * @returns {Notifier} New notifier instance
+ */
+export function createNotifier(options) {
+  return new Notifier(options);
+}
@@ -1,8 +1,25 @@
 import { createErrorCapture } from './error-capture.js';
 import { createSummarizer } from './summarizer.js';
-import { createCopilotIntegration } from './copilot-integration.js';
+import { createPromptDelivery } from './delivery.js';
+import { createProcessRunner } from './process-runner.js';
+import { createTestRunner } from './test-runner.js';
+import { failureRecord } from './test-reports.js';
+import { createLogTailer } from './log-tailer.js';
+import { formatRecords, splitLogEntries, SOURCES } from './records.js';
+import { groupRecords, describeGroup } from './fingerprint.js';
+import { createRedactor } from './redactor.js';
+import { createSourceContext, formatSnippets } from './source-context.js';
+import { createHistoryStore } from './history.js';
+import { createTriggerPolicy } from './trigger-policy.js';
+import { createClassifier } from './classifier.js';
+import { createNotifier } from './notifier.js';
+import { createPatcher, FIX_EVENTS } from './patcher.js';
+import { createProcessingQueue } from './processing-queue.js';
+import { createGitContext, formatGitContext } from './git-context.js';
+import { createIncidentRegistry } from './incidents.js';
 import { EventEmitter } from 'events';
 import fs from 'fs';
+import path from 'path';
 
 /**
  * ErrorOrchestrator - Orchestrates error capture, summarization, and Copilot integration
@@ -11,13 +28,40 @@ export class ErrorOrchestrator extends EventEmitter {
   constructor(options = {}) {
     super();
     this.captureLogPath = options.captureLogPath || './captured-errors.log';
-    this.checkInterval = (options.checkInterval || 30) * 1000; // Convert to ms
-    this.minErrorsToProcess = options.minErrorsToProcess || 1; // Process after N errors
+    this.triggerOptions = options.trigger || {}; // When to process (debounce, threshold, ...)
+    this.classifier = createClassifier(options.classification); // Levels, and which ones get summarized
+    this.notifier = createNotifier(options.notifications); // Webhooks, chat, email, desktop
+    this.redactor = createRedactor(options.redaction); // Scrubs secrets before anything leaves the machine
+    // Optional fix stage: propose, apply and verify a patch
+    this.patcher = createPatcher({ ...options.fix, redactor: this.redactor });
+    this.confirmFix = options.confirmFix || null; // Async callback that reviews a proposed patch
+    this.captureProcess = options.captureProcess !== false; // Hook this process's own stderr/console
+    this.llm = options.llm || {}; // Summarizer provider options
+    this.cache = options.cache || {}; // Summary cache (`enabled: false` always asks the model)
+    // Branch and recent commits in templates (projectVars()): gathered by collectContext(), and redacted
+    this.projectOptions = { git: null, redact: text => this.redactor.redact(text) };
+    // Where the fix prompt goes: Copilot Chat, files, the clipboard, a command, a GitHub issue
+    this.delivery = createPromptDelivery({ ...options.delivery, copilot: options.copilot, project: this.projectOptions });
+    this.sourceContext = createSourceContext(options.sourceContext);
+    // Branch, uncommitted changes, commits and blame; alith-notify's own files aren't changes
+    this.gitContext = createGitContext({
+      ...options.gitContext,
+      exclude: [this.captureLogPath, '.alith', ...(options.gitContext?.exclude || [])]
+    });
+    this.history = createHistoryStore(options.history); // Every processing run, for `alith-notify history`
+    this.incidents = createIncidentRegistry(options.incidents); // State of every distinct error across runs
+    this.queue = createProcessingQueue(options.queue); // Batches on disk until every delivery target has them
     this.errorCapture = null;
     this.summarizer = null;
-    this.copilot = null;
-    this.timer = null;
-    this.lastProcessedSize = 0;
+    this.policy = null;
+    this.watcher = null;
+    this.runner = null;
+    this.tailer = null;
+    this.processing = null; // Promise of the run in progress
+    this.rerunRequested = false;
+    this.testMode = false; // Set while processing a test run, whose failures are always delivered
+    this.lastSeenSize = 0; // Log offset fed to the trigger policy
+    this.lastProcessedSize = 0; // Log offset up to which records are queued (committed)
   }
 
   /**
@@ -29,82 +73,298 @@ export class ErrorOrchestrator extends EventEmitter {
     // Initialize error capture
     this.errorCapture = createErrorCapture({
       logFilePath: this.captureLogPath,
-      captureStderr: true,
-      captureUncaught: true,
-      captureRejections: true
+      captureStderr: this.captureProcess,
+      captureConsole: this.captureProcess,
+      captureUncaught: this.captureProcess,
+      captureRejections: this.captureProcess
     });
 
     // Initialize summarizer
-    this.summarizer = createSummarizer();
+    this.summarizer = createSummarizer({
+      ...this.llm,
+      cache: this.cache,
+      project: this.projectOptions,
+      logError: (...args) => this.logError(...args)
+    });
+    console.log(`🤖 Summarizing with: ${this.summarizer.provider.label}`);
+
+    console.log(`📨 Delivering prompts to: ${this.delivery.targets.map(entry => entry.name).join(', ')}`);
+
+    // Send processed errors to the configured notification channels
+    this.notifier.attach(this);
+    if (this.notifier.channels.length > 0) {
+      console.log(`📣 Notifying: ${this.notifier.channels.map(entry => entry.name).join(', ')}`);
+    }
+
+    // Propose fixes with the summarizer's provider unless the fix stage has its own
+    if (this.patcher.enabled) {
+      this.patcher.provider ||= this.summarizer.provider;
+      for (const event of FIX_EVENTS) {
+        this.patcher.on(event, data => this.emit(event, data));
+      }
+      console.log(`🩹 Fix stage enabled${this.patcher.verifyCommand ? ` (verifying with \`${this.patcher.verifyCommand}\`)` : ''}`);
+    }
 
-    // Initialize Copilot integration
-    this.copilot = createCopilotIntegration();
+    // Decide when to process from the errors as they arrive
+    this.policy = createTriggerPolicy(this.triggerOptions);
+    this.policy.on('trigger', ({ reason, pending }) => {
+      console.log(`\n⚡ Processing triggered: ${reason} (${pending} distinct error(s) pending)`);
+      this.runProcessing();
+    });
+    this.policy.on('rateLimited', ({ retryIn, pending }) => {
+      console.log(`\n⏳ Hourly limit of ${this.policy.maxPerHour} runs reached, ${pending} distinct error(s) will be processed in ${Math.ceil(retryIn / 60000)} min`);
+    });
 
     // Start capturing errors
     this.errorCapture.start();
+    this.lastProcessedSize = this.resumeOffset();
+    this.lastSeenSize = this.errorCapture.readNew(0).offset; // Errors from earlier sessions wait for a manual run
+    this.errorCapture.on('record', () => this.scanLog());
+    this.watchLog();
 
-    console.log('⏱️  Will check for new errors every', this.checkInterval / 1000, 'seconds\n');
+    console.log(`⏱️  Processing ${this.policy.describe()}\n`);
 
-    // Start periodic checking
-    this.timer = setInterval(() => {
-      this.checkAndProcessErrors();
-    }, this.checkInterval);
+    const queued = this.queue.pending().length;
+    const failed = this.queue.deadLetters().length;
+    if (queued > 0) {
+      console.log(`📦 Resuming ${queued} queued batch(es) from an earlier run\n`);
+    }
+    if (failed > 0) {
+      console.log(`📥 ${failed} failed batch(es) in ${this.queue.deadLetterDir}; retry with: alith-notify queue retry\n`);
+    }
 
     this.emit('started');
+
+    if (queued > 0) {
+      this.runProcessing();
+    }
   }
 
   /**
-   * Checks for new errors and processes them
+   * Returns the capture log offset to continue from: the committed one, unless the log
+   * was replaced since (then a compaction interrupted by a crash is finished first)
+   * @returns {number} Byte offset
    */
-  async checkAndProcessErrors() {
+  resumeOffset() {
+    const { offset, ino } = this.queue.committed();
+    if (ino === null || ino === this.errorCapture.logIdentity()) {
+      return offset;
+    }
+
+    const carried = this.errorCapture.finishCompaction(offset);
+    if (carried > 0) {
+      console.log(`📦 Recovered ${carried} byte(s) of unqueued errors from an interrupted run\n`);
+    }
+    this.queue.commit(0, this.errorCapture.logIdentity());
+    return 0;
+  }
+
+  /**
+   * Watches the capture log for records written by other processes
+   */
+  watchLog() {
+    const dir = path.dirname(path.resolve(this.captureLogPath));
+    const name = path.basename(this.captureLogPath);
+
     try {
-      // Check if log file exists and has new content
-      if (!fs.existsSync(this.captureLogPath)) {
-        return;
-      }
+      this.watcher = fs.watch(dir, (eventType, filename) => {
+        if (!filename || filename === name) {
+          this.scanLog();
+        }
+      });
+      this.watcher.on('error', (error) => {
+        console.log(`⚠️  Stopped watching ${this.captureLogPath}: ${error.message}`);
+        this.watcher = null;
+      });
+    } catch (error) {
+      console.log(`⚠️  Could not watch ${this.captureLogPath} (${error.message}), only in-process errors trigger processing`);
+    }
+  }
 
-      const stats = fs.statSync(this.captureLogPath);
-      const currentSize = stats.size;
+  /**
+   * Feeds records appended to the log since the last scan to the trigger policy
+   */
+  scanLog() {
+    if (!this.policy) {
+      return;
+    }
 
-      // Check if there's new content
-      if (currentSize <= this.lastProcessedSize || currentSize === 0) {
-        return;
+    try {
+      const { records, offset } = this.errorCapture.readNew(this.lastSeenSize);
+      if (offset < this.lastSeenSize) {
+        // Cleared or truncated outside of processing
+        this.lastProcessedSize = 0;
       }
+      this.lastSeenSize = offset;
 
-      console.log(`\n${'═'.repeat(70)}`);
-      console.log('🔍 NEW ERRORS DETECTED');
-      console.log(`${'═'.repeat(70)}`);
+      const classified = this.classifier.classifyRecords(records);
+      if (classified.length > 0) {
+        this.emit('recordsCaptured', { records: classified });
+      }
+      this.policy.add(this.classifier.filter(classified).kept);
+    } catch (error) {
+      // The log may be mid-rewrite; the next change event will pick it up
+    }
+  }
 
-      // Read the errors
-      const allErrors = this.errorCapture.readErrors();
-      const newErrors = allErrors.substring(this.lastProcessedSize);
+  /**
+   * Returns the captured records that haven't been processed yet, classified
+   * @returns {object[]} Queued records, then those still in the log (including ones below the minimum level)
+   */
+  pendingRecords() {
+    if (!this.errorCapture) {
+      return [];
+    }
+    return [
+      ...this.queue.pendingRecords(),
+      ...this.classifier.classifyRecords(this.errorCapture.readNew(this.lastProcessedSize).records)
+    ];
+  }
+
+  /**
+   * Runs processing, or queues one more run if processing is already in progress
+   * @returns {Promise<void>} Resolves when no more runs are queued
+   */
+  runProcessing() {
+    if (this.processing) {
+      this.rerunRequested = true;
+      return this.processing;
+    }
 
-      // Count error lines
-      const errorLines = newErrors.split('\n').filter(line => line.trim().length > 0);
-      console.log(`📊 Found ${errorLines.length} new error line(s)\n`);
+    this.processing = (async () => {
+      try {
+        do {
+          this.rerunRequested = false;
+          await this.checkAndProcessErrors();
+        } while (this.rerunRequested);
+      } finally {
+        this.processing = null;
+      }
+    })();
+    return this.processing;
+  }
+
+  /**
+   * Checks for new errors and processes them, along with batches queued earlier
+   */
+  async checkAndProcessErrors() {
+    try {
+      this.enqueueNewRecords();
 
-      // Process the errors
-      await this.processErrors(newErrors, allErrors);
+      for (const segment of this.queue.pending()) {
+        console.log(`\n${'═'.repeat(70)}`);
+        console.log('🔍 NEW ERRORS DETECTED');
+        console.log(`${'═'.repeat(70)}`);
+        console.log(`📊 Found ${segment.records.length} new error record(s)${segment.attempts > 0 ? ` (batch ${segment.id}, attempt ${segment.attempts + 1})` : ''}\n`);
 
-      // Update last processed position
-      this.lastProcessedSize = currentSize;
+        // Process the errors
+        await this.processErrors(segment.records, segment);
+      }
 
     } catch (error) {
-      console.error('❌ Error during processing:', error.message);
+      this.logError('❌ Error during processing:', error.message);
+    }
+  }
+
+  /**
+   * Moves the records appended to the log since the last run into a queued batch
+   * The batch is written before the offset is committed, so a crash in between repeats
+   * records instead of losing them
+   */
+  enqueueNewRecords() {
+    const { records, offset } = this.errorCapture.readNew(this.lastProcessedSize);
+
+    // Drop warnings, progress output and other entries below the configured level
+    const { kept, skipped } = this.classifier.filter(this.classifier.classifyRecords(records));
+    if (skipped.length > 0) {
+      console.log(`🔇 Skipped ${skipped.length} entry(ies) below ${this.classifier.minLevel} level`);
+    }
+    if (kept.length > 0) {
+      this.queue.enqueue(kept);
+    }
+
+    if (offset > 0) {
+      this.commitOffset(offset);
     }
   }
 
+  /**
+   * Commits the log offset, then drops the queued records from the log
+   * Only bytes before the offset are dropped; errors appended meanwhile stay pending
+   * @param {number} offset - Byte offset up to which the log has been queued
+   */
+  commitOffset(offset) {
+    this.queue.commit(offset, this.errorCapture.logIdentity());
+    this.errorCapture.compact(offset);
+    this.queue.commit(0, this.errorCapture.logIdentity());
+
+    this.lastProcessedSize = 0;
+    this.lastSeenSize = 0;
+    this.policy?.reset();
+    this.scanLog(); // Errors appended since the read count towards the next run
+  }
+
   /**
    * Processes errors: summarize and send to Copilot
-   * @param {string} newErrors - New errors since last check
-   * @param {string} allErrors - All accumulated errors
+   * @param {object[]} records - New error records since last check
+   * @param {object} segment - Queued batch the records come from; acknowledged once every
+   * delivery target has the prompt, dead-lettered otherwise
    */
-  async processErrors(newErrors, allErrors) {
-    console.log('🤖 Step 1: Summarizing errors with Alith Agent...\n');
+  async processErrors(records, segment = null) {
+    if (records.length === 0) {
+      return;
+    }
+
+    console.log(`🤖 Step 1: Summarizing errors with ${this.summarizer.provider.label}...\n`);
+
+    const startTime = Date.now();
+    let safeRecords = [];
+    let groups = [];
+    let delivery = null;
+    let settled = false;
 
     try {
-      // Summarize the errors
-      const summaryResult = await this.summarizer.summarize(newErrors);
+      // Redact secrets and PII before anything is sent out
+      safeRecords = this.redactor.redactRecords(records);
+
+      // Group repeated errors so each distinct error is summarized once
+      groups = groupRecords(safeRecords);
+
+      // Only new, regressed or changed incidents are summarized again
+      const triage = this.incidents.observe(groups);
+      this.logIncidents(triage);
+      // A test run was asked for explicitly, so known failures are delivered again too
+      const deliverKnown = this.testMode && triage.known.length > 0;
+      if (triage.summarize.length === 0 && !deliverKnown) {
+        this.redactor.resetAudit();
+        this.reuseSummaries(triage, safeRecords, groups, startTime);
+        this.commitIncidents(triage);
+        settled = true;
+        if (segment) {
+          this.queue.ack(segment);
+        }
+        return;
+      }
+      groups = deliverKnown ? [...triage.summarize, ...triage.known] : triage.summarize;
+      safeRecords = groups.flatMap(group => group.records);
+      const regressions = triage.regressions.map(describeGroup);
+
+      // Attach code around the failing stack frames, and what changed there
+      const { snippets, sourceSnippets, git, gitContext } = await this.collectContext(groups);
+      if (snippets.length > 0) {
+        console.log(`📎 Attached ${snippets.length} source snippet(s)\n`);
+      }
+      if (git) {
+        console.log(`🌿 Attached git context: ${git.branch}, ${git.changes.files.length + git.changes.untracked.length} uncommitted file(s), ${git.commits.length} related commit(s)\n`);
+      }
+
+      const redactions = this.redactor.getAudit();
+      this.redactor.resetAudit();
+      this.logRedactions(redactions);
+
+      // Summarize the errors (known ones only need their incidents' summaries)
+      const summaryResult = (triage.summarize.length === 0 && this.knownSummary(triage))
+        || await this.summarizer.summarize(groups, { sourceSnippets, gitContext });
       const summary = summaryResult.summary;
 
       console.log('✅ Summary generated\n');
@@ -114,32 +374,441 @@ export class ErrorOrchestrator extends EventEmitter {
       console.log('─'.repeat(70));
       console.log();
 
-      // Send directly to Copilot
-      console.log('🤖 Step 2: Sending to GitHub Copilot...\n');
-      await this.copilot.sendToCopilot(summary, newErrors);
+      // Hand the prompt to the delivery targets (Copilot Chat by default)
+      console.log('📨 Step 2: Delivering the prompt...\n');
+      delivery = await this.delivery.deliver({
+        summary,
+        structured: summaryResult.structured,
+        records: safeRecords,
+        groups,
+        regressions,
+        sourceSnippets,
+        gitContext
+      }, { skip: segment?.delivered });
+
+      const historyEntry = this.recordHistory({
+        records: safeRecords,
+        groups,
+        summary,
+        structured: summaryResult.structured,
+        model: summaryResult.metadata.model,
+        provider: summaryResult.metadata.provider,
+        cacheHit: summaryResult.metadata.cacheHit,
+        delivery,
+        redactions,
+        snippets,
+        durationMs: Date.now() - startTime
+      });
+      // Incidents only change once the prompt is delivered; a failed batch is triaged again on retry
+      if (delivery.confirmed) {
+        this.commitIncidents(triage, { summary, historyId: historyEntry?.id });
+      }
 
-      // Clear the log file after successful processing
-      console.log('🗑️  Clearing processed errors from log...\n');
-      this.clearErrors();
+      // Remove the batch from the queue only if every target has the prompt
+      settled = true;
+      this.settleBatch(segment, delivery);
 
       // Emit event with the data
-      this.emit('errorsProcessed', {
+      const processed = {
         summary,
-        originalErrors: newErrors,
+        structured: summaryResult.structured,
+        records: safeRecords,
+        groups,
+        regressions,
+        redactions,
+        snippets,
+        delivery,
+        historyId: historyEntry?.id || null,
+        originalErrors: formatRecords(safeRecords),
         timestamp: new Date().toISOString()
+      };
+      this.emit('errorsProcessed', processed);
+
+      await this.proposeFix(processed);
+
+    } catch (error) {
+      this.logError('❌ Failed to process errors:', error.message);
+      this.recordHistory({
+        records: safeRecords,
+        groups,
+        status: 'failed',
+        error: error.message,
+        durationMs: Date.now() - startTime
       });
+      if (!settled) {
+        this.settleBatch(segment, delivery, error);
+      }
+    }
+  }
 
+  /**
+   * Collects the context attached to prompts: code around the failing stack frames and,
+   * in a git repository, what changed around them (both redacted like everything else)
+   * Also refreshes the branch and recent commits that templates show (projectOptions.git)
+   * @param {object[]} groups - Error groups
+   * @returns {Promise<object>} `snippets`, `sourceSnippets` (formatted), `git` and `gitContext` (formatted)
+   */
+  async collectContext(groups) {
+    const locations = this.sourceContext.frameLocations(groups);
+    const snippets = this.sourceContext.collect(groups, locations)
+      .map(snippet => ({ ...snippet, text: this.redactor.redact(snippet.text) }));
+    const git = await this.gitContext.forFrames(locations);
+    this.projectOptions.git = await this.gitContext.collect();
+
+    return {
+      snippets,
+      sourceSnippets: formatSnippets(snippets),
+      git,
+      gitContext: this.redactor.redact(formatGitContext(git, this.gitContext.maxFiles))
+    };
+  }
+
+  /**
+   * Acknowledges a queued batch once every delivery target confirmed it, otherwise moves
+   * it to the dead-letter area (targets that did get the prompt are skipped on retry)
+   * @param {object|null} segment - Queued batch
+   * @param {object|null} delivery - Delivery result, if delivery was reached
+   * @param {Error} error - Why processing failed
+   */
+  settleBatch(segment, delivery, error = null) {
+    if (!segment) {
+      return;
+    }
+
+    if (!error && delivery.confirmed) {
+      this.queue.ack(segment);
+      return;
+    }
+
+    const targets = delivery?.targets || [];
+    const reason = error?.message
+      || targets.filter(result => result.error).map(result => `${result.target}: ${result.error}`).join('; ')
+      || 'not every delivery target confirmed the prompt';
+    const failed = this.queue.deadLetter(segment, {
+      error: reason,
+      delivered: targets.filter(result => result.delivered).map(result => result.target)
+    });
+
+    console.log(`📥 Batch ${failed.id} moved to the dead-letter queue (${reason})`);
+    console.log(`💡 Retry it with: alith-notify queue retry ${failed.id}\n`);
+    this.emit('batchFailed', { id: failed.id, error: reason, records: failed.records.length });
+  }
+
+  /**
+   * Saves the incidents of a settled run
+   * A broken incidents file must never stop errors from being processed
+   * @param {object} triage - Result of IncidentRegistry.observe()
+   * @param {object} run - `summary` and `historyId`, if the run was summarized
+   */
+  commitIncidents(triage, run = null) {
+    try {
+      this.incidents.commit(triage, run);
+    } catch (error) {
+      console.log(`⚠️  Could not save incidents: ${error.message}\n`);
+    }
+  }
+
+  /**
+   * Logs how a run's errors relate to known incidents
+   * @param {object} triage - Result of IncidentRegistry.observe()
+   */
+  logIncidents(triage) {
+    if (!this.incidents.enabled) {
+      return;
+    }
+
+    const fresh = triage.summarize.filter(group => triage.incidents[group.fingerprint].state === 'new').length;
+    const counts = [
+      [fresh, 'new'],
+      [triage.regressions.length, 'regressed'],
+      [triage.summarize.length - fresh - triage.regressions.length, 'changed'],
+      [triage.known.length, 'known'],
+      [triage.muted.length, 'muted']
+    ].filter(([count]) => count > 0).map(([count, label]) => `${count} ${label}`);
+    console.log(`🗃️  Incidents: ${counts.join(', ')}\n`);
+
+    for (const group of triage.regressions) {
+      const incident = triage.incidents[group.fingerprint];
+      console.log(`🔁 Regression of ${incident.fingerprint.substring(0, 8)} (resolved ${new Date(incident.resolvedAt).toLocaleString()}): ${incident.title}\n`);
+    }
+  }
+
+  /**
+   * Finishes a run whose errors are all known or muted: no summary, no delivery
+   * The cached summaries of the known incidents are stored in the history instead
+   * @param {object} triage - Result of IncidentRegistry.observe()
+   * @param {object[]} records - Redacted records
+   * @param {object[]} groups - Error groups
+   * @param {number} startTime - When processing started
+   */
+  reuseSummaries(triage, records, groups, startTime) {
+    const summaries = [...new Set(triage.known
+      .map(group => triage.incidents[group.fingerprint].summary)
+      .filter(Boolean))];
+
+    console.log(`♻️  Nothing new to summarize${summaries.length > 0 ? ', reusing the cached summary' : ''}; not delivering again\n`);
+    const historyEntry = this.recordHistory({
+      records,
+      groups,
+      status: 'known',
+      summary: summaries.join('\n\n') || null,
+      durationMs: Date.now() - startTime
+    });
+
+    this.emit('incidentsRecurred', {
+      groups,
+      incidents: Object.values(triage.incidents),
+      summary: summaries.join('\n\n'),
+      historyId: historyEntry?.id || null
+    });
+  }
+
+  /**
+   * Builds a summary result from the summaries of known incidents
+   * @param {object} triage - Result of IncidentRegistry.observe()
+   * @returns {object|null} Summary result, or null if an incident has no summary
+   */
+  knownSummary(triage) {
+    const summaries = triage.known.map(group => triage.incidents[group.fingerprint].summary);
+    if (summaries.some(summary => !summary)) {
+      return null;
+    }
+
+    console.log(`♻️  Reusing the summary of ${summaries.length} known incident(s)\n`);
+    return {
+      summary: [...new Set(summaries)].join('\n\n'),
+      structured: null,
+      metadata: { model: this.summarizer.provider.model, provider: this.summarizer.provider.name, cacheHit: true }
+    };
+  }
+
+  /**
+   * Runs the optional fix stage for a processed batch
+   * Its failures are reported as events and never fail the run itself
+   * @param {object} processed - Data of the errorsProcessed event
+   */
+  async proposeFix(processed) {
+    if (!this.patcher.enabled) {
+      return;
+    }
+
+    console.log('🩹 Step 3: Proposing a fix...\n');
+    try {
+      const outcome = await this.patcher.run(processed, this.confirmFix);
+      this.logFixOutcome(outcome);
     } catch (error) {
-      console.error('❌ Failed to process errors:', error.message);
+      this.logError('❌ Fix stage failed:', error.message);
+      this.emit('fixFailed', { step: 'run', error: error.message });
+    }
+  }
+
+  /**
+   * Logs how the fix stage ended
+   * @param {object} outcome - Result of Patcher.run()
+   */
+  logFixOutcome(outcome) {
+    const { status, reason, proposal, verification } = outcome;
+    switch (status) {
+      case 'skipped':
+        console.log(`⏭️  Fix stage skipped: ${reason}\n`);
+        break;
+      case 'failed':
+        console.log('⚠️  No fix could be applied\n');
+        break;
+      case 'rejected':
+        console.log(`📄 Fix not applied; apply it later with: git apply ${proposal.patchPath}\n`);
+        break;
+      case 'applied':
+        console.log(`✅ Fix applied to ${proposal.changes.map(change => change.path).join(', ')}\n`);
+        break;
+      case 'verified':
+        console.log(`✅ Fix applied and \`${verification.command}\` passed\n`);
+        break;
+      case 'rolledBack':
+        console.log(`↩️  \`${verification.command}\` failed (exit ${verification.code ?? verification.signal}), fix rolled back; the patch is kept at ${proposal.patchPath}\n`);
+        break;
+    }
+  }
+
+  /**
+   * Stores a processing run in the local history
+   * A broken history file must never stop errors from being processed
+   * @param {object} run - Run details
+   * @returns {object|null} Stored entry, or null if it could not be stored
+   */
+  recordHistory(run) {
+    try {
+      const entry = this.history.add(run);
+      if (entry) {
+        console.log(`🗂️  Saved to history as ${entry.id}\n`);
+      }
+      return entry;
+    } catch (error) {
+      console.log(`⚠️  Could not save to history: ${error.message}\n`);
+      return null;
+    }
+  }
+
+  /**
+   * Prints one of alith-notify's own errors without capturing it as an error of the app
+   * (a failing provider would otherwise keep triggering processing)
+   * @param {...*} args - console.error arguments
+   */
+  logError(...args) {
+    if (this.errorCapture) {
+      this.errorCapture.quietly(() => console.error(...args));
+    } else {
+      console.error(...args);
     }
   }
 
+  /**
+   * Logs how many values of each kind were redacted
+   * @param {object} redactions - Redaction audit counts
+   */
+  logRedactions(redactions) {
+    if (redactions.total === 0) {
+      return;
+    }
+
+    const details = Object.entries(redactions)
+      .filter(([name]) => name !== 'total')
+      .map(([name, count]) => `${name} ×${count}`)
+      .join(', ');
+    console.log(`🔒 Redacted ${redactions.total} value(s): ${details}\n`);
+  }
+
+  /**
+   * Runs a child command, capturing its errors into the log
+   * Processing is triggered immediately if the command fails
+   * @param {string} command - Command to run
+   * @param {string[]} args - Command arguments
+   * @param {object} options - `ipc`: give the command an IPC channel for the reporter API
+   * @returns {Promise<object>} Exit result with code, signal and duration
+   */
+  async runCommand(command, args = [], options = {}) {
+    this.runner = createProcessRunner({
+      command,
+      args,
+      errorCapture: this.errorCapture,
+      ipc: options.ipc
+    });
+
+    const result = await this.runner.start();
+    this.runner = null;
+    this.emit('commandExited', { command, args, ...result });
+
+    if (result.code !== 0) {
+      const reason = result.signal ? `killed by ${result.signal}` : `exited with code ${result.code}`;
+      console.log(`\n💥 Command ${reason}, processing errors now...`);
+      await this.processNow();
+    }
+
+    return result;
+  }
+
+  /**
+   * Runs a test command and processes its failing tests
+   * Failures are read from the runner's report rather than its output, one record per
+   * failing test, and then go through the same queue, incidents, summary and delivery
+   * @param {string} command - Test command
+   * @param {string[]} args - Command arguments
+   * @param {object} options - Test runner options (runner, report, format)
+   * @returns {Promise<object>} Exit result, with the parsed `report` (or `reportError`)
+   */
+  async runTests(command, args = [], options = {}) {
+    this.runner = createTestRunner({ ...options, command, args });
+
+    const result = await this.runner.start();
+    this.runner = null;
+    this.emit('testsFinished', { command, args, ...result });
+
+    const failures = result.report?.failures || [];
+    if (result.report) {
+      const { format, total, passed, failed, skipped } = result.report;
+      console.log(`\n🧪 ${total} test(s): ${passed} passed, ${failed} failed, ${skipped} skipped (${format} report)`);
+    } else {
+      console.log(`\n⚠️  Could not read the test report: ${result.reportError}`);
+    }
+
+    for (const failure of failures) {
+      this.errorCapture.writeRecord(failureRecord(failure, { command: result.commandLine }));
+    }
+
+    // A crash before any test ran, or a failure outside the tests (coverage thresholds, ...)
+    if (failures.length === 0 && result.code !== 0) {
+      const reason = result.error
+        ? `could not be started: ${result.error.message}`
+        : (result.signal ? `was killed by ${result.signal}` : `exited with code ${result.code}`);
+      this.errorCapture.logError(`"${result.commandLine}" ${reason}${result.report ? ' without failing tests' : ''}\n${result.stderr}`.trim(), {
+        source: SOURCES.CHILD,
+        level: 'fatal',
+        pid: null,
+        command: result.commandLine
+      });
+    }
+
+    if (failures.length > 0 || result.code !== 0) {
+      console.log(`💥 ${failures.length > 0 ? `${failures.length} failing test(s)` : 'Test command failed'}, processing now...`);
+      this.testMode = true;
+      try {
+        await this.processNow();
+      } finally {
+        this.testMode = false;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Follows external log files, feeding their new content into the error log
+   * @param {string[]} files - Log files to follow
+   * @param {object} options - Tailer options (pollInterval, fromStart)
+   */
+  tailFiles(files, options = {}) {
+    this.tailer = createLogTailer({ files, ...options });
+
+    this.tailer.on('data', ({ file, content }) => {
+      const relativePath = path.relative(process.cwd(), file);
+      for (const entry of splitLogEntries(content)) {
+        this.errorCapture.logError(entry, {
+          source: SOURCES.TAIL,
+          file: relativePath,
+          pid: null,
+          command: null
+        });
+      }
+    });
+
+    this.tailer.on('truncated', ({ file }) => {
+      console.log(`✂️  Log truncated, reading from start: ${file}`);
+    });
+
+    this.tailer.on('rotated', ({ file }) => {
+      console.log(`🔁 Log rotated, following new file: ${file}`);
+    });
+
+    this.tailer.on('created', ({ file }) => {
+      console.log(`📄 Log file appeared: ${file}`);
+    });
+
+    this.tailer.on('tailError', ({ file, error }) => {
+      console.log(`⚠️  Could not read ${file}: ${error.message}`);
+    });
+
+    this.tailer.start();
+    this.emit('tailing', { files: this.tailer.files });
+  }
+
   /**
    * Manually triggers error processing
    */
   async processNow() {
     console.log('🔄 Manually triggering error processing...\n');
-    await this.checkAndProcessErrors();
+    this.scanLog();
+    this.policy?.reset(); // Manual runs don't count against the hourly limit
+    await this.runProcessing();
   }
 
   /**
@@ -148,7 +817,11 @@ export class ErrorOrchestrator extends EventEmitter {
   clearErrors() {
     if (this.errorCapture) {
       this.errorCapture.clearErrors();
+      this.queue.commit(0, this.errorCapture.logIdentity());
       this.lastProcessedSize = 0;
+      this.lastSeenSize = 0;
+      this.policy?.reset();
+      this.emit('errorsCleared');
     }
   }
 
@@ -156,9 +829,22 @@ export class ErrorOrchestrator extends EventEmitter {
    * Stops the orchestrator
    */
   stop() {
-    if (this.timer) {
-      clearInterval(this.timer);
-      this.timer = null;
+    if (this.policy) {
+      this.policy.stop();
+    }
+
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    if (this.runner) {
+      this.runner.kill();
+    }
+
+    if (this.tailer) {
+      this.tailer.stop();
+      this.tailer = null;
     }
 
     if (this.errorCapture) {
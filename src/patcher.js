@@ -0,0 +1,599 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { formatGroups } from './fingerprint.js';
+import { createProvider } from './providers.js';
+
+/**
+ * Events emitted for each step of the fix stage
+ */
+export const FIX_EVENTS = [
+  'fixStarted',
+  'fixSkipped',
+  'fixInvalid',
+  'fixProposed',
+  'fixRejected',
+  'fixApplied',
+  'fixVerified',
+  'fixRolledBack',
+  'fixFailed'
+];
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+const MAX_VERIFY_OUTPUT = 4000;
+
+/**
+ * Cleans a path from a `---`/`+++` diff header
+ * @param {string} text - Header path (may have an `a/`/`b/` prefix and a timestamp)
+ * @returns {string|null} Relative path, or null for /dev/null
+ */
+function headerPath(text) {
+  const file = text.split('\t')[0].trim();
+  if (file === '/dev/null') {
+    return null;
+  }
+  return file.replace(/^[ab]\//, '');
+}
+
+/**
+ * Parses a unified diff
+ * Text around the diff (or a ```diff fence) is ignored
+ * @param {string} text - Diff, possibly inside a model response
+ * @returns {object[]} Patches ({ oldPath, newPath, hunks: [{ oldStart, oldLines, newStart, newLines, lines }] })
+ */
+export function parseUnifiedDiff(text) {
+  const fenced = String(text).match(/```(?:diff|patch)?\s*\n([\s\S]*?)```/);
+  const lines = (fenced ? fenced[1] : String(text)).split(/\r?\n/);
+  const patches = [];
+  let patch = null;
+  let hunk = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      patch = { oldPath: headerPath(line.slice(4)), newPath: headerPath(lines[i + 1].slice(4)), hunks: [] };
+      patches.push(patch);
+      hunk = null;
+      i++;
+      continue;
+    }
+
+    const header = line.match(HUNK_HEADER);
+    if (header && patch) {
+      hunk = {
+        oldStart: Number(header[1]),
+        oldLines: header[2] === undefined ? 1 : Number(header[2]),
+        newStart: Number(header[3]),
+        newLines: header[4] === undefined ? 1 : Number(header[4]),
+        lines: []
+      };
+      patch.hunks.push(hunk);
+      continue;
+    }
+
+    if (!hunk || line.startsWith('\\')) {
+      continue;
+    }
+
+    // Hunk bodies are read by line prefix: models often get the line counts in the header wrong,
+    // and drop the space in front of empty context lines
+    if (line === '' || [' ', '-', '+'].includes(line[0])) {
+      hunk.lines.push(line === '' ? ' ' : line);
+    } else {
+      hunk = null;
+    }
+  }
+
+  for (const entry of patches) {
+    for (const { lines: hunkLines } of entry.hunks) {
+      // Blank lines after the last change are separators, not context
+      while (hunkLines.length > 0 && hunkLines[hunkLines.length - 1] === ' ') {
+        hunkLines.pop();
+      }
+    }
+  }
+
+  return patches.filter(entry => entry.hunks.length > 0);
+}
+
+/**
+ * Checks whether file lines match a hunk's old lines at a position
+ * Trailing whitespace is ignored
+ * @param {string[]} lines - File lines
+ * @param {string[]} expected - Old lines of the hunk
+ * @param {number} position - Index to compare at
+ * @returns {boolean} True if they match
+ */
+function matchesAt(lines, expected, position) {
+  if (position < 0 || position + expected.length > lines.length) {
+    return false;
+  }
+  return expected.every((line, index) => lines[position + index].trimEnd() === line.trimEnd());
+}
+
+/**
+ * Applies hunks to file content
+ * Hunks are located near their stated line first, then anywhere after the previous hunk
+ * @param {string} content - Original content ('' for a new file)
+ * @param {object[]} hunks - Parsed hunks
+ * @returns {string} Patched content
+ */
+export function applyHunks(content, hunks) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const finalNewline = content.length === 0 || content.endsWith('\n');
+  const lines = content.length === 0 ? [] : content.replace(/\r?\n$/, '').split(/\r?\n/);
+  let delta = 0;
+  let minPosition = 0;
+
+  for (const hunk of hunks) {
+    const oldLines = hunk.lines.filter(line => line[0] !== '+').map(line => line.slice(1));
+    const newLines = hunk.lines.filter(line => line[0] !== '-').map(line => line.slice(1));
+    const expected = Math.max(hunk.oldStart - 1 + delta, minPosition);
+
+    let position = -1;
+    for (let distance = 0; position === -1 && distance <= lines.length; distance++) {
+      for (const candidate of [expected - distance, expected + distance]) {
+        if (candidate >= minPosition && matchesAt(lines, oldLines, candidate)) {
+          position = candidate;
+          break;
+        }
+      }
+    }
+
+    if (position === -1) {
+      throw new Error(`hunk @@ -${hunk.oldStart},${hunk.oldLines} @@ does not match the file`);
+    }
+
+    lines.splice(position, oldLines.length, ...newLines);
+    delta += position - (hunk.oldStart - 1) + newLines.length - oldLines.length;
+    minPosition = position + newLines.length;
+  }
+
+  return lines.length === 0 ? '' : lines.join(eol) + (finalNewline ? eol : '');
+}
+
+/**
+ * Patcher - Optional fix stage: asks the LLM for a unified diff, checks that it applies to
+ * the working tree, applies it after review, runs a verification command and rolls back
+ * if verification fails. Every step is emitted as an event (see FIX_EVENTS)
+ */
+export class Patcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.enabled = options.enabled === true;
+    this.root = path.resolve(options.root || process.cwd());
+    this.autoApply = options.autoApply === true; // Apply without asking
+    this.verifyCommand = options.verifyCommand || null; // e.g. `npm test`
+    this.verifyTimeout = (options.verifyTimeout || 300) * 1000; // seconds in config
+    this.maxFiles = options.maxFiles || 5;
+    this.maxFileChars = options.maxFileChars || 20000;
+    this.maxAttempts = options.maxAttempts || 2;
+    this.patchDir = options.patchDir || path.join('.alith', 'patches');
+    this.redactor = options.redactor || null; // Files with secrets or PII are never sent to the LLM
+    // Defaults to the summarizer's provider (set by the orchestrator)
+    this.provider = options.providerInstance || (options.llm ? createProvider(options.llm) : null);
+  }
+
+  /**
+   * Runs the whole fix stage for a processing run
+   * @param {object} run - Summary, structured summary, groups, snippets and history id
+   * @param {Function} confirm - Async callback deciding whether to apply a proposal
+   * @returns {Promise<object|null>} Outcome ({ status, proposal, verification }), or null if disabled
+   */
+  async run(run, confirm) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const { files, withheld } = this.collectFiles(run.snippets, run.structured);
+    let reason = null;
+    if (!this.provider || this.provider.offline) {
+      reason = 'the fix stage needs an LLM provider';
+    } else if (files.length === 0) {
+      reason = withheld.length > 0
+        ? `the implicated files contain secrets or PII (${withheld.map(file => file.path).join(', ')})`
+        : 'no source files inside the project are implicated';
+    }
+    if (reason) {
+      this.emit('fixSkipped', { reason });
+      return { status: 'skipped', reason };
+    }
+
+    const proposal = await this.propose(run, files, withheld);
+    if (!proposal) {
+      return { status: 'failed' };
+    }
+
+    const approved = this.autoApply || (confirm ? await confirm(proposal) : false);
+    if (!approved) {
+      this.emit('fixRejected', { id: proposal.id, patchPath: proposal.patchPath });
+      return { status: 'rejected', proposal };
+    }
+
+    let changes;
+    try {
+      changes = this.apply(proposal);
+    } catch (error) {
+      this.emit('fixFailed', { id: proposal.id, step: 'apply', error: error.message });
+      return { status: 'failed', proposal };
+    }
+
+    if (!this.verifyCommand) {
+      return { status: 'applied', proposal };
+    }
+
+    const verification = await this.verify();
+    if (!verification.ok) {
+      this.rollback(changes, `${this.verifyCommand} failed`);
+      return { status: 'rolledBack', proposal, verification };
+    }
+    return { status: 'verified', proposal, verification };
+  }
+
+  /**
+   * Collects the files implicated by the errors: source snippet files, then the
+   * locations of the structured summary
+   * Whole files are sent to the LLM, so a file in which the redactor finds anything is
+   * withheld rather than sent redacted (a diff against placeholders wouldn't apply)
+   * @param {object[]} snippets - Source snippets
+   * @param {object|null} structured - Structured summary
+   * @returns {object} `files` ({ path (relative), content }) and `withheld` ({ path, found })
+   */
+  collectFiles(snippets = [], structured = null) {
+    const candidates = [
+      ...snippets.map(snippet => snippet.file),
+      ...(structured?.errors || []).flatMap(error => error.locations.map(location => location.file))
+    ];
+
+    const files = [];
+    const withheld = [];
+    for (const candidate of candidates) {
+      const absolute = path.resolve(this.root, candidate);
+      const relative = path.relative(this.root, absolute);
+      if (files.length >= this.maxFiles || [...files, ...withheld].some(file => file.path === relative) ||
+        !this.isInsideRoot(absolute) || !fs.existsSync(absolute)) {
+        continue;
+      }
+
+      const content = fs.readFileSync(absolute, 'utf-8');
+      if (content.length > this.maxFileChars) {
+        continue;
+      }
+
+      const found = this.redactor ? this.redactor.detect(content) : [];
+      if (found.length > 0) {
+        withheld.push({ path: relative, found });
+      } else {
+        files.push({ path: relative, content });
+      }
+    }
+    return { files, withheld };
+  }
+
+  /**
+   * Builds the prompt asking for a fix
+   * @param {object} run - Processing run
+   * @param {object[]} files - Implicated files
+   * @returns {string} Prompt text
+   */
+  buildPrompt(run, files) {
+    const sources = files.map(file => `--- FILE: ${file.path} ---\n${file.content}`).join('\n\n');
+
+    return `Fix the following errors with a minimal code change.
+
+--- START OF ERRORS ---
+${formatGroups(run.groups || [])}
+--- END OF ERRORS ---
+
+Analysis:
+${run.summary || 'n/a'}
+
+Source files (paths are relative to the project root):
+
+${sources}
+
+Respond with a single unified diff (like \`git diff\`) and nothing else:
+- use \`--- a/<path>\` and \`+++ b/<path>\` headers with the paths above
+- include 3 lines of unchanged context around every change, copied exactly from the files
+- only change the files above; changes to any other file are rejected
+- only change what is needed to fix the errors`;
+  }
+
+  /**
+   * Asks the LLM for a diff and checks it against the working tree
+   * Invalid diffs are sent back with the problems, up to maxAttempts times
+   * @param {object} run - Processing run
+   * @param {object[]} files - Implicated files (see collectFiles())
+   * @param {object[]} withheld - Implicated files that aren't sent (see collectFiles())
+   * @returns {Promise<object|null>} Proposal, or null if no valid diff was produced
+   */
+  async propose(run, files, withheld = []) {
+    this.emit('fixStarted', { files: files.map(file => file.path), withheld: withheld.map(file => file.path) });
+    const prompt = this.buildPrompt(run, files);
+    let request = prompt;
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let problems;
+      let response = '';
+      try {
+        response = await this.provider.complete(request, { task: 'fix', groups: run.groups, files });
+        const patches = parseUnifiedDiff(response);
+        if (patches.length === 0) {
+          throw new Error('Response contains no unified diff');
+        }
+
+        const sent = files.map(file => file.path);
+        const { changes, errors } = this.check(patches, sent);
+        if (errors.length === 0) {
+          return this.saveProposal(run, patches, changes, sent);
+        }
+        problems = errors;
+      } catch (error) {
+        problems = [error.message];
+      }
+
+      this.emit('fixInvalid', { attempt, errors: problems });
+      request = `${prompt}
+
+Your previous diff could not be applied:
+${problems.map(problem => `- ${problem}`).join('\n')}
+
+Previous response:
+${String(response).substring(0, 4000)}
+
+Respond again with only a corrected unified diff.`;
+    }
+
+    this.emit('fixFailed', { step: 'propose', error: `No applicable diff after ${this.maxAttempts} attempt(s)` });
+    return null;
+  }
+
+  /**
+   * Checks that patches apply cleanly to the working tree
+   * The model's input includes captured output anyone can write to, so a patch may only touch
+   * the files that were sent with the prompt, and never anything inside `.git`
+   * Several sections for the same file are applied one after the other, as `git apply` does
+   * @param {object[]} patches - Parsed patches
+   * @param {string[]} allowed - Paths (relative to the root) of the files sent to the model
+   * @returns {object} `changes` ({ path, absolute, original, updated, additions, deletions }) and `errors`
+   */
+  check(patches, allowed = []) {
+    const changes = [];
+    const errors = [];
+    const sent = new Set(allowed.map(file => path.normalize(file)));
+
+    for (const patch of patches) {
+      const relative = patch.newPath || patch.oldPath;
+      const absolute = path.resolve(this.root, relative || '');
+
+      const problem = [patch.oldPath, patch.newPath].filter(Boolean).map(file => this.pathProblem(file, sent)).find(Boolean);
+      if (!relative || problem) {
+        errors.push(`${relative || '(no path)'}: ${problem || 'path is outside the project'}`);
+        continue;
+      }
+
+      const hunkLines = patch.hunks.flatMap(hunk => hunk.lines);
+      const previous = changes.find(change => change.absolute === absolute);
+      if (previous) {
+        if (previous.updated === null || !patch.oldPath || !patch.newPath) {
+          errors.push(`${relative}: conflicting sections for the same file`);
+          continue;
+        }
+        try {
+          previous.updated = applyHunks(previous.updated, patch.hunks);
+          previous.additions += hunkLines.filter(line => line[0] === '+').length;
+          previous.deletions += hunkLines.filter(line => line[0] === '-').length;
+        } catch (error) {
+          errors.push(`${relative}: ${error.message}`);
+        }
+        continue;
+      }
+
+      const exists = fs.existsSync(absolute);
+      if (patch.oldPath && !exists) {
+        errors.push(`${relative}: file does not exist`);
+        continue;
+      }
+      if (!patch.oldPath && exists) {
+        errors.push(`${relative}: file already exists`);
+        continue;
+      }
+
+      const original = exists ? fs.readFileSync(absolute, 'utf-8') : null;
+      try {
+        const updated = applyHunks(original || '', patch.hunks);
+        changes.push({
+          path: path.relative(this.root, absolute),
+          absolute,
+          original,
+          updated: patch.newPath ? updated : null,
+          additions: hunkLines.filter(line => line[0] === '+').length,
+          deletions: hunkLines.filter(line => line[0] === '-').length
+        });
+      } catch (error) {
+        errors.push(`${relative}: ${error.message}`);
+      }
+    }
+
+    return { changes, errors };
+  }
+
+  /**
+   * Stores a valid proposal under patchDir so it can also be applied by hand
+   * @param {object} run - Processing run
+   * @param {object[]} patches - Parsed patches
+   * @param {object[]} changes - Checked changes
+   * @param {string[]} files - Paths of the files sent to the model (the only ones it may change)
+   * @returns {object} Proposal
+   */
+  saveProposal(run, patches, changes, files = []) {
+    const id = run.historyId || crypto.randomBytes(4).toString('hex');
+    const diff = formatDiff(patches);
+    const patchPath = path.join(this.patchDir, `${id}.diff`);
+
+    fs.mkdirSync(this.patchDir, { recursive: true });
+    fs.writeFileSync(patchPath, diff, 'utf-8');
+
+    const proposal = { id, diff, patchPath, patches, changes, files };
+    this.emit('fixProposed', {
+      id,
+      diff,
+      patchPath,
+      files: changes.map(({ path: file, additions, deletions }) => ({ path: file, additions, deletions }))
+    });
+    return proposal;
+  }
+
+  /**
+   * Applies a proposal, re-checking it against the current working tree first
+   * If a file can't be written, the ones already written are restored before the error is thrown
+   * @param {object} proposal - Proposal from propose()
+   * @returns {object[]} Applied changes (with the original content, for rollback)
+   */
+  apply(proposal) {
+    const { changes, errors } = this.check(proposal.patches, proposal.files);
+    if (errors.length > 0) {
+      throw new Error(`The patch no longer applies: ${errors.join('; ')}`);
+    }
+
+    const written = [];
+    for (const change of changes) {
+      try {
+        if (change.updated === null) {
+          fs.unlinkSync(change.absolute);
+        } else {
+          fs.mkdirSync(path.dirname(change.absolute), { recursive: true });
+          fs.writeFileSync(change.absolute, change.updated, 'utf-8');
+        }
+      } catch (error) {
+        // The failed write may have left a partial file behind, so it's restored too
+        this.rollback([...written, change], `could not write ${change.path}: ${error.message}`);
+        throw error;
+      }
+      written.push(change);
+    }
+
+    this.emit('fixApplied', { id: proposal.id, files: changes.map(change => change.path) });
+    return changes;
+  }
+
+  /**
+   * Runs the verification command
+   * @returns {Promise<object>} Result ({ ok, code, durationMs, output })
+   */
+  verify() {
+    const startTime = Date.now();
+
+    return new Promise((resolve) => {
+      let output = '';
+      const child = spawn(this.verifyCommand, { cwd: this.root, shell: true, stdio: ['ignore', 'pipe', 'pipe'] });
+      const collect = (chunk) => {
+        output = (output + chunk.toString()).slice(-MAX_VERIFY_OUTPUT);
+      };
+      const timer = setTimeout(() => child.kill('SIGTERM'), this.verifyTimeout);
+
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+      child.on('error', (error) => collect(error.message));
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        const result = {
+          command: this.verifyCommand,
+          ok: code === 0,
+          code,
+          signal,
+          durationMs: Date.now() - startTime,
+          output
+        };
+        this.emit('fixVerified', result);
+        resolve(result);
+      });
+    });
+  }
+
+  /**
+   * Restores the files changed by apply()
+   * Files that can't be restored are listed as `failed` in the fixRolledBack event
+   * @param {object[]} changes - Applied changes
+   * @param {string} reason - Why the fix is rolled back
+   */
+  rollback(changes, reason) {
+    const failed = []; // Every file is tried, even if one can't be restored
+    for (const change of changes) {
+      try {
+        if (change.original === null) {
+          fs.rmSync(change.absolute, { force: true });
+        } else {
+          fs.writeFileSync(change.absolute, change.original, 'utf-8');
+        }
+      } catch (error) {
+        failed.push(`${change.path}: ${error.message}`);
+      }
+    }
+    this.emit('fixRolledBack', { files: changes.map(change => change.path), reason, failed });
+  }
+
+  /**
+   * Explains why a patch may not touch a path
+   * @param {string} file - Path from a diff header, relative to the root
+   * @param {Set<string>} sent - Normalized paths of the files sent to the model
+   * @returns {string|null} Problem, or null if the path may be changed
+   */
+  pathProblem(file, sent) {
+    const absolute = path.resolve(this.root, file);
+    const relative = path.relative(this.root, absolute);
+
+    if (!this.isInsideRoot(absolute)) {
+      return 'path is outside the project';
+    }
+    if (relative.split(path.sep).includes('.git')) {
+      return 'files inside .git cannot be changed';
+    }
+    if (!sent.has(relative)) {
+      return 'only the files sent with the prompt can be changed';
+    }
+    return null;
+  }
+
+  /**
+   * Checks whether a path is inside the project root
+   * @param {string} file - Absolute path
+   * @returns {boolean} True if inside the root
+   */
+  isInsideRoot(file) {
+    const relative = path.relative(this.root, file);
+    return relative.length > 0 && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+}
+
+/**
+ * Formats parsed patches as a unified diff
+ * @param {object[]} patches - Parsed patches
+ * @returns {string} Diff text
+ */
+export function formatDiff(patches) {
+  const lines = [];
+  for (const patch of patches) {
+    lines.push(`--- ${patch.oldPath ? `a/${patch.oldPath}` : '/dev/null'}`);
+    lines.push(`+++ ${patch.newPath ? `b/${patch.newPath}` : '/dev/null'}`);
+    for (const hunk of patch.hunks) {
+      // Counted again: the model's header counts are often off
+      const oldLines = hunk.lines.filter(line => line[0] !== '+').length;
+      const newLines = hunk.lines.filter(line => line[0] !== '-').length;
+      lines.push(`@@ -${hunk.oldStart},${oldLines} +${hunk.newStart},${newLines} @@`, ...hunk.lines);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Creates and returns a new Patcher instance
+ * @param {object} options - Configuration options
+ * @returns {Patcher} New patcher instance
+ */
+export function createPatcher(options) {
+  return new Patcher(options);
+}
@@ -0,0 +1,252 @@
+import path from 'path';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { createRecord, splitLogEntries, SOURCES } from './records.js';
+
+/**
+ * Patterns used to pick error lines out of a child's stdout
+ */
+const DEFAULT_ERROR_PATTERNS = [
+  /\b(error|exception|fatal)\b/i,
+  /^\s+at .+[:(]\d+/,
+  /\bERR!/,
+  /\bUnhandled\b/i
+];
+
+const STDERR_QUIET_MS = 100; // An entry written in several chunks arrives within this
+const MAX_STDERR_BUFFER = 64 * 1024;
+
+/**
+ * ProcessRunner - Spawns a child command, tees its output and records its errors
+ * Emits `output` ({ stream, text }) for every chunk the child writes
+ */
+export class ProcessRunner extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.command = options.command;
+    this.args = options.args || [];
+    this.errorCapture = options.errorCapture || null;
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.captureStdoutErrors = options.captureStdoutErrors !== false;
+    this.errorPatterns = options.errorPatterns || DEFAULT_ERROR_PATTERNS;
+    this.ipc = options.ipc === true; // Opt-in: lets the reporter API in a Node child send records directly
+    this.child = null;
+    this.stdoutBuffer = '';
+    this.stderrBuffer = ''; // Recorded as log entries once the child pauses writing
+    this.stderrTimer = null;
+
+    if (!this.command) {
+      throw new Error('ProcessRunner requires a command to run');
+    }
+  }
+
+  /**
+   * Returns the full command line as a display string
+   * @returns {string} Command line
+   */
+  get commandLine() {
+    return [this.command, ...this.args].join(' ');
+  }
+
+  /**
+   * Spawns the child and resolves once it exits
+   * @returns {Promise<object>} Exit result with code, signal and duration
+   */
+  start() {
+    const startTime = Date.now();
+    console.log(`▶️  Running: ${this.commandLine}\n`);
+
+    return new Promise((resolve) => {
+      let settled = false;
+      const settle = (result) => {
+        if (!settled) {
+          settled = true;
+          this.emit('exit', result);
+          resolve(result);
+        }
+      };
+
+      this.child = spawn(this.command, this.args, {
+        cwd: this.cwd,
+        env: this.childEnv(),
+        stdio: ['inherit', 'pipe', 'pipe', ...(this.ipc ? ['ipc'] : [])],
+        shell: process.platform === 'win32'
+      });
+
+      this.child.on('message', (message) => this.receive(message));
+
+      this.child.stdout.on('data', (chunk) => {
+        process.stdout.write(chunk);
+        this.emit('output', { stream: 'stdout', text: chunk.toString() });
+        if (this.captureStdoutErrors) {
+          this.scanStdout(chunk.toString());
+        }
+      });
+
+      this.child.stderr.on('data', (chunk) => {
+        process.stderr.write(chunk);
+        this.emit('output', { stream: 'stderr', text: chunk.toString() });
+        this.bufferStderr(chunk.toString());
+      });
+
+      this.child.on('error', (error) => {
+        this.flushStderr();
+        this.record(`Failed to start "${this.commandLine}": ${error.message}`, { level: 'fatal' });
+        settle({ code: null, signal: null, error, duration: Date.now() - startTime });
+      });
+
+      this.child.on('close', (code, signal) => {
+        if (settled) {
+          return;
+        }
+        this.flushStdout();
+        this.flushStderr();
+
+        const result = { code, signal, duration: Date.now() - startTime };
+        if (code !== 0) {
+          const reason = signal ? `was killed by ${signal}` : `exited with code ${code}`;
+          this.record(`"${this.commandLine}" ${reason}`, { level: 'fatal', exitCode: code, signal });
+        }
+
+        settle(result);
+      });
+    });
+  }
+
+  /**
+   * Builds the child's environment
+   * Tells the reporter API where the capture log is and whether IPC is available
+   * @returns {object} Environment variables
+   */
+  childEnv() {
+    if (!this.errorCapture) {
+      return this.env;
+    }
+
+    return {
+      ...this.env,
+      // A collector client has no log file
+      ...(this.errorCapture.logFilePath ? { ALITH_CAPTURE_LOG: path.resolve(this.errorCapture.logFilePath) } : {}),
+      ...(this.ipc ? { ALITH_NOTIFY_IPC: '1' } : {})
+    };
+  }
+
+  /**
+   * Records an error the child sent with the reporter API
+   * @param {object} message - IPC message
+   */
+  receive(message) {
+    if (message?.type !== 'alith-notify:record' || typeof message.record?.message !== 'string') {
+      return;
+    }
+
+    if (this.errorCapture) {
+      this.errorCapture.writeRecord(createRecord({
+        pid: this.child?.pid ?? null,
+        command: this.commandLine,
+        ...message.record,
+        source: SOURCES.REPORT
+      }));
+    }
+  }
+
+  /**
+   * Records stdout lines that look like errors
+   * @param {string} text - Chunk of stdout
+   */
+  scanStdout(text) {
+    const lines = (this.stdoutBuffer + text).split('\n');
+    this.stdoutBuffer = lines.pop();
+
+    for (const line of lines) {
+      if (this.isErrorLine(line)) {
+        this.record(line, { stream: 'stdout' });
+      }
+    }
+  }
+
+  /**
+   * Collects stderr until the child stops writing for a moment, so that an entry written
+   * in several chunks (a long stack trace) becomes one record
+   * @param {string} text - Chunk of stderr
+   */
+  bufferStderr(text) {
+    this.stderrBuffer += text;
+    clearTimeout(this.stderrTimer);
+
+    if (this.stderrBuffer.length > MAX_STDERR_BUFFER) {
+      this.flushStderr();
+    } else {
+      this.stderrTimer = setTimeout(() => this.flushStderr(), STDERR_QUIET_MS);
+    }
+  }
+
+  /**
+   * Records the buffered stderr, one record per log entry
+   */
+  flushStderr() {
+    clearTimeout(this.stderrTimer);
+    this.stderrTimer = null;
+
+    const text = this.stderrBuffer;
+    this.stderrBuffer = '';
+    for (const entry of splitLogEntries(text)) {
+      this.record(entry, { stream: 'stderr' });
+    }
+  }
+
+  /**
+   * Flushes any partial stdout line left when the child exits
+   */
+  flushStdout() {
+    if (this.captureStdoutErrors && this.isErrorLine(this.stdoutBuffer)) {
+      this.record(this.stdoutBuffer, { stream: 'stdout' });
+    }
+    this.stdoutBuffer = '';
+  }
+
+  /**
+   * Checks whether a line matches one of the error patterns
+   * @param {string} line - Line of output
+   * @returns {boolean} True if the line looks like an error
+   */
+  isErrorLine(line) {
+    return line.trim().length > 0 && this.errorPatterns.some(pattern => pattern.test(line));
+  }
+
+  /**
+   * Writes a child process record to the error capture log
+   * @param {string} message - Entry to record
+   * @param {object} details - Extra record fields
+   */
+  record(message, details = {}) {
+    if (this.errorCapture) {
+      this.errorCapture.logError(message, {
+        source: SOURCES.CHILD,
+        pid: this.child?.pid ?? null,
+        command: this.commandLine,
+        ...details
+      });
+    }
+  }
+
+  /**
+   * Forwards a signal to the running child
+   * @param {string} signal - Signal name
+   */
+  kill(signal = 'SIGTERM') {
+    if (this.child && this.child.exitCode === null) {
+      this.child.kill(signal);
+    }
+  }
+}
+
+/**
+ * Creates and returns a new ProcessRunner instance
+ * @param {object} options - Configuration options
+ * @returns {ProcessRunner} New process runner instance
+ */
+export function createProcessRunner(options) {
+  return new ProcessRunner(options);
+}
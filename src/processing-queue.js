@@ -0,0 +1,210 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_QUEUE_DIR = path.join('.alith', 'queue');
+
+/**
+ * Writes a file so that readers see either the old or the new content, never half of it
+ * @param {string} file - File path
+ * @param {object} data - JSON data
+ */
+function writeJsonAtomic(file, data) {
+  const tempPath = `${file}.tmp`;
+  fs.writeFileSync(tempPath, `${JSON.stringify(data)}\n`, 'utf-8');
+  fs.renameSync(tempPath, file);
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} file - File path
+ * @returns {object|null} Parsed data, or null if missing or unreadable
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * ProcessingQueue - Keeps captured batches on disk until every delivery target has them
+ * - `offset.json`: how far the capture log has been read into batches (the committed offset)
+ * - `segments/`: batches waiting to be processed, oldest first
+ * - `dead-letter/`: batches whose processing or delivery failed, until retried or dropped
+ * A batch is written before the offset is committed, and removed only once it is acknowledged,
+ * so a killed process picks up where it left off (errors may be delivered twice, never lost)
+ */
+export class ProcessingQueue {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_QUEUE_DIR;
+    this.offsetPath = path.join(this.dir, 'offset.json');
+    this.segmentsDir = path.join(this.dir, 'segments');
+    this.deadLetterDir = path.join(this.dir, 'dead-letter');
+  }
+
+  /**
+   * Returns the committed capture log position
+   * @returns {object} `offset` (bytes) and `ino` (identifies the log file it belongs to)
+   */
+  committed() {
+    const state = readJson(this.offsetPath);
+    return { offset: state?.offset || 0, ino: state?.ino ?? null };
+  }
+
+  /**
+   * Commits the capture log position; everything before it is in a batch
+   * @param {number} offset - Byte offset in the capture log
+   * @param {number|null} ino - Inode of the capture log
+   */
+  commit(offset, ino) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    writeJsonAtomic(this.offsetPath, { offset, ino, committedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Writes a batch of records as a new segment
+   * @param {object[]} records - Classified records
+   * @returns {object} Segment ({ id, createdAt, attempts, delivered, records })
+   */
+  enqueue(records) {
+    // Time-ordered ids, so segments sort in the order they were captured
+    const id = `${Date.now().toString(36).padStart(9, '0')}-${crypto.randomBytes(2).toString('hex')}`;
+    const segment = { id, createdAt: new Date().toISOString(), attempts: 0, delivered: [], records };
+
+    fs.mkdirSync(this.segmentsDir, { recursive: true });
+    writeJsonAtomic(path.join(this.segmentsDir, `${id}.json`), segment);
+    return segment;
+  }
+
+  /**
+   * Reads the segments in a folder, oldest first
+   * @param {string} dir - segments/ or dead-letter/
+   * @returns {object[]} Segments
+   */
+  readDir(dir) {
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(file => readJson(path.join(dir, file)))
+      .filter(Boolean); // A segment that can't be parsed was never completely written
+  }
+
+  /**
+   * Lists the batches waiting to be processed, oldest first
+   * @returns {object[]} Segments
+   */
+  pending() {
+    return this.readDir(this.segmentsDir);
+  }
+
+  /**
+   * Lists the batches that failed, oldest first
+   * @returns {object[]} Segments, with `failedAt` and `error`
+   */
+  deadLetters() {
+    return this.readDir(this.deadLetterDir);
+  }
+
+  /**
+   * Removes a batch that every delivery target has confirmed
+   * @param {object} segment - Segment
+   */
+  ack(segment) {
+    fs.rmSync(path.join(this.segmentsDir, `${segment.id}.json`), { force: true });
+  }
+
+  /**
+   * Moves a batch to the dead-letter area
+   * @param {object} segment - Segment
+   * @param {object} failure - `error` and the target names that did get the prompt (`delivered`)
+   * @returns {object} Dead-lettered segment
+   */
+  deadLetter(segment, failure = {}) {
+    const failed = {
+      ...segment,
+      attempts: segment.attempts + 1,
+      delivered: [...new Set([...segment.delivered, ...(failure.delivered || [])])],
+      failedAt: new Date().toISOString(),
+      error: failure.error || null
+    };
+
+    fs.mkdirSync(this.deadLetterDir, { recursive: true });
+    writeJsonAtomic(path.join(this.deadLetterDir, `${segment.id}.json`), failed);
+    this.ack(segment);
+    return failed;
+  }
+
+  /**
+   * Finds dead-lettered batches by id (a unique prefix is enough), or all of them
+   * @param {string} id - Segment id or id prefix; all batches if not given
+   * @returns {object[]} Matching segments
+   */
+  findDeadLetters(id) {
+    const segments = this.deadLetters();
+    if (!id) {
+      return segments;
+    }
+
+    const matches = segments.filter(segment => segment.id.startsWith(id));
+    if (matches.length === 0) {
+      throw new Error(`No dead-lettered batch with id ${id}`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Ambiguous batch id "${id}" matches ${matches.length} batches`);
+    }
+    return matches;
+  }
+
+  /**
+   * Moves dead-lettered batches back into the queue; they're processed on the next run
+   * Targets that already got a batch's prompt are skipped when it is retried
+   * @param {string} id - Segment id or id prefix; all batches if not given
+   * @returns {object[]} Requeued segments
+   */
+  retry(id) {
+    const segments = this.findDeadLetters(id);
+    fs.mkdirSync(this.segmentsDir, { recursive: true });
+
+    return segments.map(({ failedAt, error, ...segment }) => {
+      writeJsonAtomic(path.join(this.segmentsDir, `${segment.id}.json`), segment);
+      fs.rmSync(path.join(this.deadLetterDir, `${segment.id}.json`), { force: true });
+      return segment;
+    });
+  }
+
+  /**
+   * Deletes dead-lettered batches
+   * @param {string} id - Segment id or id prefix; all batches if not given
+   * @returns {object[]} Deleted segments
+   */
+  drop(id) {
+    const segments = this.findDeadLetters(id);
+    for (const segment of segments) {
+      fs.rmSync(path.join(this.deadLetterDir, `${segment.id}.json`), { force: true });
+    }
+    return segments;
+  }
+
+  /**
+   * Returns the records of the batches waiting to be processed
+   * @returns {object[]} Records
+   */
+  pendingRecords() {
+    return this.pending().flatMap(segment => segment.records);
+  }
+}
+
+/**
+ * Creates and returns a new ProcessingQueue instance
+ * @param {object} options - Configuration options
+ * @returns {ProcessingQueue} New processing queue instance
+ */
+export function createProcessingQueue(options) {
+  return new ProcessingQueue(options);
+}
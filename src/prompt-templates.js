@@ -0,0 +1,273 @@
+import fs from 'fs';
+import path from 'path';
+import { ensureGroups, formatGroups } from './fingerprint.js';
+import { notificationVars } from './notifier.js';
+import { failingTests } from './test-reports.js';
+
+/**
+ * Folder with per-project templates; `<name>.md` there replaces the built-in template `name`
+ */
+export const TEMPLATES_DIR = path.join('.alith', 'templates');
+
+/**
+ * Built-in templates
+ * - `summary`: the summarizer request (`{{instructions}}` asks for the JSON or prose answer)
+ * - `prompt`: the prompt handed to Copilot and the other delivery targets
+ * - `issue`, `issue-title`: GitHub issue body and title
+ */
+export const DEFAULT_TEMPLATES = {
+  summary: `Analyze the following error logs and provide a concise summary:
+{{#if grouped}}
+
+Repeated errors are listed once, with their occurrence count (×N) and first/last seen times.
+{{/if}}
+{{#if tests}}
+
+These errors are failing tests from a test run. Each one names the test and, where the runner
+reported them, the expected and actual values. Explain why each test fails.
+{{/if}}
+
+--- START OF LOGS ---
+{{errors}}
+--- END OF LOGS ---
+{{#if sourceSnippets}}
+
+Source code around the stack frames (the failing line is marked with >):
+
+--- START OF SOURCE ---
+{{sourceSnippets}}
+--- END OF SOURCE ---
+{{/if}}
+{{#if gitContext}}
+
+What changed in the repository around the failing code:
+
+--- START OF GIT CONTEXT ---
+{{gitContext}}
+--- END OF GIT CONTEXT ---
+{{/if}}
+
+{{instructions}}`,
+
+  prompt: `{{#if tests}}
+# Make These Tests Pass
+
+These tests fail. I used AI to summarize why; please help me change the code so that they pass.
+
+## Failing Tests
+{{#each tests}}
+- {{name}}{{#if location}} (\`{{location}}\`){{/if}}
+{{/each}}
+{{else}}
+# Fix These Terminal Errors
+
+I captured errors from my terminal and used AI to summarize them. Please help me fix these issues.
+{{/if}}
+
+## Error Summary (from Alith Notify)
+{{summary}}
+{{#if regressions}}
+
+## Regressions
+These errors were fixed before and came back, so please look at them first:
+{{#each regressions}}
+- {{title}}{{#if location}} at \`{{location}}\`{{/if}}
+{{/each}}
+{{/if}}
+
+## {{#if tests}}Test Failures{{else}}Original Error Logs{{/if}}
+\`\`\`
+{{errors}}
+\`\`\`
+{{#if sourceSnippets}}
+
+## Relevant Source Code
+The failing line of each stack frame is marked with \`>\`.
+
+{{sourceSnippets}}
+{{/if}}
+{{#if gitContext}}
+
+## What Changed Recently
+Branch, uncommitted changes, recent commits to the failing files and who last changed the failing lines:
+
+{{gitContext}}
+{{/if}}
+
+## What I Need
+{{#if tests}}
+1. **Why Each Test Fails**: Is the code under test wrong, or the test itself?
+2. **Code Changes**: Show me the exact code changes that make these tests pass
+3. **Keep the Intent**: Don't weaken or delete assertions, unless a test is wrong (then say why)
+{{else}}
+1. **Root Cause Analysis**: What's causing these errors?
+2. **Specific Fixes**: Which files need to be modified?
+3. **Code Changes**: Show me the exact code changes needed
+4. **Step-by-Step**: Guide me through fixing this
+{{/if}}
+
+{{#if sourceSnippets}}
+Please be specific and actionable. The relevant source code is included above; if you need to see more, let me know which files.
+{{else}}
+Please be specific and actionable. If you need to see more code, let me know which files.
+{{/if}}`,
+
+  issue: `## Summary
+
+{{summary}}
+{{#if regressions}}
+
+**Regression:** {{#each regressions}}{{#unless @first}}, {{/unless}}{{title}}{{/each}} came back after being resolved.
+{{/if}}
+
+{{#if tests}}
+## Failing Tests
+
+{{#each tests}}
+- \`{{name}}\`{{#if location}} in \`{{location}}\`{{/if}}
+{{/each}}
+
+{{/if}}
+## Errors
+
+{{#each groups}}
+- **{{title}}** (×{{count}}, {{level}}){{#if location}} at \`{{location}}\`{{/if}}
+{{/each}}
+
+<details>
+<summary>{{groupCount}} distinct error(s), {{errorCount}} occurrence(s)</summary>
+
+\`\`\`
+{{errors}}
+\`\`\`
+
+</details>
+{{#if sourceSnippets}}
+
+## Relevant Source Code
+
+{{sourceSnippets}}
+{{/if}}
+{{#if gitContext}}
+
+## What Changed Recently
+
+\`\`\`
+{{gitContext}}
+\`\`\`
+{{/if}}
+
+## Environment
+
+- Project: \`{{project}}\`{{#if packageJson.version}} {{packageJson.version}}{{/if}}
+{{#if gitBranch}}
+- Branch: \`{{gitBranch}}\`
+{{/if}}
+- Captured: {{timestamp}}
+
+_Reported by alith-notify_`,
+
+  'issue-title': '{{topError}}'
+};
+
+/**
+ * Reads the project details available to every template
+ * Templates render synchronously, so the git details are gathered beforehand (GitContext.collect())
+ * @param {string} root - Project root
+ * @param {object} options - `git`: branch and commits from GitContext.collect() (null leaves them
+ * out); `redact`: function applied to the branch and commit text before it goes into a prompt
+ * @returns {object} packageJson, gitBranch, commits and recentCommits (one commit per line)
+ */
+export function projectVars(root = process.cwd(), options = {}) {
+  const git = options.git || { branch: null, commits: [] };
+  const redact = options.redact || (text => text);
+
+  let packageJson = null;
+  try {
+    packageJson = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf-8'));
+  } catch (error) {
+    // No package.json, or not valid JSON
+  }
+
+  const commits = git.commits.map(commit => ({ ...commit, subject: redact(commit.subject), author: redact(commit.author) }));
+  return {
+    packageJson,
+    gitBranch: git.branch && redact(git.branch),
+    commits,
+    recentCommits: commits.map(commit => `${commit.hash} ${commit.subject}`).join('\n')
+  };
+}
+
+/**
+ * Builds the variables available to delivery templates
+ * Everything from notification templates and projectVars(), plus the formatted errors, the failing
+ * tests (for test runs), source code and git context
+ * @param {object} data - Summary, structured summary, records or groups (or `errors` text), regressions,
+ * sourceSnippets, gitContext
+ * @param {object} options - `maxErrorChars` (size budget for `errors`) and `project` (projectVars() options)
+ * @returns {object} Template variables
+ */
+export function promptVars(data, options = {}) {
+  const maxErrorChars = options.maxErrorChars || 8000;
+  const items = data.groups || data.records;
+  const groups = Array.isArray(items) ? ensureGroups(items) : [];
+  const errorText = Array.isArray(items) ? formatGroups(groups) : String(data.errors || ''); // or raw log text
+  const records = data.records || groups.flatMap(group => group.records);
+
+  return {
+    ...notificationVars({ ...data, groups, records }),
+    ...projectVars(process.cwd(), options.project),
+    errors: errorText.length > maxErrorChars
+      ? `${errorText.substring(0, maxErrorChars)}\n... (truncated)`
+      : errorText,
+    regressions: data.regressions || [],
+    tests: failingTests(records),
+    sourceSnippets: data.sourceSnippets || '',
+    gitContext: data.gitContext || ''
+  };
+}
+
+/**
+ * Resolves a template: an inline `template`, a `templateFile`, `.alith/templates/<name>.md`,
+ * or the built-in one
+ * Files are read on every use, so edits apply to the next run
+ * @param {object} options - Config with `template` and/or `templateFile`
+ * @param {string} name - Template name (summary, prompt, issue, issue-title)
+ * @returns {string} Template text
+ */
+export function resolveTemplate(options = {}, name = 'prompt') {
+  if (options.template) {
+    return options.template;
+  }
+
+  const file = options.templateFile || path.join(TEMPLATES_DIR, `${name}.md`);
+  if (options.templateFile || fs.existsSync(file)) {
+    try {
+      return fs.readFileSync(file, 'utf-8');
+    } catch (error) {
+      throw new Error(`Cannot read template ${file}: ${error.message}`);
+    }
+  }
+
+  if (!(name in DEFAULT_TEMPLATES)) {
+    throw new Error(`Unknown template: ${name} (built-in: ${Object.keys(DEFAULT_TEMPLATES).join(', ')})`);
+  }
+  return DEFAULT_TEMPLATES[name];
+}
+
+/**
+ * Lists the built-in templates and the ones in `.alith/templates`
+ * @returns {object[]} Templates ({ name, builtIn, file })
+ */
+export function listTemplates() {
+  const files = fs.existsSync(TEMPLATES_DIR)
+    ? fs.readdirSync(TEMPLATES_DIR).filter(file => file.endsWith('.md')).map(file => path.basename(file, '.md'))
+    : [];
+  const names = [...new Set([...Object.keys(DEFAULT_TEMPLATES), ...files])];
+
+  return names.map(name => ({
+    name,
+    builtIn: name in DEFAULT_TEMPLATES,
+    file: files.includes(name) ? path.join(TEMPLATES_DIR, `${name}.md`) : null
+  }));
+}
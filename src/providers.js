@@ -0,0 +1,168 @@
+import { createHeuristicProvider } from './heuristic-provider.js';
+
+export const DEFAULT_PREAMBLE =
+  'You are an expert log analyzer. Your task is to analyze error logs and provide concise, actionable summaries. Focus on: 1) What went wrong, 2) Potential causes, 3) Recommended actions. Be specific and technical.';
+
+/**
+ * LLM providers share one interface:
+ *   - `name`, `model` and `label` describe the backend
+ *   - `offline` is true when no network is needed
+ *   - `complete(prompt, context)` resolves to the response text; `context` carries the
+ *     structured input (`groups`, `logContent`, `task`) for providers that don't read prompts,
+ *     and `format: 'json'` (with the `schema`) when a JSON summary is expected
+ */
+
+/**
+ * AlithProvider - OpenAI models through the Alith Agent SDK
+ */
+export class AlithProvider {
+  constructor(options = {}) {
+    this.name = 'alith';
+    this.offline = false;
+    this.model = options.model || 'gpt-4o-mini';
+    this.baseUrl = options.baseUrl;
+    this.preamble = options.preamble || DEFAULT_PREAMBLE;
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.agent = null;
+
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+  }
+
+  get label() {
+    return `Alith Agent (${this.model})`;
+  }
+
+  /**
+   * Sends a prompt to the Alith Agent
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Response text
+   */
+  async complete(prompt) {
+    if (!this.agent) {
+      // Loaded lazily so offline providers work without the native Alith binary
+      const { Agent } = await import('alith');
+      this.agent = new Agent({
+        model: this.model,
+        apiKey: this.apiKey,
+        preamble: this.preamble,
+        ...(this.baseUrl ? { baseUrl: this.baseUrl } : {})
+      });
+    }
+
+    return this.agent.prompt(prompt);
+  }
+}
+
+/**
+ * OpenAICompatibleProvider - Any `/chat/completions` endpoint (llama.cpp, Ollama, vLLM, ...)
+ */
+export class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai-compatible';
+    this.offline = false;
+    this.baseUrl = (options.baseUrl || process.env.ALITH_BASE_URL || 'http://localhost:11434/v1').replace(/\/+$/, '');
+    this.model = options.model || 'llama3.1';
+    this.preamble = options.preamble || DEFAULT_PREAMBLE;
+    this.apiKey = options.apiKey || process.env[options.apiKeyEnv || 'ALITH_LLM_API_KEY'];
+    this.timeout = options.timeout || 120000; // milliseconds
+    this.temperature = options.temperature ?? 0.2;
+    this.jsonMode = options.jsonMode !== false; // Send response_format for JSON requests
+  }
+
+  get label() {
+    return `${this.model} at ${this.baseUrl}`;
+  }
+
+  /**
+   * Sends a chat completion request
+   * @param {string} prompt - Prompt text
+   * @param {object} context - Request context (format)
+   * @returns {Promise<string>} Response text
+   */
+  async complete(prompt, context = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          temperature: this.temperature,
+          messages: [
+            { role: 'system', content: this.preamble },
+            { role: 'user', content: prompt }
+          ],
+          ...(this.jsonMode && context.format === 'json' ? { response_format: { type: 'json_object' } } : {})
+        }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new Error(`Request to ${this.baseUrl} failed: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`${this.baseUrl} responded with ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error(`Unexpected response from ${this.baseUrl}: no message content`);
+    }
+
+    return content;
+  }
+}
+
+/**
+ * Decides which provider to use
+ * Explicit choice wins, then ALITH_PROVIDER, then a configured base URL,
+ * then OpenAI if a key is present, and finally the offline heuristic summarizer
+ * @param {object} options - Provider options
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(options = {}) {
+  const explicit = options.provider || process.env.ALITH_PROVIDER;
+
+  if (explicit && explicit !== 'auto') {
+    return explicit;
+  }
+  if (options.baseUrl || process.env.ALITH_BASE_URL) {
+    return 'openai-compatible';
+  }
+  if (process.env.OPENAI_API_KEY) {
+    return 'alith';
+  }
+  return 'heuristic';
+}
+
+/**
+ * Creates the configured LLM provider
+ * @param {object} options - Provider options (provider, model, baseUrl, apiKey, preamble, ...)
+ * @returns {object} Provider instance
+ */
+export function createProvider(options = {}) {
+  const name = resolveProviderName(options);
+  const model = options.model || process.env.ALITH_MODEL;
+
+  switch (name) {
+    case 'alith':
+    case 'openai':
+      return new AlithProvider({ ...options, model });
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider({ ...options, model });
+    case 'heuristic':
+      return createHeuristicProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider: ${name} (expected alith, openai-compatible or heuristic)`);
+  }
+}
@@ -0,0 +1,282 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Where a captured record came from
+ */
+export const SOURCES = {
+  STDERR: 'stderr',
+  CONSOLE: 'console.error',
+  UNCAUGHT: 'uncaught',
+  REJECTION: 'rejection',
+  CHILD: 'child',
+  TAIL: 'tail',
+  REPORT: 'report',
+  TEST: 'test'
+};
+
+// Source labels used by the legacy `[timestamp] [SOURCE] message` format
+const LEGACY_SOURCES = {
+  'STDERR': SOURCES.STDERR,
+  'CONSOLE.ERROR': SOURCES.CONSOLE,
+  'UNCAUGHT EXCEPTION': SOURCES.UNCAUGHT,
+  'UNHANDLED REJECTION': SOURCES.REJECTION,
+  'CHILD STDERR': SOURCES.CHILD,
+  'CHILD STDOUT': SOURCES.CHILD,
+  'CHILD EXIT': SOURCES.CHILD,
+  'CHILD ERROR': SOURCES.CHILD
+};
+
+const LEGACY_LINE = /^\[(\d{4}-\d{2}-\d{2}T[^\]]+)\] \[([A-Z. ]+?|TAIL [^\]]+)\] ?(.*)$/;
+const FRAME_LINE = /^\s*at\s+/;
+const FRAME_WITH_FUNCTION = /^\s*at\s+(?:async\s+)?(.+?)\s+\((.+?)(?::(\d+))?(?::(\d+))?\)\s*$/;
+const FRAME_LOCATION_ONLY = /^\s*at\s+(?:async\s+)?(.+?)(?::(\d+))?(?::(\d+))?\s*$/;
+const NODE_SOURCE_HEADER = /^\S.*:\d+\s*$/; // `/app/server.js:42` above an uncaught error
+const CARET_LINE = /^\s*\^+\s*$/;
+const NODE_VERSION_LINE = /^Node\.js v\d+/;
+
+/**
+ * The command line of the current process, used as the default record command
+ * @returns {string} Command line
+ */
+export function currentCommand() {
+  return [path.basename(process.argv[0]), ...process.argv.slice(1)].join(' ');
+}
+
+/**
+ * Parses a single `at ...` stack frame line
+ * @param {string} line - Stack frame line
+ * @returns {object} Frame with function, file, line, column and raw text
+ */
+export function parseFrame(line) {
+  const raw = line.trim();
+  const match = line.match(FRAME_WITH_FUNCTION) || line.match(FRAME_LOCATION_ONLY);
+  const withFunction = FRAME_WITH_FUNCTION.test(line);
+
+  if (!match) {
+    return { function: null, file: null, line: null, column: null, raw };
+  }
+
+  let file = withFunction ? match[2] : match[1];
+  const lineNumber = withFunction ? match[3] : match[2];
+  const column = withFunction ? match[4] : match[3];
+
+  if (file.startsWith('file://')) {
+    try {
+      file = fileURLToPath(file);
+    } catch (error) {
+      // Keep the URL as-is if it can't be converted
+    }
+  }
+
+  return {
+    function: withFunction ? match[1] : null,
+    file,
+    line: lineNumber ? Number(lineNumber) : null,
+    column: column ? Number(column) : null,
+    raw
+  };
+}
+
+/**
+ * Splits text into the message lines and the parsed stack frames
+ * @param {string} text - Error text, possibly including a stack trace
+ * @returns {object} Object with `message` and `stack` (frame array)
+ */
+export function parseStack(text) {
+  const messageLines = [];
+  const stack = [];
+
+  for (const line of String(text).split('\n')) {
+    if (FRAME_LINE.test(line)) {
+      stack.push(parseFrame(line));
+    } else {
+      messageLines.push(line);
+    }
+  }
+
+  return { message: messageLines.join('\n').trim(), stack };
+}
+
+/**
+ * Creates a structured error record
+ * Stack frames are parsed out of the message unless a stack is given
+ * @param {object} fields - Record fields (message, source, level, stack, ...)
+ * @returns {object} Error record
+ */
+export function createRecord(fields = {}) {
+  const { message: text, stack: frames, timestamp, source, level, pid, cwd, command, ...extra } = fields;
+  const parsed = parseStack(text || '');
+
+  return {
+    timestamp: timestamp || new Date().toISOString(),
+    source: source || SOURCES.STDERR,
+    level: level || 'error',
+    message: parsed.message,
+    stack: Array.isArray(frames) ? frames : parsed.stack,
+    pid: pid === undefined ? process.pid : pid,
+    cwd: cwd === undefined ? process.cwd() : cwd,
+    command: command === undefined ? currentCommand() : command,
+    ...extra
+  };
+}
+
+/**
+ * Serializes a record as a single NDJSON line
+ * @param {object} record - Error record
+ * @returns {string} NDJSON line including trailing newline
+ */
+export function serializeRecord(record) {
+  return `${JSON.stringify(record)}\n`;
+}
+
+/**
+ * Parses captured log content into records
+ * Reads NDJSON records as well as the legacy `[timestamp] [SOURCE] message` text format,
+ * where lines without a header continue the previous entry
+ * @param {string} text - Log content
+ * @returns {object[]} Parsed records
+ */
+export function parseRecords(text) {
+  const records = [];
+  let legacy = null;
+
+  const flushLegacy = () => {
+    if (legacy) {
+      const { lines, ...fields } = legacy;
+      records.push(createRecord({ ...fields, message: lines.join('\n') }));
+      legacy = null;
+    }
+  };
+
+  for (const line of String(text || '').split('\n')) {
+    if (line.startsWith('{')) {
+      try {
+        const record = JSON.parse(line);
+        flushLegacy();
+        records.push(record);
+        continue;
+      } catch (error) {
+        // Not JSON - fall through and treat as text
+      }
+    }
+
+    const header = line.match(LEGACY_LINE);
+    if (header) {
+      flushLegacy();
+      const [, timestamp, label, message] = header;
+      const isTail = label.startsWith('TAIL ');
+      legacy = {
+        timestamp,
+        source: isTail ? SOURCES.TAIL : (LEGACY_SOURCES[label] || label.toLowerCase()),
+        level: label === 'UNCAUGHT EXCEPTION' ? 'fatal' : 'error',
+        ...(isTail ? { file: label.substring(5) } : {}),
+        lines: [message],
+        pid: null,
+        cwd: null,
+        command: null
+      };
+    } else if (legacy && line.trim().length > 0) {
+      legacy.lines.push(line);
+    } else if (line.trim().length > 0) {
+      legacy = { source: 'unknown', lines: [line], pid: null, cwd: null, command: null };
+    }
+  }
+
+  flushLegacy();
+  return records;
+}
+
+/**
+ * Splits plain log text into entries
+ * Indented lines (such as stack frames) continue the entry above them. Node prints the
+ * failing source line (`file:line`, the code and a caret) above an uncaught error and its
+ * version below it; both stay with the error
+ * @param {string} text - Plain log text
+ * @returns {string[]} Log entries
+ */
+export function splitLogEntries(text) {
+  const entries = [];
+  const lines = String(text).split('\n');
+  let header = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (line.trim().length === 0) {
+      continue;
+    }
+    if (NODE_SOURCE_HEADER.test(line) && CARET_LINE.test(lines[i + 2] || '')) {
+      header = lines.slice(i, i + 3).join('\n');
+      i += 2;
+      continue;
+    }
+
+    if (header) {
+      entries.push(`${header}\n\n${line}`);
+      header = null;
+    } else if (entries.length > 0 && (/^\s/.test(line) || NODE_VERSION_LINE.test(line))) {
+      entries[entries.length - 1] += `\n${line}`;
+    } else {
+      entries.push(line);
+    }
+  }
+
+  if (header) {
+    entries.push(header);
+  }
+  return entries;
+}
+
+/**
+ * Formats a record as readable text for prompts and console output
+ * @param {object} record - Error record
+ * @param {object} options - Formatting options (maxFrames)
+ * @returns {string} Formatted record
+ */
+export function formatRecord(record, options = {}) {
+  const maxFrames = options.maxFrames ?? 10;
+  const origin = (record.source === SOURCES.CHILD || record.source === SOURCES.TEST) && record.command
+    ? `${record.source}: ${record.command}`
+    : record.source;
+
+  const lines = [`[${record.timestamp}] ${String(record.level).toUpperCase()} (${origin}) ${record.message}`];
+  const frames = (record.stack || []).slice(0, maxFrames);
+
+  for (const frame of frames) {
+    lines.push(`    ${frame.raw}`);
+  }
+
+  if ((record.stack || []).length > frames.length) {
+    lines.push(`    ... ${record.stack.length - frames.length} more frame(s)`);
+  }
+
+  // Failing test, from a test report
+  if (record.test) {
+    const { fullName, file, line } = record.test;
+    lines.push(`    test: ${fullName}${file ? ` (${[file, line].filter(Boolean).join(':')})` : ''}`);
+  }
+
+  // Context added by the reporter API
+  if (record.request) {
+    const { method, route, status, requestId } = record.request;
+    lines.push(`    request: ${method} ${route} -> ${status}${requestId ? ` (id ${requestId})` : ''}`);
+  }
+  if (record.tags && Object.keys(record.tags).length > 0) {
+    lines.push(`    tags: ${Object.entries(record.tags).map(([name, value]) => `${name}=${value}`).join(', ')}`);
+  }
+  if (record.user) {
+    lines.push(`    user: ${Object.entries(record.user).map(([name, value]) => `${name}=${value}`).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Formats a list of records as readable text
+ * @param {object[]} records - Error records
+ * @param {object} options - Formatting options
+ * @returns {string} Formatted records
+ */
+export function formatRecords(records, options = {}) {
+  return records.map(record => formatRecord(record, options)).join('\n');
+}
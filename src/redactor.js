@@ -0,0 +1,208 @@
+/**
+ * Built-in secret and PII detectors, applied in order
+ * More specific formats come first so that e.g. a JWT isn't half-matched as a token
+ */
+const BUILTIN_DETECTORS = [
+  { name: 'PRIVATE_KEY', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  { name: 'URL_CREDENTIALS', pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"`]+:[^\s@/'"`]+@[^\s'"`]+/gi },
+  { name: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\b/g },
+  { name: 'AWS_ACCESS_KEY', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA)[A-Z0-9]{16}\b/g },
+  { name: 'AWS_SECRET_KEY', pattern: /(?<=aws_secret_access_key["'\s:=]+)[A-Za-z0-9/+=]{40}\b/gi },
+  { name: 'API_KEY', pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}\b/g },
+  { name: 'GITHUB_TOKEN', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g },
+  { name: 'SLACK_TOKEN', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { name: 'BEARER_TOKEN', pattern: /(?<=\bBearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g },
+  { name: 'SECRET', pattern: /(?<=\b(?:password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key)["']?\s*[:=]\s*["']?)[^\s"',;&]{6,}/gi },
+  { name: 'EMAIL', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+  { name: 'INTERNAL_HOST', pattern: /\b(?:[a-z0-9-]+\.)+(?:internal|intranet|corp|lan|local|localdomain|private)\b/gi },
+  { name: 'IPV4', pattern: /\b(?:25[0-5]|2[0-4]\d|1?\d?\d)(?:\.(?:25[0-5]|2[0-4]\d|1?\d?\d)){3}\b/g },
+  { name: 'IPV6', pattern: /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b/gi }
+];
+
+// Loopback and unspecified addresses carry no information worth hiding
+const ALLOWED_VALUES = new Set(['127.0.0.1', '0.0.0.0']);
+// A placeholder from an earlier detector (`token=[JWT_1]`), possibly followed by punctuation
+const PLACEHOLDER = /^(?:\[[A-Z][A-Z0-9_]*_\d+\][^\w\s]*)+$/;
+
+/**
+ * Redactor - Replaces secrets and PII with stable placeholders
+ * The same value always maps to the same placeholder (e.g. `[EMAIL_1]`) for the
+ * lifetime of the redactor, and every replacement is counted for auditing
+ */
+export class Redactor {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    const disabled = new Set(options.disable || []);
+
+    this.detectors = [
+      ...BUILTIN_DETECTORS.filter(detector => !disabled.has(detector.name)),
+      ...(options.rules || []).map(rule => this.compileRule(rule))
+    ];
+    this.allowed = new Set([...ALLOWED_VALUES, ...(options.allow || [])]);
+    this.placeholders = new Map(); // `${name}\0${value}` -> placeholder
+    this.counters = new Map(); // name -> number of distinct values
+    this.audit = {}; // name -> number of replacements
+  }
+
+  /**
+   * Compiles a user-defined rule from config
+   * @param {object} rule - Rule with `name`, `pattern` and optional `flags`
+   * @returns {object} Detector
+   */
+  compileRule(rule) {
+    if (!rule.name || !rule.pattern) {
+      throw new Error('Redaction rules need a name and a pattern');
+    }
+
+    const flags = rule.flags || '';
+    try {
+      return {
+        name: rule.name.toUpperCase().replace(/[^A-Z0-9]+/g, '_'),
+        pattern: new RegExp(rule.pattern, flags.includes('g') ? flags : `${flags}g`)
+      };
+    } catch (error) {
+      throw new Error(`Invalid redaction rule "${rule.name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * Returns the placeholder for a detected value
+   * @param {string} name - Detector name
+   * @param {string} value - Detected value
+   * @returns {string} Placeholder token
+   */
+  placeholderFor(name, value) {
+    const key = `${name}\0${value}`;
+
+    if (!this.placeholders.has(key)) {
+      const next = (this.counters.get(name) || 0) + 1;
+      this.counters.set(name, next);
+      this.placeholders.set(key, `[${name}_${next}]`);
+    }
+
+    this.audit[name] = (this.audit[name] || 0) + 1;
+    return this.placeholders.get(key);
+  }
+
+  /**
+   * Redacts a piece of text
+   * @param {string} text - Text to redact
+   * @returns {string} Redacted text
+   */
+  redact(text) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) {
+      return text;
+    }
+
+    return this.detectors.reduce((result, detector) =>
+      result.replace(detector.pattern, (match) =>
+        this.allowed.has(match) || PLACEHOLDER.test(match) ? match : this.placeholderFor(detector.name, match)
+      ), text);
+  }
+
+  /**
+   * Lists the kinds of values a text contains, without redacting it (or counting them)
+   * @param {string} text - Text to check
+   * @returns {string[]} Detector names
+   */
+  detect(text) {
+    if (!this.enabled || typeof text !== 'string' || text.length === 0) {
+      return [];
+    }
+
+    return this.detectors
+      .filter(detector => [...text.matchAll(detector.pattern)].some(([match]) => !this.allowed.has(match)))
+      .map(detector => detector.name);
+  }
+
+  /**
+   * Redacts the text fields of an error record
+   * @param {object} record - Error record
+   * @returns {object} Redacted copy of the record
+   */
+  redactRecord(record) {
+    if (!this.enabled) {
+      return record;
+    }
+
+    return {
+      ...record,
+      message: this.redact(record.message),
+      command: this.redact(record.command),
+      cwd: this.redact(record.cwd),
+      ...(typeof record.file === 'string' ? { file: this.redact(record.file) } : {}), // Tailed log file
+      stack: (record.stack || []).map(frame => ({
+        ...frame,
+        raw: this.redact(frame.raw),
+        file: this.redact(frame.file)
+      })),
+      ...(record.request ? { request: this.redactValues(record.request) } : {}),
+      ...(record.tags ? { tags: this.redactValues(record.tags) } : {}),
+      ...(record.user ? { user: this.redactValues(record.user) } : {}),
+      ...(record.extra !== undefined ? { extra: this.redactDeep(record.extra) } : {}),
+      ...(record.test ? { test: this.redactDeep(record.test) } : {})
+    };
+  }
+
+  /**
+   * Redacts every string in a value, however deeply nested (reporter `extra` data)
+   * @param {*} value - Any JSON value
+   * @returns {*} Redacted copy
+   */
+  redactDeep(value) {
+    if (typeof value === 'string') {
+      return this.redact(value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactDeep(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, this.redactDeep(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Redacts the string values of a flat object (reporter context such as tags or user)
+   * @param {object} values - Object with string values
+   * @returns {object} Redacted copy
+   */
+  redactValues(values) {
+    return Object.fromEntries(Object.entries(values).map(([name, value]) =>
+      [name, typeof value === 'string' ? this.redact(value) : value]));
+  }
+
+  /**
+   * Redacts a list of records
+   * @param {object[]} records - Error records
+   * @returns {object[]} Redacted copies
+   */
+  redactRecords(records) {
+    return records.map(record => this.redactRecord(record));
+  }
+
+  /**
+   * Returns how many values of each kind were redacted
+   * @returns {object} Counts by detector name, plus the total
+   */
+  getAudit() {
+    const total = Object.values(this.audit).reduce((sum, count) => sum + count, 0);
+    return { ...this.audit, total };
+  }
+
+  /**
+   * Clears the audit counts (placeholders stay stable)
+   */
+  resetAudit() {
+    this.audit = {};
+  }
+}
+
+/**
+ * Creates and returns a new Redactor instance
+ * @param {object} options - Configuration options
+ * @returns {Redactor} New redactor instance
+ */
+export function createRedactor(options) {
+  return new Redactor(options);
+}
@@ -0,0 +1,325 @@
+import fs from 'fs';
+import path from 'path';
+import { createRecord, serializeRecord, SOURCES } from './records.js';
+import { createCollectorClient } from './collector-client.js';
+
+// The same error can pass through `wrap()` and a middleware; it is only reported once
+const reported = new WeakSet();
+
+/**
+ * Works out the HTTP status of a failed request
+ * @param {Error} error - Thrown error
+ * @param {number} fallback - Status to use if the error has none
+ * @returns {number} HTTP status
+ */
+function statusOf(error, fallback = 500) {
+  return Number(error?.status || error?.statusCode) || fallback;
+}
+
+/**
+ * Picks a request id from the framework or the usual headers
+ * @param {object} headers - Request headers (lower-case names)
+ * @param {string} id - Id assigned by the framework, if any
+ * @returns {string|null} Request id
+ */
+function requestIdOf(headers = {}, id) {
+  return id || headers['x-request-id'] || headers['x-correlation-id'] || null;
+}
+
+/**
+ * Reporter - In-app error reporting without hooking the process's stderr or console
+ * Records go to the capture log (file transport), to a collector daemon (collector transport)
+ * or, for apps started by `alith-notify run`, to the orchestrator over the IPC channel (ipc transport)
+ */
+export class Reporter {
+  constructor(options = {}) {
+    this.logFilePath = options.logFilePath || process.env.ALITH_CAPTURE_LOG || './captured-errors.log';
+    this.transport = options.transport || 'auto'; // auto, file, ipc or collector
+    this.collector = options.collector || process.env.ALITH_COLLECTOR || null; // Collector address
+    this.service = options.service || process.env.ALITH_SERVICE || null;
+    this.tags = { ...options.tags };
+    this.user = options.user || null;
+    this.client = null;
+
+    if (!['auto', 'file', 'ipc', 'collector'].includes(this.transport)) {
+      throw new Error(`Unknown reporter transport: ${this.transport} (expected auto, file, ipc or collector)`);
+    }
+  }
+
+  /**
+   * Adds tags to every record reported from now on
+   * @param {object} tags - Tag names and values
+   */
+  setTags(tags) {
+    Object.assign(this.tags, tags);
+  }
+
+  /**
+   * Sets the user attached to every record reported from now on
+   * @param {object|null} user - User context (id, email, ...), or null to clear it
+   */
+  setUser(user) {
+    this.user = user;
+  }
+
+  /**
+   * Reports an error
+   * @param {Error|string} error - Error to report
+   * @param {object} context - Record context (level, tags, user, request, extra)
+   * @returns {object|null} The record that was sent, or null if the error was already reported
+   */
+  report(error, context = {}) {
+    if (error instanceof Object) {
+      if (reported.has(error)) {
+        return null;
+      }
+      reported.add(error);
+    }
+
+    const message = error instanceof Error
+      ? error.stack || `${error.name}: ${error.message}`
+      : String(error);
+    const tags = { ...this.tags, ...context.tags };
+    const user = context.user || this.user;
+
+    const record = createRecord({
+      message,
+      source: SOURCES.REPORT,
+      level: context.level || 'error',
+      ...(error?.code ? { code: error.code } : {}),
+      ...(this.service ? { service: this.service } : {}),
+      ...(Object.keys(tags).length > 0 ? { tags } : {}),
+      ...(user ? { user } : {}),
+      ...(context.request ? { request: context.request } : {}),
+      ...(context.extra ? { extra: context.extra } : {})
+    });
+
+    this.send(record);
+    return record;
+  }
+
+  /**
+   * Sends a record over the configured transport
+   * Falls back to the file if the IPC channel is gone or no collector is listening
+   * @param {object} record - Error record
+   */
+  send(record) {
+    const ipc = this.transport === 'ipc' ||
+      (this.transport === 'auto' && process.env.ALITH_NOTIFY_IPC === '1');
+    const collector = this.transport === 'collector' || (this.transport === 'auto' && this.collector);
+
+    if (ipc && typeof process.send === 'function' && process.connected) {
+      try {
+        process.send({ type: 'alith-notify:record', record });
+        return;
+      } catch (error) {
+        // Channel closed while sending - write to the file instead
+      }
+    } else if (collector && this.collectorClient().writeRecord(record)) {
+      return;
+    }
+
+    this.appendToFile(record);
+  }
+
+  /**
+   * Appends a record to the capture log
+   * @param {object} record - Error record
+   */
+  appendToFile(record) {
+    fs.mkdirSync(path.dirname(this.logFilePath), { recursive: true });
+    fs.appendFileSync(this.logFilePath, serializeRecord(record), 'utf-8');
+  }
+
+  /**
+   * Returns the connection to the collector, connecting on first use
+   * @returns {CollectorClient} Collector client
+   */
+  collectorClient() {
+    if (!this.client) {
+      const client = createCollectorClient({ address: this.collector || undefined, service: this.service || undefined });
+      client.connect().then(
+        () => client.unref(), // Don't keep the app alive just for the connection
+        () => client.unsent.splice(0).forEach(record => this.appendToFile(record))
+      );
+      this.client = client;
+    }
+    return this.client;
+  }
+
+  /**
+   * Flushes and closes the collector connection, if there is one
+   * @returns {Promise<void>} Resolves once closed
+   */
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+    }
+  }
+
+  /**
+   * Wraps a function so that anything it throws (or rejects with) is reported and rethrown
+   * The wrapped function is always async. Once `signal` is aborted, calls reject with its
+   * reason without running, and errors caused by the abort aren't reported
+   * @param {Function} fn - Function to wrap
+   * @param {object} options - `signal` plus record context (level, tags, user, extra)
+   * @returns {Function} Wrapped function
+   */
+  wrap(fn, options = {}) {
+    const { signal, ...context } = options;
+    const reporter = this;
+
+    return async function wrapped(...args) {
+      signal?.throwIfAborted();
+      try {
+        return await fn.apply(this, args);
+      } catch (error) {
+        const aborted = signal?.aborted && (error === signal.reason || error?.name === 'AbortError');
+        if (!aborted) {
+          reporter.report(error, context);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Express error-handling middleware; register it after all routes
+   * @returns {Function} Middleware `(error, req, res, next)`
+   */
+  express() {
+    return (error, req, res, next) => {
+      const status = statusOf(error, res.statusCode >= 400 ? res.statusCode : 500);
+      this.report(error, {
+        level: status >= 500 ? 'error' : 'warn',
+        request: {
+          method: req.method,
+          route: req.route ? `${req.baseUrl || ''}${req.route.path}` : (req.originalUrl || req.url).split('?')[0],
+          status,
+          requestId: requestIdOf(req.headers, req.id)
+        }
+      });
+      next(error);
+    };
+  }
+
+  /**
+   * Koa middleware; register it before the routes so it sees their errors
+   * @returns {Function} Middleware `(ctx, next)`
+   */
+  koa() {
+    return async (ctx, next) => {
+      try {
+        await next();
+      } catch (error) {
+        const status = statusOf(error);
+        this.report(error, {
+          level: status >= 500 ? 'error' : 'warn',
+          request: {
+            method: ctx.method,
+            route: ctx._matchedRoute || ctx.path,
+            status,
+            requestId: requestIdOf(ctx.headers, ctx.state?.requestId)
+          }
+        });
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Fastify plugin that reports errors from an `onError` hook
+   * @returns {Function} Plugin for `fastify.register()`
+   */
+  fastify() {
+    const plugin = (fastify, options, done) => {
+      fastify.addHook('onError', (request, reply, error, hookDone) => {
+        const status = statusOf(error);
+        this.report(error, {
+          level: status >= 500 ? 'error' : 'warn',
+          request: {
+            method: request.method,
+            route: request.routeOptions?.url || request.routerPath || request.url.split('?')[0],
+            status,
+            requestId: requestIdOf(request.headers, request.id)
+          }
+        });
+        hookDone();
+      });
+      done();
+    };
+
+    // Same as fastify-plugin: apply the hook to the parent instance instead of an encapsulated one
+    plugin[Symbol.for('skip-override')] = true;
+    return plugin;
+  }
+}
+
+let defaultReporter = null;
+
+/**
+ * Replaces the shared reporter used by `report()`, `wrap()` and `withAlithNotify()`
+ * @param {object} options - Reporter options
+ * @returns {Reporter} The new shared reporter
+ */
+export function configureReporter(options) {
+  defaultReporter = new Reporter(options);
+  return defaultReporter;
+}
+
+/**
+ * Returns the shared reporter, creating it with default options on first use
+ * @returns {Reporter} Shared reporter
+ */
+export function getReporter() {
+  return defaultReporter || configureReporter();
+}
+
+/**
+ * Reports an error with the shared reporter
+ * @param {Error|string} error - Error to report
+ * @param {object} context - Record context (level, tags, user, request, extra)
+ * @returns {object|null} The record that was sent
+ */
+export function report(error, context) {
+  return getReporter().report(error, context);
+}
+
+/**
+ * Wraps a function with the shared reporter
+ * @param {Function} fn - Function to wrap
+ * @param {object} options - `signal` plus record context
+ * @returns {Function} Wrapped function
+ */
+export function wrap(fn, options) {
+  return getReporter().wrap(fn, options);
+}
+
+/**
+ * Creates error-reporting middleware for a web framework
+ * With options, a dedicated reporter is created; otherwise the shared one is used
+ * @param {string} framework - express, koa or fastify
+ * @param {object} options - Reporter options
+ * @returns {Function} Middleware (Express, Koa) or plugin (Fastify), with its `reporter`
+ */
+export function withAlithNotify(framework, options) {
+  const reporter = options ? new Reporter(options) : getReporter();
+
+  if (!['express', 'koa', 'fastify'].includes(framework)) {
+    throw new Error(`Unknown framework: ${framework} (expected express, koa or fastify)`);
+  }
+
+  const middleware = reporter[framework]();
+  middleware.reporter = reporter;
+  return middleware;
+}
+
+/**
+ * Creates and returns a new Reporter instance
+ * @param {object} options - Configuration options
+ * @returns {Reporter} New reporter instance
+ */
+export function createReporter(options) {
+  return new Reporter(options);
+}
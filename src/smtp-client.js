@@ -0,0 +1,276 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import crypto from 'crypto';
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word if it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf-8').toString('base64')}?=`;
+}
+
+/**
+ * Builds a plain-text MIME message
+ * @param {object} message - Message (from, to, subject, text)
+ * @returns {string} Message source with CRLF line endings
+ */
+export function buildMessage(message) {
+  const domain = message.from.split('@')[1] || os.hostname();
+  const body = Buffer.from(message.text, 'utf-8').toString('base64').replace(/.{76}/g, '$&\r\n');
+
+  return [
+    `From: ${message.from}`,
+    `To: ${message.to.join(', ')}`,
+    `Subject: ${encodeHeader(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * SMTPClient - Minimal SMTP client for sending plain-text notification emails
+ * Supports implicit TLS (port 465), STARTTLS and AUTH PLAIN/LOGIN
+ * Credentials are only sent over TLS, unless `allowInsecureAuth` is set
+ */
+export class SMTPClient {
+  constructor(options = {}) {
+    this.host = options.host || 'localhost';
+    this.secure = options.secure === true; // Implicit TLS
+    this.port = options.port || (this.secure ? 465 : 587);
+    this.starttls = options.starttls !== false; // Upgrade when the server offers it
+    this.allowInsecureAuth = options.allowInsecureAuth === true; // Log in without TLS (local relays)
+    this.user = options.user || null;
+    this.pass = options.pass || null;
+    this.timeout = options.timeout || 15000; // milliseconds
+    this.rejectUnauthorized = options.rejectUnauthorized !== false;
+    this.clientName = options.clientName || os.hostname();
+    this.socket = null;
+    this.buffer = '';
+    this.waiting = null;
+  }
+
+  /**
+   * Sends a message
+   * @param {object} message - Message (from, to, subject, text)
+   * @returns {Promise<string>} Server response to the message data
+   */
+  async send(message) {
+    const recipients = [].concat(message.to);
+    const source = buildMessage({ ...message, to: recipients });
+
+    await this.connect();
+    try {
+      await this.expect(null, 220);
+      let capabilities = await this.hello();
+      let encrypted = this.secure;
+
+      if (!this.secure && this.starttls && capabilities.includes('STARTTLS')) {
+        await this.expect('STARTTLS', 220);
+        await this.upgrade();
+        encrypted = true;
+        capabilities = await this.hello();
+      }
+
+      if (this.user) {
+        // A missing STARTTLS may be a downgrade by someone in between, so never fall back silently
+        if (!encrypted && !this.allowInsecureAuth) {
+          throw new Error(`SMTP server ${this.host}:${this.port} offers no TLS; refusing to send credentials in plaintext (set allowInsecureAuth to allow it)`);
+        }
+        await this.authenticate(capabilities);
+      }
+
+      await this.expect(`MAIL FROM:<${message.from}>`, 250);
+      for (const recipient of recipients) {
+        await this.expect(`RCPT TO:<${recipient}>`, [250, 251]);
+      }
+      await this.expect('DATA', 354);
+
+      // Lines starting with a dot are escaped with another dot
+      const data = source.replace(/^\./gm, '..');
+      const response = await this.expect(`${data}\r\n.`, 250, 'message data');
+
+      await this.expect('QUIT', 221).catch(() => {});
+      return response;
+    } finally {
+      this.close();
+    }
+  }
+
+  /**
+   * Opens the connection
+   * @returns {Promise<void>} Resolves once connected
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const onConnect = () => {
+        this.socket.removeListener('error', reject);
+        resolve();
+      };
+
+      this.socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.serverName(), rejectUnauthorized: this.rejectUnauthorized }, onConnect)
+        : net.createConnection({ host: this.host, port: this.port }, onConnect);
+
+      this.socket.once('error', reject);
+      this.socket.setTimeout(this.timeout, () => {
+        this.socket.destroy(new Error(`SMTP server ${this.host}:${this.port} timed out`));
+      });
+      this.listen();
+    });
+  }
+
+  /**
+   * Returns the TLS server name (SNI is only sent for host names, not IP addresses)
+   * @returns {string|undefined} Server name
+   */
+  serverName() {
+    return net.isIP(this.host) ? undefined : this.host;
+  }
+
+  /**
+   * Upgrades the connection to TLS after STARTTLS
+   * @returns {Promise<void>} Resolves once the TLS handshake is done
+   */
+  upgrade() {
+    return new Promise((resolve, reject) => {
+      const plain = this.socket;
+      plain.removeAllListeners('data');
+
+      this.socket = tls.connect({
+        socket: plain,
+        servername: this.serverName(),
+        rejectUnauthorized: this.rejectUnauthorized
+      }, resolve);
+      this.socket.once('error', reject);
+      this.listen();
+    });
+  }
+
+  /**
+   * Reads server responses from the current socket
+   */
+  listen() {
+    this.buffer = '';
+
+    this.socket.on('data', (chunk) => {
+      this.buffer += chunk.toString('utf-8');
+      this.checkResponse();
+    });
+
+    this.socket.on('error', (error) => this.fail(error));
+    this.socket.on('close', () => this.fail(new Error('SMTP connection closed unexpectedly')));
+  }
+
+  /**
+   * Hands a complete response to the pending command
+   * A response is complete when its last line has a space after the code
+   */
+  checkResponse() {
+    const match = this.buffer.match(/(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/);
+    if (match && this.waiting) {
+      const text = this.buffer;
+      this.buffer = '';
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ code: Number(match[1]), text: text.trim() });
+    }
+  }
+
+  /**
+   * Rejects the pending command
+   * @param {Error} error - Reason
+   */
+  fail(error) {
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(error);
+    }
+  }
+
+  /**
+   * Sends a command (or just waits for a response) and checks the reply code
+   * @param {string|null} command - Command line, or null to only read a response
+   * @param {number|number[]} codes - Accepted reply code(s)
+   * @param {string} label - How the command is named in errors (hides credentials)
+   * @returns {Promise<string>} Response text
+   */
+  expect(command, codes, label = (command || 'greeting').split('\r\n')[0]) {
+    const accepted = [].concat(codes);
+
+    return new Promise((resolve, reject) => {
+      this.waiting = {
+        resolve: (response) => {
+          if (accepted.includes(response.code)) {
+            resolve(response.text);
+          } else {
+            reject(new Error(`SMTP ${label} failed: ${response.text}`));
+          }
+        },
+        reject
+      };
+
+      if (command !== null) {
+        this.socket.write(`${command}\r\n`);
+      }
+      this.checkResponse();
+    });
+  }
+
+  /**
+   * Greets the server
+   * @returns {Promise<string[]>} Advertised extensions (upper case)
+   */
+  async hello() {
+    const response = await this.expect(`EHLO ${this.clientName}`, 250);
+    return response.split('\r\n').slice(1).map(line => line.substring(4).trim().toUpperCase());
+  }
+
+  /**
+   * Logs in with AUTH PLAIN, or AUTH LOGIN if that's all the server offers
+   * @param {string[]} capabilities - Extensions from EHLO
+   */
+  async authenticate(capabilities) {
+    const auth = capabilities.find(line => line.startsWith('AUTH')) || 'AUTH PLAIN';
+
+    if (!auth.includes('PLAIN') && auth.includes('LOGIN')) {
+      await this.expect('AUTH LOGIN', 334);
+      await this.expect(Buffer.from(this.user).toString('base64'), 334, 'AUTH LOGIN username');
+      await this.expect(Buffer.from(this.pass || '').toString('base64'), 235, 'AUTH LOGIN password');
+      return;
+    }
+
+    const token = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+    await this.expect(`AUTH PLAIN ${token}`, 235, 'AUTH PLAIN');
+  }
+
+  /**
+   * Closes the connection
+   */
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      this.socket.destroy();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Creates and returns a new SMTPClient instance
+ * @param {object} options - Configuration options
+ * @returns {SMTPClient} New SMTP client instance
+ */
+export function createSMTPClient(options) {
+  return new SMTPClient(options);
+}
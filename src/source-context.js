@@ -0,0 +1,334 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isInAppFrame } from './fingerprint.js';
+
+const BASE64_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const SOURCE_MAPPING_URL = /\/[/*][#@]\s*sourceMappingURL=([^\s*]+)/g;
+
+/**
+ * Decodes a source map `mappings` string
+ * @param {string} mappings - VLQ-encoded mappings
+ * @returns {Array<Array<number[]>>} Per generated line, segments of
+ *   [generatedColumn, sourceIndex, originalLine, originalColumn] (all 0-based)
+ */
+export function decodeMappings(mappings) {
+  const lines = [];
+  let sourceIndex = 0;
+  let originalLine = 0;
+  let originalColumn = 0;
+
+  for (const lineText of mappings.split(';')) {
+    const segments = [];
+    let generatedColumn = 0;
+
+    for (const segmentText of lineText.split(',')) {
+      if (segmentText.length === 0) {
+        continue;
+      }
+
+      const values = [];
+      let value = 0;
+      let shift = 0;
+      for (const char of segmentText) {
+        const digit = BASE64_CHARS.indexOf(char);
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+          shift += 5;
+        } else {
+          values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+          value = 0;
+          shift = 0;
+        }
+      }
+
+      generatedColumn += values[0];
+      if (values.length >= 4) {
+        sourceIndex += values[1];
+        originalLine += values[2];
+        originalColumn += values[3];
+        segments.push([generatedColumn, sourceIndex, originalLine, originalColumn]);
+      }
+    }
+
+    lines.push(segments);
+  }
+
+  return lines;
+}
+
+/**
+ * SourceContext - Reads code snippets around the stack frames of captured errors
+ * Frames in node_modules, Node internals or outside the workspace are skipped, and
+ * transpiled frames are mapped back to their original source when a source map exists
+ */
+export class SourceContext {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.root = path.resolve(options.root || process.cwd());
+    this.contextLines = options.contextLines ?? 5;
+    this.maxSnippets = options.maxSnippets || 8;
+    this.maxChars = options.maxChars || 6000;
+    this.framesPerGroup = options.framesPerGroup || 2;
+    this.sourceMaps = options.sourceMaps !== false;
+    this.sourceMapCache = new Map();
+  }
+
+  /**
+   * Resolves the top in-app frames of each error group to files in the workspace
+   * @param {object[]} groups - Error groups
+   * @returns {object[]} Locations ({ file, line, column, function, content?, generated? }),
+   * each file and line only once
+   */
+  frameLocations(groups) {
+    const locations = [];
+    const seen = new Set();
+
+    for (const group of groups) {
+      const record = group.representative;
+      const frames = (record.stack || []).filter(isInAppFrame).slice(0, this.framesPerGroup);
+
+      for (const frame of frames) {
+        const location = this.resolveFrame(frame, record.cwd);
+        if (!location) {
+          continue;
+        }
+
+        const key = `${location.file}:${location.line}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          locations.push({ ...location, function: frame.function || null });
+        }
+      }
+    }
+
+    return locations;
+  }
+
+  /**
+   * Collects snippets for the top in-app frames of each error group
+   * @param {object[]} groups - Error groups
+   * @param {object[]} locations - Frame locations, if already resolved with frameLocations()
+   * @returns {object[]} Snippets ({ file, line, function, language, text })
+   */
+  collect(groups, locations = null) {
+    if (!this.enabled) {
+      return [];
+    }
+
+    const snippets = [];
+    let totalChars = 0;
+
+    for (const location of locations || this.frameLocations(groups)) {
+      if (snippets.length >= this.maxSnippets) {
+        break;
+      }
+
+      const snippet = this.readSnippet(location, location.function);
+      if (!snippet || totalChars + snippet.text.length > this.maxChars) {
+        continue;
+      }
+
+      totalChars += snippet.text.length;
+      snippets.push(snippet);
+    }
+
+    return snippets;
+  }
+
+  /**
+   * Resolves a frame to a readable file and line inside the workspace
+   * @param {object} frame - Parsed stack frame
+   * @param {string|null} cwd - Working directory of the process that logged the frame
+   * @returns {object|null} Location ({ file, line, column, content? }) or null
+   */
+  resolveFrame(frame, cwd) {
+    if (!frame.file || !frame.line) {
+      return null;
+    }
+
+    let file = frame.file;
+    if (file.startsWith('file://')) {
+      file = fileURLToPath(file);
+    }
+    file = path.resolve(cwd || this.root, file);
+
+    if (!this.isInsideRoot(file) || !fs.existsSync(file)) {
+      return null;
+    }
+
+    const location = { file, line: frame.line, column: frame.column || 1 };
+    return (this.sourceMaps && this.mapToOriginal(location)) || location;
+  }
+
+  /**
+   * Maps a generated location back to its original source through a source map
+   * @param {object} location - Generated location
+   * @returns {object|null} Original location, or null if there is no usable map
+   */
+  mapToOriginal(location) {
+    const map = this.loadSourceMap(location.file);
+    if (!map) {
+      return null;
+    }
+
+    const segments = map.lines[location.line - 1];
+    if (!segments || segments.length === 0) {
+      return null;
+    }
+
+    // Last segment starting at or before the column
+    const column = location.column - 1;
+    let match = segments[0];
+    for (const segment of segments) {
+      if (segment[0] > column) {
+        break;
+      }
+      match = segment;
+    }
+
+    const [, sourceIndex, originalLine, originalColumn] = match;
+    const source = map.sources[sourceIndex];
+    if (!source) {
+      return null;
+    }
+
+    const content = map.sourcesContent?.[sourceIndex];
+    if (!content && (!this.isInsideRoot(source) || !fs.existsSync(source))) {
+      return null;
+    }
+
+    return {
+      file: source,
+      line: originalLine + 1,
+      column: originalColumn + 1,
+      content: content || null,
+      generated: location
+    };
+  }
+
+  /**
+   * Loads and decodes the source map referenced by a generated file
+   * @param {string} file - Generated file path
+   * @returns {object|null} Decoded map ({ sources, sourcesContent, lines }) or null
+   */
+  loadSourceMap(file) {
+    if (this.sourceMapCache.has(file)) {
+      return this.sourceMapCache.get(file);
+    }
+
+    let map = null;
+    try {
+      const code = fs.readFileSync(file, 'utf-8');
+      const references = [...code.matchAll(SOURCE_MAPPING_URL)];
+      const url = references.length > 0 ? references[references.length - 1][1] : null;
+
+      let raw = null;
+      let mapDir = path.dirname(file);
+      if (url && url.startsWith('data:')) {
+        raw = Buffer.from(url.substring(url.indexOf(',') + 1), 'base64').toString('utf-8');
+      } else if (url) {
+        const mapFile = path.resolve(path.dirname(file), decodeURIComponent(url));
+        raw = fs.readFileSync(mapFile, 'utf-8');
+        mapDir = path.dirname(mapFile);
+      } else if (fs.existsSync(`${file}.map`)) {
+        raw = fs.readFileSync(`${file}.map`, 'utf-8');
+      }
+
+      if (raw) {
+        const parsed = JSON.parse(raw);
+        const sourceRoot = parsed.sourceRoot || '';
+        map = {
+          sources: (parsed.sources || []).map(source =>
+            source.startsWith('file://')
+              ? fileURLToPath(source)
+              : path.resolve(mapDir, sourceRoot, source)
+          ),
+          sourcesContent: parsed.sourcesContent || null,
+          lines: decodeMappings(parsed.mappings || '')
+        };
+      }
+    } catch (error) {
+      map = null;
+    }
+
+    this.sourceMapCache.set(file, map);
+    return map;
+  }
+
+  /**
+   * Reads the lines around a location
+   * @param {object} location - Resolved location
+   * @param {string|null} functionName - Function name from the frame
+   * @returns {object|null} Snippet or null if the line is out of range
+   */
+  readSnippet(location, functionName) {
+    let lines;
+    try {
+      lines = (location.content ?? fs.readFileSync(location.file, 'utf-8')).replace(/\n$/, '').split('\n');
+    } catch (error) {
+      return null;
+    }
+
+    if (location.line > lines.length) {
+      return null;
+    }
+
+    const start = Math.max(1, location.line - this.contextLines);
+    const end = Math.min(lines.length, location.line + this.contextLines);
+    const width = String(end).length;
+    const text = [];
+
+    for (let number = start; number <= end; number++) {
+      const marker = number === location.line ? '>' : ' ';
+      text.push(`${marker} ${String(number).padStart(width)} | ${lines[number - 1]}`);
+    }
+
+    return {
+      file: path.relative(this.root, location.file) || location.file,
+      line: location.line,
+      function: functionName || null,
+      language: path.extname(location.file).substring(1) || 'text',
+      mappedFrom: location.generated
+        ? `${path.relative(this.root, location.generated.file)}:${location.generated.line}`
+        : null,
+      text: text.join('\n')
+    };
+  }
+
+  /**
+   * Checks that a path is inside the workspace root
+   * @param {string} file - Absolute path
+   * @returns {boolean} True if the file is inside the root
+   */
+  isInsideRoot(file) {
+    const relative = path.relative(this.root, file);
+    return relative.length > 0 && !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+}
+
+/**
+ * Formats snippets as Markdown code blocks
+ * @param {object[]} snippets - Source snippets
+ * @returns {string} Formatted snippets
+ */
+export function formatSnippets(snippets) {
+  return snippets.map(snippet => {
+    const title = [
+      `${snippet.file}:${snippet.line}`,
+      snippet.function ? `(${snippet.function})` : '',
+      snippet.mappedFrom ? `[mapped from ${snippet.mappedFrom}]` : ''
+    ].filter(Boolean).join(' ');
+
+    return `### ${title}\n\`\`\`${snippet.language}\n${snippet.text}\n\`\`\``;
+  }).join('\n\n');
+}
+
+/**
+ * Creates and returns a new SourceContext instance
+ * @param {object} options - Configuration options
+ * @returns {SourceContext} New source context instance
+ */
+export function createSourceContext(options) {
+  return new SourceContext(options);
+}
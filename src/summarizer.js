@@ -1,53 +1,211 @@
-import { Agent } from 'alith';
+import { describeGroup, ensureGroups, formatGroup, formatGroups, normalizeContent } from './fingerprint.js';
+import { createProvider } from './providers.js';
+import { chunkItems, estimateTokens, tokenBudgetFor } from './chunker.js';
+import { splitLogEntries } from './records.js';
+import { SUMMARY_SCHEMA, parseSummaryJson, renderSummary, validateSchema } from './summary-schema.js';
+import { projectVars, resolveTemplate } from './prompt-templates.js';
+import { renderTemplate } from './template.js';
+import { createSummaryCache } from './summary-cache.js';
+import { failingTests } from './test-reports.js';
 
 /**
- * Summarizer class handles communication with the Alith Agent API
+ * Cuts text to at most `maxChars`, at a line break where there is one
+ * @param {string} text - Text to trim
+ * @param {number} maxChars - Maximum length
+ * @returns {string} Trimmed text
+ */
+function trimLines(text, maxChars) {
+  if (!text || text.length <= maxChars) {
+    return text;
+  }
+  const cut = text.substring(0, maxChars);
+  const lineEnd = cut.lastIndexOf('\n');
+  return lineEnd > 0 ? cut.substring(0, lineEnd) : cut;
+}
+
+/**
+ * Summarizer class handles communication with the configured LLM provider
  */
 export class Summarizer {
   constructor(options = {}) {
     this.maxRetries = options.maxRetries || 3;
     this.retryDelay = options.retryDelay || 1000; // milliseconds
-    
-    // Get API key from environment
-    const apiKey = process.env.OPENAI_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is not set');
-    }
-    
-    // Initialize Alith Agent with API key
-    this.agent = new Agent({
-      model: options.model || 'gpt-4o-mini',
-      apiKey: apiKey,
-      preamble: options.preamble || 
-        'You are an expert log analyzer. Your task is to analyze error logs and provide concise, actionable summaries. Focus on: 1) What went wrong, 2) Potential causes, 3) Recommended actions. Be specific and technical.'
-    });
+    this.logError = options.logError || ((...args) => console.error(...args)); // Failed attempts
+    this.project = options.project || {}; // projectVars() options: gathered git details and redact
+
+    // Alith (OpenAI), an OpenAI-compatible endpoint, or the offline heuristic summarizer
+    this.provider = options.providerInstance || createProvider(options);
+
+    // Larger inputs are split into chunks, summarized separately and merged
+    this.tokenBudget = options.tokenBudget || tokenBudgetFor(this.provider.model, options.tokenBudgets);
+    this.maxChunks = options.maxChunks || 8;
+
+    // Ask for a JSON summary (SUMMARY_SCHEMA) and render the prose from it
+    this.structured = options.structured !== false;
+
+    // Request template: inline `template`, `templateFile`, `.alith/templates/summary.md` or built-in
+    this.templateOptions = { template: options.template, templateFile: options.templateFile };
+
+    // Summaries of inputs seen before are reused from `.alith/cache` (enabled with `cache`)
+    this.cache = options.cache && options.cache.enabled !== false ? createSummaryCache(options.cache) : null;
   }
 
   /**
-   * Summarizes log content using the Alith Agent
-   * @param {string} logContent - Log content to summarize
+   * Summarizes captured errors using the configured provider
+   * Records are deduplicated by fingerprint so only one representative per group is sent
+   * @param {object[]|string} input - Error records or groups, or raw log text
+   * @param {object} context - Extra prompt context (sourceSnippets, gitContext)
    * @returns {Promise<object>} Summary result
    */
-  async summarize(logContent) {
+  async summarize(input, context = {}) {
+    const groups = Array.isArray(input) ? ensureGroups(input) : null;
+    const logContent = groups ? formatGroups(groups) : input;
+
+    if (groups) {
+      const occurrences = groups.reduce((total, group) => total + group.count, 0);
+      console.log(`🧬 Deduplicated ${occurrences} error(s) into ${groups.length} distinct group(s)`);
+    }
+
     if (!logContent || logContent.trim().length === 0) {
       throw new Error('Cannot summarize empty log content');
     }
 
-    console.log(`📊 Sending ${logContent.length} characters to Alith Agent for summarization...`);
+    const sourceSnippets = context.sourceSnippets || '';
+    const gitContext = context.gitContext || '';
 
+    const key = this.cache ? this.cacheKey(logContent, sourceSnippets, gitContext) : null;
+    const cached = key ? this.cache.get(key) : null;
+    if (cached) {
+      console.log(`💾 Reusing the cached summary from ${cached.cachedAt} (no ${this.provider.label} request)`);
+      return {
+        ...cached.result,
+        metadata: { ...cached.result.metadata, cacheHit: true, cachedAt: cached.cachedAt }
+      };
+    }
+
+    const result = await this.request(logContent, groups, sourceSnippets, gitContext);
+    if (key) {
+      result.metadata.cacheHit = false;
+      this.cache.set(key, result);
+    }
+    return result;
+  }
+
+  /**
+   * Summarizes the input in one request, or in chunks if it is over the token budget
+   * @param {string} logContent - Log content
+   * @param {object[]|null} groups - Error groups, if the input was structured
+   * @param {string} sourceSnippets - Formatted source code context
+   * @param {string} gitContext - Formatted git context
+   * @returns {Promise<object>} Summary result
+   */
+  async request(logContent, groups, sourceSnippets, gitContext) {
+    if (estimateTokens(logContent) + estimateTokens(sourceSnippets) + estimateTokens(gitContext) > this.tokenBudget) {
+      return this.summarizeInChunks(logContent, groups, sourceSnippets, gitContext);
+    }
+
+    console.log(`📊 Sending ${logContent.length} characters to ${this.provider.label} for summarization...`);
+
+    const result = await this.withRetries(() => this.makeRequest(logContent, groups, sourceSnippets, gitContext));
+    result.metadata.chunks = 1;
+    result.metadata.dropped = 0;
+    result.metadata.truncated = 0;
+    return result;
+  }
+
+  /**
+   * Computes the cache key of a summary request
+   * Times and ids are normalized away, so a repeated failure hits the cache; the model, the
+   * template and the output format are part of the key, so changing any of them doesn't
+   * @param {string} logContent - Log content (already redacted)
+   * @param {string} sourceSnippets - Formatted source code context
+   * @param {string} gitContext - Formatted git context
+   * @returns {string} Cache key
+   */
+  cacheKey(logContent, sourceSnippets, gitContext) {
+    return this.cache.key({
+      input: normalizeContent(logContent),
+      sourceSnippets: normalizeContent(sourceSnippets),
+      gitContext: normalizeContent(gitContext),
+      model: `${this.provider.name}/${this.provider.model}`,
+      template: resolveTemplate(this.templateOptions, 'summary'),
+      structured: this.structured,
+      tokenBudget: this.tokenBudget
+    });
+  }
+
+  /**
+   * Map-reduce summarization for input over the token budget
+   * Splits on group (or log entry) boundaries, summarizes each chunk, then merges the results
+   * Source snippets and git context are only included in the merge step
+   * @param {string} logContent - Full log content
+   * @param {object[]|null} groups - Error groups, if the input was structured
+   * @param {string} sourceSnippets - Formatted source code context
+   * @param {string} gitContext - Formatted git context
+   * @returns {Promise<object>} Summary result
+   */
+  async summarizeInChunks(logContent, groups, sourceSnippets = '', gitContext = '') {
+    // Most frequent groups first, so anything dropped is the rarest
+    const items = groups
+      ? [...groups].sort((a, b) => b.count - a.count)
+      : splitLogEntries(logContent);
+
+    const { chunks, dropped, truncated } = chunkItems(items, {
+      budget: this.tokenBudget,
+      format: groups ? formatGroup : String,
+      separator: groups ? '\n\n' : '\n',
+      maxChunks: this.maxChunks
+    });
+
+    console.log(`✂️  Input is ~${estimateTokens(logContent)} tokens (budget ${this.tokenBudget}), splitting into ${chunks.length} chunk(s)`);
+    if (dropped > 0) {
+      console.log(`⚠️  ${dropped} ${groups ? 'error group(s)' : 'log entries'} dropped (over ${this.maxChunks} chunks)`);
+    }
+
+    const partials = [];
+    for (let i = 0; i < chunks.length; i++) {
+      console.log(`📦 Summarizing chunk ${i + 1}/${chunks.length} (~${chunks[i].tokens} tokens)...`);
+      const chunkGroups = groups ? chunks[i].items : null;
+      partials.push(await this.withRetries(() => this.makeRequest(chunks[i].text, chunkGroups)));
+    }
+
+    const keptGroups = groups ? chunks.flatMap(chunk => chunk.items) : null;
+    const summaries = partials.map(partial =>
+      (partial.structured ? JSON.stringify(partial.structured) : partial.summary));
+    const result = partials.length === 1 && !sourceSnippets && !gitContext
+      ? partials[0]
+      : await this.withRetries(() => this.mergeSummaries(summaries, keptGroups, sourceSnippets, gitContext));
+
+    result.metadata = {
+      ...result.metadata,
+      originalLength: logContent.length,
+      groups: groups ? groups.length : null,
+      occurrences: groups ? groups.reduce((total, group) => total + group.count, 0) : null,
+      chunks: chunks.length,
+      dropped,
+      truncated
+    };
+    return result;
+  }
+
+  /**
+   * Runs a provider request with retries and exponential backoff
+   * @param {Function} request - Function returning a promise for the result
+   * @returns {Promise<object>} Request result
+   */
+  async withRetries(request) {
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
         const startTime = Date.now();
-        const summary = await this.makeRequest(logContent);
+        const result = await request();
         const duration = Date.now() - startTime;
-        
-        console.log(`✅ Successfully received summary from Alith Agent (${duration}ms)`);
-        return summary;
+
+        console.log(`✅ Successfully received summary from ${this.provider.label} (${duration}ms)`);
+        return result;
       } catch (error) {
         lastError = error;
-        console.error(`❌ Attempt ${attempt}/${this.maxRetries} failed: ${error.message}`);
+        this.logError(`❌ Attempt ${attempt}/${this.maxRetries} failed: ${error.message}`);
 
         if (attempt < this.maxRetries) {
           const delay = this.retryDelay * attempt; // Exponential backoff
@@ -61,42 +219,211 @@ export class Summarizer {
   }
 
   /**
-   * Makes the actual API request using Alith Agent
+   * Makes the actual request to the provider
    * @param {string} logContent - Log content
+   * @param {object[]|null} groups - Error groups the content was built from
+   * @param {string} sourceSnippets - Formatted source code context
+   * @param {string} gitContext - Formatted git context
    * @returns {Promise<object>} API response
    */
-  async makeRequest(logContent) {
+  async makeRequest(logContent, groups = null, sourceSnippets = '', gitContext = '') {
     try {
-      // Create a prompt for the agent to analyze the logs
-      const prompt = `Analyze the following error logs and provide a concise summary:
+      const prompt = this.buildPrompt(logContent, groups, sourceSnippets, gitContext);
 
---- START OF LOGS ---
-${logContent}
---- END OF LOGS ---
+      // Use the provider to generate the summary
+      const response = await this.complete(prompt, { groups, logContent, task: 'summarize' });
+      return this.buildResult(response, logContent, groups);
+    } catch (error) {
+      throw new Error(`${this.provider.name} request failed: ${error.message}`);
+    }
+  }
 
-Please provide:
+  /**
+   * Renders the summary request from the `summary` template
+   * @param {string} logContent - Log content
+   * @param {object[]|null} groups - Error groups the content was built from
+   * @param {string} sourceSnippets - Formatted source code context
+   * @param {string} gitContext - Formatted git context
+   * @returns {string} Prompt text
+   */
+  buildPrompt(logContent, groups = null, sourceSnippets = '', gitContext = '') {
+    return renderTemplate(resolveTemplate(this.templateOptions, 'summary'), {
+      ...projectVars(process.cwd(), this.project),
+      errors: logContent,
+      groups: (groups || []).map(describeGroup),
+      grouped: Boolean(groups),
+      tests: failingTests((groups || []).flatMap(group => group.records)),
+      sourceSnippets,
+      gitContext,
+      instructions: this.instructions()
+    });
+  }
+
+  /**
+   * Merges the summaries of several chunks into one
+   * @param {string[]} summaries - Chunk summaries (JSON text for structured summaries)
+   * @param {object[]|null} groups - All error groups that were summarized
+   * @param {string} sourceSnippets - Formatted source code context
+   * @param {string} gitContext - Formatted git context
+   * @returns {Promise<object>} Merged summary result
+   */
+  async mergeSummaries(summaries, groups = null, sourceSnippets = '', gitContext = '') {
+    // Keep the merge request itself within budget: source snippets and git context get at most
+    // half of it and are trimmed to fit, the partial summaries get what is left
+    const contextBudget = Math.floor(this.tokenBudget / 2);
+    const contextTokens = estimateTokens(sourceSnippets) + estimateTokens(gitContext);
+    if (contextTokens > contextBudget) {
+      const share = contextBudget / contextTokens;
+      sourceSnippets = trimLines(sourceSnippets, Math.floor(estimateTokens(sourceSnippets) * share) * 4);
+      gitContext = trimLines(gitContext, Math.floor(estimateTokens(gitContext) * share) * 4);
+    }
+    const available = this.tokenBudget - estimateTokens(sourceSnippets) - estimateTokens(gitContext);
+    const maxChars = Math.floor((available * 4) / summaries.length);
+    const parts = summaries.map((summary, index) =>
+      `--- PARTIAL SUMMARY ${index + 1} ---\n${summary.substring(0, maxChars)}`
+    );
+
+    const prompt = `The following are ${summaries.length} partial summaries of error logs from the same session, each covering a different part of the logs.
+
+${parts.join('\n\n')}
+${this.sourceSection(sourceSnippets)}${this.gitSection(gitContext)}
+Merge them into a single concise summary. Remove duplicates and combine related errors.
+
+${this.instructions()}`;
+
+    try {
+      const response = await this.complete(prompt, { groups, summaries, task: 'merge' });
+      return this.buildResult(response, parts.join('\n\n'), groups);
+    } catch (error) {
+      throw new Error(`${this.provider.name} merge request failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Builds the closing instructions of a prompt
+   * @returns {string} Instructions for a JSON or prose summary
+   */
+  instructions() {
+    if (!this.structured) {
+      return `Please provide:
 1. A brief overview of the main errors
 2. Potential root causes
 3. Recommended actions to fix the issues
 
 Keep the summary concise and actionable.`;
+    }
 
-      // Use the Alith Agent to generate the summary
-      const agentResponse = await this.agent.prompt(prompt);
-      
-      return {
-        summary: agentResponse || 'No summary available',
-        timestamp: new Date().toISOString(),
-        metadata: {
-          originalLength: logContent.length,
-          summaryLength: (agentResponse || '').length,
-          model: this.agent.model || 'gpt-4',
-          agent: 'alith'
+    return `Respond with a single JSON object (no Markdown, no text around it) matching this JSON schema:
+
+${JSON.stringify(SUMMARY_SCHEMA, null, 2)}
+
+Add one entry to "errors" per distinct problem, most important first. Use the fingerprint from the logs where one is given.
+Keep it concise and actionable.`;
+  }
+
+  /**
+   * Sends a prompt to the provider
+   * Structured responses are parsed and validated against SUMMARY_SCHEMA. Invalid output is
+   * sent back with the validation errors, up to maxRetries times, before falling back to prose
+   * @param {string} prompt - Prompt text
+   * @param {object} context - Request context for the provider
+   * @returns {Promise<object>} Response text and structured summary (null for prose)
+   */
+  async complete(prompt, context) {
+    if (!this.structured) {
+      return { text: await this.provider.complete(prompt, context), structured: null };
+    }
+
+    let request = prompt;
+    let response = '';
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      response = await this.provider.complete(request, { ...context, format: 'json', schema: SUMMARY_SCHEMA });
+
+      let problems;
+      try {
+        const structured = parseSummaryJson(response);
+        problems = validateSchema(structured, SUMMARY_SCHEMA);
+        if (problems.length === 0) {
+          return { text: renderSummary(structured), structured };
         }
-      };
-    } catch (error) {
-      throw new Error(`Alith Agent request failed: ${error.message}`);
+      } catch (error) {
+        problems = [error.message];
+      }
+
+      console.log(`⚠️  Invalid structured summary (attempt ${attempt}/${this.maxRetries}): ${problems.slice(0, 3).join('; ')}`);
+      request = `${prompt}
+
+Your previous response was not valid:
+${problems.slice(0, 20).map(problem => `- ${problem}`).join('\n')}
+
+Previous response:
+${String(response).substring(0, 2000)}
+
+Respond again with only the corrected JSON object.`;
+    }
+
+    console.log('⚠️  Falling back to the unstructured response');
+    return { text: response, structured: null };
+  }
+
+  /**
+   * Builds the source context section of a prompt
+   * @param {string} sourceSnippets - Formatted source code context
+   * @returns {string} Prompt section (empty if there are no snippets)
+   */
+  sourceSection(sourceSnippets) {
+    if (!sourceSnippets) {
+      return '';
+    }
+    return `
+Source code around the stack frames (the failing line is marked with >):
+
+--- START OF SOURCE ---
+${sourceSnippets}
+--- END OF SOURCE ---
+`;
+  }
+
+  /**
+   * Builds the git context section of a prompt
+   * @param {string} gitContext - Formatted git context
+   * @returns {string} Prompt section (empty outside a repository)
+   */
+  gitSection(gitContext) {
+    if (!gitContext) {
+      return '';
     }
+    return `
+What changed in the repository around the failing code:
+
+--- START OF GIT CONTEXT ---
+${gitContext}
+--- END OF GIT CONTEXT ---
+`;
+  }
+
+  /**
+   * Wraps a provider response into a summary result
+   * @param {object} response - Response text and structured summary
+   * @param {string} logContent - Content that was summarized
+   * @param {object[]|null} groups - Error groups the content was built from
+   * @returns {object} Summary result
+   */
+  buildResult(response, logContent, groups) {
+    return {
+      summary: response.text || 'No summary available',
+      structured: response.structured,
+      timestamp: new Date().toISOString(),
+      metadata: {
+        originalLength: logContent.length,
+        groups: groups ? groups.length : null,
+        occurrences: groups ? groups.reduce((total, group) => total + group.count, 0) : null,
+        summaryLength: (response.text || '').length,
+        structured: Boolean(response.structured),
+        model: this.provider.model,
+        provider: this.provider.name
+      }
+    };
   }
 
   /**
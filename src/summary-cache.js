@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_CACHE_DIR = path.join('.alith', 'cache');
+const CACHE_VERSION = 1; // Bump when the cached result format changes
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * SummaryCache - Stores summaries on disk, keyed by a hash of what was summarized
+ * One JSON file per entry; entries expire after `ttlHours`, and the least recently used ones
+ * are evicted once the folder grows beyond `maxSizeMb`
+ */
+export class SummaryCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.dir = options.dir || DEFAULT_CACHE_DIR;
+    this.ttlHours = options.ttlHours || 24;
+    this.maxSizeMb = options.maxSizeMb || 20;
+  }
+
+  /**
+   * Computes the cache key for a summary request
+   * @param {object} parts - Everything the summary depends on (input, model, template, ...)
+   * @returns {string} Hex hash
+   */
+  key(parts) {
+    return crypto.createHash('sha256').update(JSON.stringify({ version: CACHE_VERSION, ...parts })).digest('hex');
+  }
+
+  /**
+   * Returns the file of a cache entry
+   * @param {string} key - Cache key
+   * @returns {string} File path
+   */
+  file(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Checks whether an entry is older than the TTL
+   * @param {object} entry - Cache entry
+   * @param {number} now - Reference time (ms)
+   * @returns {boolean} True if expired
+   */
+  isExpired(entry, now = Date.now()) {
+    return now - new Date(entry.cachedAt).getTime() > this.ttlHours * HOUR_MS;
+  }
+
+  /**
+   * Looks up a summary; a hit counts as a use for LRU eviction
+   * Recording the use is best effort, so a read-only cache still serves hits
+   * @param {string} key - Cache key
+   * @returns {object|null} Entry ({ key, cachedAt, lastUsedAt, hits, result }) or null
+   */
+  get(key) {
+    const file = this.file(key);
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      return null; // Not cached, or a half-written entry
+    }
+
+    if (this.isExpired(entry)) {
+      try {
+        fs.rmSync(file, { force: true });
+      } catch (error) {
+        // Left for the next eviction
+      }
+      return null;
+    }
+
+    entry.hits = (entry.hits || 0) + 1;
+    entry.lastUsedAt = new Date().toISOString();
+    try {
+      this.write(file, entry);
+    } catch (error) {
+      console.log(`⚠️  Could not record the cache hit: ${error.message}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Stores a summary, then evicts entries beyond the size cap
+   * A cache that can't be written only costs a model call, so errors are logged, not thrown
+   * @param {string} key - Cache key
+   * @param {object} result - Summary result
+   */
+  set(key, result) {
+    const now = new Date().toISOString();
+    try {
+      fs.mkdirSync(this.dir, { recursive: true });
+      this.write(this.file(key), { key, cachedAt: now, lastUsedAt: now, hits: 0, result });
+      this.evict();
+    } catch (error) {
+      console.log(`⚠️  Could not cache the summary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Writes an entry atomically
+   * @param {string} file - Entry file
+   * @param {object} entry - Cache entry
+   */
+  write(file, entry) {
+    const tempPath = `${file}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(entry), 'utf-8');
+    fs.renameSync(tempPath, file);
+  }
+
+  /**
+   * Lists the entry files with their size and last use (file modification time)
+   * @returns {object[]} Files ({ file, size, mtimeMs }), least recently used first
+   */
+  files() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.dir)
+      .filter(name => name.endsWith('.json'))
+      .map((name) => {
+        const file = path.join(this.dir, name);
+        const { size, mtimeMs } = fs.statSync(file);
+        return { file, size, mtimeMs };
+      })
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+  }
+
+  /**
+   * Deletes the least recently used entries until the cache fits in `maxSizeMb`
+   * The most recent entry is always kept, even if it is larger than the cap on its own
+   * @returns {number} Number of evicted entries
+   */
+  evict() {
+    const files = this.files();
+    let size = files.reduce((total, entry) => total + entry.size, 0);
+    let evicted = 0;
+
+    for (const entry of files.slice(0, -1)) {
+      if (size <= this.maxSizeMb * 1024 * 1024) {
+        break;
+      }
+      fs.rmSync(entry.file, { force: true });
+      size -= entry.size;
+      evicted++;
+    }
+    return evicted;
+  }
+
+  /**
+   * Deletes every entry
+   * @returns {number} Number of deleted entries
+   */
+  clear() {
+    const files = this.files();
+    for (const entry of files) {
+      fs.rmSync(entry.file, { force: true });
+    }
+    return files.length;
+  }
+
+  /**
+   * Describes the cache contents
+   * @returns {object} entries, expired, bytes, hits (model calls saved), oldest and newest entry dates
+   */
+  stats() {
+    const stats = { entries: 0, expired: 0, bytes: 0, hits: 0, oldest: null, newest: null };
+    const now = Date.now();
+
+    for (const { file, size } of this.files()) {
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (error) {
+        continue;
+      }
+
+      stats.entries++;
+      stats.bytes += size;
+      stats.hits += entry.hits || 0;
+      if (this.isExpired(entry, now)) {
+        stats.expired++;
+      }
+      if (!stats.oldest || entry.cachedAt < stats.oldest) {
+        stats.oldest = entry.cachedAt;
+      }
+      if (!stats.newest || entry.cachedAt > stats.newest) {
+        stats.newest = entry.cachedAt;
+      }
+    }
+
+    return stats;
+  }
+}
+
+/**
+ * Creates and returns a new SummaryCache instance
+ * @param {object} options - Configuration options
+ * @returns {SummaryCache} New summary cache instance
+ */
+export function createSummaryCache(options) {
+  return new SummaryCache(options);
+}
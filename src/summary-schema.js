@@ -0,0 +1,187 @@
+/**
+ * JSON schema of a structured summary
+ * Every distinct error gets its own entry with a root cause, locations and fixes
+ * @type {import('json-schema').JSONSchema7}
+ */
+export const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['overview', 'errors'],
+  additionalProperties: false,
+  properties: {
+    overview: { type: 'string', minLength: 1, description: 'One or two sentences on what went wrong overall' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['title', 'severity', 'rootCause', 'locations', 'fixes', 'confidence'],
+        additionalProperties: false,
+        properties: {
+          fingerprint: { type: ['string', 'null'], description: 'Fingerprint of the error group, if given in the logs' },
+          title: { type: 'string', minLength: 1, description: 'Short name of the problem' },
+          severity: { type: 'string', enum: ['fatal', 'error', 'warn', 'info'] },
+          rootCause: { type: 'string', minLength: 1, description: 'Most likely root cause' },
+          locations: {
+            type: 'array',
+            description: 'Affected source files and lines',
+            items: {
+              type: 'object',
+              required: ['file'],
+              additionalProperties: false,
+              properties: {
+                file: { type: 'string', minLength: 1 },
+                line: { type: ['integer', 'null'], minimum: 1 }
+              }
+            }
+          },
+          fixes: {
+            type: 'array',
+            minItems: 1,
+            description: 'Concrete steps to fix the problem',
+            items: { type: 'string', minLength: 1 }
+          },
+          command: { type: ['string', 'null'], description: 'Optional shell command that helps fix or diagnose it' },
+          confidence: { type: 'number', minimum: 0, maximum: 1, description: 'How sure the analysis is, from 0 to 1' }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Checks a value against a JSON type name
+ * @param {*} value - Value
+ * @param {string} type - JSON schema type
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validates a value against a JSON schema
+ * Supports the subset used by SUMMARY_SCHEMA: type, enum, required, properties,
+ * additionalProperties, items, minItems, minLength, minimum and maximum
+ * @param {*} value - Value to validate
+ * @param {import('json-schema').JSONSchema7} schema - Schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateSchema(value, schema = SUMMARY_SCHEMA, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => hasType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} should be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} should be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (hasType(value, 'object')) {
+    for (const name of schema.required || []) {
+      if (!(name in value)) {
+        errors.push(`${path}.${name} is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[name];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertyValue, propertySchema, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Extracts the JSON object from a model response
+ * Tolerates Markdown code fences and text around the object
+ * @param {string} text - Model response
+ * @returns {object} Parsed object
+ */
+export function parseSummaryJson(text) {
+  const fenced = String(text).match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : String(text);
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  if (start === -1 || end < start) {
+    throw new Error('Response contains no JSON object');
+  }
+
+  try {
+    return JSON.parse(candidate.substring(start, end + 1));
+  } catch (error) {
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Renders a structured summary as Markdown prose
+ * @param {object} structured - Structured summary
+ * @returns {string} Summary text
+ */
+export function renderSummary(structured) {
+  const lines = ['**Overview**', structured.overview];
+
+  structured.errors.forEach((error, index) => {
+    lines.push('', `**${index + 1}. ${error.title}** (${error.severity}, confidence ${Math.round(error.confidence * 100)}%)`);
+    lines.push(`Root cause: ${error.rootCause}`);
+
+    if (error.locations.length > 0) {
+      const locations = error.locations.map(location => (location.line ? `${location.file}:${location.line}` : location.file));
+      lines.push(`Affected: ${locations.join(', ')}`);
+    }
+
+    lines.push('Fixes:');
+    error.fixes.forEach(fix => lines.push(`- ${fix}`));
+
+    if (error.command) {
+      lines.push(`Try: \`${error.command}\``);
+    }
+  });
+
+  return lines.join('\n');
+}
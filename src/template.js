@@ -0,0 +1,156 @@
+// {{name}}, {{#if name}}, {{#unless name}}, {{#each name}}, {{else}}, {{/if}}, {{/unless}}, {{/each}}
+const TAG = /\{\{\s*(?:([#/])(if|unless|each)\b\s*([@\w.]*)|(else)|([@\w.]+))\s*\}\}/g;
+
+/**
+ * Looks up a dotted path (`group.count`) in a set of variables
+ * @param {object} vars - Template variables
+ * @param {string} name - Variable name or dotted path
+ * @returns {*} Value, or undefined if it doesn't exist
+ */
+export function lookup(vars, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+/**
+ * Looks up a name in a chain of scopes, innermost first
+ * @param {object[]} scopes - Scopes, innermost first
+ * @param {string} name - Variable name or dotted path
+ * @returns {*} Value, or undefined if no scope has it
+ */
+function resolve(scopes, name) {
+  const head = name.split('.')[0];
+  const scope = scopes.find(entry => entry[head] !== undefined);
+  return scope ? lookup(scope, name) : undefined;
+}
+
+/**
+ * Checks whether a value counts as true in `#if` (empty strings and lists don't)
+ * @param {*} value - Value
+ * @returns {boolean} True if truthy
+ */
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Parses a template into a tree of text, variables and blocks
+ * Block tags alone on a line take the whole line with them, so they leave no blank lines
+ * @param {string} template - Template text
+ * @returns {object[]} Nodes
+ */
+export function parseTemplate(template) {
+  const text = String(template);
+  const root = { children: [] };
+  const stack = [root];
+  let cursor = 0;
+
+  const current = () => stack[stack.length - 1];
+  const pushText = (value) => {
+    if (value) {
+      (current().inverse || current().children).push({ type: 'text', value });
+    }
+  };
+
+  for (const match of text.matchAll(TAG)) {
+    const [tag, marker, block, name, elseTag, variable] = match;
+    let start = match.index;
+    let end = start + tag.length;
+
+    if (!variable) {
+      // A block tag on a line of its own removes that line
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const newline = text.indexOf('\n', end);
+      const lineEnd = newline === -1 ? text.length : newline + 1;
+      if (lineStart >= cursor && /^[ \t]*$/.test(text.slice(lineStart, start)) && /^[ \t]*\r?\n?$/.test(text.slice(end, lineEnd))) {
+        start = lineStart;
+        end = lineEnd;
+      }
+    }
+
+    pushText(text.slice(cursor, start));
+    cursor = end;
+
+    if (variable) {
+      (current().inverse || current().children).push({ type: 'var', name: variable });
+    } else if (elseTag) {
+      if (stack.length === 1 || current().inverse) {
+        throw new Error('Unexpected {{else}} in template');
+      }
+      current().inverse = [];
+    } else if (marker === '#') {
+      if (!name) {
+        throw new Error(`{{#${block}}} needs a variable name`);
+      }
+      const node = { type: block, name, children: [], inverse: null };
+      (current().inverse || current().children).push(node);
+      stack.push(node);
+    } else {
+      if (current().type !== block) {
+        throw new Error(`Unexpected {{/${block}}} in template${stack.length > 1 ? ` (open block: {{#${current().type} ${current().name}}})` : ''}`);
+      }
+      stack.pop();
+    }
+  }
+
+  pushText(text.slice(cursor));
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${current().type} ${current().name}}} in template`);
+  }
+  return root.children;
+}
+
+/**
+ * Renders parsed nodes
+ * @param {object[]} nodes - Nodes from parseTemplate()
+ * @param {object[]} scopes - Variable scopes, innermost first
+ * @returns {string} Rendered text
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+      continue;
+    }
+
+    const value = resolve(scopes, node.name);
+    if (node.type === 'var') {
+      if (value != null) {
+        output += typeof value === 'object' ? JSON.stringify(value) : String(value);
+      }
+    } else if (node.type === 'each') {
+      const items = Array.isArray(value) ? value : [];
+      output += items.length === 0
+        ? renderNodes(node.inverse || [], scopes)
+        : items.map((item, index) => renderNodes(node.children, [{
+          ...(item !== null && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+          this: item,
+          '@index': index,
+          '@number': index + 1,
+          '@first': index === 0,
+          '@last': index === items.length - 1
+        }, ...scopes])).join('');
+    } else {
+      const show = node.type === 'if' ? truthy(value) : !truthy(value);
+      output += renderNodes(show ? node.children : (node.inverse || []), scopes);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Renders a template
+ * - `{{name}}` and `{{dotted.path}}` placeholders; missing values render as an empty string,
+ *   objects as JSON
+ * - `{{#if name}}...{{else}}...{{/if}}` and `{{#unless name}}...{{/unless}}` (empty lists are false)
+ * - `{{#each list}}...{{else}}...{{/each}}`; inside, the item's fields are variables, plus
+ *   `{{this}}`, `{{@index}}`, `{{@number}}`, `{{@first}}` and `{{@last}}`
+ * @param {string} template - Template text
+ * @param {object} vars - Template variables
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, vars = {}) {
+  return renderNodes(parseTemplate(template), [vars]);
+}
@@ -0,0 +1,540 @@
+import path from 'path';
+import { createRecord, parseStack, SOURCES } from './records.js';
+import { isInAppFrame } from './fingerprint.js';
+
+export const TEST_REPORT_FORMATS = ['junit', 'tap', 'jest', 'mocha'];
+
+const ANSI_CODES = /\x1b\[[0-9;]*m/g;
+const SOURCE_FILE = /\.[cm]?[jt]sx?$/;
+const ATTRIBUTES = '(?:[^>"\']|"[^"]*"|\'[^\']*\')*?'; // Attributes of an XML tag, which may contain `>`
+const PRINTED_DIFF = /^\s*(?:Expected|Received):|^\s*[-+] (?:Expected|Received|expected|actual)\b/m; // Jest, Vitest, node:assert
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+/**
+ * Returns the indentation of a line
+ * @param {string} line - Line of text
+ * @returns {number} Number of leading whitespace characters
+ */
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+/**
+ * Decodes XML entities and CDATA sections
+ * @param {string} text - XML text content or attribute value
+ * @returns {string} Plain text
+ */
+function decodeXml(text) {
+  return String(text || '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => content.replace(/&/g, '&amp;'))
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+      }
+      return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Parses the attributes of an XML tag
+ * @param {string} text - Attribute text (`name="value" ...`)
+ * @returns {object} Attributes by name
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, , value] of String(text || '').matchAll(/([\w:.-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+}
+
+/**
+ * Splits assertion output into message and stack trace
+ * @param {string} text - Failure output
+ * @returns {object} `message` and `stack` (text, one `at ...` frame per line)
+ */
+function splitFailure(text) {
+  const lines = String(text || '').replace(ANSI_CODES, '').split('\n');
+  const start = lines.findIndex(line => /^\s*at\s/.test(line));
+  if (start === -1) {
+    return { message: lines.join('\n').trim(), stack: '' };
+  }
+  return { message: lines.slice(0, start).join('\n').trim(), stack: lines.slice(start).join('\n') };
+}
+
+/**
+ * Reads `Expected:`/`Received:` lines from a Jest or Vitest assertion message
+ * @param {string} message - Assertion message
+ * @returns {object} `expected` and `actual` (undefined if not found)
+ */
+function expectedAndReceived(message) {
+  const expected = message.match(/^\s*Expected(?: value)?:\s+(.+)$/m);
+  const received = message.match(/^\s*Received(?: value)?:\s+(.+)$/m);
+  return { expected: expected?.[1], actual: received?.[1] };
+}
+
+/**
+ * Formats the difference between an expected and an actual value
+ * @param {*} expected - Expected value
+ * @param {*} actual - Actual value
+ * @returns {string} `- expected` / `+ actual` lines, or '' if either is missing
+ */
+export function formatDiff(expected, actual) {
+  if (expected === undefined || actual === undefined) {
+    return '';
+  }
+
+  const lines = value => (typeof value === 'string' ? value : JSON.stringify(value, null, 2) ?? String(value)).split('\n');
+  return [
+    '- Expected',
+    '+ Actual',
+    '',
+    ...lines(expected).map(line => `- ${line}`),
+    ...lines(actual).map(line => `+ ${line}`)
+  ].join('\n');
+}
+
+/**
+ * Builds a failure with the fields every parser fills in
+ * Reports that don't give the test's file and line get them from the top in-app stack frame
+ * @param {object} fields - Parsed fields
+ * @returns {object} Failure ({ name, suite, fullName, file, line, column, message, expected,
+ * actual, diff, stack, duration })
+ */
+function createFailure(fields) {
+  const suite = (fields.suite || []).filter(Boolean);
+  const expected = fields.expected ?? undefined;
+  const actual = fields.actual ?? undefined;
+  const frame = fields.file ? null : parseStack(fields.stack || '').stack.find(isInAppFrame);
+
+  return {
+    name: fields.name || '(unnamed test)',
+    suite,
+    fullName: fields.fullName || [...suite, fields.name].filter(Boolean).join(' › '),
+    file: fields.file || frame?.file || null,
+    line: fields.line || frame?.line ? Number(fields.line || frame.line) : null,
+    column: fields.column || frame?.column ? Number(fields.column || frame.column) : null,
+    message: fields.message || 'Test failed',
+    expected,
+    actual,
+    diff: formatDiff(expected, actual),
+    stack: fields.stack || '',
+    duration: fields.duration ?? null
+  };
+}
+
+/**
+ * Parses a JUnit XML report (jest-junit, vitest, mocha-junit-reporter, node:test, ...)
+ * @param {string} xml - Report content
+ * @returns {object} Report ({ total, passed, failed, skipped, failures })
+ */
+export function parseJUnit(xml) {
+  const report = { total: 0, passed: 0, failed: 0, skipped: 0, failures: [] };
+  const suites = [];
+  const tags = new RegExp(`<testsuite\\b(${ATTRIBUTES})>|</testsuite>|<testcase\\b(${ATTRIBUTES})(?:/>|>([\\s\\S]*?)</testcase>)`, 'g');
+
+  for (const [tag, suiteAttributes, caseAttributes, body = ''] of String(xml).matchAll(tags)) {
+    if (tag.startsWith('</')) {
+      suites.pop();
+      continue;
+    }
+    if (suiteAttributes !== undefined) {
+      if (!suiteAttributes.trimEnd().endsWith('/')) {
+        suites.push(parseAttributes(suiteAttributes));
+      }
+      continue;
+    }
+
+    const testCase = parseAttributes(caseAttributes);
+    report.total++;
+
+    if (/<skipped\b/.test(body)) {
+      report.skipped++;
+      continue;
+    }
+
+    const failure = body.match(new RegExp(`<(failure|error)\\b(${ATTRIBUTES})(?:/>|>([\\s\\S]*?)</\\1>)`));
+    if (!failure) {
+      report.passed++;
+      continue;
+    }
+
+    report.failed++;
+    const attributes = parseAttributes(failure[2]);
+    const { message, stack } = splitFailure(decodeXml(failure[3]));
+    // Some reporters only name the file as the suite or class
+    const file = testCase.file || suites.findLast(suite => suite.file)?.file ||
+      [testCase.classname, ...suites.map(suite => suite.name)].find(name => SOURCE_FILE.test(name || '')) || null;
+    const suite = suites.map(entry => entry.name).filter(name => name && name !== file);
+    if (testCase.classname && ![testCase.name, file, suite[suite.length - 1]].includes(testCase.classname)) {
+      suite.push(testCase.classname);
+    }
+
+    report.failures.push(createFailure({
+      name: testCase.name,
+      suite,
+      file,
+      line: testCase.line,
+      message: message || attributes.message || attributes.type,
+      stack,
+      duration: testCase.time ? Number(testCase.time) * 1000 : null
+    }));
+  }
+
+  return report;
+}
+
+/**
+ * Parses a YAML scalar as written by TAP producers
+ * @param {string} value - Scalar text
+ * @returns {*} Unquoted value
+ */
+function parseYamlScalar(value) {
+  const text = value.trim();
+  if (text.startsWith("'") && text.endsWith("'") && text.length > 1) {
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (text.startsWith('"') && text.endsWith('"') && text.length > 1) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text.slice(1, -1);
+    }
+  }
+  return text === '~' || text === 'null' ? null : text;
+}
+
+/**
+ * Parses the YAML diagnostics block of a TAP test point
+ * Supports what TAP producers write: scalars, block scalars (`|`, `|-`, `>-`) and nested maps
+ * @param {string[]} lines - Lines between `---` and `...`
+ * @returns {object} Diagnostics
+ */
+export function parseYamlBlock(lines) {
+  const content = lines.filter(line => line.trim().length > 0);
+  const base = content.length > 0 ? Math.min(...content.map(indentOf)) : 0;
+  const result = {};
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const entry = line.trim().length > 0 && indentOf(line) === base && line.slice(base).match(/^([\w.-]+):(?:\s+(.*))?$/);
+    if (!entry) {
+      continue;
+    }
+
+    const [, key, value = ''] = entry;
+    const nested = [];
+    while (i + 1 < lines.length && (lines[i + 1].trim().length === 0 || indentOf(lines[i + 1]) > base)) {
+      nested.push(lines[++i]);
+    }
+
+    if (/^[|>][+-]?$/.test(value)) {
+      const nestedContent = nested.filter(nestedLine => nestedLine.trim().length > 0);
+      const indent = nestedContent.length > 0 ? Math.min(...nestedContent.map(indentOf)) : 0;
+      const text = nested.map(nestedLine => nestedLine.slice(indent)).join(value[0] === '>' ? ' ' : '\n');
+      result[key] = value.endsWith('-') ? text.replace(/\s+$/, '') : text;
+    } else if (value.length === 0 && nested.some(nestedLine => /^\s*[\w.-]+:(\s|$)/.test(nestedLine))) {
+      result[key] = parseYamlBlock(nested);
+    } else {
+      result[key] = parseYamlScalar([value, ...nested.map(nestedLine => nestedLine.trim())].join(' '));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parses a `file:line:column` location (or `file:///...` URL)
+ * @param {string} location - Location text
+ * @returns {object} `file`, `line` and `column`
+ */
+function parseLocation(location) {
+  const match = String(location || '').match(/^(?:file:\/\/)?(.+?)(?::(\d+))?(?::(\d+))?$/);
+  return match ? { file: match[1], line: match[2], column: match[3] } : {};
+}
+
+/**
+ * Parses TAP output (node:test, mocha's tap reporter, tape, ...)
+ * node:test's subtests are nested by indentation; parents that only failed because
+ * of a subtest aren't reported
+ * @param {string} text - TAP output
+ * @returns {object} Report ({ total, passed, failed, skipped, failures })
+ */
+export function parseTap(text) {
+  const report = { total: 0, passed: 0, failed: 0, skipped: 0, failures: [] };
+  const lines = String(text).replace(ANSI_CODES, '').split('\n');
+  const subtests = []; // `# Subtest:` names by indentation
+  const testPoint = /^(\s*)(not ok|ok)\b(?:\s+\d+)?(?:\s+-)?\s*(.*?)(?:\s+#\s*(skip|todo)\b.*)?$/i;
+
+  for (let i = 0; i < lines.length; i++) {
+    const subtest = lines[i].match(/^(\s*)# Subtest: (.*)$/);
+    if (subtest) {
+      const indent = subtest[1].length;
+      while (subtests.length > 0 && subtests[subtests.length - 1].indent >= indent) {
+        subtests.pop();
+      }
+      subtests.push({ indent, name: subtest[2].trim() });
+      continue;
+    }
+
+    const point = lines[i].match(testPoint);
+    if (!point) {
+      continue;
+    }
+
+    const [, indentText, status, description, directive] = point;
+    const indent = indentText.length;
+    const suite = subtests.filter(entry => entry.indent < indent).map(entry => entry.name);
+    while (subtests.length > 0 && subtests[subtests.length - 1].indent >= indent) {
+      subtests.pop();
+    }
+
+    // Diagnostics: a YAML block, or (TAP 12) indented lines with the message and stack
+    const details = [];
+    let diagnostics = {};
+    if (lines[i + 1]?.trim() === '---') {
+      const blockIndent = indentOf(lines[++i]);
+      // Messages can contain a `...` line too; the block ends at the one lined up with `---`
+      while (i + 1 < lines.length && !(lines[i + 1].trim() === '...' && indentOf(lines[i + 1]) === blockIndent)) {
+        details.push(lines[++i]);
+      }
+      i++;
+      diagnostics = parseYamlBlock(details);
+    } else {
+      while (i + 1 < lines.length && indentOf(lines[i + 1]) > indent && !testPoint.test(lines[i + 1]) && !/^\s*(#|\d+\.\.\d+)/.test(lines[i + 1])) {
+        details.push(lines[++i].trim());
+      }
+    }
+
+    if (diagnostics.failureType === 'subtestsFailed') {
+      continue; // The failing subtests are reported themselves
+    }
+
+    report.total++;
+    if (directive) {
+      report.skipped++;
+      continue;
+    }
+    if (status === 'ok') {
+      report.passed++;
+      continue;
+    }
+
+    report.failed++;
+    const at = diagnostics.at?.file ? `${diagnostics.at.file}:${diagnostics.at.line}` : null; // tape
+    const location = parseLocation(diagnostics.location || at);
+    const stackText = diagnostics.stack
+      ? String(diagnostics.stack).split('\n').map(frame => (/^\s*at\s/.test(frame) ? frame : `    at ${frame.trim()}`)).join('\n')
+      : '';
+    const detail = splitFailure(details.join('\n'));
+
+    report.failures.push(createFailure({
+      name: description.trim(),
+      suite,
+      file: location.file,
+      line: location.line,
+      column: location.column,
+      message: String(diagnostics.error || diagnostics.message || detail.message || '').trim(),
+      expected: diagnostics.expected ?? diagnostics.wanted,
+      actual: diagnostics.actual ?? diagnostics.found,
+      stack: stackText || detail.stack,
+      duration: diagnostics.duration_ms ? Number(diagnostics.duration_ms) : null
+    }));
+  }
+
+  return report;
+}
+
+/**
+ * Parses a Jest `--json` report; Vitest's `json` reporter writes the same format
+ * Test files that failed to run (syntax errors, missing modules) are reported as one failure each
+ * @param {object|string} json - Report
+ * @returns {object} Report ({ total, passed, failed, skipped, failures })
+ */
+export function parseJestJson(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const report = { total: 0, passed: 0, failed: 0, skipped: 0, failures: [] };
+
+  for (const file of data.testResults || []) {
+    const tests = file.assertionResults || [];
+
+    if (tests.length === 0 && file.status === 'failed') {
+      const { message, stack } = splitFailure(file.message || file.failureMessage);
+      report.total++;
+      report.failed++;
+      report.failures.push(createFailure({ name: 'Test suite failed to run', file: file.name, message, stack }));
+      continue;
+    }
+
+    for (const test of tests) {
+      report.total++;
+      if (test.status === 'passed') {
+        report.passed++;
+        continue;
+      }
+      if (test.status !== 'failed') {
+        report.skipped++; // pending, skipped, todo, disabled
+        continue;
+      }
+
+      report.failed++;
+      const { message, stack } = splitFailure((test.failureMessages || []).join('\n'));
+      const { expected, actual } = expectedAndReceived(message);
+      report.failures.push(createFailure({
+        name: test.title,
+        suite: test.ancestorTitles,
+        fullName: test.fullName,
+        file: file.name,
+        line: test.location?.line,
+        column: test.location?.column,
+        message,
+        expected,
+        actual,
+        stack,
+        duration: test.duration ?? null
+      }));
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Parses a Mocha `--reporter json` report
+ * @param {object|string} json - Report
+ * @returns {object} Report ({ total, passed, failed, skipped, failures })
+ */
+export function parseMochaJson(json) {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  const failures = data.failures || [];
+
+  return {
+    total: data.stats?.tests ?? (data.tests || []).length,
+    passed: data.stats?.passes ?? (data.passes || []).length,
+    failed: failures.length,
+    skipped: data.stats?.pending ?? (data.pending || []).length,
+    failures: failures.map((test) => {
+      const err = test.err || {};
+      const { stack } = splitFailure(err.stack);
+      const title = test.title || '';
+      const fullTitle = test.fullTitle || title;
+      return createFailure({
+        name: title,
+        suite: fullTitle.endsWith(title) && fullTitle !== title ? [fullTitle.slice(0, -title.length).trim()] : [],
+        fullName: fullTitle,
+        file: test.file,
+        message: err.message,
+        expected: err.expected,
+        actual: err.actual,
+        stack,
+        duration: test.duration ?? null
+      });
+    })
+  };
+}
+
+/**
+ * Guesses the format of a test report from its content
+ * @param {string} content - Report content
+ * @returns {string|null} junit, jest, mocha or tap, or null if unknown
+ */
+export function detectFormat(content) {
+  const text = String(content || '').trimStart();
+  if (text.startsWith('<')) {
+    return /<testsuites?\b/.test(text) ? 'junit' : null;
+  }
+
+  if (text.startsWith('{')) {
+    try {
+      const data = JSON.parse(text);
+      if (Array.isArray(data.testResults)) {
+        return 'jest';
+      }
+      if (data.stats && Array.isArray(data.failures)) {
+        return 'mocha';
+      }
+    } catch (error) {
+      // Not a JSON report - it may still be TAP
+    }
+  }
+
+  return /^\s*(?:TAP version \d+|(?:not )?ok\b(?:\s+\d+)?)/m.test(text) ? 'tap' : null;
+}
+
+/**
+ * Parses a test report into structured failures
+ * @param {string} content - Report content
+ * @param {string} format - junit, tap, jest (also Vitest) or mocha; detected if not given
+ * @returns {object} Report ({ format, total, passed, failed, skipped, failures })
+ */
+export function parseTestReport(content, format = null) {
+  const detected = format || detectFormat(content);
+  if (!detected) {
+    throw new Error('Unrecognized test report (expected JUnit XML, TAP, or a Jest, Vitest or Mocha JSON report)');
+  }
+  if (!TEST_REPORT_FORMATS.includes(detected)) {
+    throw new Error(`Unknown test report format "${detected}" (use one of ${TEST_REPORT_FORMATS.join(', ')})`);
+  }
+
+  const parsers = { junit: parseJUnit, tap: parseTap, jest: parseJestJson, mocha: parseMochaJson };
+  try {
+    return { format: detected, ...parsers[detected](content) };
+  } catch (error) {
+    throw new Error(`Cannot parse ${detected} test report: ${error.message}`);
+  }
+}
+
+/**
+ * Turns a failing test into an error record for the processing pipeline
+ * The assertion diff is added to the message unless the runner already printed one; without
+ * a stack, the test's own location is used as the frame, so the test's source is attached
+ * @param {object} failure - Failure from parseTestReport()
+ * @param {object} fields - Extra record fields (command, ...)
+ * @returns {object} Error record with a `test` field
+ */
+export function failureRecord(failure, fields = {}) {
+  let { stack } = parseStack(failure.stack);
+  if (stack.length === 0 && failure.file) {
+    const location = [failure.file, failure.line, failure.line && failure.column].filter(Boolean).join(':');
+    stack = [{ function: failure.fullName, file: failure.file, line: failure.line, column: failure.column, raw: `${failure.fullName} (${location})` }];
+  }
+
+  return createRecord({
+    pid: null,
+    ...fields,
+    source: SOURCES.TEST,
+    level: 'error',
+    message: [failure.message, PRINTED_DIFF.test(failure.message) ? '' : failure.diff].filter(Boolean).join('\n\n'),
+    stack,
+    test: {
+      name: failure.name,
+      suite: failure.suite,
+      fullName: failure.fullName,
+      file: failure.file,
+      line: failure.line
+    }
+  });
+}
+
+/**
+ * Lists the failing tests behind a set of records, once each
+ * @param {object[]} records - Error records
+ * @returns {object[]} Tests ({ name, file, location }), with paths relative to the working directory
+ */
+export function failingTests(records) {
+  const tests = new Map();
+
+  for (const record of records || []) {
+    if (!record.test) {
+      continue;
+    }
+
+    const file = record.test.file && path.isAbsolute(record.test.file)
+      ? path.relative(process.cwd(), record.test.file)
+      : record.test.file;
+    const location = file ? [file, record.test.line].filter(Boolean).join(':') : null;
+    tests.set(`${record.test.fullName}\n${location}`, { name: record.test.fullName, file: file || null, location });
+  }
+
+  return [...tests.values()];
+}
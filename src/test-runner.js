@@ -0,0 +1,238 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { createProcessRunner } from './process-runner.js';
+import { parseTestReport } from './test-reports.js';
+
+const DEFAULT_REPORTS_DIR = path.join('.alith', 'test-reports');
+const MAX_OUTPUT_CHARS = 5 * 1024 * 1024; // stdout kept for runners that report on it
+const STDERR_TAIL_CHARS = 4000;
+
+/**
+ * How to get a machine-readable report from each runner, next to its usual output
+ * - `args`: arguments added to the command; `env`: environment added for the run
+ * - `format`: report format; runners without a report file write it to stdout
+ */
+export const TEST_RUNNERS = {
+  jest: {
+    format: 'jest',
+    args: file => ['--json', `--outputFile=${file}`, '--testLocationInResults']
+  },
+  vitest: {
+    format: 'jest',
+    args: file => ['--reporter=default', '--reporter=json', `--outputFile.json=${file}`]
+  },
+  mocha: {
+    format: 'tap',
+    stdout: true,
+    args: () => ['--reporter', 'tap']
+  },
+  // Reporter options have to come before the test files, so they go through NODE_OPTIONS;
+  // that also reaches `node --test` behind `npm test`
+  'node:test': {
+    format: 'tap',
+    env: (file, env) => ({
+      NODE_OPTIONS: [env.NODE_OPTIONS, '--test-reporter=spec', '--test-reporter-destination=stdout',
+        '--test-reporter=tap', `--test-reporter-destination=${file}`].filter(Boolean).join(' ')
+    })
+  }
+};
+
+// Package managers that run a package.json script, and how they pass extra arguments to it
+const PACKAGE_MANAGERS = { npm: ['--'], pnpm: ['--'], yarn: [] };
+
+/**
+ * Finds the test runner in a command line
+ * @param {string} text - Command line or package.json script
+ * @returns {string|null} Runner name
+ */
+function runnerIn(text) {
+  if (/(?:^|[\s/\\])node(?:\.exe)?\s+(?:\S+\s+)*?--test\b/.test(text)) {
+    return 'node:test';
+  }
+  const match = text.match(/(?:^|[\s/\\])(vitest|jest|_?mocha)(?:\.c?js)?(?=\s|$)/);
+  return match ? match[1].replace('_', '') : null;
+}
+
+/**
+ * Detects the test runner a command starts, looking through `npm test` (and other
+ * package.json scripts run with npm, pnpm or yarn)
+ * @param {string} command - Command
+ * @param {string[]} args - Command arguments
+ * @param {string} cwd - Directory with package.json
+ * @returns {object} `runner` (or null) and `script` (true if the runner is behind a script)
+ */
+export function detectRunner(command, args = [], cwd = process.cwd()) {
+  const direct = runnerIn([command, ...args].join(' '));
+  const manager = path.basename(command).replace(/\.cmd$/, '');
+  if (direct || !(manager in PACKAGE_MANAGERS)) {
+    return { runner: direct, script: false };
+  }
+
+  const [first, second] = args;
+  const name = ['run', 'run-script'].includes(first) ? second : (first === 't' ? 'test' : first);
+  try {
+    const { scripts = {} } = JSON.parse(fs.readFileSync(path.join(cwd, 'package.json'), 'utf-8'));
+    return { runner: scripts[name] ? runnerIn(scripts[name]) : null, script: true };
+  } catch (error) {
+    return { runner: null, script: true };
+  }
+}
+
+/**
+ * TestRunner - Runs a test command with a machine-readable reporter added, and parses the
+ * report into structured failures
+ * The runner's own output still goes to the terminal; `report` reads a report the command
+ * writes itself (any runner, e.g. a JUnit reporter), with `format` if it can't be detected
+ */
+export class TestRunner {
+  constructor(options = {}) {
+    this.command = options.command;
+    this.args = options.args || [];
+    this.cwd = options.cwd || process.cwd();
+    this.env = options.env || process.env;
+    this.runner = options.runner || null; // jest, vitest, mocha or node:test; detected if not given
+    this.report = options.report || null;
+    this.format = options.format || null;
+    this.reportsDir = options.reportsDir || DEFAULT_REPORTS_DIR;
+    this.processRunner = null;
+
+    if (!this.command) {
+      throw new Error('TestRunner requires a command to run');
+    }
+    if (this.runner && !(this.runner in TEST_RUNNERS)) {
+      throw new Error(`Unknown test runner "${this.runner}" (use one of ${Object.keys(TEST_RUNNERS).join(', ')})`);
+    }
+  }
+
+  /**
+   * Returns the full command line as a display string
+   * @returns {string} Command line
+   */
+  get commandLine() {
+    return [this.command, ...this.args].join(' ');
+  }
+
+  /**
+   * Works out how the command is run and where its report comes from
+   * @returns {object} `runner`, `args`, `env`, `format`, `reportFile` (null for stdout)
+   * and `temporary` (the report file is ours to delete)
+   */
+  plan() {
+    if (this.report) {
+      return { runner: this.runner, args: this.args, env: this.env, format: this.format, reportFile: path.resolve(this.cwd, this.report), temporary: false };
+    }
+
+    const detected = this.runner ? { runner: this.runner, script: false } : detectRunner(this.command, this.args, this.cwd);
+    const spec = TEST_RUNNERS[detected.runner];
+    if (!spec) {
+      // Unknown runner: its output may still be TAP
+      return { runner: null, args: this.args, env: this.env, format: this.format, reportFile: null, temporary: false };
+    }
+
+    const reportFile = spec.stdout
+      ? null
+      : path.resolve(this.cwd, this.reportsDir, `${Date.now()}-${crypto.randomBytes(3).toString('hex')}.${spec.format === 'tap' ? 'tap' : 'json'}`);
+    const extraArgs = spec.args ? spec.args(reportFile) : [];
+    // Arguments after `npm test` need a `--` to reach the script (unless one is there already)
+    const separator = detected.script && extraArgs.length > 0 && !this.args.includes('--')
+      ? PACKAGE_MANAGERS[path.basename(this.command).replace(/\.cmd$/, '')]
+      : [];
+
+    return {
+      runner: detected.runner,
+      args: [...this.args, ...separator, ...extraArgs],
+      env: { ...this.env, ...(spec.env ? spec.env(reportFile, this.env) : {}) },
+      format: spec.format,
+      reportFile,
+      temporary: Boolean(reportFile)
+    };
+  }
+
+  /**
+   * Runs the tests and resolves once the command exits
+   * @returns {Promise<object>} Exit result (code, signal, duration, error), plus `runner`,
+   * `commandLine`, the parsed `report` (or `reportError`) and the end of its stderr
+   */
+  async start() {
+    const plan = this.plan();
+    if (plan.runner) {
+      console.log(`🧪 Test runner: ${plan.runner} (${plan.format} report${plan.reportFile ? '' : ' on stdout'})`);
+    } else if (!plan.reportFile) {
+      console.log('⚠️  Unknown test runner, looking for TAP in its output (use --runner or --report to choose)');
+    }
+
+    if (plan.reportFile) {
+      fs.mkdirSync(path.dirname(plan.reportFile), { recursive: true });
+      fs.rmSync(plan.reportFile, { force: true }); // Never read a report left by an earlier run
+    }
+
+    let stdout = '';
+    let stderr = '';
+    this.processRunner = createProcessRunner({
+      command: this.command,
+      args: plan.args,
+      cwd: this.cwd,
+      env: plan.env,
+      captureStdoutErrors: false,
+      ipc: false
+    });
+    this.processRunner.on('output', ({ stream, text }) => {
+      if (stream === 'stdout' && !plan.reportFile && stdout.length < MAX_OUTPUT_CHARS) {
+        stdout += text;
+      } else if (stream === 'stderr') {
+        stderr = (stderr + text).slice(-STDERR_TAIL_CHARS);
+      }
+    });
+
+    const result = await this.processRunner.start();
+    this.processRunner = null;
+
+    let report = null;
+    let reportError = null;
+    try {
+      report = this.readReport(plan, stdout);
+    } catch (error) {
+      reportError = error.message;
+    } finally {
+      if (plan.temporary) {
+        fs.rmSync(plan.reportFile, { force: true });
+      }
+    }
+
+    return { ...result, runner: plan.runner, commandLine: this.commandLine, report, reportError, stderr };
+  }
+
+  /**
+   * Reads and parses the report of a finished run
+   * @param {object} plan - Run plan
+   * @param {string} stdout - Output of the run
+   * @returns {object} Parsed report
+   */
+  readReport(plan, stdout) {
+    if (!plan.reportFile) {
+      return parseTestReport(stdout, plan.format);
+    }
+    if (!fs.existsSync(plan.reportFile)) {
+      throw new Error(`No test report was written to ${path.relative(this.cwd, plan.reportFile)}`);
+    }
+    return parseTestReport(fs.readFileSync(plan.reportFile, 'utf-8'), plan.format);
+  }
+
+  /**
+   * Forwards a signal to the running tests
+   * @param {string} signal - Signal name
+   */
+  kill(signal = 'SIGTERM') {
+    this.processRunner?.kill(signal);
+  }
+}
+
+/**
+ * Creates and returns a new TestRunner instance
+ * @param {object} options - Configuration options
+ * @returns {TestRunner} New test runner instance
+ */
+export function createTestRunner(options) {
+  return new TestRunner(options);
+}
@@ -0,0 +1,151 @@
+import { EventEmitter } from 'events';
+import { fingerprint } from './fingerprint.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * TriggerPolicy - Decides when captured errors should be processed
+ * Fed with new records as they are captured, it fires a `trigger` event when:
+ *   - a record has an immediate level (fatal: uncaught exceptions, failed commands)
+ *   - `threshold` distinct errors are pending
+ *   - no new error has arrived for `debounce` seconds
+ *   - the oldest pending error has waited `maxWait` seconds
+ * Triggers beyond `maxPerHour` are deferred until the hourly window allows another run
+ */
+export class TriggerPolicy extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.debounce = (options.debounce ?? 5) * 1000; // Convert to ms
+    this.threshold = options.threshold ?? 10; // Distinct errors
+    this.immediateLevels = new Set(options.immediateLevels || ['fatal']);
+    this.maxWait = (options.maxWait ?? 30) * 1000; // Convert to ms
+    this.maxPerHour = options.maxPerHour ?? 20; // LLM calls per hour
+    this.pending = new Map(); // fingerprint -> occurrences
+    this.firstPendingAt = null;
+    this.debounceTimer = null;
+    this.maxWaitTimer = null;
+    this.rateLimitTimer = null;
+    this.calls = []; // Timestamps of recent triggers
+  }
+
+  /**
+   * Adds newly captured records and fires a trigger if the policy says so
+   * @param {object[]} records - New error records
+   */
+  add(records) {
+    if (records.length === 0) {
+      return;
+    }
+
+    for (const record of records) {
+      const key = fingerprint(record);
+      this.pending.set(key, (this.pending.get(key) || 0) + 1);
+    }
+
+    const immediate = records.find(record => this.immediateLevels.has(record.level));
+    if (immediate) {
+      this.fire(`${immediate.level} error`);
+      return;
+    }
+
+    if (this.pending.size >= this.threshold) {
+      this.fire(`${this.pending.size} distinct errors`);
+      return;
+    }
+
+    if (this.firstPendingAt === null) {
+      this.firstPendingAt = Date.now();
+      this.maxWaitTimer = setTimeout(() => this.fire('max wait reached'), this.maxWait);
+    }
+
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => this.fire('quiet period'), this.debounce);
+  }
+
+  /**
+   * Emits a trigger unless the hourly rate limit is reached, in which case
+   * the trigger is retried once the window allows another run
+   * @param {string} reason - Why processing is triggered
+   */
+  fire(reason) {
+    // With `maxPerHour: 0`, errors are only processed by hand
+    if (this.pending.size === 0 || this.rateLimitTimer || this.maxPerHour === 0) {
+      return;
+    }
+
+    const now = Date.now();
+    this.calls = this.calls.filter(time => now - time < HOUR_MS);
+
+    if (this.calls.length >= this.maxPerHour) {
+      const retryIn = this.calls[0] + HOUR_MS - now;
+      this.clearTimers();
+      this.rateLimitTimer = setTimeout(() => {
+        this.rateLimitTimer = null;
+        this.fire(`${reason}, deferred by rate limit`);
+      }, retryIn);
+      this.emit('rateLimited', { reason, retryIn, pending: this.pending.size });
+      return;
+    }
+
+    const pending = this.pending.size;
+    const waitedMs = this.firstPendingAt ? now - this.firstPendingAt : 0;
+    this.recordCall();
+    this.emit('trigger', { reason, pending, waitedMs });
+  }
+
+  /**
+   * Counts a processing run against the rate limit and clears pending errors
+   * Called for policy triggers and for manual runs
+   */
+  recordCall() {
+    this.calls.push(Date.now());
+    this.reset();
+  }
+
+  /**
+   * Forgets pending errors (they were processed or cleared)
+   */
+  reset() {
+    this.clearTimers();
+    this.pending.clear();
+    this.firstPendingAt = null;
+  }
+
+  /**
+   * Clears the debounce and max-wait timers
+   */
+  clearTimers() {
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.maxWaitTimer);
+    this.debounceTimer = null;
+    this.maxWaitTimer = null;
+  }
+
+  /**
+   * Describes the policy for startup logging
+   * @returns {string} Human-readable policy
+   */
+  describe() {
+    return `after ${this.debounce / 1000}s of quiet, ${this.threshold} distinct errors or ` +
+      `${this.maxWait / 1000}s max wait; immediately on ${[...this.immediateLevels].join('/')}; ` +
+      `at most ${this.maxPerHour} runs per hour`;
+  }
+
+  /**
+   * Stops all timers
+   */
+  stop() {
+    this.clearTimers();
+    clearTimeout(this.rateLimitTimer);
+    this.rateLimitTimer = null;
+  }
+}
+
+/**
+ * Creates and returns a new TriggerPolicy instance
+ * @param {object} options - Configuration options
+ * @returns {TriggerPolicy} New trigger policy instance
+ */
+export function createTriggerPolicy(options) {
+  return new TriggerPolicy(options);
+}
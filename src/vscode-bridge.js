@@ -0,0 +1,233 @@
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * Wire protocol shared with the companion VS Code extension (vscode-extension/)
+ *
+ * Newline-delimited JSON over a Unix domain socket (named pipe on Windows):
+ *   client → { type: 'hello', version, token }
+ *   server → { type: 'hello', ok: true, version }            (or ok: false + error)
+ *   client → { type: 'chat', id, token, query }
+ *   server → { type: 'result', id, ok: true }                (or ok: false + error)
+ */
+export const BRIDGE_PROTOCOL_VERSION = 1;
+export const BRIDGE_ENV = 'ALITH_NOTIFY_BRIDGE';
+export const BRIDGE_TOKEN_ENV = 'ALITH_NOTIFY_BRIDGE_TOKEN';
+
+// The extension's discovery files live in its global storage, `<user data>/User/globalStorage/<id>/bridges`
+const EXTENSION_ID = 'alith-notify.alith-notify-bridge';
+const EDITOR_PRODUCTS = ['Code', 'Code - Insiders', 'VSCodium'];
+
+/**
+ * Lists the folders where the extension may have written discovery files, one per editor build
+ * @param {object} env - Environment variables
+ * @returns {string[]} Folders
+ */
+export function bridgeDirs(env = process.env) {
+  const home = os.homedir();
+  const userData = {
+    win32: env.APPDATA || path.join(home, 'AppData', 'Roaming'),
+    darwin: path.join(home, 'Library', 'Application Support')
+  }[process.platform] || env.XDG_CONFIG_HOME || path.join(home, '.config');
+
+  return EDITOR_PRODUCTS.map(product => path.join(userData, product, 'User', 'globalStorage', EXTENSION_ID, 'bridges'));
+}
+
+/**
+ * Checks whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if running (or unknown)
+ */
+function isRunning(pid) {
+  if (!pid) {
+    return true;
+  }
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Checks whether a folder is, or is inside, another folder
+ * @param {string} dir - Folder to check
+ * @param {string} folder - Containing folder
+ * @returns {boolean} True if `dir` is inside `folder`
+ */
+function isInside(dir, folder) {
+  const relative = path.relative(folder, dir);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * Encodes a protocol message as one NDJSON line
+ * @param {object} message - Message object
+ * @returns {string} Encoded line
+ */
+export function encodeMessage(message) {
+  return `${JSON.stringify(message)}\n`;
+}
+
+/**
+ * Creates a stream decoder that calls back once per complete NDJSON message
+ * @param {Function} onMessage - Called with each decoded message
+ * @param {Function} onError - Called when a line is not valid JSON
+ * @returns {Function} Function to feed incoming data chunks into
+ */
+export function createMessageReader(onMessage, onError) {
+  let buffer = '';
+
+  return (chunk) => {
+    buffer += chunk.toString();
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newline).trim();
+      buffer = buffer.substring(newline + 1);
+      if (line.length === 0) {
+        continue;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        onError(new Error(`Invalid bridge message: ${line.substring(0, 100)}`));
+        continue;
+      }
+      onMessage(message);
+    }
+  };
+}
+
+/**
+ * Finds a running bridge
+ * The ALITH_NOTIFY_BRIDGE env var (set by the extension in integrated terminals) wins;
+ * otherwise the extension's discovery files are searched for the window whose workspace
+ * contains the working directory (the innermost folder wins)
+ * @param {object} options - Options (cwd, env, dirs: discovery folders, default bridgeDirs())
+ * @returns {object|null} Bridge info with socketPath and token, or null
+ */
+export function discoverBridge(options = {}) {
+  const env = options.env || process.env;
+
+  if (env[BRIDGE_ENV]) {
+    return { socketPath: env[BRIDGE_ENV], token: env[BRIDGE_TOKEN_ENV] || null, source: 'env' };
+  }
+
+  const cwd = path.resolve(options.cwd || process.cwd());
+  let best = null;
+  for (const dir of options.dirs || bridgeDirs(env)) {
+    let names;
+    try {
+      names = fs.readdirSync(dir).filter(name => name.endsWith('.json'));
+    } catch (error) {
+      continue; // Editor not installed, or the extension never ran in it
+    }
+
+    for (const name of names) {
+      const file = path.join(dir, name);
+      try {
+        const info = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        const folder = (info.folders || [])
+          .filter(candidate => isInside(cwd, candidate))
+          .sort((a, b) => b.length - a.length)[0];
+        if (info.socketPath && folder && isRunning(info.pid) && (!best || folder.length > best.folder.length)) {
+          best = { socketPath: info.socketPath, token: info.token || null, source: file, folder };
+        }
+      } catch (error) {
+        // Unreadable discovery file - skip it
+      }
+    }
+  }
+
+  return best && { socketPath: best.socketPath, token: best.token, source: best.source };
+}
+
+/**
+ * BridgeClient - Sends prompts to Copilot Chat through the companion extension
+ */
+export class BridgeClient {
+  constructor(options = {}) {
+    this.socketPath = options.socketPath;
+    this.token = options.token || null;
+    this.timeout = options.timeout || 5000; // milliseconds
+
+    if (!this.socketPath) {
+      throw new Error('BridgeClient requires a socketPath');
+    }
+  }
+
+  /**
+   * Opens Copilot Chat with the given query
+   * @param {string} query - Prompt to send
+   * @returns {Promise<object>} Result message from the extension
+   */
+  sendChat(query) {
+    const id = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(this.socketPath);
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const timer = setTimeout(() => {
+        finish(new Error(`Bridge did not respond within ${this.timeout}ms`));
+      }, this.timeout);
+
+      socket.on('connect', () => {
+        socket.write(encodeMessage({ type: 'hello', version: BRIDGE_PROTOCOL_VERSION, token: this.token }));
+      });
+
+      socket.on('data', createMessageReader((message) => {
+        if (message.type === 'hello') {
+          if (!message.ok) {
+            finish(new Error(`Bridge rejected handshake: ${message.error || 'unknown error'}`));
+            return;
+          }
+          socket.write(encodeMessage({ type: 'chat', id, token: this.token, query }));
+        } else if (message.type === 'result' && message.id === id) {
+          if (message.ok) {
+            finish(null, message);
+          } else {
+            finish(new Error(`Bridge could not open Copilot Chat: ${message.error || 'unknown error'}`));
+          }
+        }
+      }, (error) => finish(error)));
+
+      socket.on('error', (error) => {
+        finish(new Error(`Could not reach bridge at ${this.socketPath}: ${error.message}`));
+      });
+
+      socket.on('close', () => {
+        finish(new Error('Bridge closed the connection'));
+      });
+    });
+  }
+}
+
+/**
+ * Creates and returns a new BridgeClient instance
+ * @param {object} options - Configuration options
+ * @returns {BridgeClient} New bridge client instance
+ */
+export function createBridgeClient(options) {
+  return new BridgeClient(options);
+}
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkItems, estimateTokens, tokenBudgetFor } from '../src/chunker.js';
+import { createSummarizer } from '../src/summarizer.js';
+import { createRecord } from '../src/records.js';
+
+// Provider that records its prompts and answers with a fixed summary
+function stubProvider() {
+  const calls = [];
+  return {
+    calls,
+    name: 'stub',
+    model: 'stub-model',
+    label: 'stub',
+    async complete(prompt, context) {
+      calls.push({ prompt, task: context.task });
+      return `summary ${calls.length}`;
+    }
+  };
+}
+
+test('estimates tokens and looks up per-model budgets', () => {
+  assert.equal(estimateTokens('12345678'), 2);
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(tokenBudgetFor('tiny', { tiny: 500, default: 900 }), 500);
+  assert.equal(tokenBudgetFor('unknown-model', { default: 900 }), 900);
+});
+
+test('packs items into chunks within the budget, in order', () => {
+  const items = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)];
+
+  const { chunks, dropped, truncated } = chunkItems(items, { budget: 25, separator: '\n' });
+
+  assert.deepEqual(chunks.map(chunk => chunk.items), [[items[0], items[1]], [items[2]]]);
+  assert.equal(chunks[0].text, `${items[0]}\n${items[1]}`);
+  assert.equal(chunks[0].tokens, 21);
+  assert.ok(chunks.every(chunk => chunk.tokens <= 25));
+  assert.equal(dropped, 0);
+  assert.equal(truncated, 0);
+});
+
+test('truncates oversized items and drops what is over maxChunks', () => {
+  const { chunks, dropped, truncated } = chunkItems(['x'.repeat(400), 'y'.repeat(40), 'z'.repeat(40)], { budget: 20, maxChunks: 2 });
+
+  assert.equal(chunks.length, 2);
+  assert.equal(truncated, 1);
+  assert.equal(dropped, 1);
+  assert.match(chunks[0].text, /\n\.\.\. \(truncated\)$/);
+  assert.ok(chunks[0].tokens <= 20);
+});
+
+test('summarizes small input in one request and large input in chunks plus a merge', async () => {
+  const provider = stubProvider();
+  const summarizer = createSummarizer({ providerInstance: provider, structured: false, tokenBudget: 400, maxRetries: 1 });
+  const records = Array.from({ length: 6 }, (_, index) =>
+    createRecord({ message: `Error${index}Error: ${'detail '.repeat(40)}`, pid: 1, cwd: '/app', command: 'node' }));
+
+  const small = await summarizer.summarize(records.slice(0, 1));
+  assert.equal(small.metadata.chunks, 1);
+  assert.deepEqual(provider.calls.map(call => call.task), ['summarize']);
+
+  provider.calls.length = 0;
+  const large = await summarizer.summarize(records);
+  const tasks = provider.calls.map(call => call.task);
+
+  assert.ok(large.metadata.chunks > 1);
+  assert.deepEqual(tasks, [...Array(large.metadata.chunks).fill('summarize'), 'merge']);
+  assert.equal(large.metadata.groups, 6);
+  assert.match(provider.calls.at(-1).prompt, /--- PARTIAL SUMMARY 1 ---\nsummary 1/);
+});
+
+test('keeps the merge request within budget by trimming source and git context', async () => {
+  const provider = stubProvider();
+  const summarizer = createSummarizer({ providerInstance: provider, structured: false, tokenBudget: 1000, maxRetries: 1 });
+  const summaries = ['s'.repeat(1500), 't'.repeat(1500)];
+
+  await summarizer.mergeSummaries(summaries, null, 'source line\n'.repeat(1000), 'commit line\n'.repeat(1000));
+  const { prompt } = provider.calls[0];
+  const overhead = summarizer.instructions().length + 1000; // Headings and markers
+
+  assert.ok(prompt.length <= 1000 * 4 + overhead, `merge prompt is ${prompt.length} characters`);
+  assert.match(prompt, /s{1000}/);
+  assert.match(prompt, /t{1000}/);
+  assert.match(prompt, /--- START OF SOURCE ---\n(source line\n)+--- END OF SOURCE ---/);
+  assert.match(prompt, /--- START OF GIT CONTEXT ---\n(commit line\n)+--- END OF GIT CONTEXT ---/);
+});
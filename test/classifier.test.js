@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createClassifier, isAtLeast } from '../src/classifier.js';
+
+// Output line from a wrapped command, which carries no level of its own
+function line(message, fields = {}) {
+  return { message, source: 'child', level: 'error', stack: [], ...fields };
+}
+
+test('classifies common output formats with the built-in rules', () => {
+  const classifier = createClassifier();
+  const cases = [
+    ['', 'noise', 'blank'],
+    ['[=====>    ] 50%', 'noise', 'progress-bar'],
+    ['{"level":50,"msg":"db down"}', 'error', 'json-log'],
+    ['{"level":"warn","message":"slow query"}', 'warn', 'json-log'],
+    ['FATAL ERROR: Reached heap limit', 'fatal', 'node-fatal'],
+    ['(node:123) [DEP0040] DeprecationWarning: punycode', 'warn', 'node-warning'],
+    ['npm ERR! code ELIFECYCLE', 'error', 'npm-error'],
+    ['src/app.ts(3,1): error TS2304: Cannot find name', 'error', 'typescript'],
+    ['Traceback (most recent call last):', 'error', 'python-traceback'],
+    ['\u001b[33mWARN\u001b[39m low disk', 'warn', 'level-prefix'],
+    ['listening on port 3000', 'info', 'default']
+  ];
+
+  for (const [message, level, rule] of cases) {
+    assert.deepEqual(classifier.classify(line(message)), { level, rule }, message);
+  }
+});
+
+test('accepts level prefixes after timestamps and bracketed tags only', () => {
+  const classifier = createClassifier();
+  const cases = [
+    ['ERROR: boom', 'error'],
+    ['[WARN] low disk', 'warn'],
+    ['2024-05-01 12:00:00 [api] ERROR request failed', 'error'],
+    ['2024-05-01T12:00:00.123Z info server started', 'info'],
+    ['12:00:01.123 debug cache miss', 'info'],
+    ['[worker-1] [12:00] fatal: out of workers', 'fatal'],
+    ['level=warn msg="slow"', 'warn']
+  ];
+
+  for (const [message, level] of cases) {
+    assert.deepEqual(classifier.classify(line(message)), { level, rule: 'level-prefix' }, message);
+  }
+
+  // A first word that isn't a timestamp or tag doesn't make the next one a level
+  assert.deepEqual(classifier.classify(line('Compiled info page in 20ms')), { level: 'info', rule: 'default' });
+  assert.deepEqual(classifier.classify(line('Sending error report to admin')), { level: 'error', rule: 'generic-error' });
+  assert.deepEqual(classifier.classify(line('user debug mode on')), { level: 'info', rule: 'default' });
+});
+
+test('applies ignore, include and custom rules before the built-in ones', () => {
+  const classifier = createClassifier({
+    ignore: ['healthcheck'],
+    include: ['payment declined'],
+    rules: [{ name: 'slow', pattern: '^SLOW ', level: 'warn' }]
+  });
+
+  assert.deepEqual(classifier.classify(line('Error: healthcheck failed')), { level: 'noise', rule: 'ignore' });
+  assert.deepEqual(classifier.classify(line('payment declined for order 7')), { level: 'error', rule: 'include' });
+  assert.deepEqual(classifier.classify(line('SLOW query took 2s')), { level: 'warn', rule: 'slow' });
+  assert.throws(() => createClassifier({ rules: [{ pattern: 'x', level: 'loud' }] }), /need a pattern and a level/);
+  assert.throws(() => createClassifier({ minLevel: 'loud' }), /Unknown minLevel "loud"/);
+});
+
+test('keeps explicit levels of fatal, reported and test records', () => {
+  const classifier = createClassifier();
+
+  assert.deepEqual(classifier.classify(line('exited with code 1', { level: 'fatal' })), { level: 'fatal', rule: 'explicit' });
+  assert.deepEqual(classifier.classify(line('cache cold', { source: 'report', level: 'warn' })), { level: 'warn', rule: 'explicit' });
+  assert.deepEqual(classifier.classify(line('stack only', { source: 'console.error', stack: [{ raw: 'at x (/a.js:1:1)' }] })),
+    { level: 'error', rule: 'node-stack' });
+});
+
+test('filters records below minLevel', () => {
+  const classifier = createClassifier({ minLevel: 'warn' });
+  const records = classifier.classifyRecords([line('WARN: low disk'), line('server started'), line('Error: boom')]);
+
+  const { kept, skipped } = classifier.filter(records);
+
+  assert.deepEqual(kept.map(record => record.level), ['warn', 'error']);
+  assert.deepEqual(skipped.map(record => record.message), ['server started']);
+  assert.equal(isAtLeast('fatal', 'error'), true);
+  assert.equal(isAtLeast('info', 'warn'), false);
+});
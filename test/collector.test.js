@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { createCollector } from '../src/collector.js';
+import { collectorStatus, createCollectorClient, parseAddress, serviceName } from '../src/collector-client.js';
+
+async function startCollector(t, options = {}) {
+  t.mock.method(console, 'log', () => {}); // Keeps the collector's output out of the test runner's stream
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-collector-'));
+  const collector = createCollector({
+    socketPath: path.join(dir, 'collector.sock'),
+    dir: path.join(dir, 'services'),
+    // Records are only queued: nothing is processed without `maxPerHour`
+    orchestrator: { llm: { provider: 'heuristic' }, trigger: { maxPerHour: 0 }, history: { path: path.join(dir, 'history.jsonl') } },
+    ...options
+  });
+  await collector.start();
+  t.after(async () => {
+    await collector.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { collector, dir };
+}
+
+// Sends raw NDJSON lines and collects the replies until the connection closes or `count` arrived
+async function exchange(address, lines, count) {
+  const socket = net.createConnection(address);
+  socket.setEncoding('utf-8');
+  const replies = [];
+  let buffer = '';
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    const parts = buffer.split('\n');
+    buffer = parts.pop();
+    replies.push(...parts.map(part => JSON.parse(part)));
+    if (replies.length >= count) {
+      socket.end();
+    }
+  });
+  socket.write(lines.map(line => `${line}\n`).join(''));
+  await once(socket, 'close');
+  return replies;
+}
+
+test('parses collector addresses and sanitizes service names', () => {
+  assert.deepEqual(parseAddress('4600'), { host: '127.0.0.1', port: 4600 });
+  assert.deepEqual(parseAddress('tcp://127.0.0.1:4600'), { host: '127.0.0.1', port: 4600 });
+  assert.deepEqual(parseAddress('/run/alith.sock'), { path: '/run/alith.sock' });
+  assert.equal(serviceName('../billing api'), 'billing-api');
+  assert.equal(serviceName(''), 'default');
+});
+
+test('refuses to listen on TCP without a token', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-collector-'));
+  const saved = process.env.ALITH_COLLECTOR_TOKEN;
+  delete process.env.ALITH_COLLECTOR_TOKEN;
+  try {
+    const collector = createCollector({ socketPath: path.join(dir, 'collector.sock'), port: 0 });
+    await assert.rejects(collector.start(), /The TCP listener needs a token/);
+    assert.equal(fs.existsSync(collector.socketPath), false);
+  } finally {
+    if (saved !== undefined) {
+      process.env.ALITH_COLLECTOR_TOKEN = saved;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('accepts producers and their records per service', async (t) => {
+  const { collector, dir } = await startCollector(t);
+  const received = [];
+  collector.on('record', event => received.push(event));
+
+  const client = createCollectorClient({ address: collector.socketPath, service: 'billing', pid: 4242, command: 'node billing.js' });
+  await client.connect();
+  client.logError('Error: card declined');
+  await once(collector, 'record');
+
+  const status = await collectorStatus(collector.socketPath);
+  await client.close();
+  await collector.services.get('billing').ready;
+
+  assert.equal(received[0].service, 'billing');
+  assert.deepEqual([received[0].record.message, received[0].record.command, received[0].record.service], ['Error: card declined', 'node billing.js', 'billing']);
+  assert.deepEqual(status.producers.map(producer => [producer.service, producer.pid, producer.transport]), [['billing', 4242, 'unix']]);
+  assert.deepEqual(status.services.map(service => [service.name, service.records]), [['billing', 1]]);
+  assert.match(fs.readFileSync(path.join(dir, 'services', 'billing', 'captured-errors.log'), 'utf-8'), /card declined/);
+});
+
+test('answers bad messages with errors', async (t) => {
+  const { collector } = await startCollector(t);
+
+  const replies = await exchange({ path: collector.socketPath }, ['not json', '{"type":"record","record":{}}', '{"type":"dance"}'], 3);
+
+  assert.deepEqual(replies.map(reply => reply.error), ['Invalid JSON', 'Records need a message', 'Unknown message type: dance']);
+});
+
+test('requires the token on every connection when one is set', async (t) => {
+  const { collector } = await startCollector(t, { port: 0, token: 'secret-token' });
+  const tcp = { host: '127.0.0.1', port: collector.servers[1].address().port };
+
+  const refused = await exchange(tcp, ['{"type":"status","token":"wrong"}'], 1);
+  const status = await collectorStatus(`tcp://${tcp.host}:${tcp.port}`, { token: 'secret-token' });
+
+  assert.deepEqual(refused, [{ type: 'error', error: 'Invalid or missing token' }]);
+  assert.equal(status.pid, process.pid);
+  await assert.rejects(collectorStatus(collector.socketPath, { token: 'wrong' }), /Invalid or missing token/);
+});
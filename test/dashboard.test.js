@@ -0,0 +1,156 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { createDashboardServer } from '../src/dashboard.js';
+import { createRedactor } from '../src/redactor.js';
+import { createClassifier } from '../src/classifier.js';
+import { createHistoryStore } from '../src/history.js';
+import { createRecord } from '../src/records.js';
+
+// Orchestrator stand-in with the parts the dashboard uses
+function fakeOrchestrator(dir, records = []) {
+  const orchestrator = new EventEmitter();
+  Object.assign(orchestrator, {
+    redactor: createRedactor(),
+    classifier: createClassifier(),
+    history: createHistoryStore({ path: path.join(dir, 'history.jsonl') }),
+    llm: { provider: 'openai-compatible', baseUrl: 'http://10.0.0.5:8080/v1', apiKey: 'local-key', model: 'llama3.1' },
+    runs: 0,
+    release: null,
+    pendingRecords: () => records,
+    processNow() {
+      orchestrator.runs++;
+      return new Promise(resolve => { orchestrator.release = resolve; });
+    },
+    clearErrors: () => orchestrator.emit('errorsCleared'),
+    recordHistory: run => orchestrator.history.add(run)
+  });
+  return orchestrator;
+}
+
+async function startDashboard(t, records, options = {}) {
+  t.mock.method(console, 'log', () => {}); // Keeps the summarizer's progress output out of the test runner's stream
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-dashboard-'));
+  const orchestrator = fakeOrchestrator(dir, records);
+  const dashboard = createDashboardServer({ orchestrator, port: 0, ...options });
+  await dashboard.start();
+  t.after(() => {
+    dashboard.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dashboard, orchestrator, port: dashboard.server.address().port };
+}
+
+function request(port, route, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: options.host || '127.0.0.1', port, path: route, method: options.method || 'GET', headers: options.headers }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+    req.end(options.body ? JSON.stringify(options.body) : undefined);
+  });
+}
+
+// Opens the event stream; resolves once it is open, with `events`: a promise of the first
+// `count` events of the given name
+function collectEvents(port, name, count) {
+  return new Promise((ready, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: '/api/events' }, (res) => {
+      const events = [];
+      let buffer = '';
+      const received = new Promise((resolve) => {
+        res.on('data', (chunk) => {
+          buffer += chunk;
+          for (const match of buffer.matchAll(/event: (\w+)\ndata: (.*)\n\n/g)) {
+            if (match[1] === name) {
+              events.push(JSON.parse(match[2]));
+            }
+          }
+          buffer = buffer.substring(buffer.lastIndexOf('\n\n') + 2);
+          if (events.length >= count) {
+            req.destroy();
+            resolve(events);
+          }
+        });
+      });
+      ready({ events: received });
+    });
+    req.on('error', reject);
+  });
+}
+
+test('serves pending errors redacted, with groups above minLevel', async (t) => {
+  const records = [
+    createRecord({ message: 'Error: login failed for ada@example.com', source: 'child' }),
+    createRecord({ message: 'Error: login failed for ada@example.com', source: 'child' }),
+    createRecord({ message: 'server started', source: 'child', level: 'info' })
+  ];
+  const { port } = await startDashboard(t, records, { models: ['qwen2.5'] });
+
+  const { status, body } = await request(port, '/api/state');
+
+  assert.equal(status, 200);
+  assert.equal(body.pending[0].message, 'Error: login failed for [EMAIL_1]');
+  assert.deepEqual(body.groups.map(group => [group.count, group.message]), [[2, 'Error: login failed for [EMAIL_1]']]);
+  assert.deepEqual(body.models, ['llama3.1', 'qwen2.5']);
+});
+
+test('rejects other host names and actions without the dashboard header', async (t) => {
+  const { port, orchestrator } = await startDashboard(t, [], { host: 'localhost' });
+  let cleared = 0;
+  orchestrator.on('errorsCleared', () => cleared++);
+
+  const rebound = await request(port, '/api/state', { host: 'localhost', headers: { Host: `attacker.test:${port}` } });
+  const crossSite = await request(port, '/api/clear', { host: 'localhost', method: 'POST' });
+  const allowed = await request(port, '/api/clear', { host: 'localhost', method: 'POST', headers: { 'X-Alith-Dashboard': '1' } });
+
+  assert.deepEqual([rebound.status, crossSite.status, allowed.status], [403, 403, 200]);
+  assert.equal(cleared, 1);
+});
+
+test('starts processing in the background and reports progress as events', async (t) => {
+  const { port, orchestrator } = await startDashboard(t, []);
+  const { events } = await collectEvents(port, 'processing', 2);
+
+  const first = await request(port, '/api/process', { method: 'POST', headers: { 'X-Alith-Dashboard': '1' } });
+  const second = await request(port, '/api/process', { method: 'POST', headers: { 'X-Alith-Dashboard': '1' } });
+  orchestrator.release();
+
+  assert.deepEqual([first.status, first.body], [202, { ok: true, started: true }]);
+  assert.deepEqual(second.body, { ok: true, started: false });
+  assert.equal(orchestrator.runs, 1);
+  assert.deepEqual(await events, [{ state: 'started' }, { state: 'done' }]);
+});
+
+test('only re-summarizes with allowed providers and models, without leaking the endpoint', async (t) => {
+  const { dashboard } = await startDashboard(t, [], { models: ['qwen2.5'] });
+
+  assert.deepEqual(dashboard.resummarizeOptions({ model: 'qwen2.5' }),
+    { provider: 'openai-compatible', baseUrl: 'http://10.0.0.5:8080/v1', apiKey: 'local-key', model: 'qwen2.5' });
+  assert.deepEqual(dashboard.resummarizeOptions({ provider: 'alith', model: 'llama3.1' }), { provider: 'alith', model: 'llama3.1' });
+  assert.throws(() => dashboard.resummarizeOptions({ provider: 'custom' }), /Unknown provider: custom/);
+  assert.throws(() => dashboard.resummarizeOptions({ model: 'gpt-4o' }), /Model gpt-4o is not allowed/);
+});
+
+test('re-summarizes a history entry into a new one', async (t) => {
+  const { port, orchestrator } = await startDashboard(t, []);
+  const records = [createRecord({ message: 'connect ECONNREFUSED 127.0.0.1:5432' })];
+  const entry = orchestrator.history.add({ records, summary: 'old' });
+
+  const { status, body } = await request(port, '/api/resummarize', {
+    method: 'POST',
+    headers: { 'X-Alith-Dashboard': '1' },
+    body: { id: entry.id, provider: 'heuristic' }
+  });
+
+  assert.equal(status, 200);
+  assert.equal(body.provider, 'heuristic');
+  assert.match(body.summary, /ECONNREFUSED/);
+  assert.equal(orchestrator.history.get(body.id).status, 'resummarized');
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ClipboardTarget, createTarget, GitHubIssueTarget } from '../src/delivery-targets.js';
+import { createPromptDelivery } from '../src/delivery.js';
+import { createRecord } from '../src/records.js';
+
+// Targets report to the terminal; their output is kept out of the test runner's stream
+function tempDir(t) {
+  t.mock.method(console, 'log', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-delivery-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const RUN = {
+  timestamp: '2024-05-01T10:00:00.000Z',
+  summary: 'The user is not loaded yet.',
+  records: [createRecord({ message: 'TypeError: user is undefined', source: 'child' })]
+};
+
+test('writes the prompt to a file named after the time and the first error', async (t) => {
+  const dir = tempDir(t);
+  const delivery = createPromptDelivery({ targets: [{ type: 'file', dir, template: '{{topError}} ({{errorCount}})\n{{summary}}' }] });
+
+  const result = await delivery.deliver(RUN);
+
+  const file = path.join(dir, '2024-05-01T10-00-00-000Z-typeerror-user-is-undefined.md');
+  assert.deepEqual(result.targets, [{ target: 'file', delivered: true, method: 'file', path: file }]);
+  assert.equal(fs.readFileSync(file, 'utf-8'), 'TypeError: user is undefined (1)\nThe user is not loaded yet.');
+});
+
+test('pipes the prompt into a command with the ALITH_* variables', async (t) => {
+  const dir = tempDir(t);
+  const target = createTarget({ type: 'command', cwd: dir, command: 'cat > prompt.txt && echo "$ALITH_LEVEL $ALITH_ERROR_COUNT $ALITH_TOP_ERROR" > vars.txt' });
+
+  const result = await target.send('Fix this', { topError: 'TypeError', level: 'error', errorCount: 2 });
+
+  assert.equal(result.delivered, true);
+  assert.equal(fs.readFileSync(path.join(dir, 'prompt.txt'), 'utf-8'), 'Fix this');
+  assert.equal(fs.readFileSync(path.join(dir, 'vars.txt'), 'utf-8'), 'error 2 TypeError\n');
+  await assert.rejects(createTarget({ type: 'command', command: 'exit 3' }).send('x', {}), /exited with 3/);
+  assert.throws(() => createTarget({ type: 'command' }), /command target requires a command/);
+});
+
+test('copies with a configured clipboard command and fails without one', async (t) => {
+  const dir = tempDir(t);
+  const copied = path.join(dir, 'clipboard.txt');
+
+  const result = await new ClipboardTarget({ command: `cat > ${JSON.stringify(copied)}` }).send('Fix this');
+
+  assert.equal(result.delivered, true);
+  assert.equal(fs.readFileSync(copied, 'utf-8'), 'Fix this');
+
+  const saved = { PATH: process.env.PATH, WAYLAND_DISPLAY: process.env.WAYLAND_DISPLAY };
+  process.env.PATH = dir; // No clipboard command in here
+  delete process.env.WAYLAND_DISPLAY;
+  try {
+    if (process.platform === 'linux') {
+      await assert.rejects(new ClipboardTarget().send('Fix this'), /No clipboard command found/);
+    }
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+});
+
+test('keeps delivering when one target fails', async (t) => {
+  const dir = tempDir(t);
+  const delivery = createPromptDelivery({
+    targets: [{ type: 'command', command: 'exit 1', template: 'x' }, { type: 'file', dir, template: 'x' }]
+  });
+
+  const result = await delivery.deliver(RUN);
+
+  assert.deepEqual(result.targets.map(({ target, delivered }) => [target, delivered]), [['command#1', false], ['file#2', true]]);
+  assert.equal(result.delivered, true);
+  assert.equal(result.method, 'file');
+  assert.equal(result.confirmed, false);
+  assert.equal((await delivery.deliver(RUN, { skip: ['command#1'] })).confirmed, true);
+  assert.throws(() => createTarget({ type: 'fax' }), /Unknown delivery target type: fax/);
+});
+
+test('leaves bodies too long for a new-issue link out of it', () => {
+  const target = new GitHubIssueTarget({ repo: 'acme/api', labels: ['bug', 'alith'] });
+
+  const short = new URL(target.issueUrl('TypeError', 'short body', 'issue.md'));
+  const long = new URL(target.issueUrl('TypeError', 'x'.repeat(10000), 'issue.md'));
+
+  assert.equal(short.pathname, '/acme/api/issues/new');
+  assert.deepEqual(Object.fromEntries(short.searchParams), { title: 'TypeError', labels: 'bug,alith', body: 'short body' });
+  assert.equal(long.searchParams.get('body'), '<!-- Paste the contents of issue.md here -->');
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRecord } from '../src/records.js';
+import {
+  describeGroup, fingerprint, formatGroup, groupRecords, normalizeContent, normalizeMessage
+} from '../src/fingerprint.js';
+
+function record(message, timestamp = '2024-05-01T10:00:00.000Z') {
+  return createRecord({ message, timestamp, pid: 1, cwd: '/app', command: 'node' });
+}
+
+test('normalizes volatile parts of messages', () => {
+  assert.equal(
+    normalizeMessage('Request 4f1c2a3b-1d2e-4f5a-9b8c-7d6e5f4a3b2c to https://api.test/u/7 failed at 2024-05-01T10:00:00Z in /srv/app/db.js after 350ms (0x1f)'),
+    'Request <uuid> to <url> failed at <timestamp> in <path> after 350ms (<hex>)'
+  );
+  assert.equal(normalizeMessage('retry 3   of\n5'), 'retry <n> of <n>');
+});
+
+test('normalizes only times, ids and repeat counts in formatted content', () => {
+  assert.equal(
+    normalizeContent('[2024-05-01T10:00:00.000Z] ERROR port 3000 (×4) at 10:00:01'),
+    '[<timestamp>] ERROR port 3000 (×<n>) at <time>'
+  );
+});
+
+test('fingerprints ignore volatile values, line numbers and what is printed above the error', () => {
+  const first = record('TypeError: cannot read id of user 17\n    at load (/app/users.js:12:5)\n    at run (/app/node_modules/lib/index.js:1:1)');
+  const second = record('/app/users.js:14\n  user.id\n  ^\n\nTypeError: cannot read id of user 99\n    at load (/app/users.js:14:9)');
+  const other = record('TypeError: cannot read id of user 17\n    at save (/app/users.js:12:5)');
+
+  assert.equal(fingerprint(first), fingerprint(second));
+  assert.notEqual(fingerprint(first), fingerprint(other));
+  assert.match(fingerprint(first), /^[0-9a-f]{16}$/);
+});
+
+test('groups repeats with counts and first/last seen times', () => {
+  const groups = groupRecords([
+    record('Error: timeout after 30000 ms', '2024-05-01T10:00:05.000Z'),
+    record('Error: disk full'),
+    record('Error: timeout after 31000 ms', '2024-05-01T10:00:01.000Z'),
+    record('Error: timeout after 32000 ms', '2024-05-01T10:00:09.000Z')
+  ]);
+
+  assert.equal(groups.length, 2);
+  assert.equal(groups[0].count, 3);
+  assert.equal(groups[0].firstSeen, '2024-05-01T10:00:01.000Z');
+  assert.equal(groups[0].lastSeen, '2024-05-01T10:00:09.000Z');
+  assert.equal(groups[0].representative.message, 'Error: timeout after 30000 ms');
+  assert.match(formatGroup(groups[0]), /^Fingerprint [0-9a-f]{16} \(×3, first seen 2024-05-01T10:00:01\.000Z, last seen 2024-05-01T10:00:09\.000Z\)\n/);
+  assert.match(formatGroup(groups[1]), /\(×1\)\n/);
+});
+
+test('describes a group by its title and top in-app frame', () => {
+  const [group] = groupRecords([record(`Error: boom\nmore detail\n    at dep (/x/node_modules/dep/i.js:1:1)\n    at main (${process.cwd()}/src/main.js:7:3)`)]);
+
+  const details = describeGroup(group);
+
+  assert.equal(details.title, 'Error: boom');
+  assert.equal(details.location, 'src/main.js:7');
+  assert.equal(details.count, 1);
+});
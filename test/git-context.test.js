@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { createGitContext, formatGitContext } from '../src/git-context.js';
+
+const AUTHOR = { GIT_AUTHOR_NAME: 'Ada', GIT_AUTHOR_EMAIL: 'ada@example.com', GIT_COMMITTER_NAME: 'Ada', GIT_COMMITTER_EMAIL: 'ada@example.com' };
+
+// Repository with two commits to src/app.js, an uncommitted change, an untracked file and `.alith`
+function tempRepo(t) {
+  const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'alith-git-')));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const git = (...args) => execFileSync('git', ['-c', 'commit.gpgsign=false', ...args], { cwd: root, env: { ...process.env, ...AUTHOR }, stdio: 'ignore' });
+
+  git('init', '-q', '-b', 'main');
+  fs.mkdirSync(path.join(root, 'src'));
+  fs.writeFileSync(path.join(root, 'src', 'app.js'), 'const a = 1;\nconst b = 2;\n');
+  git('add', '.');
+  git('commit', '-q', '-m', 'Add app');
+  fs.writeFileSync(path.join(root, 'src', 'app.js'), 'const a = 1;\nconst b = a.user.name;\n');
+  git('commit', '-q', '-am', 'Read the user name');
+  fs.appendFileSync(path.join(root, 'src', 'app.js'), 'console.log(b);\n');
+  fs.writeFileSync(path.join(root, 'notes.md'), 'todo\n');
+  fs.mkdirSync(path.join(root, '.alith'));
+  fs.writeFileSync(path.join(root, '.alith', 'history.jsonl'), '{}\n');
+  return root;
+}
+
+test('collects the branch and recent commits for templates', async (t) => {
+  const root = tempRepo(t);
+
+  const context = await createGitContext({ root, commitCount: 1 }).collect();
+
+  assert.equal(context.branch, 'main');
+  assert.deepEqual(context.commits.map(({ subject, author }) => ({ subject, author })), [{ subject: 'Read the user name', author: 'Ada' }]);
+  assert.equal(await createGitContext({ root, enabled: false }).collect(), null);
+});
+
+test('describes the changes, commits and blame around failing frames', async (t) => {
+  const root = tempRepo(t);
+  const gitContext = createGitContext({ root, exclude: ['.alith'] });
+  const file = path.join(root, 'src', 'app.js');
+
+  const context = await gitContext.forFrames([{ file, line: 2 }, { file, line: 3 }]);
+
+  assert.deepEqual(context.changes, { files: [{ file: 'src/app.js', additions: 1, deletions: 0 }], untracked: ['notes.md'] });
+  assert.deepEqual(context.commits.map(commit => [commit.subject, commit.files]), [['Read the user name', ['src/app.js']], ['Add app', ['src/app.js']]]);
+  assert.deepEqual(context.blame.map(({ line, subject, code }) => [line, subject, code]), [[2, 'Read the user name', 'const b = a.user.name;'], [3, null, 'console.log(b);']]);
+
+  const text = formatGitContext(context);
+  assert.match(text, /^Branch: main\n\nUncommitted changes \(2 file\(s\)\):\n- src\/app\.js \+1 -0\n- notes\.md \(new, untracked\)/);
+  assert.match(text, /- src\/app\.js:3 not committed yet/);
+});
+
+test('returns nothing outside a repository', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-nogit-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const gitContext = createGitContext({ root });
+
+  assert.equal(await gitContext.forFrames([{ file: path.join(root, 'a.js'), line: 1 }]), null);
+  assert.equal(formatGitContext(null), '');
+});
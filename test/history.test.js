@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createHistoryStore, exportEntries, formatEntryMarkdown, parseTime } from '../src/history.js';
+import { groupRecords } from '../src/fingerprint.js';
+import { createRecord } from '../src/records.js';
+
+function tempStore(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-history-'));
+  return { dir, store: createHistoryStore({ path: path.join(dir, 'history.jsonl'), ...options }) };
+}
+
+function run(message, fields = {}) {
+  const records = [createRecord({ message, pid: 1, cwd: '/app', command: 'npm start', ...fields })];
+  return { records, groups: groupRecords(records), summary: `Summary of ${message}` };
+}
+
+test('parses absolute, named and relative times', () => {
+  const now = new Date('2024-05-10T12:00:00.000Z');
+
+  assert.equal(parseTime('12h', now).toISOString(), '2024-05-10T00:00:00.000Z');
+  assert.equal(parseTime('2w', now).toISOString(), '2024-04-26T12:00:00.000Z');
+  assert.equal(parseTime('2024-05-01T08:00:00Z', now).toISOString(), '2024-05-01T08:00:00.000Z');
+  assert.equal(parseTime('today', now).getHours(), 0);
+  assert.throws(() => parseTime('soon'), /Invalid date: soon/);
+});
+
+test('stores runs and lists them newest first with filters', () => {
+  const { dir, store } = tempStore();
+  store.add({ ...run('Error: database down'), timestamp: '2024-05-01T10:00:00.000Z' });
+  store.add({ ...run('Error: disk full', { source: 'tail', file: '/var/log/app.log' }), timestamp: '2024-05-02T10:00:00.000Z' });
+  store.add({ ...run('TypeError: x is undefined', { service: 'billing' }), timestamp: '2024-05-03T10:00:00.000Z' });
+
+  assert.deepEqual(store.list().map(entry => entry.fingerprints[0].title),
+    ['TypeError: x is undefined', 'Error: disk full', 'Error: database down']);
+  assert.equal(store.list({ since: '2024-05-02', until: '2024-05-02T23:00:00Z' }).length, 1);
+  assert.equal(store.list({ grep: 'DATABASE' })[0].timestamp, '2024-05-01T10:00:00.000Z');
+  assert.equal(store.list({ source: 'app.log' })[0].files[0], '/var/log/app.log');
+  assert.equal(store.list({ source: 'billing' })[0].services[0], 'billing');
+  assert.equal(store.list({ limit: 2 }).length, 2);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('finds entries by id prefix and skips partially written lines', () => {
+  const { dir, store } = tempStore();
+  const entry = store.add(run('Error: boom'));
+  fs.appendFileSync(store.path, '{"id": "broken');
+
+  assert.equal(store.get(entry.id.substring(0, 4)).id, entry.id);
+  assert.equal(store.get('zzzz'), null);
+  assert.equal(store.readAll().length, 1);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('prunes the oldest runs beyond maxEntries', () => {
+  const { dir, store } = tempStore({ maxEntries: 2 });
+  for (const message of ['Error: one', 'Error: two', 'Error: three']) {
+    store.add(run(message));
+  }
+
+  assert.deepEqual(store.readAll().map(entry => entry.fingerprints[0].title), ['Error: two', 'Error: three']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('stores nothing when disabled', () => {
+  const { dir, store } = tempStore({ enabled: false });
+
+  assert.equal(store.add(run('Error: boom')), null);
+  assert.equal(fs.existsSync(store.path), false);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exports entries as JSON, JSONL and Markdown', () => {
+  const { dir, store } = tempStore();
+  const entry = store.add({ ...run('Error: boom'), model: 'gpt-4o', provider: 'alith', delivery: { method: 'file', delivered: true } });
+
+  assert.deepEqual(JSON.parse(exportEntries([entry])), [entry]);
+  assert.equal(exportEntries([entry, entry], 'jsonl').split('\n').length, 3);
+  assert.match(formatEntryMarkdown(entry), /- Model: gpt-4o \(alith\)\n/);
+  assert.match(formatEntryMarkdown(entry), /- Delivered via: file\n/);
+  assert.match(exportEntries([entry], 'markdown'), /^# Alith Notify History\n\n## [0-9a-f]{8} - .+\n[\s\S]*### Summary\n\nSummary of Error: boom\n$/);
+  assert.throws(() => exportEntries([entry], 'csv'), /Unknown export format: csv/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,103 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createIncidentRegistry } from '../src/incidents.js';
+import { groupRecords } from '../src/fingerprint.js';
+import { createRecord } from '../src/records.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function tempRegistry(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-incidents-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T10:00:00Z') });
+  t.after(() => mock.timers.reset());
+  return createIncidentRegistry({ path: path.join(dir, 'incidents.json'), ...options });
+}
+
+// One group of an error captured now
+function errorGroup(message, level = 'error') {
+  return groupRecords([createRecord({ message, level })])[0];
+}
+
+function messages(groups) {
+  return groups.map(group => group.representative.message);
+}
+
+// Triages and saves a run, with a summary for what needed one
+function processRun(registry, groups) {
+  const triage = registry.observe(groups);
+  registry.commit(triage, { summary: 'cached summary', historyId: 'h1' });
+  return triage;
+}
+
+test('summarizes new errors once and again when their level goes up', (t) => {
+  const registry = tempRegistry(t);
+
+  const first = processRun(registry, [errorGroup('Error: db down')]);
+  mock.timers.tick(HOUR_MS);
+  const again = processRun(registry, [errorGroup('Error: db down')]);
+  const escalated = registry.observe([errorGroup('Error: db down', 'fatal')]);
+
+  assert.deepEqual(messages(first.summarize), ['Error: db down']);
+  assert.deepEqual([messages(again.summarize), messages(again.known)], [[], ['Error: db down']]);
+  assert.deepEqual(messages(escalated.summarize), ['Error: db down']);
+
+  const [incident] = registry.list();
+  assert.deepEqual([incident.state, incident.count, incident.summary, incident.historyId], ['ongoing', 2, 'cached summary', 'h1']);
+});
+
+test('auto-resolves quiet incidents and reports their return as a regression first', (t) => {
+  const registry = tempRegistry(t, { resolveAfterHours: 2 });
+  processRun(registry, [errorGroup('Error: db down')]);
+
+  mock.timers.tick(3 * HOUR_MS);
+  const [resolved] = registry.list({ state: 'resolved' });
+  const triage = processRun(registry, [errorGroup('Error: cache miss'), errorGroup('Error: db down')]);
+
+  assert.equal(resolved.resolvedBy, 'auto');
+  assert.deepEqual(messages(triage.summarize), ['Error: db down', 'Error: cache miss']);
+  assert.deepEqual(messages(triage.regressions), ['Error: db down']);
+  assert.deepEqual(registry.list().map(incident => [incident.title, incident.state, incident.regressions]),
+    [['Error: cache miss', 'new', undefined], ['Error: db down', 'regressed', 1]]);
+});
+
+test('keeps muted incidents quiet past the auto-resolve window', (t) => {
+  const registry = tempRegistry(t);
+  processRun(registry, [errorGroup('Error: flaky healthcheck')]);
+  const [{ fingerprint }] = registry.list();
+
+  registry.mute(fingerprint.slice(0, 6));
+  mock.timers.tick(30 * HOUR_MS);
+  const muted = registry.observe([errorGroup('Error: flaky healthcheck')]);
+
+  assert.deepEqual([messages(muted.summarize), messages(muted.muted)], [[], ['Error: flaky healthcheck']]);
+  assert.equal(registry.get(fingerprint).state, 'muted');
+  assert.throws(() => registry.resolve('zzz'), /No incident with id zzz/);
+});
+
+test('a run saved later keeps a mute or resolve made while it was going', (t) => {
+  const registry = tempRegistry(t);
+  processRun(registry, [errorGroup('Error: db down'), errorGroup('TypeError: x is undefined')]);
+  const [dbDown, typeError] = registry.list().sort((a, b) => a.title.localeCompare(b.title));
+
+  mock.timers.tick(1000);
+  const triage = registry.observe([errorGroup('Error: db down'), errorGroup('TypeError: x is undefined')]);
+  mock.timers.tick(1000);
+  registry.mute(dbDown.fingerprint);
+  registry.resolve(typeError.fingerprint);
+  mock.timers.tick(1000);
+  registry.commit(triage, { summary: 'late summary' });
+
+  assert.deepEqual([registry.get(dbDown.fingerprint).state, registry.get(dbDown.fingerprint).count], ['muted', 2]);
+  assert.deepEqual([registry.get(typeError.fingerprint).state, registry.get(typeError.fingerprint).resolvedBy], ['resolved', 'manual']);
+
+  // A change made before the triage was taken is part of it
+  mock.timers.tick(1000);
+  const regression = registry.observe([errorGroup('TypeError: x is undefined')]);
+  registry.commit(regression, null);
+
+  assert.equal(registry.get(typeError.fingerprint).state, 'regressed');
+});
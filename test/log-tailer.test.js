@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogTailer } from '../src/log-tailer.js';
+
+// Drives the tailer by hand instead of waiting for fs.watchFile
+function follow(file, options = {}) {
+  const tailer = createLogTailer({ files: [file], pollInterval: 60000, ...options });
+  const data = [];
+  const events = [];
+  tailer.on('data', ({ content }) => data.push(content));
+  for (const name of ['created', 'rotated', 'truncated']) {
+    tailer.on(name, () => events.push(name));
+  }
+  tailer.start();
+  return { tailer, data, events, poll: () => tailer.check(tailer.states.get(path.resolve(file))) };
+}
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-tail-'));
+  return { dir, file: path.join(dir, 'app.log') };
+}
+
+test('emits only complete lines appended after start', () => {
+  const { dir, file } = tempFile();
+  fs.writeFileSync(file, 'old line\n');
+  const { tailer, data, poll } = follow(file);
+
+  fs.appendFileSync(file, 'Error: first\npartial');
+  poll();
+  fs.appendFileSync(file, ' line\n');
+  poll();
+  tailer.stop();
+
+  assert.deepEqual(data, ['Error: first', 'partial line']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('reads existing content with fromStart', () => {
+  const { dir, file } = tempFile();
+  fs.writeFileSync(file, 'old line\n');
+  const { tailer, data } = follow(file, { fromStart: true });
+  tailer.stop();
+
+  assert.deepEqual(data, ['old line']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('follows files that appear later, truncation and rotation', () => {
+  const { dir, file } = tempFile();
+  const { tailer, data, events, poll } = follow(file);
+
+  fs.writeFileSync(file, 'created\n');
+  poll();
+  fs.writeFileSync(file, 'cut\n');
+  poll();
+  fs.appendFileSync(file, 'before rotation\n');
+  fs.renameSync(file, `${file}.1`);
+  fs.writeFileSync(file, 'after rotation\n');
+  poll();
+  tailer.stop();
+
+  assert.deepEqual(events, ['created', 'truncated', 'rotated']);
+  assert.deepEqual(data, ['created', 'cut', 'before rotation', 'after rotation']);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
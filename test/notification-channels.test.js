@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createChannel } from '../src/notification-channels.js';
+
+/**
+ * Starts a fake HTTP endpoint that records the requests it receives
+ * @param {number} status - Status code to answer with
+ * @returns {Promise<object>} `url`, `requests` ({ headers, body }) and `close()`
+ */
+async function startEndpoint(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(status).end(status === 200 ? 'ok' : 'nope');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() };
+}
+
+const notification = {
+  title: 'TypeError in api',
+  text: 'Cannot read properties of undefined',
+  level: 'fatal',
+  vars: {
+    summary: 'The handler reads a missing user',
+    errorCount: 3,
+    groupCount: 1,
+    host: 'devbox',
+    project: 'api',
+    timestamp: '2026-01-01T00:00:00.000Z'
+  }
+};
+
+test('webhook posts the notification and signs the body', async () => {
+  const endpoint = await startEndpoint();
+  try {
+    await createChannel({ type: 'webhook', url: endpoint.url, secret: 's3cret', headers: { 'X-Team': 'core' } }).send(notification);
+
+    const [{ headers, body }] = endpoint.requests;
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'errors.processed');
+    assert.equal(payload.summary, notification.vars.summary);
+    assert.equal(payload.errorCount, 3);
+    assert.equal(headers['x-team'], 'core');
+
+    const expected = crypto.createHmac('sha256', 's3cret').update(`${headers['x-alith-timestamp']}.${body}`).digest('hex');
+    assert.equal(headers['x-alith-signature'], `sha256=${expected}`);
+  } finally {
+    endpoint.close();
+  }
+});
+
+test('webhook errors are retryable only for 429 and 5xx', async () => {
+  for (const [status, retryable] of [[500, true], [429, true], [404, false]]) {
+    const endpoint = await startEndpoint(status);
+    try {
+      await assert.rejects(
+        createChannel({ type: 'webhook', url: endpoint.url }).send(notification),
+        error => error.message.includes(`responded with ${status}`) && error.retryable === retryable
+      );
+    } finally {
+      endpoint.close();
+    }
+  }
+});
+
+test('chat channels post payloads in each service format', async () => {
+  const endpoint = await startEndpoint();
+  try {
+    for (const type of ['slack', 'teams', 'discord']) {
+      await createChannel({ type, url: endpoint.url }).send(notification);
+    }
+
+    const [slack, teams, discord] = endpoint.requests.map(request => JSON.parse(request.body));
+    assert.equal(slack.text, notification.title);
+    assert.equal(slack.blocks[1].text.text, notification.text);
+    assert.match(slack.blocks[2].elements[0].text, /^FATAL · 3 error\(s\) in 1 group\(s\) · devbox$/);
+
+    const card = teams.attachments[0].content;
+    assert.equal(card.type, 'AdaptiveCard');
+    assert.equal(card.body[0].text, notification.title);
+
+    assert.equal(discord.embeds[0].title, notification.title);
+    assert.equal(discord.embeds[0].color, 0x8b0000);
+    assert.equal(discord.embeds[0].timestamp, notification.vars.timestamp);
+  } finally {
+    endpoint.close();
+  }
+});
+
+test('desktop channel runs the notifier with the title and text', { skip: process.platform === 'win32' }, async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-desktop-'));
+  try {
+    const command = path.join(dir, 'notify-send');
+    const output = path.join(dir, 'args.txt');
+    fs.writeFileSync(command, `#!/bin/sh\nprintf '%s\\n' "$@" > "${output}"\n`, { mode: 0o755 });
+
+    await createChannel({ type: 'desktop', command }).send(notification);
+
+    assert.deepEqual(fs.readFileSync(output, 'utf-8').trimEnd().split('\n'), [
+      '--app-name=alith-notify',
+      '--urgency=critical',
+      notification.title,
+      notification.text
+    ]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('desktop channel reports a missing notifier as not retryable', async () => {
+  await assert.rejects(
+    createChannel({ type: 'desktop', command: 'alith-notify-missing-notifier' }).send(notification),
+    error => error.message === 'alith-notify-missing-notifier is not installed' && error.retryable === false
+  );
+});
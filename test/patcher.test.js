@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { applyHunks, createPatcher, parseUnifiedDiff } from '../src/patcher.js';
+
+// Patcher rooted in a temporary project holding the given files
+function tempPatcher(t, files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-patcher-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content, 'utf-8');
+  }
+  return { root, patcher: createPatcher({ root }) };
+}
+
+// Patch replacing the first line of a file
+function replaceFirstLine(file, from, to) {
+  return { oldPath: file, newPath: file, hunks: [{ oldStart: 1, oldLines: 1, newStart: 1, newLines: 1, lines: [`-${from}`, `+${to}`] }] };
+}
+
+test('parses a diff inside a fenced model response', () => {
+  const response = [
+    'The handler reads a missing user. Here is a fix:',
+    '',
+    '```diff',
+    '--- a/src/api.js\t2026-01-01 00:00:00',
+    '+++ b/src/api.js',
+    '@@ -2,3 +2,3 @@ function handler(req) {',
+    '   const user = req.user;',
+    '-  return user.name;',
+    '+  return user?.name;',
+    '',
+    '\\ No newline at end of file',
+    '```',
+    'Let me know if it works.'
+  ].join('\n');
+
+  assert.deepEqual(parseUnifiedDiff(response), [{
+    oldPath: 'src/api.js',
+    newPath: 'src/api.js',
+    hunks: [{
+      oldStart: 2,
+      oldLines: 3,
+      newStart: 2,
+      newLines: 3,
+      lines: ['   const user = req.user;', '-  return user.name;', '+  return user?.name;']
+    }]
+  }]);
+});
+
+test('parses new and deleted files and skips headers without hunks', () => {
+  const patches = parseUnifiedDiff([
+    '--- /dev/null',
+    '+++ b/src/new.js',
+    '@@ -0,0 +1 @@',
+    '+export const answer = 42;',
+    '--- a/src/old.js',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-module.exports = {};',
+    '--- a/src/empty.js',
+    '+++ b/src/empty.js'
+  ].join('\n'));
+
+  assert.deepEqual(patches.map(({ oldPath, newPath }) => ({ oldPath, newPath })), [
+    { oldPath: null, newPath: 'src/new.js' },
+    { oldPath: 'src/old.js', newPath: null }
+  ]);
+  assert.deepEqual(patches[0].hunks[0], { oldStart: 0, oldLines: 0, newStart: 1, newLines: 1, lines: ['+export const answer = 42;'] });
+});
+
+test('keeps empty context lines that lost their leading space', () => {
+  const [patch] = parseUnifiedDiff([
+    '--- a/a.js',
+    '+++ b/a.js',
+    '@@ -1,3 +1,3 @@',
+    ' one',
+    '',
+    '-three',
+    '+THREE'
+  ].join('\n'));
+
+  assert.deepEqual(patch.hunks[0].lines, [' one', ' ', '-three', '+THREE']);
+});
+
+test('applies hunks whose line numbers are off', () => {
+  const content = 'a\nb\nc\nd\ne\nf\n';
+  const hunks = [
+    { oldStart: 1, oldLines: 2, newStart: 1, newLines: 2, lines: [' b', '-c', '+C'] }, // really at line 2
+    { oldStart: 9, oldLines: 2, newStart: 9, newLines: 3, lines: [' e', '+e2', ' f'] }
+  ];
+
+  assert.equal(applyHunks(content, hunks), 'a\nb\nC\nd\ne\ne2\nf\n');
+});
+
+test('keeps CRLF line endings and a missing final newline', () => {
+  const hunks = [{ oldStart: 2, oldLines: 1, newStart: 2, newLines: 1, lines: ['-two', '+2'] }];
+
+  assert.equal(applyHunks('one\r\ntwo\r\nthree\r\n', hunks), 'one\r\n2\r\nthree\r\n');
+  assert.equal(applyHunks('one\ntwo', hunks), 'one\n2');
+});
+
+test('creates a file from an empty one', () => {
+  const hunks = [{ oldStart: 0, oldLines: 0, newStart: 1, newLines: 2, lines: ['+first', '+second'] }];
+
+  assert.equal(applyHunks('', hunks), 'first\nsecond\n');
+});
+
+test('rejects a hunk that does not match the file', () => {
+  const hunks = [{ oldStart: 1, oldLines: 1, newStart: 1, newLines: 1, lines: ['-missing', '+found'] }];
+
+  assert.throws(() => applyHunks('one\ntwo\n', hunks), /hunk @@ -1,1 @@ does not match the file/);
+});
+
+test('only lets patches change the files sent with the prompt', (t) => {
+  const { patcher } = tempPatcher(t, { 'src/app.js': 'old\n', 'src/other.js': 'old\n', '.git/config': 'old\n' });
+  const patches = [
+    replaceFirstLine('src/app.js', 'old', 'new'),
+    replaceFirstLine('src/other.js', 'old', 'new'),
+    replaceFirstLine('../outside.js', 'old', 'new'),
+    replaceFirstLine('.git/config', 'old', 'new'),
+    { oldPath: 'src/app.js', newPath: '../../etc/cron.d/job', hunks: [] }
+  ];
+
+  const { changes, errors } = patcher.check(patches, ['src/app.js', '.git/config', '../outside.js']);
+
+  assert.deepEqual(changes.map(change => [change.path, change.original, change.updated]), [[path.join('src', 'app.js'), 'old\n', 'new\n']]);
+  assert.deepEqual(errors, [
+    'src/other.js: only the files sent with the prompt can be changed',
+    '../outside.js: path is outside the project',
+    '.git/config: files inside .git cannot be changed',
+    '../../etc/cron.d/job: path is outside the project'
+  ]);
+});
+
+test('restores the files already written when a later write fails', (t) => {
+  // `lib.js` is a file, so nothing can be created below it
+  const { root, patcher } = tempPatcher(t, { 'src/app.js': 'old\n', 'lib.js': 'lib\n' });
+  const patches = [
+    replaceFirstLine('src/app.js', 'old', 'new'),
+    { oldPath: null, newPath: 'lib.js/extra.js', hunks: [{ oldStart: 0, oldLines: 0, newStart: 1, newLines: 1, lines: ['+extra'] }] }
+  ];
+  const rolledBack = [];
+  patcher.on('fixRolledBack', event => rolledBack.push(event));
+
+  assert.throws(() => patcher.apply({ id: 'p1', patches, files: ['src/app.js', 'lib.js/extra.js'] }));
+
+  assert.equal(fs.readFileSync(path.join(root, 'src', 'app.js'), 'utf-8'), 'old\n');
+  assert.equal(fs.readFileSync(path.join(root, 'lib.js'), 'utf-8'), 'lib\n');
+  assert.deepEqual(rolledBack.map(event => event.files), [[path.join('src', 'app.js'), path.join('lib.js', 'extra.js')]]);
+  assert.match(rolledBack[0].reason, /^could not write lib\.js\/extra\.js: /);
+});
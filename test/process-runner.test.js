@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createErrorCapture } from '../src/error-capture.js';
+import { createProcessRunner } from '../src/process-runner.js';
+
+function tempCapture() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-runner-'));
+  return { dir, capture: createErrorCapture({ logFilePath: path.join(dir, 'errors.log') }) };
+}
+
+function runNode(capture, script, options = {}) {
+  return createProcessRunner({ command: process.execPath, args: ['-e', script], errorCapture: capture, ...options }).start();
+}
+
+test('records stderr entries, error lines from stdout and a non-zero exit', async () => {
+  const { dir, capture } = tempCapture();
+  const script = `
+    console.log('listening on 3000');
+    console.log('Error: database unreachable');
+    console.error('TypeError: x is undefined\\n    at handler (/app/server.js:12:5)');
+    process.exitCode = 2;
+  `;
+
+  const result = await runNode(capture, script);
+  const records = capture.readErrors();
+
+  assert.equal(result.code, 2);
+  assert.equal(result.signal, null);
+  assert.deepEqual(records.map(record => record.message), [
+    'Error: database unreachable',
+    'TypeError: x is undefined',
+    `"${process.execPath} -e ${script}" exited with code 2`
+  ]);
+  assert.equal(records[0].stream, 'stdout');
+  assert.equal(records[1].stream, 'stderr');
+  assert.equal(records[1].stack[0].file, '/app/server.js');
+  assert.equal(records[2].level, 'fatal');
+  assert.equal(records[2].exitCode, 2);
+  assert.ok(records.every(record => record.source === 'child'));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records nothing for a clean exit and can skip stdout', async () => {
+  const { dir, capture } = tempCapture();
+
+  const result = await runNode(capture, 'console.log("Error: only a log line")', { captureStdoutErrors: false });
+
+  assert.equal(result.code, 0);
+  assert.deepEqual(capture.readErrors(), []);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records a command that cannot be started', async () => {
+  const { dir, capture } = tempCapture();
+
+  const result = await createProcessRunner({ command: path.join(dir, 'missing-command'), errorCapture: capture }).start();
+  const [record] = capture.readErrors();
+
+  assert.ok(result.error);
+  assert.equal(record.level, 'fatal');
+  assert.match(record.message, /^Failed to start/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
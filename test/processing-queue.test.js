@@ -0,0 +1,112 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createProcessingQueue } from '../src/processing-queue.js';
+import { createErrorCapture } from '../src/error-capture.js';
+import { createOrchestrator } from '../src/orchestrator.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-queue-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Segment ids sort by creation time in milliseconds, so the tests move the clock between batches
+function tempQueue(t) {
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T10:00:00Z') });
+  t.after(() => mock.timers.reset());
+  return createProcessingQueue({ dir: tempDir(t) });
+}
+
+function messages(capture) {
+  return capture.readErrors().map(record => record.message);
+}
+
+test('keeps batches in capture order until they are acknowledged', (t) => {
+  const queue = tempQueue(t);
+
+  const first = queue.enqueue([{ message: 'Error: one' }]);
+  mock.timers.tick(1);
+  const second = queue.enqueue([{ message: 'Error: two' }]);
+  fs.writeFileSync(path.join(queue.segmentsDir, 'zzz-half.json'), '{"id": "zzz'); // Never completely written
+
+  assert.deepEqual(queue.pending().map(segment => segment.id), [first.id, second.id]);
+  assert.deepEqual(queue.pendingRecords().map(record => record.message), ['Error: one', 'Error: two']);
+
+  queue.ack(first);
+  assert.deepEqual(queue.pending().map(segment => segment.id), [second.id]);
+});
+
+test('dead-letters failed batches and requeues them with the targets that got them', (t) => {
+  const queue = tempQueue(t);
+  const segment = queue.enqueue([{ message: 'Error: one' }]);
+  mock.timers.tick(1);
+  queue.enqueue([{ message: 'Error: two' }]);
+
+  const failed = queue.deadLetter(segment, { error: 'copilot: bridge down', delivered: ['file'] });
+
+  assert.deepEqual([failed.attempts, failed.delivered, failed.error], [1, ['file'], 'copilot: bridge down']);
+  assert.equal(queue.pending().length, 1);
+  assert.throws(() => queue.retry('nope'), /No dead-lettered batch with id nope/);
+
+  const [retried] = queue.retry(segment.id);
+
+  assert.deepEqual(Object.keys(retried).sort(), ['attempts', 'createdAt', 'delivered', 'id', 'records']);
+  assert.equal(queue.pending()[0].id, segment.id);
+  assert.deepEqual(queue.deadLetters(), []);
+
+  queue.deadLetter(queue.pending()[0]);
+  assert.deepEqual(queue.drop().map(dropped => [dropped.id, dropped.attempts]), [[segment.id, 2]]);
+});
+
+test('compaction keeps unread records ahead of the ones appended meanwhile', (t) => {
+  const dir = tempDir(t);
+  const capture = createErrorCapture({ logFilePath: path.join(dir, 'errors.log') });
+  capture.logError('Error: queued');
+  const { offset } = capture.readNew(0);
+  capture.logError('Error: unread');
+
+  assert.ok(capture.compact(offset) > 0);
+  assert.deepEqual(messages(capture), ['Error: unread']);
+
+  // A crash after the rename: writers started a new log, the renamed one still holds unread records
+  capture.logError('Error: queued again');
+  const resumeAt = capture.readNew(0).offset;
+  capture.logError('Error: older');
+  fs.renameSync(capture.logFilePath, `${capture.logFilePath}.compacting`);
+  capture.logError('Error: newer');
+
+  capture.finishCompaction(resumeAt);
+
+  assert.deepEqual(messages(capture), ['Error: older', 'Error: newer']);
+  assert.deepEqual(fs.readdirSync(dir), ['errors.log']);
+});
+
+test('a restarted run finishes an interrupted compaction before reading on', (t) => {
+  const dir = tempDir(t);
+  t.mock.method(console, 'log', () => {});
+  const orchestrator = createOrchestrator({
+    captureLogPath: path.join(dir, 'errors.log'),
+    queue: { dir: path.join(dir, 'queue') },
+    history: { path: path.join(dir, 'history.jsonl') }
+  });
+  const capture = createErrorCapture({ logFilePath: orchestrator.captureLogPath });
+  orchestrator.errorCapture = capture;
+  capture.logError('Error: queued');
+  capture.logError('Error: below the offset');
+  const { offset } = capture.readNew(0);
+
+  // The batch and the offset were written, then the process died during compaction
+  orchestrator.queue.enqueue(capture.readErrors());
+  orchestrator.queue.commit(offset, capture.logIdentity());
+  capture.logError('Error: after the offset');
+  fs.renameSync(capture.logFilePath, `${capture.logFilePath}.compacting`);
+  capture.logError('Error: while down');
+
+  assert.equal(orchestrator.resumeOffset(), 0);
+  assert.deepEqual(messages(capture), ['Error: after the offset', 'Error: while down']);
+  assert.deepEqual(orchestrator.queue.committed(), { offset: 0, ino: capture.logIdentity() });
+  assert.equal(orchestrator.queue.pendingRecords().length, 2);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { projectVars, promptVars, resolveTemplate } from '../src/prompt-templates.js';
+import { createCopilotIntegration } from '../src/copilot-integration.js';
+import { createRedactor } from '../src/redactor.js';
+import { createRecord } from '../src/records.js';
+
+const GIT = {
+  branch: 'fix/ada@example.com',
+  commits: [{ hash: 'abc1234', subject: 'Rotate key sk-abcdefghijklmnopqrstuvwx', author: 'Ada' }]
+};
+
+test('reads package.json and redacts the gathered branch and commits', (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-templates-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(root, 'package.json'), '{"name": "api", "version": "1.2.3"}');
+  const redactor = createRedactor();
+
+  const vars = projectVars(root, { git: GIT, redact: text => redactor.redact(text) });
+
+  assert.deepEqual(vars.packageJson, { name: 'api', version: '1.2.3' });
+  assert.equal(vars.gitBranch, 'fix/[EMAIL_1]');
+  assert.doesNotMatch(vars.recentCommits, /sk-abcdef/);
+  assert.match(vars.recentCommits, /^abc1234 Rotate key /);
+});
+
+test('leaves git details out when none were gathered', () => {
+  const vars = projectVars(os.tmpdir());
+
+  assert.deepEqual([vars.gitBranch, vars.commits, vars.recentCommits], [null, [], '']);
+});
+
+test('truncates the errors to the size budget', () => {
+  const records = [createRecord({ message: `Error: ${'x'.repeat(500)}` })];
+
+  const vars = promptVars({ records }, { maxErrorChars: 100 });
+
+  assert.equal(vars.errors.length, 100 + '\n... (truncated)'.length);
+  assert.equal(vars.errorCount, 1);
+  assert.throws(() => resolveTemplate({}, 'missing'), /Unknown template: missing/);
+});
+
+test('Copilot prompts use the project options', () => {
+  const redactor = createRedactor();
+  const copilot = createCopilotIntegration({
+    template: '{{gitBranch}}|{{recentCommits}}',
+    project: { git: GIT, redact: text => redactor.redact(text) }
+  });
+
+  const prompt = copilot.buildPrompt('summary', []);
+
+  assert.match(prompt, /^fix\/\[EMAIL_1\]\|abc1234 Rotate key /);
+  assert.doesNotMatch(prompt, /ada@example\.com|sk-abcdef/);
+});
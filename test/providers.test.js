@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { OpenAICompatibleProvider, createProvider, resolveProviderName } from '../src/providers.js';
+import { HeuristicProvider, identifyError } from '../src/heuristic-provider.js';
+import { groupRecords } from '../src/fingerprint.js';
+import { createRecord } from '../src/records.js';
+
+const PROVIDER_ENV = ['ALITH_PROVIDER', 'ALITH_BASE_URL', 'ALITH_MODEL', 'OPENAI_API_KEY'];
+
+// Runs a function with the provider environment variables set as given (and the rest unset)
+async function withEnv(values, fn) {
+  const saved = Object.fromEntries(PROVIDER_ENV.map(name => [name, process.env[name]]));
+  for (const name of PROVIDER_ENV) {
+    if (values[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = values[name];
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  }
+}
+
+// Fake /chat/completions endpoint that records requests and answers with `reply`
+async function fakeEndpoint(reply) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const { status, data } = reply();
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, baseUrl: `http://127.0.0.1:${server.address().port}/v1` };
+}
+
+test('resolves the provider from options, environment, base URL, then API key', async () => {
+  await withEnv({}, () => {
+    assert.equal(resolveProviderName(), 'heuristic');
+    assert.equal(resolveProviderName({ baseUrl: 'http://localhost:1234/v1' }), 'openai-compatible');
+    assert.equal(resolveProviderName({ provider: 'alith', baseUrl: 'http://localhost:1234/v1' }), 'alith');
+  });
+  await withEnv({ OPENAI_API_KEY: 'sk-test' }, () => assert.equal(resolveProviderName({ provider: 'auto' }), 'alith'));
+  await withEnv({ ALITH_PROVIDER: 'heuristic', OPENAI_API_KEY: 'sk-test' }, () => assert.equal(resolveProviderName(), 'heuristic'));
+});
+
+test('creates providers by name and rejects unknown ones', async () => {
+  await withEnv({ ALITH_MODEL: 'qwen2.5' }, () => {
+    assert.ok(createProvider({ provider: 'heuristic' }) instanceof HeuristicProvider);
+
+    const provider = createProvider({ provider: 'openai-compatible', baseUrl: 'http://localhost:1234/v1/' });
+    assert.ok(provider instanceof OpenAICompatibleProvider);
+    assert.equal(provider.label, 'qwen2.5 at http://localhost:1234/v1');
+    assert.throws(() => createProvider({ provider: 'nope' }), /Unknown LLM provider: nope/);
+  });
+});
+
+test('sends chat completions to OpenAI-compatible endpoints', async () => {
+  const { server, requests, baseUrl } = await fakeEndpoint(() =>
+    ({ status: 200, data: { choices: [{ message: { content: 'summary' } }] } }));
+
+  try {
+    const provider = new OpenAICompatibleProvider({ baseUrl, model: 'llama3.1', apiKey: 'local-key', preamble: 'Be brief.' });
+    const text = await provider.complete('Summarize this', { format: 'json' });
+
+    assert.equal(text, 'summary');
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].headers.authorization, 'Bearer local-key');
+    assert.equal(requests[0].body.model, 'llama3.1');
+    assert.deepEqual(requests[0].body.messages, [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Summarize this' }
+    ]);
+    assert.deepEqual(requests[0].body.response_format, { type: 'json_object' });
+  } finally {
+    server.close();
+  }
+});
+
+test('reports failed OpenAI-compatible requests', async () => {
+  const replies = [
+    { status: 500, data: { error: 'model not loaded' } },
+    { status: 200, data: { choices: [] } }
+  ];
+  const { server, baseUrl } = await fakeEndpoint(() => replies.shift());
+
+  try {
+    const provider = new OpenAICompatibleProvider({ baseUrl });
+    await assert.rejects(provider.complete('x'), /responded with 500: .*model not loaded/);
+    await assert.rejects(provider.complete('x'), /no message content/);
+  } finally {
+    server.close();
+  }
+});
+
+test('identifies known errors with hints', () => {
+  assert.equal(identifyError('connect ECONNREFUSED 127.0.0.1:5432').type, 'ECONNREFUSED');
+  assert.equal(identifyError("TypeError: Cannot read properties of undefined (reading 'id')").type, 'TypeError');
+  assert.deepEqual(identifyError('QuotaExceededError: too many'), { type: 'QuotaExceededError', hint: null });
+  assert.deepEqual(identifyError('something odd'), { type: 'Other', hint: null });
+});
+
+test('summarizes offline without a model', async () => {
+  const records = ['connect ECONNREFUSED 127.0.0.1:5432', 'connect ECONNREFUSED 127.0.0.1:5432', 'Error: odd\n    at main (/app/main.js:1:1)']
+    .map(message => createRecord({ message, pid: 1, cwd: '/app', command: 'node' }));
+  const groups = groupRecords(records);
+  const provider = new HeuristicProvider();
+
+  const text = await provider.complete('', { groups });
+  const structured = JSON.parse(await provider.complete('', { groups, format: 'json' }));
+
+  assert.match(text, /2 distinct error\(s\), 3 occurrence\(s\), 2 type\(s\): ECONNREFUSED \(×2\), Other \(×1\)/);
+  assert.match(text, /1\. ECONNREFUSED: Nothing is listening/);
+  assert.equal(structured.overview, '2 distinct error(s), 3 occurrence(s).');
+  assert.equal(structured.errors[0].title, 'ECONNREFUSED: connect ECONNREFUSED 127.0.0.1:5432');
+  assert.equal(structured.errors[1].confidence, 0.3);
+  assert.deepEqual(structured.errors[1].locations, [{ file: '/app/main.js', line: 1 }]);
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createRecord, formatRecord, parseFrame, parseRecords, serializeRecord, splitLogEntries
+} from '../src/records.js';
+
+test('parses stack frames with and without a function name', () => {
+  assert.deepEqual(parseFrame('    at handler (/app/server.js:12:5)'),
+    { function: 'handler', file: '/app/server.js', line: 12, column: 5, raw: 'at handler (/app/server.js:12:5)' });
+  assert.deepEqual(parseFrame('    at async file:///app/main.js:3:1'),
+    { function: null, file: '/app/main.js', line: 3, column: 1, raw: 'at async file:///app/main.js:3:1' });
+});
+
+test('creates records with the message and stack split apart', () => {
+  const record = createRecord({
+    message: 'TypeError: x is undefined\n    at handler (/app/server.js:12:5)',
+    source: 'child',
+    pid: 42,
+    exitCode: 1
+  });
+
+  assert.equal(record.message, 'TypeError: x is undefined');
+  assert.equal(record.stack.length, 1);
+  assert.equal(record.source, 'child');
+  assert.equal(record.level, 'error');
+  assert.equal(record.pid, 42);
+  assert.equal(record.exitCode, 1);
+  assert.match(record.timestamp, /^\d{4}-\d{2}-\d{2}T/);
+});
+
+test('reads NDJSON records and the legacy text format in one log', () => {
+  const ndjson = serializeRecord(createRecord({ message: 'Error: json', pid: 1, cwd: '/app', command: 'node' }));
+  const legacy = [
+    '[2024-05-01T10:00:00.000Z] [UNCAUGHT EXCEPTION] Error: legacy',
+    '    at main (/app/index.js:1:1)',
+    '[2024-05-01T10:00:01.000Z] [TAIL /var/log/app.log] disk full'
+  ].join('\n');
+
+  const records = parseRecords(`${ndjson}${legacy}\n`);
+
+  assert.deepEqual(records.map(record => [record.source, record.level, record.message]), [
+    ['stderr', 'error', 'Error: json'],
+    ['uncaught', 'fatal', 'Error: legacy'],
+    ['tail', 'error', 'disk full']
+  ]);
+  assert.equal(records[1].stack[0].function, 'main');
+  assert.equal(records[2].file, '/var/log/app.log');
+});
+
+test('splits plain logs into entries, keeping indented lines and node source headers', () => {
+  const text = [
+    'starting',
+    '/app/server.js:12',
+    '  x.y();',
+    '    ^',
+    '',
+    'TypeError: x is undefined',
+    '    at handler (/app/server.js:12:5)',
+    'Node.js v20.0.0',
+    'next entry'
+  ].join('\n');
+
+  assert.deepEqual(splitLogEntries(text), [
+    'starting',
+    '/app/server.js:12\n  x.y();\n    ^\n\nTypeError: x is undefined\n    at handler (/app/server.js:12:5)\nNode.js v20.0.0',
+    'next entry'
+  ]);
+});
+
+test('formats records with their origin, frames and context', () => {
+  const record = createRecord({
+    timestamp: '2024-05-01T10:00:00.000Z',
+    source: 'child',
+    command: 'npm start',
+    message: 'Error: boom\n    at a (/app/a.js:1:1)\n    at b (/app/b.js:2:2)',
+    request: { method: 'GET', route: '/users', status: 500 },
+    tags: { region: 'eu' }
+  });
+
+  assert.equal(formatRecord(record, { maxFrames: 1 }), [
+    '[2024-05-01T10:00:00.000Z] ERROR (child: npm start) Error: boom',
+    '    at a (/app/a.js:1:1)',
+    '    ... 1 more frame(s)',
+    '    request: GET /users -> 500',
+    '    tags: region=eu'
+  ].join('\n'));
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { createReporter, withAlithNotify } from '../src/reporter.js';
+import { parseRecords } from '../src/records.js';
+import { createErrorCapture } from '../src/error-capture.js';
+import { createProcessRunner } from '../src/process-runner.js';
+
+function tempReporter(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-reporter-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logFilePath = path.join(dir, 'errors.log');
+  const reporter = createReporter({ logFilePath, transport: 'file', ...options });
+  return { reporter, records: () => parseRecords(fs.readFileSync(logFilePath, 'utf-8')) };
+}
+
+function httpError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+test('reports errors with service, tags and user to the capture log, once each', (t) => {
+  const { reporter, records } = tempReporter(t, { service: 'billing', tags: { region: 'eu' } });
+  reporter.setUser({ id: 7 });
+  const error = Object.assign(new Error('card declined'), { code: 'E_CARD' });
+
+  reporter.report(error, { level: 'warn', tags: { plan: 'pro' }, extra: { orderId: 12 } });
+  assert.equal(reporter.report(error), null);
+  reporter.report('plain message');
+
+  const [first, second] = records();
+  assert.equal(first.message, 'Error: card declined');
+  assert.ok(first.stack.length > 0);
+  assert.deepEqual([first.source, first.level, first.code, first.service], ['report', 'warn', 'E_CARD', 'billing']);
+  assert.deepEqual(first.tags, { region: 'eu', plan: 'pro' });
+  assert.deepEqual(first.user, { id: 7 });
+  assert.deepEqual(first.extra, { orderId: 12 });
+  assert.equal(second.message, 'plain message');
+  assert.equal(records().length, 2);
+});
+
+test('wrap reports and rethrows, except for aborts', async (t) => {
+  const { reporter, records } = tempReporter(t);
+  const controller = new AbortController();
+  const failing = reporter.wrap(async (value) => { throw new Error(`bad ${value}`); }, { signal: controller.signal, tags: { job: 'sync' } });
+  const aborting = reporter.wrap(async () => { throw controller.signal.reason; }, { signal: controller.signal });
+
+  await assert.rejects(failing(1), /bad 1/);
+  controller.abort();
+  await assert.rejects(aborting(), { name: 'AbortError' });
+  await assert.rejects(failing(2), { name: 'AbortError' });
+
+  assert.deepEqual(records().map(record => [record.message, record.tags]), [['Error: bad 1', { job: 'sync' }]]);
+});
+
+test('express middleware reports the request and passes the error on', (t) => {
+  const { reporter, records } = tempReporter(t);
+  const middleware = withAlithNotify('express', { logFilePath: reporter.logFilePath, transport: 'file' });
+  const error = httpError('not allowed', 403);
+  let passed = null;
+
+  middleware(error, {
+    method: 'DELETE',
+    baseUrl: '/api',
+    route: { path: '/users/:id' },
+    originalUrl: '/api/users/7?force=1',
+    headers: { 'x-request-id': 'req-1' }
+  }, { statusCode: 200 }, (value) => { passed = value; });
+
+  assert.equal(passed, error);
+  assert.equal(records()[0].level, 'warn');
+  assert.deepEqual(records()[0].request, { method: 'DELETE', route: '/api/users/:id', status: 403, requestId: 'req-1' });
+});
+
+test('koa middleware and fastify plugin report failed requests', async (t) => {
+  const { reporter, records } = tempReporter(t);
+  const options = { logFilePath: reporter.logFilePath, transport: 'file' };
+
+  const koa = withAlithNotify('koa', options);
+  const ctx = { method: 'GET', path: '/orders/9', _matchedRoute: '/orders/:id', headers: {}, state: { requestId: 'k-1' } };
+  await assert.rejects(koa(ctx, async () => { throw new Error('db down'); }), /db down/);
+
+  const hooks = {};
+  const plugin = withAlithNotify('fastify', options);
+  plugin({ addHook: (name, hook) => { hooks[name] = hook; } }, {}, () => {});
+  hooks.onError({ method: 'POST', url: '/pay?x=1', routeOptions: { url: '/pay' }, headers: {}, id: 'f-1' }, {}, httpError('gateway', 502), () => {});
+
+  assert.equal(plugin[Symbol.for('skip-override')], true);
+  assert.deepEqual(records().map(record => [record.level, record.request]), [
+    ['error', { method: 'GET', route: '/orders/:id', status: 500, requestId: 'k-1' }],
+    ['error', { method: 'POST', route: '/pay', status: 502, requestId: 'f-1' }]
+  ]);
+  assert.throws(() => withAlithNotify('hapi', options), /Unknown framework: hapi/);
+  assert.throws(() => createReporter({ transport: 'smoke-signal' }), /Unknown reporter transport/);
+});
+
+test('apps run with IPC send records to the runner instead of the file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-reporter-ipc-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const capture = createErrorCapture({ logFilePath: path.join(dir, 'errors.log') });
+  const reporterUrl = pathToFileURL(path.resolve('src/reporter.js')).href;
+  const appLog = path.join(dir, 'app.log'); // Written only if IPC isn't used
+  const script = `
+    const { configureReporter } = await import(${JSON.stringify(reporterUrl)});
+    configureReporter({ logFilePath: ${JSON.stringify(appLog)} }).report(new Error('from the app'), { tags: { via: 'ipc' } });
+    process.disconnect();
+  `;
+
+  await createProcessRunner({ command: process.execPath, args: ['--input-type=module', '-e', script], errorCapture: capture, ipc: true }).start();
+
+  const [record] = capture.readErrors();
+  assert.equal(record.message, 'Error: from the app');
+  assert.equal(record.source, 'report');
+  assert.deepEqual(record.tags, { via: 'ipc' });
+  assert.equal(fs.existsSync(appLog), false);
+});
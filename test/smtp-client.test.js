@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { createSMTPClient } from '../src/smtp-client.js';
+
+/**
+ * Starts a fake SMTP server that records the commands it receives
+ * @param {object} options - `extensions` advertised after EHLO, `replies` overriding codes by command
+ * @returns {Promise<object>} `port`, `commands`, `data` (message source) and `close()`
+ */
+async function startServer(options = {}) {
+  const extensions = options.extensions || [];
+  const replies = options.replies || {};
+  const state = { commands: [], data: null };
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let inData = false;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply('220 fake.test ESMTP');
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString();
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) {
+          return;
+        }
+        state.data = buffer.substring(0, end);
+        buffer = buffer.substring(end + 5);
+        inData = false;
+        reply('250 2.0.0 queued as 42');
+      }
+
+      let newline;
+      while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.substring(0, newline);
+        buffer = buffer.substring(newline + 2);
+        state.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+
+        if (replies[verb]) {
+          reply(replies[verb]);
+        } else if (verb === 'EHLO') {
+          const lines = ['fake.test', ...extensions];
+          lines.forEach((text, index) => reply(`250${index === lines.length - 1 ? ' ' : '-'}${text}`));
+        } else if (verb === 'AUTH') {
+          reply(line.startsWith('AUTH LOGIN') ? '334 VXNlcm5hbWU6' : '235 2.7.0 Authenticated');
+        } else if (verb === 'DATA') {
+          inData = true;
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else if (state.commands.at(-2)?.startsWith('AUTH LOGIN')) {
+          reply('334 UGFzc3dvcmQ6');
+        } else if (state.commands.at(-3)?.startsWith('AUTH LOGIN')) {
+          reply('235 2.7.0 Authenticated');
+        } else {
+          reply('250 OK');
+        }
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    commands: state.commands,
+    get data() {
+      return state.data;
+    },
+    close: () => server.close()
+  };
+}
+
+const message = {
+  from: 'alerts@example.com',
+  to: ['dev@example.com', 'ops@example.com'],
+  subject: 'Errors in api',
+  text: 'Line one\n.starts with a dot'
+};
+
+test('sends a message through the SMTP dialogue', async () => {
+  const server = await startServer();
+  try {
+    const response = await createSMTPClient({ host: '127.0.0.1', port: server.port, clientName: 'tester' }).send(message);
+
+    assert.match(response, /^250 2\.0\.0 queued/);
+    assert.deepEqual(server.commands, [
+      'EHLO tester',
+      'MAIL FROM:<alerts@example.com>',
+      'RCPT TO:<dev@example.com>',
+      'RCPT TO:<ops@example.com>',
+      'DATA',
+      'QUIT'
+    ]);
+    assert.match(server.data, /^From: alerts@example\.com\r\nTo: dev@example\.com, ops@example\.com\r\nSubject: Errors in api\r\n/);
+    const body = server.data.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+    assert.equal(Buffer.from(body, 'base64').toString('utf-8'), message.text);
+  } finally {
+    server.close();
+  }
+});
+
+test('refuses to send credentials over a connection without TLS', async () => {
+  const server = await startServer({ extensions: ['AUTH PLAIN LOGIN'] });
+  try {
+    const client = createSMTPClient({ host: '127.0.0.1', port: server.port, user: 'bot', pass: 'secret' });
+
+    await assert.rejects(client.send(message), /offers no TLS; refusing to send credentials/);
+    assert.ok(!server.commands.some(command => command.startsWith('AUTH')));
+  } finally {
+    server.close();
+  }
+});
+
+test('logs in with AUTH PLAIN when insecure auth is allowed', async () => {
+  const server = await startServer({ extensions: ['AUTH PLAIN LOGIN'] });
+  try {
+    await createSMTPClient({ host: '127.0.0.1', port: server.port, user: 'bot', pass: 'secret', allowInsecureAuth: true }).send(message);
+
+    const auth = server.commands.find(command => command.startsWith('AUTH'));
+    assert.equal(auth, `AUTH PLAIN ${Buffer.from('\0bot\0secret').toString('base64')}`);
+  } finally {
+    server.close();
+  }
+});
+
+test('falls back to AUTH LOGIN when the server offers nothing else', async () => {
+  const server = await startServer({ extensions: ['AUTH LOGIN'] });
+  try {
+    await createSMTPClient({ host: '127.0.0.1', port: server.port, user: 'bot', pass: 'secret', allowInsecureAuth: true }).send(message);
+
+    const start = server.commands.indexOf('AUTH LOGIN');
+    assert.deepEqual(server.commands.slice(start + 1, start + 3), [
+      Buffer.from('bot').toString('base64'),
+      Buffer.from('secret').toString('base64')
+    ]);
+  } finally {
+    server.close();
+  }
+});
+
+test('reports a rejected command with the server response', async () => {
+  const server = await startServer({ replies: { RCPT: '550 5.1.1 No such user' } });
+  try {
+    const client = createSMTPClient({ host: '127.0.0.1', port: server.port });
+
+    await assert.rejects(client.send(message), /SMTP RCPT TO:<dev@example\.com> failed: 550 5\.1\.1 No such user/);
+  } finally {
+    server.close();
+  }
+});
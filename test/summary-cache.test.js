@@ -0,0 +1,87 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSummaryCache } from '../src/summary-cache.js';
+import { createSummarizer } from '../src/summarizer.js';
+
+function tempDir(t) {
+  t.mock.method(console, 'log', () => {}); // Keeps the summarizer's progress output out of the test runner's stream
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Provider that counts its requests
+function countingProvider(model = 'llama3.1') {
+  return {
+    calls: 0,
+    name: 'ollama',
+    model,
+    label: `ollama (${model})`,
+    async complete() {
+      this.calls++;
+      return 'Prose summary';
+    }
+  };
+}
+
+function summarizer(dir, options = {}) {
+  return createSummarizer({ providerInstance: countingProvider(), structured: false, cache: { dir }, ...options });
+}
+
+test('keys ignore times and ids but not the model, template or output format', (t) => {
+  const dir = tempDir(t);
+  const base = summarizer(dir);
+  const key = base.cacheKey('[2024-05-01T10:00:00.000Z] Error: job 3f2b1c9e-1a2b-4c3d-8e9f-001122334455 failed (×3)', '', '');
+
+  assert.equal(base.cacheKey('[2024-05-02T11:30:00Z] Error: job 00000000-1111-4222-8333-444444444444 failed (×7)', '', ''), key);
+  assert.notEqual(base.cacheKey('[2024-05-01T10:00:00.000Z] Error: job 3f2b1c9e-1a2b-4c3d-8e9f-001122334455 crashed (×3)', '', ''), key);
+
+  const input = 'Error: boom';
+  const keys = [
+    summarizer(dir).cacheKey(input, '', ''),
+    summarizer(dir, { providerInstance: countingProvider('qwen2.5') }).cacheKey(input, '', ''),
+    summarizer(dir, { template: 'Summarize: {{errors}}' }).cacheKey(input, '', ''),
+    summarizer(dir, { structured: true }).cacheKey(input, '', ''),
+    summarizer(dir).cacheKey(input, 'src/app.js:1', '')
+  ];
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test('answers a repeated failure from the cache', async (t) => {
+  const dir = tempDir(t);
+  const provider = countingProvider();
+  const cached = summarizer(dir, { providerInstance: provider });
+
+  const first = await cached.summarize('[10:00:01] Error: db down');
+  const second = await cached.summarize('[10:05:42] Error: db down');
+
+  assert.equal(provider.calls, 1);
+  assert.deepEqual([first.metadata.cacheHit, second.metadata.cacheHit], [false, true]);
+  assert.equal(second.summary, first.summary);
+  assert.equal(createSummaryCache({ dir }).stats().hits, 1);
+});
+
+test('expires entries after the TTL and evicts the least recently used ones', (t) => {
+  const dir = tempDir(t);
+  mock.timers.enable({ apis: ['Date'], now: Date.parse('2024-05-01T10:00:00Z') });
+  t.after(() => mock.timers.reset());
+  const cache = createSummaryCache({ dir, ttlHours: 1 });
+
+  cache.set('old', { summary: 'old' });
+  mock.timers.tick(2 * 60 * 60 * 1000);
+  assert.equal(cache.stats().expired, 1);
+  assert.equal(cache.get('old'), null);
+  assert.equal(cache.stats().entries, 0);
+
+  // Room for about one entry: the newest one is always kept
+  const small = createSummaryCache({ dir, maxSizeMb: 150 / (1024 * 1024) });
+  small.set('first', { summary: 'first' });
+  fs.utimesSync(small.file('first'), new Date(0), new Date(0));
+  small.set('second', { summary: 'second' });
+
+  assert.deepEqual(fs.readdirSync(dir), ['second.json']);
+  assert.equal(small.clear(), 1);
+});
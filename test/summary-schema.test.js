@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSummaryJson, renderSummary, validateSchema } from '../src/summary-schema.js';
+import { createSummarizer } from '../src/summarizer.js';
+
+const SUMMARY = {
+  overview: 'The API cannot reach its database.',
+  errors: [{
+    fingerprint: 'abc123',
+    title: 'ECONNREFUSED',
+    severity: 'fatal',
+    rootCause: 'Postgres is not running.',
+    locations: [{ file: 'src/db.js', line: 12 }, { file: 'src/config.js' }],
+    fixes: ['Start Postgres', 'Check DATABASE_URL'],
+    command: 'docker compose up db',
+    confidence: 0.8
+  }]
+};
+
+// Provider that answers with the given responses in turn
+function scriptedProvider(responses) {
+  const prompts = [];
+  return {
+    prompts,
+    name: 'scripted',
+    model: 'scripted',
+    label: 'scripted',
+    async complete(prompt) {
+      prompts.push(prompt);
+      return responses.shift();
+    }
+  };
+}
+
+test('accepts a valid summary and reports every problem of an invalid one', () => {
+  assert.deepEqual(validateSchema(SUMMARY), []);
+
+  const problems = validateSchema({
+    overview: ' ',
+    errors: [{ ...SUMMARY.errors[0], severity: 'loud', fixes: [], confidence: 2, locations: [{ line: 0 }], extra: true }]
+  });
+
+  assert.deepEqual(problems, [
+    '$.overview should not be empty',
+    '$.errors[0].severity should be one of fatal, error, warn, info',
+    '$.errors[0].locations[0].file is required',
+    '$.errors[0].locations[0].line should be at least 1',
+    '$.errors[0].fixes should have at least 1 item(s)',
+    '$.errors[0].confidence should be at most 1',
+    '$.errors[0].extra is not allowed'
+  ]);
+  assert.deepEqual(validateSchema([], { type: 'object' }), ['$ should be object']);
+});
+
+test('extracts JSON from fenced or chatty responses', () => {
+  assert.deepEqual(parseSummaryJson('Here you go:\n```json\n{"overview": "x", "errors": []}\n```'), { overview: 'x', errors: [] });
+  assert.deepEqual(parseSummaryJson('Sure! {"a": {"b": 1}} Hope this helps.'), { a: { b: 1 } });
+  assert.throws(() => parseSummaryJson('no json here'), /contains no JSON object/);
+  assert.throws(() => parseSummaryJson('{"a": }'), /not valid JSON/);
+});
+
+test('renders a structured summary as prose', () => {
+  assert.equal(renderSummary(SUMMARY), [
+    '**Overview**',
+    'The API cannot reach its database.',
+    '',
+    '**1. ECONNREFUSED** (fatal, confidence 80%)',
+    'Root cause: Postgres is not running.',
+    'Affected: src/db.js:12, src/config.js',
+    'Fixes:',
+    '- Start Postgres',
+    '- Check DATABASE_URL',
+    'Try: `docker compose up db`'
+  ].join('\n'));
+});
+
+test('sends invalid structured output back with its problems before accepting a fix', async () => {
+  const provider = scriptedProvider(['{"overview": ""}', JSON.stringify(SUMMARY)]);
+  const summarizer = createSummarizer({ providerInstance: provider, maxRetries: 3, retryDelay: 1 });
+
+  const result = await summarizer.summarize('Error: connect ECONNREFUSED');
+
+  assert.deepEqual(result.structured, SUMMARY);
+  assert.equal(result.summary, renderSummary(SUMMARY));
+  assert.equal(provider.prompts.length, 2);
+  assert.match(provider.prompts[1], /Your previous response was not valid:\n- \$\.errors is required\n- \$\.overview should not be empty/);
+});
+
+test('falls back to the prose response when the output never validates', async () => {
+  const provider = scriptedProvider(['not json', 'still not json']);
+  const summarizer = createSummarizer({ providerInstance: provider, maxRetries: 2, retryDelay: 1 });
+
+  const result = await summarizer.summarize('Error: boom');
+
+  assert.equal(result.structured, null);
+  assert.equal(result.summary, 'still not json');
+});
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate } from '../src/template.js';
+
+test('renders variables and dotted paths', () => {
+  const vars = { project: 'api', group: { count: 3 }, structured: { cause: 'x' } };
+
+  assert.equal(renderTemplate('{{project}}: {{group.count}} {{missing}}|{{structured}}', vars), 'api: 3 |{"cause":"x"}');
+});
+
+test('renders if, unless and else branches', () => {
+  const template = '{{#if errors}}has errors{{else}}clean{{/if}}{{#unless tests}}, no tests{{/unless}}';
+
+  assert.equal(renderTemplate(template, { errors: ['e'], tests: [] }), 'has errors, no tests');
+  assert.equal(renderTemplate(template, { errors: [], tests: ['t'] }), 'clean');
+});
+
+test('renders each with item fields, loop variables and outer scopes', () => {
+  const template = '{{#each tests}}{{#unless @first}}, {{/unless}}{{@number}}. {{name}} ({{project}}){{#if @last}}.{{/if}}{{else}}none{{/each}}';
+
+  assert.equal(renderTemplate(template, { project: 'api', tests: [{ name: 'adds' }, { name: 'subtracts' }] }),
+    '1. adds (api), 2. subtracts (api).');
+  assert.equal(renderTemplate(template, { project: 'api', tests: [] }), 'none');
+  assert.equal(renderTemplate('{{#each tags}}[{{this}}]{{/each}}', { tags: ['a', 'b'] }), '[a][b]');
+});
+
+test('block tags on their own line leave no blank lines', () => {
+  const template = 'Start\n{{#if regressions}}\nRegressions:\n{{#each regressions}}\n- {{title}}\n{{/each}}\n{{/if}}\nEnd';
+
+  assert.equal(renderTemplate(template, { regressions: [{ title: 'TypeError' }, { title: 'RangeError' }] }),
+    'Start\nRegressions:\n- TypeError\n- RangeError\nEnd');
+  assert.equal(renderTemplate(template, { regressions: [] }), 'Start\nEnd');
+});
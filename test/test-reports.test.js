@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseJestJson, parseJUnit, parseTap } from '../src/test-reports.js';
+
+test('parses node:test TAP with nested subtests and YAML diagnostics', () => {
+  const report = parseTap([
+    'TAP version 13',
+    '# Subtest: math',
+    '    # Subtest: adds',
+    '    ok 1 - adds',
+    '    # Subtest: subtracts',
+    '    not ok 2 - subtracts',
+    '      ---',
+    '      duration_ms: 1.5',
+    "      location: '/app/test/math.test.js:12:3'",
+    "      failureType: 'testCodeFailure'",
+    '      error: |-',
+    '        Expected values to be strictly equal:',
+    '',
+    '        1 !== 2',
+    '      expected: 2',
+    '      actual: 1',
+    '      stack: |-',
+    '        TestContext.<anonymous> (file:///app/test/math.test.js:14:12)',
+    '      ...',
+    '    ok 3 - skipped one # SKIP',
+    '    1..3',
+    'not ok 1 - math',
+    '  ---',
+    "  failureType: 'subtestsFailed'",
+    '  ...',
+    '1..1'
+  ].join('\n'));
+
+  assert.deepEqual({ ...report, failures: report.failures.length }, { total: 3, passed: 1, failed: 1, skipped: 1, failures: 1 });
+  const [failure] = report.failures;
+  assert.equal(failure.fullName, 'math › subtracts');
+  assert.equal(failure.file, '/app/test/math.test.js');
+  assert.equal(failure.line, 12);
+  assert.equal(failure.message, 'Expected values to be strictly equal:\n\n1 !== 2');
+  assert.equal(failure.diff, '- Expected\n+ Actual\n\n- 2\n+ 1');
+  assert.equal(failure.duration, 1.5);
+  assert.match(failure.stack, /^ {4}at TestContext\.<anonymous> \(file:\/\/\/app\/test\/math\.test\.js:14:12\)$/);
+});
+
+test('parses JUnit XML with nested suites, errors and skipped tests', () => {
+  const report = parseJUnit(`<?xml version="1.0" encoding="UTF-8"?>
+<testsuites>
+  <testsuite name="src/cart.test.js" tests="3">
+    <testsuite name="Cart">
+      <testcase name="adds items" classname="Cart" time="0.01"/>
+      <testcase name="totals &amp; taxes" classname="Cart" time="0.25">
+        <failure message="expected 10 to equal 12" type="AssertionError">AssertionError: expected 10 to equal 12
+    at Context.&lt;anonymous&gt; (src/cart.test.js:20:5)</failure>
+      </testcase>
+      <testcase name="discounts" classname="Cart"><skipped/></testcase>
+    </testsuite>
+  </testsuite>
+</testsuites>`);
+
+  assert.deepEqual({ ...report, failures: report.failures.length }, { total: 3, passed: 1, failed: 1, skipped: 1, failures: 1 });
+  const [failure] = report.failures;
+  assert.equal(failure.name, 'totals & taxes');
+  assert.equal(failure.fullName, 'Cart › totals & taxes');
+  assert.equal(failure.file, 'src/cart.test.js');
+  assert.equal(failure.message, 'AssertionError: expected 10 to equal 12');
+  assert.match(failure.stack, /at Context\.<anonymous> \(src\/cart\.test\.js:20:5\)/);
+  assert.equal(failure.duration, 250);
+});
+
+test('parses a Jest JSON report, including suites that failed to run', () => {
+  const report = parseJestJson(JSON.stringify({
+    testResults: [
+      {
+        name: '/app/src/sum.test.js',
+        status: 'failed',
+        assertionResults: [
+          { title: 'adds', fullName: 'sum adds', ancestorTitles: ['sum'], status: 'passed' },
+          {
+            title: 'handles negatives',
+            fullName: 'sum handles negatives',
+            ancestorTitles: ['sum'],
+            status: 'failed',
+            location: { line: 8, column: 3 },
+            duration: 4,
+            failureMessages: [
+              'Error: expect(received).toBe(expected)\n\nExpected: -1\nReceived: 1\n    at Object.<anonymous> (/app/src/sum.test.js:9:20)'
+            ]
+          },
+          { title: 'later', fullName: 'sum later', ancestorTitles: ['sum'], status: 'todo' }
+        ]
+      },
+      {
+        name: '/app/src/broken.test.js',
+        status: 'failed',
+        message: "Cannot find module './missing' from 'src/broken.test.js'",
+        assertionResults: []
+      }
+    ]
+  }));
+
+  assert.deepEqual({ ...report, failures: report.failures.length }, { total: 4, passed: 1, failed: 2, skipped: 1, failures: 2 });
+  const [assertion, suite] = report.failures;
+  assert.equal(assertion.fullName, 'sum handles negatives');
+  assert.equal(assertion.file, '/app/src/sum.test.js');
+  assert.equal(assertion.line, 8);
+  assert.equal(assertion.expected, '-1');
+  assert.equal(assertion.actual, '1');
+  assert.match(assertion.stack, /sum\.test\.js:9:20/);
+  assert.equal(suite.name, 'Test suite failed to run');
+  assert.equal(suite.file, '/app/src/broken.test.js');
+  assert.match(suite.message, /Cannot find module '\.\/missing'/);
+});
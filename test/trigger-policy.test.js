@@ -0,0 +1,89 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTriggerPolicy } from '../src/trigger-policy.js';
+import { createRecord } from '../src/records.js';
+
+function record(message, level = 'error') {
+  return createRecord({ message, level, pid: 1, cwd: '/app', command: 'node' });
+}
+
+// Policy on mocked timers that collects its triggers
+function policy(options) {
+  mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.parse('2024-05-01T10:00:00Z') });
+  const triggerPolicy = createTriggerPolicy(options);
+  const triggers = [];
+  const limited = [];
+  triggerPolicy.on('trigger', event => triggers.push(event));
+  triggerPolicy.on('rateLimited', event => limited.push(event));
+  return { triggerPolicy, triggers, limited };
+}
+
+test('fires after a quiet period, restarted by each new error', (t) => {
+  t.after(() => mock.timers.reset());
+  const { triggerPolicy, triggers } = policy({ debounce: 5, maxWait: 60 });
+
+  triggerPolicy.add([record('Error: one')]);
+  mock.timers.tick(4000);
+  triggerPolicy.add([record('Error: two')]);
+  mock.timers.tick(4000);
+  assert.equal(triggers.length, 0);
+
+  mock.timers.tick(1000);
+  assert.deepEqual(triggers, [{ reason: 'quiet period', pending: 2, waitedMs: 9000 }]);
+  triggerPolicy.stop();
+});
+
+test('fires once the oldest error has waited maxWait', (t) => {
+  t.after(() => mock.timers.reset());
+  const { triggerPolicy, triggers } = policy({ debounce: 5, maxWait: 12 });
+
+  for (let second = 0; second < 12; second += 3) {
+    triggerPolicy.add([record(`Error${second}Error: noisy`)]);
+    mock.timers.tick(3000);
+  }
+
+  assert.deepEqual(triggers, [{ reason: 'max wait reached', pending: 4, waitedMs: 12000 }]);
+  triggerPolicy.stop();
+});
+
+test('fires right away for immediate levels and the distinct-error threshold', (t) => {
+  t.after(() => mock.timers.reset());
+  const { triggerPolicy, triggers } = policy({ threshold: 3 });
+
+  triggerPolicy.add([record('Error: crashed', 'fatal')]);
+  triggerPolicy.add([record('Error: a'), record('Error: a'), record('Error: b')]);
+  assert.equal(triggers.length, 1);
+  triggerPolicy.add([record('Error: c')]);
+
+  assert.deepEqual(triggers.map(trigger => trigger.reason), ['fatal error', '3 distinct errors']);
+  triggerPolicy.stop();
+});
+
+test('defers triggers over maxPerHour until the window allows another run', (t) => {
+  t.after(() => mock.timers.reset());
+  const { triggerPolicy, triggers, limited } = policy({ maxPerHour: 1 });
+
+  triggerPolicy.add([record('Error: first', 'fatal')]);
+  mock.timers.tick(10 * 60 * 1000);
+  triggerPolicy.add([record('Error: second', 'fatal')]);
+
+  assert.equal(triggers.length, 1);
+  assert.equal(limited[0].retryIn, 50 * 60 * 1000);
+
+  mock.timers.tick(50 * 60 * 1000);
+  assert.deepEqual(triggers.map(trigger => trigger.reason), ['fatal error', 'fatal error, deferred by rate limit']);
+  triggerPolicy.stop();
+});
+
+test('never fires with maxPerHour 0 and forgets errors on reset', (t) => {
+  t.after(() => mock.timers.reset());
+  const { triggerPolicy, triggers } = policy({ maxPerHour: 0, debounce: 1 });
+
+  triggerPolicy.add([record('Error: crashed', 'fatal')]);
+  mock.timers.tick(60 * 1000);
+  assert.equal(triggers.length, 0);
+
+  triggerPolicy.reset();
+  assert.equal(triggerPolicy.pending.size, 0);
+  triggerPolicy.stop();
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { BRIDGE_PROTOCOL_VERSION, createBridgeClient, createMessageReader, discoverBridge, encodeMessage } from '../src/vscode-bridge.js';
+
+/**
+ * Starts a fake extension bridge on a local socket
+ * @param {object} options - `token` to accept, `chat(message)` returning the result fields
+ * @returns {Promise<object>} `socketPath`, `messages` (received) and `close()`
+ */
+async function startBridge(options = {}) {
+  const id = `${process.pid}-${Math.random().toString(16).slice(2)}`;
+  const socketPath = process.platform === 'win32'
+    ? `\\\\.\\pipe\\alith-notify-test-${id}`
+    : path.join(os.tmpdir(), `alith-notify-test-${id}.sock`);
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    const send = message => socket.write(encodeMessage(message));
+    socket.on('data', createMessageReader((message) => {
+      messages.push(message);
+      if (message.type === 'hello') {
+        send(message.token === options.token
+          ? { type: 'hello', ok: true, version: BRIDGE_PROTOCOL_VERSION }
+          : { type: 'hello', ok: false, error: 'Invalid token' });
+      } else if (message.type === 'chat') {
+        send({ type: 'result', id: message.id, ...(options.chat ? options.chat(message) : { ok: true }) });
+      }
+    }, () => socket.destroy()));
+  });
+
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  return { socketPath, messages, close: () => server.close() };
+}
+
+test('sends the prompt after a successful handshake', async () => {
+  const bridge = await startBridge({ token: 'abc' });
+  try {
+    const result = await createBridgeClient({ socketPath: bridge.socketPath, token: 'abc' }).sendChat('Fix this');
+
+    assert.equal(result.ok, true);
+    const [hello, chat] = bridge.messages;
+    assert.deepEqual(hello, { type: 'hello', version: BRIDGE_PROTOCOL_VERSION, token: 'abc' });
+    assert.equal(chat.type, 'chat');
+    assert.equal(chat.query, 'Fix this');
+    assert.equal(chat.token, 'abc');
+    assert.equal(result.id, chat.id);
+  } finally {
+    bridge.close();
+  }
+});
+
+test('rejects when the bridge refuses the token', async () => {
+  const bridge = await startBridge({ token: 'abc' });
+  try {
+    await assert.rejects(
+      createBridgeClient({ socketPath: bridge.socketPath, token: 'wrong' }).sendChat('Fix this'),
+      /Bridge rejected handshake: Invalid token/
+    );
+    assert.ok(!bridge.messages.some(message => message.type === 'chat'));
+  } finally {
+    bridge.close();
+  }
+});
+
+test('rejects when the extension cannot open the chat', async () => {
+  const bridge = await startBridge({ token: 'abc', chat: () => ({ ok: false, error: 'Copilot Chat is not installed' }) });
+  try {
+    await assert.rejects(
+      createBridgeClient({ socketPath: bridge.socketPath, token: 'abc' }).sendChat('Fix this'),
+      /Bridge could not open Copilot Chat: Copilot Chat is not installed/
+    );
+  } finally {
+    bridge.close();
+  }
+});
+
+test('rejects when nothing listens on the socket', async () => {
+  const socketPath = path.join(os.tmpdir(), `alith-notify-test-${process.pid}-missing.sock`);
+  await assert.rejects(createBridgeClient({ socketPath, timeout: 1000 }).sendChat('Fix this'), /Could not reach bridge/);
+});
+
+test('discovers the bridge of the innermost workspace folder', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alith-bridges-'));
+  try {
+    const write = (name, info) => fs.writeFileSync(path.join(dir, name), JSON.stringify({ version: 1, pid: process.pid, ...info }));
+    write('outer.json', { socketPath: '/tmp/outer.sock', token: 'o', folders: ['/work'] });
+    write('inner.json', { socketPath: '/tmp/inner.sock', token: 'i', folders: ['/other', '/work/api'] });
+    fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+
+    assert.deepEqual(discoverBridge({ env: {}, dirs: [dir], cwd: '/work/api/src' }),
+      { socketPath: '/tmp/inner.sock', token: 'i', source: path.join(dir, 'inner.json') });
+    assert.equal(discoverBridge({ env: {}, dirs: [dir], cwd: '/elsewhere' }), null);
+    assert.deepEqual(discoverBridge({ env: { ALITH_NOTIFY_BRIDGE: '/tmp/env.sock' }, dirs: [dir], cwd: '/work' }),
+      { socketPath: '/tmp/env.sock', token: null, source: 'env' });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,182 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Must match BRIDGE_PROTOCOL_VERSION in src/vscode-bridge.js
+const PROTOCOL_VERSION = 1;
+
+let server = null;
+let socketPath = null;
+let token = null;
+let bridgeFile = null;
+let output = null;
+
+/**
+ * Starts the bridge: a local socket that alith-notify connects to
+ * @param {vscode.ExtensionContext} context - Extension context
+ */
+function activate(context) {
+  output = vscode.window.createOutputChannel('Alith Notify Bridge');
+  token = crypto.randomBytes(24).toString('hex');
+
+  const id = `${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+  socketPath = process.platform === 'win32'
+    ? `\\\\.\\pipe\\alith-notify-${id}`
+    : path.join(os.tmpdir(), `alith-notify-${id}.sock`);
+  // Found by discoverBridge() in src/vscode-bridge.js; private to the user, never in the workspace
+  bridgeFile = path.join(context.globalStorageUri.fsPath, 'bridges', `${id}.json`);
+
+  server = net.createServer(handleConnection);
+  server.on('error', (error) => log(`Bridge error: ${error.message}`));
+  server.listen(socketPath, () => {
+    if (process.platform !== 'win32') {
+      fs.chmodSync(socketPath, 0o600);
+    }
+    writeBridgeFile();
+    log(`Listening on ${socketPath}`);
+  });
+
+  // Integrated terminals find the bridge through these variables
+  context.environmentVariableCollection.replace('ALITH_NOTIFY_BRIDGE', socketPath);
+  context.environmentVariableCollection.replace('ALITH_NOTIFY_BRIDGE_TOKEN', token);
+
+  context.subscriptions.push(
+    output,
+    vscode.workspace.onDidChangeWorkspaceFolders(writeBridgeFile),
+    vscode.commands.registerCommand('alithNotify.showBridgeInfo', () => {
+      vscode.window.showInformationMessage(`Alith Notify bridge listening on ${socketPath}`);
+    }),
+    { dispose: stopBridge }
+  );
+}
+
+/**
+ * Handles one client connection (newline-delimited JSON, see src/vscode-bridge.js)
+ * @param {net.Socket} socket - Client socket
+ */
+function handleConnection(socket) {
+  let buffer = '';
+  let authenticated = false;
+
+  const send = (message) => socket.write(`${JSON.stringify(message)}\n`);
+
+  socket.on('data', async (chunk) => {
+    buffer += chunk.toString();
+    let newline;
+
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.substring(0, newline).trim();
+      buffer = buffer.substring(newline + 1);
+      if (line.length === 0) {
+        continue;
+      }
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        socket.destroy();
+        return;
+      }
+
+      if (message.type === 'hello') {
+        if (message.version !== PROTOCOL_VERSION) {
+          send({ type: 'hello', ok: false, error: `Unsupported protocol version ${message.version}` });
+        } else if (!tokenMatches(message.token)) {
+          send({ type: 'hello', ok: false, error: 'Invalid token' });
+        } else {
+          authenticated = true;
+          send({ type: 'hello', ok: true, version: PROTOCOL_VERSION });
+        }
+      } else if (message.type === 'chat') {
+        if (!authenticated || !tokenMatches(message.token)) {
+          send({ type: 'result', id: message.id, ok: false, error: 'Not authenticated' });
+          continue;
+        }
+
+        try {
+          await vscode.commands.executeCommand('workbench.action.chat.open', { query: message.query });
+          log(`Opened Copilot Chat with a ${message.query.length} character prompt`);
+          send({ type: 'result', id: message.id, ok: true });
+        } catch (error) {
+          log(`Could not open Copilot Chat: ${error.message}`);
+          send({ type: 'result', id: message.id, ok: false, error: error.message });
+        }
+      }
+    }
+  });
+
+  socket.on('error', () => {});
+}
+
+/**
+ * Compares a client token with ours in constant time
+ * @param {string} candidate - Token sent by the client
+ * @returns {boolean} True if the token matches
+ */
+function tokenMatches(candidate) {
+  if (typeof candidate !== 'string' || candidate.length !== token.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(token));
+}
+
+/**
+ * Writes this window's discovery file (socket, token and workspace folders) to the
+ * extension's global storage, readable only by the user
+ */
+function writeBridgeFile() {
+  const folders = (vscode.workspace.workspaceFolders || []).map(folder => folder.uri.fsPath);
+  try {
+    fs.mkdirSync(path.dirname(bridgeFile), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(
+      bridgeFile,
+      JSON.stringify({ version: PROTOCOL_VERSION, socketPath, token, pid: process.pid, folders }, null, 2),
+      { encoding: 'utf-8', mode: 0o600 }
+    );
+    fs.chmodSync(bridgeFile, 0o600); // `mode` only applies when the file is created
+  } catch (error) {
+    log(`Could not write ${bridgeFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Removes this window's discovery file
+ */
+function removeBridgeFile() {
+  try {
+    fs.unlinkSync(bridgeFile);
+  } catch (error) {
+    // Already gone
+  }
+}
+
+/**
+ * Stops the bridge server and cleans up
+ */
+function stopBridge() {
+  removeBridgeFile();
+  if (server) {
+    server.close();
+    server = null;
+  }
+}
+
+/**
+ * Writes a line to the output channel
+ * @param {string} message - Message to log
+ */
+function log(message) {
+  if (output) {
+    output.appendLine(`[${new Date().toISOString()}] ${message}`);
+  }
+}
+
+function deactivate() {
+  stopBridge();
+}
+
+module.exports = { activate, deactivate };